@@ -0,0 +1,130 @@
+/**
+ * API Errors
+ *
+ * Error responses share one envelope so clients can branch on `code`
+ * instead of parsing messages:
+ *
+ *   { "error": "Human readable message", "code": "MACHINE_CODE", "details": ... }
+ *
+ * `details` is omitted when there is nothing to add.
+ */
+
+const ERROR_CODES = {
+    VALIDATION_FAILED: 'VALIDATION_FAILED',
+    INVALID_JSON: 'INVALID_JSON',
+    PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+    ATTACHMENT_REJECTED: 'ATTACHMENT_REJECTED', // Too many attachments, or a type that isn't allowed
+    UNAUTHORIZED: 'UNAUTHORIZED', // Missing, invalid or expired API key / session token
+    CONVERSATION_NOT_FOUND: 'CONVERSATION_NOT_FOUND', // Unknown conversation, or one owned by another user
+    MESSAGE_NOT_FOUND: 'MESSAGE_NOT_FOUND', // No record with that ID in the conversation
+    REQUEST_IN_PROGRESS: 'REQUEST_IN_PROGRESS', // The message is already being answered again (or the Idempotency-Key's first request is still running)
+    IDEMPOTENCY_KEY_REUSED: 'IDEMPOTENCY_KEY_REUSED', // The Idempotency-Key was sent before with a different request
+    RATE_LIMITED: 'RATE_LIMITED', // Too many /chat requests from this user
+    QUOTA_EXCEEDED: 'QUOTA_EXCEEDED', // The user's rolling token quota is used up
+    MODELRIVER_NOT_CONFIGURED: 'MODELRIVER_NOT_CONFIGURED',
+    MODELRIVER_REJECTED: 'MODELRIVER_REJECTED', // ModelRiver answered 4xx (bad request, auth, unknown workflow)
+    MODELRIVER_RATE_LIMITED: 'MODELRIVER_RATE_LIMITED', // ModelRiver answered 429
+    MODELRIVER_UNAVAILABLE: 'MODELRIVER_UNAVAILABLE', // ModelRiver answered 5xx
+    MODELRIVER_TIMEOUT: 'MODELRIVER_TIMEOUT', // No answer within the request timeout
+    MODELRIVER_UNREACHABLE: 'MODELRIVER_UNREACHABLE', // Connection failed
+    INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+class ApiError extends Error {
+    /**
+     * @param {number} status - HTTP status to respond with
+     * @param {string} code - One of ERROR_CODES
+     * @param {string} message
+     * @param {*} [details]
+     */
+    constructor(status, code, message, details) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * Message of a ModelRiver error body: { message }, { error: "..." } or
+ * { error: { message, ... } }.
+ *
+ * @param {*} data - Response body
+ * @returns {string|undefined}
+ */
+function getUpstreamMessage(data) {
+    const message = data?.message || (typeof data?.error === 'object' ? data.error?.message : data?.error);
+    return typeof message === 'string' && message ? message : undefined;
+}
+
+/**
+ * Translate a failed axios call to ModelRiver into an ApiError.
+ * 4xx (other than 429) means our request was wrong, so retrying won't help;
+ * 429, 5xx, timeouts and connection errors are worth retrying later.
+ *
+ * @param {Error} error - axios error
+ * @returns {ApiError}
+ */
+function fromUpstreamError(error) {
+    const upstreamStatus = error.response?.status;
+    // Without a response, report the connection error (ECONNREFUSED, ...) instead
+    const upstreamMessage = error.response
+        ? getUpstreamMessage(error.response.data)
+        : error.code || error.message;
+    const details = {
+        upstream_status: upstreamStatus || null,
+        ...(upstreamMessage && { upstream_error: upstreamMessage })
+    };
+
+    if (!error.response) {
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+            return new ApiError(504, ERROR_CODES.MODELRIVER_TIMEOUT, 'ModelRiver did not respond in time', details);
+        }
+        return new ApiError(502, ERROR_CODES.MODELRIVER_UNREACHABLE, 'Could not reach ModelRiver', details);
+    }
+
+    if (upstreamStatus === 429) {
+        const retryAfter = parseInt(error.response.headers?.['retry-after'], 10);
+        if (retryAfter > 0) {
+            details.retry_after_seconds = retryAfter;
+        }
+        return new ApiError(429, ERROR_CODES.MODELRIVER_RATE_LIMITED, 'ModelRiver is rate limiting requests, try again shortly', details);
+    }
+
+    if (upstreamStatus >= 500) {
+        return new ApiError(502, ERROR_CODES.MODELRIVER_UNAVAILABLE, 'ModelRiver is temporarily unavailable', details);
+    }
+
+    return new ApiError(502, ERROR_CODES.MODELRIVER_REJECTED, upstreamMessage || `ModelRiver rejected the request (HTTP ${upstreamStatus})`, details);
+}
+
+/**
+ * Send an error in the standard envelope. Anything that isn't an ApiError
+ * becomes a 500 INTERNAL_ERROR.
+ *
+ * @param {object} res - Express response
+ * @param {Error} error
+ */
+function sendApiError(res, error) {
+    const apiError = error instanceof ApiError
+        ? error
+        : new ApiError(500, ERROR_CODES.INTERNAL_ERROR, error.message || 'Internal server error');
+
+    if (apiError.details?.retry_after_seconds) {
+        res.setHeader('Retry-After', String(apiError.details.retry_after_seconds));
+    }
+
+    res.status(apiError.status).json({
+        error: apiError.message,
+        code: apiError.code,
+        ...(apiError.details !== undefined && { details: apiError.details })
+    });
+}
+
+module.exports = {
+    ERROR_CODES,
+    ApiError,
+    fromUpstreamError,
+    sendApiError
+};
@@ -0,0 +1,81 @@
+/**
+ * API Errors Unit Tests
+ *
+ * Tests for the error envelope and the mapping of ModelRiver failures
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { ApiError, fromUpstreamError, sendApiError } = require('./apiErrors');
+
+describe('API Errors', () => {
+    const upstreamError = (status, data = {}, headers = {}) => Object.assign(new Error(`HTTP ${status}`), {
+        response: { status, data, headers }
+    });
+
+    describe('fromUpstreamError', () => {
+        it('should map 429 to MODELRIVER_RATE_LIMITED with Retry-After', () => {
+            const error = fromUpstreamError(upstreamError(429, {}, { 'retry-after': '30' }));
+
+            expect(error).toMatchObject({ status: 429, code: 'MODELRIVER_RATE_LIMITED' });
+            expect(error.details).toEqual({ upstream_status: 429, retry_after_seconds: 30 });
+        });
+
+        it('should map 5xx to MODELRIVER_UNAVAILABLE', () => {
+            expect(fromUpstreamError(upstreamError(503))).toMatchObject({ status: 502, code: 'MODELRIVER_UNAVAILABLE' });
+        });
+
+        it('should map other 4xx to MODELRIVER_REJECTED with the upstream message', () => {
+            const error = fromUpstreamError(upstreamError(404, { message: 'Workflow not found' }));
+
+            expect(error).toMatchObject({ status: 502, code: 'MODELRIVER_REJECTED', message: 'Workflow not found' });
+            expect(error.details).toEqual({ upstream_status: 404, upstream_error: 'Workflow not found' });
+        });
+
+        it('should read the message of a nested error object', () => {
+            const error = fromUpstreamError(upstreamError(400, { error: { type: 'invalid_request', message: 'Unknown workflow' } }));
+
+            expect(error).toMatchObject({ status: 502, code: 'MODELRIVER_REJECTED', message: 'Unknown workflow' });
+            expect(error.details).toEqual({ upstream_status: 400, upstream_error: 'Unknown workflow' });
+
+            const withoutMessage = fromUpstreamError(upstreamError(400, { error: { type: 'invalid_request' } }));
+            expect(withoutMessage.message).toBe('ModelRiver rejected the request (HTTP 400)');
+            expect(withoutMessage.details).toEqual({ upstream_status: 400 });
+        });
+
+        it('should distinguish timeouts from connection failures', () => {
+            const timeout = Object.assign(new Error('timeout'), { code: 'ECONNABORTED' });
+            const refused = Object.assign(new Error('refused'), { code: 'ECONNREFUSED' });
+
+            expect(fromUpstreamError(timeout)).toMatchObject({ status: 504, code: 'MODELRIVER_TIMEOUT' });
+            expect(fromUpstreamError(refused)).toMatchObject({ status: 502, code: 'MODELRIVER_UNREACHABLE' });
+        });
+    });
+
+    describe('sendApiError', () => {
+        const app = express();
+        app.get('/api-error', (req, res) => sendApiError(res, new ApiError(429, 'MODELRIVER_RATE_LIMITED', 'Slow down', {
+            retry_after_seconds: 5
+        })));
+        app.get('/plain-error', (req, res) => sendApiError(res, new Error('boom')));
+
+        it('should send the envelope and Retry-After', async () => {
+            const response = await request(app).get('/api-error');
+
+            expect(response.status).toBe(429);
+            expect(response.headers['retry-after']).toBe('5');
+            expect(response.body).toEqual({
+                error: 'Slow down',
+                code: 'MODELRIVER_RATE_LIMITED',
+                details: { retry_after_seconds: 5 }
+            });
+        });
+
+        it('should turn unknown errors into INTERNAL_ERROR', async () => {
+            const response = await request(app).get('/plain-error');
+
+            expect(response.status).toBe(500);
+            expect(response.body).toEqual({ error: 'boom', code: 'INTERNAL_ERROR' });
+        });
+    });
+});
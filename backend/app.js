@@ -0,0 +1,35 @@
+/**
+ * Express App
+ * 
+ * The standalone backend: CORS for the frontend plus the chat router mounted
+ * at the root. server.js adds configuration from the environment and listens;
+ * tests build the same app with their own config, storage and HTTP client.
+ */
+
+const express = require('express');
+const cors = require('cors');
+const { loadConfig } = require('./config');
+const { createChatRouter } = require('./chatRouter');
+
+/**
+ * Create the backend app.
+ * 
+ * @param {object} [options] - Same options as createChatRouter
+ * @returns {import('express').Express} App; app.locals.chatRouter has start() and stop()
+ */
+function createApp(options = {}) {
+    const config = { ...loadConfig({}), ...options.config };
+    const chatRouter = createChatRouter({ ...options, config });
+
+    const app = express();
+    app.set('trust proxy', config.trustProxy);
+    app.use(cors({ origin: config.corsOrigins.includes('*') ? '*' : config.corsOrigins }));
+    app.use(chatRouter);
+    app.locals.chatRouter = chatRouter;
+
+    return app;
+}
+
+module.exports = {
+    createApp
+};
@@ -0,0 +1,261 @@
+/**
+ * Chat Attachments
+ *
+ * Files uploaded with POST /chat (multipart/form-data, field "attachments").
+ * Each file is checked against the size and type limits - its content must
+ * match the declared type, so a renamed executable isn't accepted as a PNG -
+ * then forwarded to ModelRiver as a content part of the user message:
+ *
+ *   { "role": "user", "content": [
+ *       { "type": "text", "text": "What's wrong here?" },
+ *       { "type": "image_url", "image_url": { "url": "data:image/png;base64,..." } },
+ *       { "type": "file", "file": { "filename": "report.pdf", "file_data": "data:application/pdf;base64,..." } },
+ *       { "type": "text", "text": "Attached file notes.txt:\n..." }
+ *   ] }
+ *
+ * Once ModelRiver accepts the request the files are written to a local
+ * directory (named by attachment ID, never by the uploaded filename) and their
+ * metadata is kept in storage; records reference them by ID.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { ApiError, ERROR_CODES } = require('./apiErrors');
+
+const ATTACHMENTS = 'attachments';
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+const DEFAULT_ALLOWED_TYPES = [
+    'image/png',
+    'image/jpeg',
+    'image/gif',
+    'image/webp',
+    'application/pdf',
+    'text/plain',
+    'text/markdown',
+    'text/csv'
+];
+
+// Leading bytes of the binary types; text types are recognized by their content instead
+const SIGNATURES = [
+    { type: 'image/png', test: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { type: 'image/jpeg', test: (buffer) => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+    { type: 'image/gif', test: (buffer) => ['GIF87a', 'GIF89a'].includes(buffer.toString('latin1', 0, 6)) },
+    { type: 'image/webp', test: (buffer) => buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP' },
+    { type: 'application/pdf', test: (buffer) => buffer.toString('latin1', 0, 5) === '%PDF-' }
+];
+
+/**
+ * Whether a buffer looks like UTF-8 text (no NUL bytes, decodes cleanly).
+ *
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+function isText(buffer) {
+    if (buffer.includes(0)) return false;
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Check an uploaded file against the allowed types.
+ *
+ * @param {{ mimeType: string, buffer: Buffer }} file
+ * @param {string[]} allowedTypes
+ * @returns {string|null} Why the file is refused, or null
+ */
+function checkAttachment({ mimeType, buffer }, allowedTypes) {
+    if (!allowedTypes.includes(mimeType)) {
+        return `type ${mimeType || 'unknown'} is not allowed (allowed: ${allowedTypes.join(', ')})`;
+    }
+    if (mimeType.startsWith('text/')) {
+        return isText(buffer) ? null : `content is not ${mimeType} text`;
+    }
+    const signature = SIGNATURES.find(entry => entry.type === mimeType);
+    if (signature && !signature.test(buffer)) {
+        return `content does not match type ${mimeType}`;
+    }
+    return null;
+}
+
+/**
+ * The user message content with its attachments as content parts.
+ *
+ * @param {string} text - The user's message
+ * @param {{ filename: string, mimeType: string, buffer: Buffer }[]} files
+ * @returns {string|object[]} The text alone when there are no files
+ */
+function toContentParts(text, files = []) {
+    if (files.length === 0) return text;
+
+    return [
+        { type: 'text', text },
+        ...files.map(({ filename, mimeType, buffer }) => {
+            if (mimeType.startsWith('image/')) {
+                return { type: 'image_url', image_url: { url: `data:${mimeType};base64,${buffer.toString('base64')}` } };
+            }
+            if (mimeType.startsWith('text/')) {
+                return { type: 'text', text: `Attached file ${filename}:\n${buffer.toString('utf8')}` };
+            }
+            return { type: 'file', file: { filename, file_data: `data:${mimeType};base64,${buffer.toString('base64')}` } };
+        })
+    ];
+}
+
+/**
+ * Messages for the debug log: content parts keep their text, files are reduced to their type.
+ *
+ * @param {object[]} messages - ModelRiver messages
+ * @returns {object[]}
+ */
+function summarizeContentParts(messages) {
+    return messages.map(message => (Array.isArray(message.content)
+        ? { ...message, content: message.content.map(part => (part.type === 'text' ? part : { type: part.type, omitted: true })) }
+        : message));
+}
+
+/**
+ * Translate a multer error into the API error envelope.
+ *
+ * @param {Error} error - From the multipart parser
+ * @param {{ maxBytes: number, maxFiles: number }} limits
+ * @returns {ApiError}
+ */
+function fromUploadError(error, { maxBytes, maxFiles }) {
+    switch (error.code) {
+        case 'LIMIT_FILE_SIZE':
+            return new ApiError(413, ERROR_CODES.PAYLOAD_TOO_LARGE,
+                `Attachments must be at most ${Math.round(maxBytes / 1024)} KB each`, { field: 'attachments', max_bytes: maxBytes });
+        case 'LIMIT_FILE_COUNT':
+            return new ApiError(400, ERROR_CODES.ATTACHMENT_REJECTED,
+                `At most ${maxFiles} attachment(s) per message`, { field: 'attachments', max_files: maxFiles });
+        case 'LIMIT_UNEXPECTED_FILE':
+            return new ApiError(400, ERROR_CODES.ATTACHMENT_REJECTED,
+                `Unexpected file field "${error.field}" - send files as "attachments"`, { field: error.field });
+        default:
+            return new ApiError(400, ERROR_CODES.VALIDATION_FAILED, `Malformed multipart body: ${error.message}`);
+    }
+}
+
+// What records, events and API responses carry (no path on disk)
+const toAttachmentSummary = (attachment) => ({
+    id: attachment.id,
+    filename: attachment.filename,
+    mime_type: attachment.mimeType,
+    size: attachment.size
+});
+
+/**
+ * Create the attachment store.
+ *
+ * @param {object} options
+ * @param {object} options.storage - Storage adapter (metadata)
+ * @param {string} options.dir - Directory the files are written to
+ * @returns {{ save: Function, get: Function, read: Function, readAll: Function, deleteForConversation: Function }}
+ */
+function createAttachmentStore({ storage, dir }) {
+    const fileFor = (id) => path.join(dir, id);
+
+    return {
+        /**
+         * Write files to disk and record their metadata.
+         *
+         * @param {{ filename: string, mimeType: string, buffer: Buffer }[]} files
+         * @param {{ ownerId: string, conversationId: string }} owner
+         * @returns {Promise<object[]>} Summaries, in upload order
+         */
+        async save(files, { ownerId, conversationId }) {
+            if (files.length === 0) return [];
+            await fs.mkdir(dir, { recursive: true });
+
+            const saved = [];
+            for (const { filename, mimeType, buffer } of files) {
+                const attachment = {
+                    id: uuidv4(),
+                    filename,
+                    mimeType,
+                    size: buffer.length,
+                    ownerId,
+                    conversationId,
+                    createdAt: new Date().toISOString()
+                };
+                await fs.writeFile(fileFor(attachment.id), buffer);
+                await storage.set(ATTACHMENTS, attachment.id, attachment);
+                saved.push(toAttachmentSummary(attachment));
+            }
+            return saved;
+        },
+
+        /**
+         * @param {string} id
+         * @returns {Promise<object|null>} Stored metadata (ownerId, conversationId, filename, mimeType, size)
+         */
+        async get(id) {
+            return storage.get(ATTACHMENTS, id);
+        },
+
+        /**
+         * @param {object} attachment - From get()
+         * @returns {Promise<Buffer>}
+         */
+        async read(attachment) {
+            return fs.readFile(fileFor(attachment.id));
+        },
+
+        /**
+         * Stored attachments as files to send again (those no longer on disk are skipped).
+         *
+         * @param {object[]} summaries - From save() (e.g. a record's attachments)
+         * @returns {Promise<{ filename: string, mimeType: string, buffer: Buffer }[]>}
+         */
+        async readAll(summaries = []) {
+            const files = [];
+            for (const summary of summaries) {
+                const attachment = await storage.get(ATTACHMENTS, summary.id);
+                if (!attachment) continue;
+                try {
+                    files.push({ filename: attachment.filename, mimeType: attachment.mimeType, buffer: await fs.readFile(fileFor(attachment.id)) });
+                } catch (error) {
+                    if (error.code !== 'ENOENT') throw error;
+                }
+            }
+            return files;
+        },
+
+        /**
+         * Remove a conversation's files and metadata.
+         *
+         * @param {string} conversationId
+         * @param {Set<string>} [keep] - IDs still referenced elsewhere (e.g. by records copied into a branch)
+         * @returns {Promise<number>} How many attachments were removed
+         */
+        async deleteForConversation(conversationId, keep = new Set()) {
+            const attachments = (await storage.list(ATTACHMENTS))
+                .filter(attachment => attachment.conversationId === conversationId && !keep.has(attachment.id));
+            for (const attachment of attachments) {
+                await fs.rm(fileFor(attachment.id), { force: true });
+                await storage.delete(ATTACHMENTS, attachment.id);
+            }
+            return attachments.length;
+        }
+    };
+}
+
+module.exports = {
+    ATTACHMENTS,
+    DEFAULT_MAX_BYTES,
+    DEFAULT_MAX_FILES,
+    DEFAULT_ALLOWED_TYPES,
+    checkAttachment,
+    toContentParts,
+    summarizeContentParts,
+    fromUploadError,
+    toAttachmentSummary,
+    createAttachmentStore
+};
@@ -0,0 +1,152 @@
+/**
+ * Chat Attachments Unit Tests
+ *
+ * Tests for type checks, content parts, upload errors and the attachment store
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryStore } = require('./storage');
+const {
+    ATTACHMENTS,
+    DEFAULT_ALLOWED_TYPES,
+    checkAttachment,
+    toContentParts,
+    summarizeContentParts,
+    fromUploadError,
+    createAttachmentStore
+} = require('./attachments');
+
+describe('Chat Attachments', () => {
+    const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00]);
+    const PDF = Buffer.from('%PDF-1.7\n...');
+
+    describe('checkAttachment', () => {
+        it('should accept files whose content matches their type', () => {
+            expect(checkAttachment({ mimeType: 'image/png', buffer: PNG }, DEFAULT_ALLOWED_TYPES)).toBeNull();
+            expect(checkAttachment({ mimeType: 'application/pdf', buffer: PDF }, DEFAULT_ALLOWED_TYPES)).toBeNull();
+            expect(checkAttachment({ mimeType: 'text/plain', buffer: Buffer.from('héllo') }, DEFAULT_ALLOWED_TYPES)).toBeNull();
+        });
+
+        it('should refuse types that are not allowed', () => {
+            expect(checkAttachment({ mimeType: 'application/x-msdownload', buffer: Buffer.from('MZ') }, DEFAULT_ALLOWED_TYPES))
+                .toMatch(/not allowed/);
+            expect(checkAttachment({ mimeType: 'image/png', buffer: PNG }, ['text/plain'])).toMatch(/not allowed/);
+        });
+
+        it('should refuse content that does not match the declared type', () => {
+            expect(checkAttachment({ mimeType: 'image/png', buffer: PDF }, DEFAULT_ALLOWED_TYPES)).toMatch(/does not match/);
+            expect(checkAttachment({ mimeType: 'text/plain', buffer: PNG }, DEFAULT_ALLOWED_TYPES)).toMatch(/not text\/plain/);
+        });
+    });
+
+    describe('toContentParts', () => {
+        it('should keep plain text when there are no files', () => {
+            expect(toContentParts('Hello', [])).toBe('Hello');
+        });
+
+        it('should add images, files and text files as content parts', () => {
+            const parts = toContentParts('Look', [
+                { filename: 'a.png', mimeType: 'image/png', buffer: PNG },
+                { filename: 'b.pdf', mimeType: 'application/pdf', buffer: PDF },
+                { filename: 'c.txt', mimeType: 'text/plain', buffer: Buffer.from('notes') }
+            ]);
+
+            expect(parts).toEqual([
+                { type: 'text', text: 'Look' },
+                { type: 'image_url', image_url: { url: `data:image/png;base64,${PNG.toString('base64')}` } },
+                { type: 'file', file: { filename: 'b.pdf', file_data: `data:application/pdf;base64,${PDF.toString('base64')}` } },
+                { type: 'text', text: 'Attached file c.txt:\nnotes' }
+            ]);
+        });
+
+        it('should leave file data out of the log summary', () => {
+            const messages = [
+                { role: 'assistant', content: 'Hi' },
+                { role: 'user', content: toContentParts('Look', [{ filename: 'a.png', mimeType: 'image/png', buffer: PNG }]) }
+            ];
+
+            expect(summarizeContentParts(messages)).toEqual([
+                { role: 'assistant', content: 'Hi' },
+                { role: 'user', content: [{ type: 'text', text: 'Look' }, { type: 'image_url', omitted: true }] }
+            ]);
+        });
+    });
+
+    describe('fromUploadError', () => {
+        const limits = { maxBytes: 2048, maxFiles: 2 };
+
+        it('should map parser limits to API errors', () => {
+            const tooLarge = fromUploadError({ code: 'LIMIT_FILE_SIZE' }, limits);
+            expect(tooLarge.status).toBe(413);
+            expect(tooLarge.code).toBe('PAYLOAD_TOO_LARGE');
+            expect(tooLarge.details.max_bytes).toBe(2048);
+
+            const tooMany = fromUploadError({ code: 'LIMIT_FILE_COUNT' }, limits);
+            expect(tooMany.status).toBe(400);
+            expect(tooMany.code).toBe('ATTACHMENT_REJECTED');
+
+            const wrongField = fromUploadError({ code: 'LIMIT_UNEXPECTED_FILE', field: 'file' }, limits);
+            expect(wrongField.code).toBe('ATTACHMENT_REJECTED');
+            expect(wrongField.message).toMatch(/"file"/);
+        });
+
+        it('should treat anything else as a malformed body', () => {
+            const error = fromUploadError(new Error('Unexpected end of form'), limits);
+            expect(error.status).toBe(400);
+            expect(error.code).toBe('VALIDATION_FAILED');
+        });
+    });
+
+    describe('createAttachmentStore', () => {
+        let dir;
+        let storage;
+        let store;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+            storage = createMemoryStore();
+            store = createAttachmentStore({ storage, dir });
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('should save files under their ID and read them back', async () => {
+            const [summary] = await store.save(
+                [{ filename: '../../etc/passwd.png', mimeType: 'image/png', buffer: PNG }],
+                { ownerId: 'alice', conversationId: 'conv-1' }
+            );
+
+            expect(summary).toEqual({ id: expect.any(String), filename: '../../etc/passwd.png', mime_type: 'image/png', size: PNG.length });
+            expect(fs.readdirSync(dir)).toEqual([summary.id]);
+
+            const attachment = await store.get(summary.id);
+            expect(attachment).toMatchObject({ ownerId: 'alice', conversationId: 'conv-1', mimeType: 'image/png' });
+            expect((await store.read(attachment)).equals(PNG)).toBe(true);
+        });
+
+        it('should save nothing without files', async () => {
+            expect(await store.save([], { ownerId: 'alice', conversationId: 'conv-1' })).toEqual([]);
+            expect(await storage.count(ATTACHMENTS)).toBe(0);
+        });
+
+        it('should delete a conversation\'s attachments only', async () => {
+            await store.save([{ filename: 'a.png', mimeType: 'image/png', buffer: PNG }], { ownerId: 'alice', conversationId: 'conv-1' });
+            const [kept] = await store.save([{ filename: 'b.pdf', mimeType: 'application/pdf', buffer: PDF }], { ownerId: 'alice', conversationId: 'conv-2' });
+
+            expect(await store.deleteForConversation('conv-1')).toBe(1);
+            expect(fs.readdirSync(dir)).toEqual([kept.id]);
+            expect(await storage.count(ATTACHMENTS)).toBe(1);
+        });
+
+        it('should keep attachments still referenced elsewhere', async () => {
+            const [shared] = await store.save([{ filename: 'a.png', mimeType: 'image/png', buffer: PNG }], { ownerId: 'alice', conversationId: 'conv-1' });
+
+            expect(await store.deleteForConversation('conv-1', new Set([shared.id]))).toBe(0);
+            expect(fs.readdirSync(dir)).toEqual([shared.id]);
+        });
+    });
+});
@@ -0,0 +1,247 @@
+/**
+ * End-User Authentication
+ *
+ * /chat and the conversation routes identify the calling user with one of
+ * these modes (AUTH_MODE):
+ *
+ *   none    - no credentials; every caller is the "anonymous" user (local development)
+ *   api_key - `Authorization: Bearer <key>` (or `X-Api-Key`) matched against per-user API keys
+ *   token   - `Authorization: Bearer <token>` with an HMAC-signed session token. Tokens are
+ *             issued by POST /auth/session in exchange for an API key, or minted by any
+ *             service that shares AUTH_TOKEN_SECRET (see signSessionToken)
+ *
+ * EventSource can't send headers, so routes that stream may also accept
+ * `?access_token=<credential>`.
+ *
+ * Session token format: base64url(JSON { sub, iat, exp }) + "." + base64url(HMAC-SHA256)
+ */
+
+const crypto = require('crypto');
+const { ApiError, ERROR_CODES, sendApiError } = require('./apiErrors');
+
+const AUTH_MODES = {
+    NONE: 'none',
+    API_KEY: 'api_key',
+    TOKEN: 'token'
+};
+
+const ANONYMOUS_USER_ID = 'anonymous';
+
+const sha256 = (value) => crypto.createHash('sha256').update(String(value)).digest();
+const hmac = (secret, value) => crypto.createHmac('sha256', secret).update(value).digest('base64url');
+
+/**
+ * Parse "alice:key_1,bob:key_2" into [{ userId, key }].
+ *
+ * @param {string} value
+ * @returns {{ userId: string, key: string }[]}
+ */
+function parseApiKeys(value) {
+    return (value || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map((entry) => {
+            const separator = entry.indexOf(':');
+            if (separator <= 0 || separator === entry.length - 1) {
+                throw new Error('Invalid AUTH_API_KEYS entry: expected userId:key');
+            }
+            return { userId: entry.slice(0, separator), key: entry.slice(separator + 1) };
+        });
+}
+
+/**
+ * Sign a session token for a user.
+ *
+ * @param {string} secret
+ * @param {object} options
+ * @param {string} options.userId
+ * @param {number} options.ttlSeconds
+ * @param {number} [options.now=Date.now()]
+ * @returns {{ token: string, expiresAt: string }}
+ */
+function signSessionToken(secret, { userId, ttlSeconds, now = Date.now() }) {
+    const iat = Math.floor(now / 1000);
+    const claims = { sub: userId, iat, exp: iat + ttlSeconds };
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return {
+        token: `${payload}.${hmac(secret, payload)}`,
+        expiresAt: new Date(claims.exp * 1000).toISOString()
+    };
+}
+
+/**
+ * Verify a session token's signature and expiry.
+ *
+ * @param {string} secret
+ * @param {string} token
+ * @param {number} [now=Date.now()]
+ * @returns {{ sub: string, iat: number, exp: number } | null} Claims, or null if invalid or expired
+ */
+function verifySessionToken(secret, token, now = Date.now()) {
+    const [payload, signature, ...rest] = String(token).split('.');
+    if (!payload || !signature || rest.length > 0) return null;
+
+    const expected = Buffer.from(hmac(secret, payload));
+    const provided = Buffer.from(signature);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+        return null;
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    } catch (error) {
+        return null;
+    }
+    if (typeof claims?.sub !== 'string' || !claims.sub || typeof claims.exp !== 'number') return null;
+    if (claims.exp * 1000 <= now) return null;
+
+    return claims;
+}
+
+/**
+ * Read the credential from Authorization, X-Api-Key or (optionally) ?access_token=.
+ */
+function getCredential(req, allowQueryToken) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+        return authorization.slice('Bearer '.length).trim();
+    }
+    if (req.headers['x-api-key']) {
+        return String(req.headers['x-api-key']);
+    }
+    if (allowQueryToken && typeof req.query?.access_token === 'string') {
+        return req.query.access_token;
+    }
+    return null;
+}
+
+/**
+ * Create the authenticator for the configured mode.
+ *
+ * @param {object} options
+ * @param {string} [options.mode='none'] - One of AUTH_MODES
+ * @param {{ userId: string, key: string }[]} [options.apiKeys] - Per-user API keys (api_key and token modes)
+ * @param {string} [options.tokenSecret] - HMAC secret for session tokens (token mode)
+ * @param {number} [options.tokenTtlSeconds=28800] - Session token lifetime (8 hours)
+ * @returns {{ mode: string, authenticate: Function, requireUser: Function, createSession: Function, canAccess: Function }}
+ */
+function createAuth({ mode = AUTH_MODES.NONE, apiKeys = [], tokenSecret, tokenTtlSeconds = 8 * 60 * 60 }) {
+    if (!Object.values(AUTH_MODES).includes(mode)) {
+        throw new Error(`Unknown AUTH_MODE "${mode}". Use one of: ${Object.values(AUTH_MODES).join(', ')}`);
+    }
+    if (mode === AUTH_MODES.TOKEN && !tokenSecret) {
+        throw new Error('AUTH_MODE=token requires AUTH_TOKEN_SECRET');
+    }
+    if (mode === AUTH_MODES.API_KEY && apiKeys.length === 0) {
+        throw new Error('AUTH_MODE=api_key requires AUTH_API_KEYS');
+    }
+
+    // Compare fixed-length hashes so neither key length nor content leaks through timing
+    const hashedKeys = apiKeys.map(({ userId, key }) => ({ userId, hash: sha256(key) }));
+    const findUserByApiKey = (key) => {
+        const hash = sha256(key);
+        let match = null;
+        for (const entry of hashedKeys) {
+            // Check every key rather than returning early
+            if (crypto.timingSafeEqual(entry.hash, hash)) {
+                match = match || entry;
+            }
+        }
+        return match && { id: match.userId };
+    };
+
+    /**
+     * Resolve a credential to a user.
+     *
+     * @param {string|null} credential
+     * @returns {{ id: string, expiresAt?: string } | null}
+     */
+    function authenticate(credential) {
+        if (mode === AUTH_MODES.NONE) {
+            return { id: ANONYMOUS_USER_ID };
+        }
+        if (!credential) return null;
+
+        if (mode === AUTH_MODES.API_KEY) {
+            return findUserByApiKey(credential);
+        }
+
+        const claims = verifySessionToken(tokenSecret, credential);
+        return claims && { id: claims.sub, expiresAt: new Date(claims.exp * 1000).toISOString() };
+    }
+
+    return {
+        mode,
+        authenticate,
+
+        /**
+         * Express middleware: sets req.user or answers 401 UNAUTHORIZED.
+         *
+         * @param {object} [options]
+         * @param {boolean} [options.allowQueryToken=false] - Also accept ?access_token= (for EventSource)
+         */
+        requireUser({ allowQueryToken = false } = {}) {
+            return (req, res, next) => {
+                const user = authenticate(getCredential(req, allowQueryToken));
+                if (!user) {
+                    res.setHeader('WWW-Authenticate', 'Bearer');
+                    return sendApiError(res, new ApiError(401, ERROR_CODES.UNAUTHORIZED,
+                        'Authentication required: send a valid API key or session token'));
+                }
+
+                req.user = user;
+                if (req.log) {
+                    req.log = req.log.child({ user_id: user.id });
+                }
+                next();
+            };
+        },
+
+        /**
+         * Exchange an API key for the credential clients should send. In
+         * token mode that is a new session token; in api_key mode it is the
+         * key itself.
+         *
+         * @param {string} apiKey
+         * @returns {{ token: string|null, expiresAt: string|null, user: { id: string } } | null} Null for an unknown key
+         */
+        createSession(apiKey) {
+            if (mode === AUTH_MODES.NONE) {
+                return { token: null, expiresAt: null, user: { id: ANONYMOUS_USER_ID } };
+            }
+
+            const user = typeof apiKey === 'string' && apiKey ? findUserByApiKey(apiKey) : null;
+            if (!user) return null;
+
+            if (mode === AUTH_MODES.API_KEY) {
+                return { token: apiKey, expiresAt: null, user };
+            }
+            const { token, expiresAt } = signSessionToken(tokenSecret, { userId: user.id, ttlSeconds: tokenTtlSeconds });
+            return { token, expiresAt, user };
+        },
+
+        /**
+         * May this user read or change a resource with an ownerId? Without
+         * authentication there is only one user, so everything is accessible.
+         *
+         * @param {{ id: string }} user
+         * @param {{ ownerId?: string }} resource
+         * @returns {boolean}
+         */
+        canAccess(user, resource) {
+            if (mode === AUTH_MODES.NONE) return true;
+            return !!resource && resource.ownerId === user?.id;
+        }
+    };
+}
+
+module.exports = {
+    AUTH_MODES,
+    ANONYMOUS_USER_ID,
+    parseApiKeys,
+    signSessionToken,
+    verifySessionToken,
+    createAuth
+};
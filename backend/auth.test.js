@@ -0,0 +1,125 @@
+/**
+ * Authentication Unit Tests
+ *
+ * Tests for API keys, signed session tokens and the requireUser middleware
+ */
+
+const express = require('express');
+const request = require('supertest');
+const {
+    parseApiKeys,
+    signSessionToken,
+    verifySessionToken,
+    createAuth
+} = require('./auth');
+
+describe('Authentication', () => {
+    const secret = 'test_token_secret';
+    const apiKeys = [{ userId: 'alice', key: 'key_alice' }, { userId: 'bob', key: 'key_bob' }];
+
+    // Minimal app: /me echoes the authenticated user, /stream also accepts ?access_token=
+    const createApp = (auth) => {
+        const app = express();
+        app.get('/me', auth.requireUser(), (req, res) => res.json(req.user));
+        app.get('/stream', auth.requireUser({ allowQueryToken: true }), (req, res) => res.json(req.user));
+        return app;
+    };
+
+    describe('parseApiKeys', () => {
+        it('should parse userId:key pairs', () => {
+            expect(parseApiKeys('alice:key_alice, bob:key:with:colons')).toEqual([
+                { userId: 'alice', key: 'key_alice' },
+                { userId: 'bob', key: 'key:with:colons' }
+            ]);
+            expect(parseApiKeys(undefined)).toEqual([]);
+        });
+
+        it('should reject malformed entries', () => {
+            expect(() => parseApiKeys('just_a_key')).toThrow('expected userId:key');
+            expect(() => parseApiKeys('alice:')).toThrow('expected userId:key');
+        });
+    });
+
+    describe('session tokens', () => {
+        it('should round-trip a signed token until it expires', () => {
+            const now = Date.now();
+            const { token, expiresAt } = signSessionToken(secret, { userId: 'alice', ttlSeconds: 60, now });
+
+            expect(verifySessionToken(secret, token, now)).toMatchObject({ sub: 'alice' });
+            expect(new Date(expiresAt).getTime()).toBe(Math.floor(now / 1000) * 1000 + 60000);
+            expect(verifySessionToken(secret, token, now + 61000)).toBeNull();
+        });
+
+        it('should reject tampered tokens and other secrets', () => {
+            const { token } = signSessionToken(secret, { userId: 'alice', ttlSeconds: 60 });
+            const [, signature] = token.split('.');
+            const forgedPayload = Buffer.from(JSON.stringify({ sub: 'bob', exp: 9999999999 })).toString('base64url');
+
+            expect(verifySessionToken(secret, `${forgedPayload}.${signature}`)).toBeNull();
+            expect(verifySessionToken('other_secret', token)).toBeNull();
+            expect(verifySessionToken(secret, 'garbage')).toBeNull();
+        });
+    });
+
+    describe('createAuth', () => {
+        it('should refuse incomplete configuration', () => {
+            expect(() => createAuth({ mode: 'magic' })).toThrow('Unknown AUTH_MODE');
+            expect(() => createAuth({ mode: 'token' })).toThrow('AUTH_TOKEN_SECRET');
+            expect(() => createAuth({ mode: 'api_key' })).toThrow('AUTH_API_KEYS');
+        });
+
+        it('should treat every caller as anonymous when auth is off', async () => {
+            const auth = createAuth({ mode: 'none' });
+            const response = await request(createApp(auth)).get('/me');
+
+            expect(response.body).toEqual({ id: 'anonymous' });
+            expect(auth.canAccess({ id: 'anonymous' }, { ownerId: 'alice' })).toBe(true);
+        });
+
+        it('should authenticate API keys from Authorization or X-Api-Key', async () => {
+            const app = createApp(createAuth({ mode: 'api_key', apiKeys }));
+
+            expect((await request(app).get('/me').set('Authorization', 'Bearer key_alice')).body).toEqual({ id: 'alice' });
+            expect((await request(app).get('/me').set('X-Api-Key', 'key_bob')).body).toEqual({ id: 'bob' });
+        });
+
+        it('should answer 401 UNAUTHORIZED for missing or unknown credentials', async () => {
+            const app = createApp(createAuth({ mode: 'api_key', apiKeys }));
+
+            for (const req of [request(app).get('/me'), request(app).get('/me').set('Authorization', 'Bearer nope')]) {
+                const response = await req;
+                expect(response.status).toBe(401);
+                expect(response.headers['www-authenticate']).toBe('Bearer');
+                expect(response.body.code).toBe('UNAUTHORIZED');
+            }
+        });
+
+        it('should only read ?access_token= where allowed', async () => {
+            const auth = createAuth({ mode: 'token', apiKeys, tokenSecret: secret });
+            const { token } = auth.createSession('key_alice');
+            const app = createApp(auth);
+
+            expect((await request(app).get(`/stream?access_token=${token}`)).body).toMatchObject({ id: 'alice' });
+            expect((await request(app).get(`/me?access_token=${token}`)).status).toBe(401);
+        });
+
+        it('should exchange API keys for session tokens in token mode', () => {
+            const auth = createAuth({ mode: 'token', apiKeys, tokenSecret: secret, tokenTtlSeconds: 60 });
+            const session = auth.createSession('key_bob');
+
+            expect(session.user).toEqual({ id: 'bob' });
+            expect(auth.authenticate(session.token)).toMatchObject({ id: 'bob', expiresAt: session.expiresAt });
+            // API keys only sign in; they aren't accepted as bearer credentials in token mode
+            expect(auth.authenticate('key_bob')).toBeNull();
+            expect(auth.createSession('wrong')).toBeNull();
+        });
+
+        it('should only give owners access when auth is on', () => {
+            const auth = createAuth({ mode: 'api_key', apiKeys });
+
+            expect(auth.canAccess({ id: 'alice' }, { ownerId: 'alice' })).toBe(true);
+            expect(auth.canAccess({ id: 'alice' }, { ownerId: 'bob' })).toBe(false);
+            expect(auth.canAccess({ id: 'alice' }, {})).toBe(false);
+        });
+    });
+});
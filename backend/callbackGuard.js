@@ -0,0 +1,236 @@
+/**
+ * Callback URL Guard
+ *
+ * The webhook handler POSTs enriched data, with our ModelRiver API key, to a
+ * callback_url taken from the webhook. Before that happens the URL must:
+ *
+ *   - use https (http only when private networks are allowed, for local mocks)
+ *   - carry no credentials
+ *   - point at an allowlisted host ("api.modelriver.com", "*.example.com", "localhost:4100")
+ *   - match an allowlisted path template whose :channelId equals the webhook's channel_id
+ *   - resolve only to public addresses (loopback, private, link-local, ... are blocked)
+ *
+ * The same address check runs again when the connection is opened (see
+ * `lookup`), so a hostname that re-resolves to a private address between the
+ * check and the request is still blocked. Rejections are written to an audit
+ * collection for operators.
+ */
+
+const dns = require('dns');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+
+const CALLBACK_REJECTIONS = 'callback_rejections';
+
+const REJECTION_REASONS = {
+    INVALID_URL: 'INVALID_URL',
+    PROTOCOL_NOT_ALLOWED: 'PROTOCOL_NOT_ALLOWED',
+    CREDENTIALS_IN_URL: 'CREDENTIALS_IN_URL',
+    HOST_NOT_ALLOWED: 'HOST_NOT_ALLOWED',
+    PATH_NOT_ALLOWED: 'PATH_NOT_ALLOWED',
+    CHANNEL_MISMATCH: 'CHANNEL_MISMATCH',
+    PRIVATE_ADDRESS: 'PRIVATE_ADDRESS',
+    DNS_LOOKUP_FAILED: 'DNS_LOOKUP_FAILED'
+};
+
+// Addresses a callback must never reach (RFC 6890 special-purpose ranges)
+const blockedAddresses = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+    ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+    ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * @param {string} address - IPv4 or IPv6 literal
+ * @returns {boolean} True for loopback, private, link-local and other non-public addresses
+ */
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) return true; // Not an IP at all - never treat as public
+    // BlockList also matches IPv4-mapped IPv6 (::ffff:10.0.0.1) against the IPv4 ranges
+    return blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Compile "/v1/callback/:channelId" style templates into regular expressions.
+ */
+function compilePathTemplate(template) {
+    if (!template.includes(':channelId')) {
+        throw new Error(`Callback path template "${template}" must contain :channelId`);
+    }
+    const pattern = template
+        .split(':channelId')
+        .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('([^/]+)');
+    return new RegExp(`^${pattern}/?$`);
+}
+
+function safeDecode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Does a URL's host match an allowlist entry? Entries without a port only
+ * match the protocol's default port; "*." entries match any subdomain.
+ */
+function hostMatches(url, entry) {
+    const [entryHost, entryPort = ''] = entry.toLowerCase().split(/:(?=\d+$)/);
+    if (entryPort !== url.port) return false;
+
+    const hostname = url.hostname.toLowerCase();
+    if (entryHost.startsWith('*.')) {
+        return hostname.endsWith(entryHost.slice(1));
+    }
+    return hostname === entryHost;
+}
+
+/**
+ * Create a callback URL guard.
+ *
+ * @param {object} options
+ * @param {string[]} options.allowedHosts - e.g. ['api.modelriver.com', '*.modelriver.com', 'localhost:4100']
+ * @param {string[]} [options.allowedPaths] - Path templates containing :channelId
+ * @param {boolean} [options.allowPrivateNetworks=false] - Allow http and private addresses (local development only)
+ * @param {Function} [options.resolve] - (hostname) => Promise<string[]> of addresses (DNS by default)
+ * @returns {{ check: Function, lookup: Function }}
+ */
+function createCallbackUrlGuard({
+    allowedHosts,
+    allowedPaths = ['/v1/callback/:channelId', '/callback/:channelId'],
+    allowPrivateNetworks = false,
+    resolve = async (hostname) => (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address)
+}) {
+    const pathPatterns = allowedPaths.map(compilePathTemplate);
+    const allowedProtocols = allowPrivateNetworks ? ['https:', 'http:'] : ['https:'];
+    const reject = (reason, message) => ({ allowed: false, reason, message });
+
+    return {
+        /**
+         * Decide whether a callback may be sent to a URL for a given channel.
+         *
+         * @param {string} callbackUrl
+         * @param {object} context
+         * @param {string} context.channelId - channel_id of the webhook
+         * @returns {Promise<{ allowed: true, url: URL } | { allowed: false, reason: string, message: string }>}
+         */
+        async check(callbackUrl, { channelId }) {
+            let url;
+            try {
+                url = new URL(callbackUrl);
+            } catch (error) {
+                return reject(REJECTION_REASONS.INVALID_URL, 'callback_url is not a valid URL');
+            }
+
+            if (!allowedProtocols.includes(url.protocol)) {
+                return reject(REJECTION_REASONS.PROTOCOL_NOT_ALLOWED, `Protocol ${url.protocol} is not allowed`);
+            }
+            if (url.username || url.password) {
+                return reject(REJECTION_REASONS.CREDENTIALS_IN_URL, 'callback_url must not contain credentials');
+            }
+            if (!allowedHosts.some(entry => hostMatches(url, entry))) {
+                return reject(REJECTION_REASONS.HOST_NOT_ALLOWED, `Host ${url.host} is not in the callback allowlist`);
+            }
+
+            const match = pathPatterns.map(pattern => url.pathname.match(pattern)).find(Boolean);
+            if (!match) {
+                return reject(REJECTION_REASONS.PATH_NOT_ALLOWED, `Path ${url.pathname} is not an allowed callback path`);
+            }
+            if (!channelId || safeDecode(match[1]) !== channelId) {
+                return reject(REJECTION_REASONS.CHANNEL_MISMATCH, 'callback_url channel does not match the webhook channel_id');
+            }
+
+            if (!allowPrivateNetworks) {
+                // URL keeps IPv6 literals in brackets
+                const hostname = url.hostname.replace(/^\[|\]$/g, '');
+                let addresses;
+                try {
+                    addresses = net.isIP(hostname) ? [hostname] : await resolve(hostname);
+                } catch (error) {
+                    return reject(REJECTION_REASONS.DNS_LOOKUP_FAILED, `Could not resolve ${hostname}`);
+                }
+                if (addresses.length === 0 || addresses.some(isPrivateAddress)) {
+                    return reject(REJECTION_REASONS.PRIVATE_ADDRESS, `${hostname} resolves to a private or reserved address`);
+                }
+            }
+
+            return { allowed: true, url };
+        },
+
+        /**
+         * dns.lookup replacement for the callback HTTP agents: fails the
+         * connection if the host resolves to a private address at connect time.
+         */
+        lookup(hostname, options, callback) {
+            dns.lookup(hostname, options, (error, address, family) => {
+                if (error) return callback(error);
+
+                const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+                if (!allowPrivateNetworks && addresses.some(isPrivateAddress)) {
+                    const blocked = new Error(`Callback to ${hostname} blocked: resolves to a private address`);
+                    blocked.code = 'EPRIVATEADDRESS';
+                    return callback(blocked);
+                }
+                callback(null, address, family);
+            });
+        }
+    };
+}
+
+/**
+ * Audit log of rejected callback URLs.
+ *
+ * @param {object} options
+ * @param {object} options.storage - Storage adapter
+ * @param {number} [options.retentionMs=604800000] - How long rejections are kept (7 days)
+ * @returns {{ record: Function, list: Function, prune: Function }}
+ */
+function createCallbackRejectionLog({ storage, retentionMs = 7 * 24 * 60 * 60 * 1000 }) {
+    return {
+        /**
+         * @param {object} rejection - { url, reason, message, channelId, conversationId, source, requestId }
+         * @returns {Promise<object>} The stored entry
+         */
+        async record(rejection) {
+            const entry = {
+                id: uuidv4(),
+                ...rejection,
+                rejectedAt: new Date().toISOString()
+            };
+            await storage.set(CALLBACK_REJECTIONS, entry.id, entry);
+            return entry;
+        },
+
+        list() {
+            return storage.list(CALLBACK_REJECTIONS);
+        },
+
+        /**
+         * @param {number} [now=Date.now()]
+         * @returns {Promise<number>} Number of entries removed
+         */
+        async prune(now = Date.now()) {
+            const entries = await storage.list(CALLBACK_REJECTIONS);
+            const expired = entries.filter(entry => now - new Date(entry.rejectedAt).getTime() > retentionMs);
+            await Promise.all(expired.map(entry => storage.delete(CALLBACK_REJECTIONS, entry.id)));
+            return expired.length;
+        }
+    };
+}
+
+module.exports = {
+    CALLBACK_REJECTIONS,
+    REJECTION_REASONS,
+    isPrivateAddress,
+    createCallbackUrlGuard,
+    createCallbackRejectionLog
+};
@@ -0,0 +1,273 @@
+/**
+ * Callback Retry Queue
+ *
+ * Delivers enriched webhook responses to ModelRiver's callback_url with retries.
+ *
+ * - Jobs are persisted through the storage adapter before the first attempt, so
+ *   retries survive a restart (call start() on boot to resume them).
+ * - Failed attempts are retried with exponential backoff plus jitter, up to
+ *   maxAttempts. Network errors, 5xx, 408 and 429 are retried; other 4xx
+ *   responses are permanent failures.
+ * - Jobs that still fail are moved to a dead-letter collection where operators
+ *   can inspect, re-drive or discard them.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const CALLBACK_JOBS = 'callback_jobs';
+const CALLBACK_DEAD_LETTERS = 'callback_dead_letters';
+
+const RETRYABLE_STATUS_CODES = [408, 429];
+
+/**
+ * Compute the delay before the next attempt ("equal jitter" backoff):
+ * half of the exponential delay is fixed, the other half is random.
+ *
+ * @param {number} attempt - Number of attempts made so far (1 after the first failure)
+ * @param {object} options
+ * @param {number} options.baseDelayMs
+ * @param {number} options.maxDelayMs
+ * @param {() => number} [options.random=Math.random]
+ * @returns {number}
+ */
+function getBackoffDelay(attempt, { baseDelayMs, maxDelayMs, random = Math.random }) {
+    const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(exponential / 2 + random() * (exponential / 2));
+}
+
+/**
+ * Classify the outcome of one delivery attempt.
+ *
+ * @param {{ status?: number, error?: Error }} outcome
+ * @returns {'delivered'|'retry'|'failed'}
+ */
+function classifyOutcome({ status, error }) {
+    if (error && !status) return 'retry'; // network error or timeout
+    if (status < 400) return 'delivered';
+    if (status >= 500 || RETRYABLE_STATUS_CODES.includes(status)) return 'retry';
+    return 'failed';
+}
+
+/**
+ * Create a callback queue.
+ *
+ * @param {object} options
+ * @param {object} options.storage - Storage adapter
+ * @param {(url: string, payload: object) => Promise<{ status: number, data?: any }>} options.send -
+ *        Performs one HTTP attempt. Should resolve with the response for any status and
+ *        reject only when no response was received.
+ * @param {number} [options.maxAttempts=5]
+ * @param {number} [options.baseDelayMs=1000]
+ * @param {number} [options.maxDelayMs=60000]
+ * @param {() => number} [options.random=Math.random] - Jitter source (injectable for tests)
+ * @param {(result: object) => void} [options.onAttempt] - Called after every delivery attempt
+ *        (first try, retries and re-drives) with its result, e.g. for metrics
+ * @param {object} [options.logger=console]
+ */
+function createCallbackQueue({
+    storage,
+    send,
+    maxAttempts = 5,
+    baseDelayMs = 1000,
+    maxDelayMs = 60000,
+    random = Math.random,
+    onAttempt = () => { },
+    logger = console
+}) {
+    const timers = new Map(); // jobId -> timeout handle
+
+    const reportAttempt = (result) => {
+        try {
+            onAttempt(result);
+        } catch (error) {
+            logger.error('❌ Callback onAttempt hook failed:', error.message);
+        }
+        return result;
+    };
+
+    const schedule = (job) => {
+        clearTimeout(timers.get(job.id));
+        const delay = Math.max(0, new Date(job.nextAttemptAt).getTime() - Date.now());
+        const timer = setTimeout(() => {
+            timers.delete(job.id);
+            attempt(job.id).catch((error) => {
+                logger.error('❌ Callback retry crashed:', error.message);
+            });
+        }, delay);
+        timer.unref?.();
+        timers.set(job.id, timer);
+    };
+
+    const moveToDeadLetters = async (job) => {
+        const deadLetter = { ...job, deadLetteredAt: new Date().toISOString() };
+        await storage.set(CALLBACK_DEAD_LETTERS, job.id, deadLetter);
+        await storage.delete(CALLBACK_JOBS, job.id);
+        logger.error('💀 Callback moved to dead-letter store:', {
+            job_id: job.id,
+            channel_id: job.channelId,
+            conversation_id: job.conversationId,
+            attempts: job.attempts,
+            last_error: job.lastError
+        });
+        return deadLetter;
+    };
+
+    /**
+     * Run one delivery attempt for a stored job.
+     *
+     * @param {string} jobId
+     * @returns {Promise<object>} Attempt result
+     */
+    async function attempt(jobId) {
+        const job = await storage.get(CALLBACK_JOBS, jobId);
+        if (!job) {
+            return { jobId, delivered: false, missing: true };
+        }
+
+        const startedAt = Date.now();
+        let outcome;
+        try {
+            const response = await send(job.url, job.payload);
+            outcome = { status: response.status, data: response.data };
+        } catch (error) {
+            outcome = { status: error.response?.status, data: error.response?.data, error };
+        }
+        const durationMs = Date.now() - startedAt;
+
+        job.attempts += 1;
+        job.lastAttemptAt = new Date().toISOString();
+        job.lastStatus = outcome.status || null;
+        const result = classifyOutcome(outcome);
+
+        if (result === 'delivered') {
+            await storage.delete(CALLBACK_JOBS, job.id);
+            logger.info('✅ Callback delivered:', {
+                job_id: job.id,
+                channel_id: job.channelId,
+                conversation_id: job.conversationId,
+                status: outcome.status,
+                attempt: job.attempts,
+                duration_ms: durationMs
+            });
+            return reportAttempt({ jobId: job.id, delivered: true, status: outcome.status, attempts: job.attempts, durationMs, response: outcome.data });
+        }
+
+        job.lastError = outcome.error?.message || `HTTP ${outcome.status}`;
+
+        if (result === 'failed' || job.attempts >= maxAttempts) {
+            await moveToDeadLetters(job);
+            return reportAttempt({ jobId: job.id, delivered: false, deadLettered: true, status: outcome.status, attempts: job.attempts, durationMs, error: job.lastError });
+        }
+
+        const delay = getBackoffDelay(job.attempts, { baseDelayMs, maxDelayMs, random });
+        job.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        await storage.set(CALLBACK_JOBS, job.id, job);
+        schedule(job);
+
+        logger.warn('🔁 Callback attempt failed, retrying:', {
+            job_id: job.id,
+            channel_id: job.channelId,
+            conversation_id: job.conversationId,
+            attempt: job.attempts,
+            max_attempts: maxAttempts,
+            retry_in_ms: delay,
+            error: job.lastError
+        });
+        return reportAttempt({ jobId: job.id, delivered: false, willRetry: true, retryInMs: delay, status: outcome.status, attempts: job.attempts, durationMs, error: job.lastError });
+    }
+
+    return {
+        /**
+         * Persist a callback and make the first attempt.
+         *
+         * @param {object} callback
+         * @param {string} callback.url - Callback URL
+         * @param {object} callback.payload - JSON body
+         * @param {string} [callback.channelId] - For logs and operator lookups
+         * @param {string} [callback.conversationId] - For logs
+         * @param {string} [callback.recordId] - Stored record this callback belongs to
+         * @returns {Promise<object>} Result of the first attempt
+         */
+        async enqueue({ url, payload, channelId, conversationId, recordId }) {
+            const job = {
+                id: uuidv4(),
+                url,
+                payload,
+                channelId: channelId || null,
+                conversationId: conversationId || null,
+                recordId: recordId || null,
+                attempts: 0,
+                createdAt: new Date().toISOString(),
+                nextAttemptAt: new Date().toISOString()
+            };
+            await storage.set(CALLBACK_JOBS, job.id, job);
+            return attempt(job.id);
+        },
+
+        /**
+         * Resume jobs persisted by a previous process.
+         *
+         * @returns {Promise<number>} Number of jobs scheduled
+         */
+        async start() {
+            const jobs = await storage.list(CALLBACK_JOBS);
+            jobs.forEach(schedule);
+            return jobs.length;
+        },
+
+        stop() {
+            timers.forEach(clearTimeout);
+            timers.clear();
+        },
+
+        listPending() {
+            return storage.list(CALLBACK_JOBS);
+        },
+
+        listDeadLetters() {
+            return storage.list(CALLBACK_DEAD_LETTERS);
+        },
+
+        getDeadLetter(id) {
+            return storage.get(CALLBACK_DEAD_LETTERS, id);
+        },
+
+        deleteDeadLetter(id) {
+            return storage.delete(CALLBACK_DEAD_LETTERS, id);
+        },
+
+        /**
+         * Move a dead-lettered callback back into the queue and attempt it immediately.
+         * The attempt counter starts over.
+         *
+         * @param {string} id - Dead letter (job) ID
+         * @returns {Promise<object|null>} Attempt result, or null if not found
+         */
+        async redrive(id) {
+            const deadLetter = await storage.get(CALLBACK_DEAD_LETTERS, id);
+            if (!deadLetter) return null;
+
+            const { deadLetteredAt, ...job } = deadLetter;
+            job.attempts = 0;
+            job.redrivenAt = new Date().toISOString();
+            job.nextAttemptAt = job.redrivenAt;
+
+            await storage.set(CALLBACK_JOBS, job.id, job);
+            await storage.delete(CALLBACK_DEAD_LETTERS, id);
+            logger.info('🔄 Re-driving dead-lettered callback:', {
+                job_id: job.id,
+                channel_id: job.channelId,
+                conversation_id: job.conversationId
+            });
+            return attempt(job.id);
+        }
+    };
+}
+
+module.exports = {
+    CALLBACK_JOBS,
+    CALLBACK_DEAD_LETTERS,
+    getBackoffDelay,
+    classifyOutcome,
+    createCallbackQueue
+};
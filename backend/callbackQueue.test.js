@@ -0,0 +1,165 @@
+/**
+ * Callback Retry Queue Unit Tests
+ *
+ * Tests for backoff, retry classification, dead-lettering and re-driving callbacks
+ */
+
+const { createMemoryStore } = require('./storage');
+const {
+    CALLBACK_JOBS,
+    getBackoffDelay,
+    classifyOutcome,
+    createCallbackQueue
+} = require('./callbackQueue');
+
+describe('Callback Retry Queue', () => {
+    const silentLogger = { info: () => { }, warn: () => { }, error: () => { } };
+
+    // Resolves once the queue has finished every scheduled retry
+    const waitForIdle = async (queue) => {
+        for (let i = 0; i < 100; i++) {
+            if ((await queue.listPending()).length === 0) return;
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        throw new Error('queue did not drain');
+    };
+
+    const createQueue = (send, options = {}) => createCallbackQueue({
+        storage: createMemoryStore(),
+        send,
+        baseDelayMs: 1,
+        maxDelayMs: 5,
+        logger: silentLogger,
+        ...options
+    });
+
+    describe('getBackoffDelay', () => {
+        it('should grow exponentially and cap at maxDelayMs', () => {
+            const options = { baseDelayMs: 100, maxDelayMs: 1000, random: () => 1 };
+
+            expect(getBackoffDelay(1, options)).toBe(100);
+            expect(getBackoffDelay(2, options)).toBe(200);
+            expect(getBackoffDelay(3, options)).toBe(400);
+            expect(getBackoffDelay(10, options)).toBe(1000);
+        });
+
+        it('should apply jitter to half of the delay', () => {
+            expect(getBackoffDelay(3, { baseDelayMs: 100, maxDelayMs: 1000, random: () => 0 })).toBe(200);
+        });
+    });
+
+    describe('classifyOutcome', () => {
+        it('should retry network errors, 5xx, 408 and 429 only', () => {
+            expect(classifyOutcome({ status: 200 })).toBe('delivered');
+            expect(classifyOutcome({ error: new Error('ECONNRESET') })).toBe('retry');
+            expect(classifyOutcome({ status: 503 })).toBe('retry');
+            expect(classifyOutcome({ status: 429 })).toBe('retry');
+            expect(classifyOutcome({ status: 408 })).toBe('retry');
+            expect(classifyOutcome({ status: 400 })).toBe('failed');
+            expect(classifyOutcome({ status: 404 })).toBe('failed');
+        });
+    });
+
+    it('should deliver on the first attempt and clear the job', async () => {
+        const send = jest.fn().mockResolvedValue({ status: 200, data: { ok: true } });
+        const queue = createQueue(send);
+
+        const result = await queue.enqueue({ url: 'https://example.com/cb', payload: { data: {} }, channelId: 'ch-1' });
+
+        expect(result.delivered).toBe(true);
+        expect(send).toHaveBeenCalledWith('https://example.com/cb', { data: {} });
+        expect(await queue.listPending()).toEqual([]);
+    });
+
+    it('should retry with backoff until the callback succeeds', async () => {
+        const send = jest.fn()
+            .mockRejectedValueOnce(new Error('ECONNREFUSED'))
+            .mockResolvedValueOnce({ status: 502 })
+            .mockResolvedValueOnce({ status: 200 });
+        const queue = createQueue(send);
+
+        const first = await queue.enqueue({ url: 'https://example.com/cb', payload: {} });
+        expect(first.willRetry).toBe(true);
+
+        await waitForIdle(queue);
+        expect(send).toHaveBeenCalledTimes(3);
+        expect(await queue.listDeadLetters()).toEqual([]);
+    });
+
+    it('should report every attempt to onAttempt', async () => {
+        const send = jest.fn()
+            .mockResolvedValueOnce({ status: 503 })
+            .mockResolvedValueOnce({ status: 200 });
+        const onAttempt = jest.fn();
+        const queue = createQueue(send, { onAttempt });
+
+        await queue.enqueue({ url: 'https://example.com/cb', payload: {} });
+        await waitForIdle(queue);
+
+        expect(onAttempt.mock.calls.map(([result]) => [result.willRetry || false, result.delivered, result.status])).toEqual([
+            [true, false, 503],
+            [false, true, 200]
+        ]);
+        expect(typeof onAttempt.mock.calls[0][0].durationMs).toBe('number');
+    });
+
+    it('should dead-letter after maxAttempts', async () => {
+        const send = jest.fn().mockResolvedValue({ status: 500 });
+        const queue = createQueue(send, { maxAttempts: 3 });
+
+        await queue.enqueue({ url: 'https://example.com/cb', payload: { data: { id: 'r1' } }, channelId: 'ch-1' });
+        await waitForIdle(queue);
+
+        const [deadLetter] = await queue.listDeadLetters();
+        expect(send).toHaveBeenCalledTimes(3);
+        expect(deadLetter).toMatchObject({
+            channelId: 'ch-1',
+            attempts: 3,
+            lastStatus: 500,
+            lastError: 'HTTP 500',
+            payload: { data: { id: 'r1' } }
+        });
+        expect(deadLetter.deadLetteredAt).toBeDefined();
+    });
+
+    it('should dead-letter non-retryable 4xx responses immediately', async () => {
+        const send = jest.fn().mockResolvedValue({ status: 400 });
+        const queue = createQueue(send);
+
+        const result = await queue.enqueue({ url: 'https://example.com/cb', payload: {} });
+
+        expect(result.deadLettered).toBe(true);
+        expect(send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should re-drive a dead letter with a fresh attempt count', async () => {
+        const send = jest.fn()
+            .mockResolvedValueOnce({ status: 400 })
+            .mockResolvedValueOnce({ status: 200 });
+        const queue = createQueue(send);
+
+        const { jobId } = await queue.enqueue({ url: 'https://example.com/cb', payload: {} });
+        const result = await queue.redrive(jobId);
+
+        expect(result).toMatchObject({ delivered: true, attempts: 1 });
+        expect(await queue.getDeadLetter(jobId)).toBeNull();
+        expect(await queue.redrive('missing')).toBeNull();
+    });
+
+    it('should resume persisted jobs on start', async () => {
+        const storage = createMemoryStore();
+        await storage.set(CALLBACK_JOBS, 'job-1', {
+            id: 'job-1',
+            url: 'https://example.com/cb',
+            payload: {},
+            attempts: 1,
+            nextAttemptAt: new Date().toISOString()
+        });
+        const send = jest.fn().mockResolvedValue({ status: 200 });
+        const queue = createQueue(send, { storage });
+
+        expect(await queue.start()).toBe(1);
+        await waitForIdle(queue);
+        expect(send).toHaveBeenCalledTimes(1);
+    });
+});
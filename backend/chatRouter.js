@@ -0,0 +1,2572 @@
+/**
+ * Chat Router
+ * 
+ * Every backend route as a mountable Express router, so other services can
+ * embed the chat, webhook and conversation handling under their own prefix:
+ * 1. POST /chat - Receives messages from React frontend, forwards to ModelRiver
+ * 2. POST /webhook/modelriver - Receives webhook from ModelRiver, processes response
+ * 
+ * Data Flow:
+ * React → /chat → ModelRiver (async) → /webhook/modelriver → callback → React (via WS)
+ * 
+ * Configuration, storage and the HTTP client are passed in; nothing is read
+ * from process.env here (see config.js and server.js for the standalone setup).
+ */
+
+const express = require('express');
+const axios = require('axios');
+const multer = require('multer');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { v4: uuidv4 } = require('uuid');
+const { loadConfig } = require('./config');
+const { buildChatMessages } = require('./history');
+const { createStorage, COLLECTIONS } = require('./storage');
+const { paginate, parseLimit, parseOrder, PaginationError } = require('./pagination');
+const { checkTimestampFreshness, getDeliveryKeys, createDeliveryCache } = require('./replayProtection');
+const { createCallbackQueue, CALLBACK_JOBS, CALLBACK_DEAD_LETTERS } = require('./callbackQueue');
+const { createPendingRequestSweeper, REQUEST_STATUS } = require('./pendingSweeper');
+const { createConversationEvents, streamConversationEvents, EVENT_TYPES } = require('./conversationEvents');
+const { createLogger } = require('./logger');
+const { ApiError, ERROR_CODES, fromUpstreamError, sendApiError } = require('./apiErrors');
+const { validateChatRequest, fromMultipartFields } = require('./chatValidation');
+const { saveVersion, selectVersion, allVersions } = require('./messageVersions');
+const { forkMessages, buildBranchTree } = require('./conversationBranches');
+const { parseIdempotencyKey, fingerprintRequest, createIdempotencyStore } = require('./idempotency');
+const { createCallbackUrlGuard, createCallbackRejectionLog } = require('./callbackGuard');
+const { createAuth } = require('./auth');
+const { createRateLimiter, createUsageLedger, createTokenQuota } = require('./usage');
+const { parseUsageQuery, buildUsageReport, toUsageCsv } = require('./usageReport');
+const { createMetricsRegistry } = require('./metrics');
+const { createEnrichmentPipeline } = require('./enrichment');
+const { createWebhookKeyring, validateKey } = require('./webhookSecrets');
+const { normalizeWebhook, createWebhookHandlers } = require('./webhookHandlers');
+const { createSchemaRegistry } = require('./responseSchemas');
+const {
+    checkAttachment,
+    toContentParts,
+    summarizeContentParts,
+    fromUploadError,
+    createAttachmentStore
+} = require('./attachments');
+
+// Fields GET /conversations can sort by
+const CONVERSATION_SORT_FIELDS = ['lastActivityAt', 'createdAt', 'updatedAt'];
+const MAX_TITLE_LENGTH = 200;
+
+// How often expired webhook deliveries and old callback rejections are forgotten
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Create the backend router.
+ * 
+ * It parses JSON bodies itself (webhook signatures are checked against the raw
+ * body), so mount it before any JSON body parser of the host app:
+ * 
+ *   const chat = createChatRouter({ config: { ...loadConfig(), publicUrl: 'https://example.com' }, storage });
+ *   app.use('/assistant', chat);
+ *   await chat.start();
+ * 
+ * The webhook_url sent to ModelRiver is config.publicUrl + the mount path +
+ * /webhook/modelriver. Each router has its own metrics, rate limits and
+ * background timers; call start() once it is mounted and stop() on shutdown.
+ * 
+ * @param {object} [options]
+ * @param {object} [options.config] - From loadConfig; keys left out use the defaults
+ * @param {object} [options.storage] - Storage adapter (in-memory when omitted)
+ * @param {{ post: Function }} [options.httpClient=axios] - axios-compatible client for ModelRiver requests and callbacks
+ * @param {object} [options.logger] - From createLogger (built from config.logLevel / logFormat when omitted)
+ * @param {Object<string, Function>} [options.processors] - Extra enrichment processors, usable by name in config.enrichmentPipelines
+ * @param {Object<string, Function>} [options.webhookHandlers] - Extra webhook event handlers, usable by name in config.webhookHandlers
+ * @returns {import('express').Router} Router with start() and stop()
+ */
+function createChatRouter({ config: overrides = {}, storage = createStorage(), httpClient = axios, logger, processors,
+    webhookHandlers: webhookHandlerOverrides } = {}) {
+    const config = { ...loadConfig({}), ...overrides };
+    logger = logger || createLogger({
+        level: config.logLevel,
+        format: config.logFormat,
+        redactContent: config.logRedactContent
+    });
+
+    const router = express.Router();
+
+    // ============================================
+    // Authentication
+    // ============================================
+
+    const auth = createAuth({
+        mode: config.authMode,
+        apiKeys: config.authApiKeys,
+        tokenSecret: config.authTokenSecret,
+        tokenTtlSeconds: config.authTokenTtlSeconds
+    });
+    const requireUser = auth.requireUser();
+    // EventSource and <img> can't set headers, so the SSE and attachment routes also take ?access_token=
+    const requireUserForStream = auth.requireUser({ allowQueryToken: true });
+
+    // ============================================
+    // Metrics (GET /metrics, Prometheus text format)
+    // ============================================
+
+    const metrics = createMetricsRegistry();
+
+    const chatRequests = metrics.counter({
+        name: 'chat_requests_total',
+        help: 'POST /chat requests by response status',
+        labelNames: ['status']
+    });
+    const chatRequestDuration = metrics.histogram({
+        name: 'chat_request_duration_seconds',
+        help: 'POST /chat latency, including the call to ModelRiver',
+        labelNames: ['status']
+    });
+    const modelRiverResponses = metrics.counter({
+        name: 'modelriver_responses_total',
+        help: 'Responses from ModelRiver POST /v1/ai/async by HTTP status (timeout or network_error without a response)',
+        labelNames: ['status']
+    });
+    const webhookSignatureFailures = metrics.counter({
+        name: 'webhook_signature_failures_total',
+        help: 'Webhooks rejected by signature verification',
+        labelNames: ['reason']
+    });
+    const webhookSignaturesVerified = metrics.counter({
+        name: 'webhook_signatures_verified_total',
+        help: 'Webhooks accepted by signature verification, by the secret that matched',
+        labelNames: ['key_id']
+    });
+    const webhooksHandled = metrics.counter({
+        name: 'webhooks_handled_total',
+        help: 'Verified webhooks by the event handler they were routed to',
+        labelNames: ['handler']
+    });
+    const schemaValidations = metrics.counter({
+        name: 'response_schema_validations_total',
+        help: 'Structured output checks by workflow and outcome (valid, repaired, rejected, passed)',
+        labelNames: ['workflow', 'outcome']
+    });
+    const chatToWebhookDuration = metrics.histogram({
+        name: 'chat_to_webhook_seconds',
+        help: 'Time from POST /chat sending a message to ModelRiver until its webhook arrived',
+        labelNames: ['workflow']
+    });
+    const callbackAttempts = metrics.counter({
+        name: 'callback_attempts_total',
+        help: 'Callback delivery attempts by outcome (delivered, retry, dead_lettered)',
+        labelNames: ['outcome']
+    });
+    const callbackAttemptDuration = metrics.histogram({
+        name: 'callback_attempt_duration_seconds',
+        help: 'Duration of each callback delivery attempt',
+        labelNames: ['outcome']
+    });
+
+    // Sizes of the stored collections, read on every scrape
+    metrics.gauge({
+        name: 'pending_requests',
+        help: 'Stored chat requests by status',
+        labelNames: ['status'],
+        collect: async (gauge) => {
+            const counts = Object.fromEntries(Object.values(REQUEST_STATUS).map(status => [status, 0]));
+            for (const request of await storage.list(COLLECTIONS.PENDING_REQUESTS)) {
+                const status = request.status || REQUEST_STATUS.PENDING;
+                counts[status] = (counts[status] || 0) + 1;
+            }
+            Object.entries(counts).forEach(([status, count]) => gauge.set({ status }, count));
+        }
+    });
+    metrics.gauge({
+        name: 'conversations',
+        help: 'Stored conversations',
+        collect: async (gauge) => gauge.set({}, await storage.count(COLLECTIONS.CONVERSATIONS))
+    });
+    metrics.gauge({
+        name: 'callback_jobs',
+        help: 'Callbacks waiting for a retry (queued) or dead-lettered',
+        labelNames: ['state'],
+        collect: async (gauge) => {
+            gauge.set({ state: 'queued' }, await storage.count(CALLBACK_JOBS));
+            gauge.set({ state: 'dead_lettered' }, await storage.count(CALLBACK_DEAD_LETTERS));
+        }
+    });
+
+    // Webhook secrets: WEBHOOK_SECRET (as "default"), WEBHOOK_SECRETS and keys added through the admin API
+    const webhookKeyring = createWebhookKeyring({
+        storage,
+        keys: [
+            ...(config.webhookSecret ? [{ id: 'default', secret: config.webhookSecret }] : []),
+            ...config.webhookSecrets
+        ]
+    });
+
+    // Seen webhook deliveries, so replays and redeliveries are acknowledged but not reprocessed
+    const deliveryCache = createDeliveryCache({
+        storage,
+        ttlMs: config.webhookDeliveryTtlSeconds * 1000
+    });
+
+    // Idempotency-Key responses of /chat, so a retried send doesn't start a second ModelRiver job
+    const idempotencyStore = createIdempotencyStore({
+        storage,
+        ttlMs: config.idempotencyTtlSeconds * 1000
+    });
+
+    // Live conversation updates streamed to browsers over SSE
+    const conversationEvents = createConversationEvents();
+
+    // Times out requests ModelRiver never answered and records the failure in the conversation
+    const pendingSweeper = createPendingRequestSweeper({
+        storage,
+        ttlMs: config.pendingRequestTtlMs,
+        retentionMs: config.pendingRequestRetentionMs,
+        intervalMs: config.pendingSweepIntervalMs,
+        logger: logger.child({ component: 'pending_sweeper' }),
+        onTimeout: async (request) => {
+            if (!request.conversationId) return;
+
+            const error = {
+                code: 'REQUEST_TIMEOUT',
+                message: `No response from ModelRiver within ${Math.round(config.pendingRequestTtlMs / 1000)}s`
+            };
+
+            await saveConversationRecord(request.conversationId, request.ownerId, {
+                id: request.messageId,
+                prompt: request.prompt,
+                response: null,
+                status: REQUEST_STATUS.TIMEOUT,
+                error,
+                created_at: request.finishedAt,
+                channel_id: request.channelId,
+                conversation_id: request.conversationId,
+                ...(request.attachments && { attachments: request.attachments })
+            });
+
+            conversationEvents.publish(request.conversationId, EVENT_TYPES.REQUEST_TIMEOUT, {
+                channel_id: request.channelId,
+                message_id: request.messageId,
+                error
+            });
+        }
+    });
+
+    // Per-user /chat rate limit and rolling token quota (from the usage ledger, which outlives conversations)
+    const chatRateLimiter = createRateLimiter({
+        limit: config.chatRateLimit,
+        windowMs: config.chatRateLimitWindowMs
+    });
+    const usageLedger = createUsageLedger({
+        storage,
+        windowMs: config.tokenQuotaWindowMs,
+        retentionMs: config.usageRetentionDays * 24 * 60 * 60 * 1000
+    });
+
+    // Per-IP limit on sign-in attempts, so API keys can't be guessed at speed
+    const signInRateLimiter = createRateLimiter({
+        limit: config.authSignInRateLimit,
+        windowMs: config.authSignInRateLimitWindowMs
+    });
+    const tokenQuota = createTokenQuota({
+        ledger: usageLedger,
+        limit: config.tokenQuota,
+        windowMs: config.tokenQuotaWindowMs,
+        overrides: config.tokenQuotaOverrides
+    });
+
+    /**
+     * Describe a user's remaining allowance (GET /quota and the /chat quota errors).
+     *
+     * @param {{ limit, remaining, resetAt }} rate - From chatRateLimiter
+     * @param {{ limit, used, remaining, resetAt }} tokens - From tokenQuota
+     * @returns {object}
+     */
+    function toQuotaSummary(rate, tokens) {
+        return {
+            requests: {
+                limit: rate.limit,
+                remaining: rate.remaining,
+                window_seconds: Math.round(config.chatRateLimitWindowMs / 1000),
+                resets_at: rate.limit ? rate.resetAt : null
+            },
+            tokens: {
+                limit: tokens.limit,
+                used: tokens.used,
+                remaining: tokens.remaining,
+                window_seconds: Math.round(config.tokenQuotaWindowMs / 1000),
+                resets_at: tokens.limit ? tokens.resetAt : null
+            }
+        };
+    }
+
+    const secondsUntil = (isoDate) => Math.max(1, Math.ceil((new Date(isoDate).getTime() - Date.now()) / 1000));
+
+    // Only allowlisted callback URLs are used; rejections are kept for operators
+    const callbackUrlGuard = createCallbackUrlGuard({
+        allowedHosts: config.callbackAllowedHosts || [new URL(config.modelRiverApiUrl).host],
+        allowedPaths: config.callbackAllowedPaths,
+        allowPrivateNetworks: config.callbackAllowPrivateNetworks
+    });
+    const callbackRejections = createCallbackRejectionLog({ storage });
+
+    // Callback connections re-check the resolved address, so DNS rebinding can't reach private hosts
+    const callbackHttpAgent = new http.Agent({ lookup: callbackUrlGuard.lookup });
+    const callbackHttpsAgent = new https.Agent({ lookup: callbackUrlGuard.lookup });
+
+    // Per-workflow processors that transform callback data before it goes back to ModelRiver
+    const enrichmentPipeline = createEnrichmentPipeline({
+        pipelines: config.enrichmentPipelines,
+        processors
+    });
+
+    // Handlers deciding what each webhook event stores and calls back
+    const webhookHandlers = createWebhookHandlers({
+        routes: config.webhookHandlers,
+        handlers: webhookHandlerOverrides
+    });
+
+    // Files uploaded with /chat, kept on local disk
+    const attachmentStore = createAttachmentStore({ storage, dir: config.attachmentsDir });
+
+    // Multipart /chat bodies are held in memory until ModelRiver has accepted the request
+    const chatUpload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: config.attachmentMaxBytes, files: config.attachmentMaxFiles }
+    }).array('attachments');
+
+    // Per-workflow schemas the structured output is validated against
+    const responseSchemas = createSchemaRegistry({
+        schemas: config.responseSchemas,
+        policy: config.responseSchemaPolicy
+    });
+
+    // Callbacks to ModelRiver are delivered through a persistent retry queue
+    const callbackQueue = createCallbackQueue({
+        storage,
+        send: (url, payload) => httpClient.post(url, payload, {
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${config.modelRiverApiKey}`
+            },
+            timeout: config.callbackTimeoutMs,
+            httpAgent: callbackHttpAgent,
+            httpsAgent: callbackHttpsAgent,
+            maxRedirects: 0, // A redirect could point anywhere
+            validateStatus: () => true // The queue decides which statuses are retried
+        }),
+        maxAttempts: config.callbackMaxAttempts,
+        baseDelayMs: config.callbackRetryBaseDelayMs,
+        maxDelayMs: config.callbackRetryMaxDelayMs,
+        onAttempt: (result) => {
+            const outcome = result.delivered ? 'delivered' : result.deadLettered ? 'dead_lettered' : 'retry';
+            callbackAttempts.inc({ outcome });
+            callbackAttemptDuration.observe({ outcome }, result.durationMs / 1000);
+        },
+        logger: logger.child({ component: 'callback_queue' })
+    });
+
+    /**
+     * Save a record to a conversation, creating the conversation if needed.
+     * A record with the same ID is replaced in place when it answers the same
+     * request (e.g. a late response replacing the timeout record written by the
+     * sweeper), and added as a new version when it answers a regenerate or edit.
+     *
+     * @param {string} conversationId
+     * @param {string} ownerId - User who sent the request (used if the conversation is created)
+     * @param {object} record - Enriched record built by the webhook handler
+     * @returns {Promise<object>} The updated conversation
+     */
+    function saveConversationRecord(conversationId, ownerId, record) {
+        return storage.update(COLLECTIONS.CONVERSATIONS, conversationId, (conversation) => {
+            const now = new Date().toISOString();
+            const updated = conversation || { id: conversationId, ownerId, messages: [], createdAt: now };
+            const existingIndex = updated.messages.findIndex((message) => message.id === record.id);
+            if (existingIndex === -1) {
+                updated.messages.push(record);
+            } else {
+                updated.messages = saveVersion(updated.messages, existingIndex, record);
+            }
+            updated.updatedAt = now;
+            updated.lastActivityAt = now;
+            return updated;
+        });
+    }
+
+    /**
+     * Summarize a conversation for list responses (without its messages).
+     *
+     * @param {object} conversation - Stored conversation
+     * @returns {object}
+     */
+    function toConversationSummary(conversation) {
+        return {
+            id: conversation.id,
+            title: conversation.title || null,
+            metadata: conversation.metadata || {},
+            createdAt: conversation.createdAt,
+            updatedAt: conversation.updatedAt || conversation.createdAt,
+            // Renames don't count as activity, so fall back to the newest message rather than updatedAt
+            lastActivityAt: conversation.lastActivityAt ||
+                conversation.messages[conversation.messages.length - 1]?.created_at ||
+                conversation.createdAt,
+            messageCount: conversation.messages.length,
+            parentId: conversation.parentId || null,
+            forkedFromMessageId: conversation.forkedFromMessageId || null
+        };
+    }
+
+    /**
+     * Load a conversation the current user may access.
+     * Conversations owned by someone else are reported as missing, so IDs can't be probed.
+     *
+     * @param {object} req - Express request (after requireUser)
+     * @param {string} conversationId
+     * @returns {Promise<object|null>}
+     */
+    async function getOwnedConversation(req, conversationId) {
+        const conversation = await storage.get(COLLECTIONS.CONVERSATIONS, conversationId);
+        return conversation && auth.canAccess(req.user, conversation) ? conversation : null;
+    }
+
+    // ============================================
+    // Chat Requests (shared by /chat, regenerate and edit)
+    // ============================================
+
+    /**
+     * Count a request against the caller's rate limit.
+     *
+     * @param {object} req - Express request (after requireUser)
+     * @param {object} res - Express response, for the X-RateLimit-* headers
+     * @throws {ApiError} 429 RATE_LIMITED
+     */
+    function consumeRateLimit(req, res) {
+        const rate = chatRateLimiter.consume(req.user.id);
+        if (rate.limit) {
+            res.setHeader('X-RateLimit-Limit', String(rate.limit));
+            res.setHeader('X-RateLimit-Remaining', String(rate.remaining));
+            res.setHeader('X-RateLimit-Reset', String(Math.ceil(new Date(rate.resetAt).getTime() / 1000)));
+        }
+        if (!rate.allowed) {
+            throw new ApiError(429, ERROR_CODES.RATE_LIMITED,
+                `Too many messages: at most ${rate.limit} every ${Math.round(config.chatRateLimitWindowMs / 1000)}s`, {
+                    limit: rate.limit,
+                    resets_at: rate.resetAt,
+                    retry_after_seconds: secondsUntil(rate.resetAt)
+                });
+        }
+    }
+
+    /**
+     * Check the caller's rolling token quota, from their usage ledger entries.
+     *
+     * @param {object} req - Express request (after requireUser)
+     * @throws {ApiError} 429 QUOTA_EXCEEDED
+     */
+    async function checkTokenQuota(req) {
+        const tokens = await tokenQuota.check(req.user.id);
+        if (tokens.exceeded) {
+            throw new ApiError(429, ERROR_CODES.QUOTA_EXCEEDED, 'Token quota used up', {
+                limit: tokens.limit,
+                used: tokens.used,
+                resets_at: tokens.resetAt,
+                ...(tokens.resetAt && { retry_after_seconds: secondsUntil(tokens.resetAt) })
+            });
+        }
+    }
+
+    /**
+     * @throws {ApiError} 500 MODELRIVER_NOT_CONFIGURED without an API key
+     */
+    function requireModelRiverKey() {
+        if (!config.modelRiverApiKey) {
+            throw new ApiError(500, ERROR_CODES.MODELRIVER_NOT_CONFIGURED,
+                'MODELRIVER_API_KEY not configured. Set it in environment variables.');
+        }
+    }
+
+    /**
+     * Send a user message to ModelRiver and track the request until its webhook arrives.
+     *
+     * @param {object} req - Express request (after requireUser)
+     * @param {object} log - Request logger
+     * @param {object} chat
+     * @param {string} chat.message - The user message
+     * @param {object[]} chat.history - Earlier records of the conversation, sent as context
+     * @param {object[]} [chat.files] - Files sent as content parts ({ filename, mimeType, buffer })
+     * @param {object[]} [chat.attachments] - Summaries of files already stored; when omitted, files are stored
+     *   once ModelRiver accepts the request
+     * @param {string} chat.workflow
+     * @param {string[]} [chat.events]
+     * @param {string} chat.conversationId
+     * @param {string} chat.messageId - ID of the record the answer is saved as
+     * @param {boolean} [chat.isNewConversation] - Claim the conversation ID once ModelRiver accepts
+     * @param {string} [chat.revision] - regenerate or edit, when answering a stored message again
+     * @returns {Promise<object>} The response body: channel and WebSocket details
+     */
+    async function startChatRequest(req, log, {
+        message,
+        history,
+        files = [],
+        attachments: storedAttachments,
+        workflow,
+        events,
+        conversationId,
+        messageId,
+        isNewConversation = false,
+        revision
+    }) {
+        const messages = buildChatMessages(history, message, {
+            maxChars: config.chatHistoryMaxChars,
+            maxTurns: config.chatHistoryMaxTurns
+        });
+        // Attachments travel as content parts of the new user message (earlier turns stay text)
+        messages[messages.length - 1] = { role: 'user', content: toContentParts(message, files) };
+
+        // Build the request payload for ModelRiver
+        // Note: structured_output is configured in the workflow in ModelRiver, not sent in the request
+        const payload = {
+            workflow,
+            messages,
+            // Use websocket delivery so frontend can receive response directly
+            delivery_method: 'websocket',
+            // Explicitly tell ModelRiver where to send the webhook for this request
+            webhook_url: `${config.publicUrl}${req.baseUrl}/webhook/modelriver`,
+            // Include events to enable callback URL functionality
+            events: events || ['webhook_received'],
+            metadata: {
+                conversation_id: conversationId,
+                message_id: messageId,
+                original_prompt: message,
+                timestamp: Date.now()
+            }
+        };
+
+        log.info('🚀 Sending to ModelRiver', {
+            url: config.modelRiverApiUrl,
+            workflow: payload.workflow,
+            history_messages: messages.length - 1
+        });
+        log.debug('📦 ModelRiver payload', { payload: { ...payload, messages: summarizeContentParts(messages) } });
+
+        // Call ModelRiver async API
+        const response = await httpClient.post(
+            `${config.modelRiverApiUrl}/v1/ai/async`,
+            payload,
+            {
+                headers: {
+                    'Authorization': `Bearer ${config.modelRiverApiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                timeout: config.modelRiverTimeoutMs
+            }
+        ).then((upstreamResponse) => {
+            modelRiverResponses.inc({ status: upstreamResponse.status });
+            return upstreamResponse;
+        }, (error) => {
+            const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+            modelRiverResponses.inc({ status: error.response?.status || (timedOut ? 'timeout' : 'network_error') });
+            throw fromUpstreamError(error);
+        });
+
+        const { channel_id, ws_token, websocket_url, websocket_channel, project_id } = response.data;
+
+        log = log.child({ channel_id });
+        log.info('✅ ModelRiver accepted request', { websocket_channel, websocket_url });
+
+        // Claim a new conversation now, so its ID is owned before the response arrives
+        if (isNewConversation) {
+            await storage.update(COLLECTIONS.CONVERSATIONS, conversationId, (conversation) => {
+                const now = new Date().toISOString();
+                return conversation || {
+                    id: conversationId,
+                    ownerId: req.user.id,
+                    messages: [],
+                    createdAt: now,
+                    updatedAt: now
+                };
+            });
+        }
+
+        // Keep the files now that the request went through; records reference them by ID
+        const attachments = storedAttachments || await attachmentStore.save(files, {
+            ownerId: req.user.id,
+            conversationId
+        });
+
+        // Store pending request for callback processing
+        await storage.set(COLLECTIONS.PENDING_REQUESTS, channel_id, {
+            channelId: channel_id,
+            status: REQUEST_STATUS.PENDING,
+            prompt: message,
+            timestamp: Date.now(),
+            conversationId,
+            messageId,
+            ownerId: req.user.id,
+            workflow,
+            ...(attachments.length > 0 && { attachments }),
+            ...(revision && { revision })
+        });
+
+        conversationEvents.publish(conversationId, EVENT_TYPES.REQUEST_PENDING, {
+            channel_id,
+            message_id: messageId,
+            prompt: message,
+            ...(attachments.length > 0 && { attachments }),
+            ...(revision && { revision }),
+            created_at: new Date().toISOString()
+        });
+
+        // Return WebSocket connection details to frontend
+        return {
+            channel_id,
+            ws_token,
+            websocket_url,
+            websocket_channel,
+            project_id,
+            conversation_id: conversationId,
+            message_id: messageId,
+            ...(attachments.length > 0 && { attachments })
+        };
+    }
+
+    // ============================================
+    // Middleware
+    // ============================================
+
+    router.use(express.json({
+        verify: (req, res, buf) => {
+            // Store raw body for webhook signature verification
+            req.rawBody = buf.toString();
+        }
+    }));
+
+    // Request IDs and access log: everything logged for a request carries its request_id
+    router.use((req, res, next) => {
+        const incomingId = req.headers['x-request-id'];
+        req.id = typeof incomingId === 'string' && /^[\w-]{1,128}$/.test(incomingId) ? incomingId : uuidv4();
+        req.log = logger.child({ request_id: req.id });
+        res.setHeader('X-Request-Id', req.id);
+
+        const startedAt = Date.now();
+        res.on('finish', () => {
+            req.log.info(`📨 ${req.method} ${req.baseUrl}${req.path}`, {
+                status: res.statusCode,
+                duration_ms: Date.now() - startedAt
+            });
+        });
+        next();
+    });
+
+    /**
+     * Parse multipart POST /chat bodies: the JSON fields as form fields, plus
+     * files in "attachments". JSON bodies pass through untouched.
+     */
+    const parseChatUpload = (req, res, next) => {
+        if (!req.is('multipart/form-data')) return next();
+        if (config.attachmentMaxFiles === 0) {
+            return sendApiError(res, new ApiError(400, ERROR_CODES.ATTACHMENT_REJECTED, 'Attachments are disabled'));
+        }
+
+        chatUpload(req, res, (error) => {
+            if (error) {
+                req.log.warn('⚠️  Attachment upload rejected', { code: error.code, error: error.message });
+                return sendApiError(res, fromUploadError(error, {
+                    maxBytes: config.attachmentMaxBytes,
+                    maxFiles: config.attachmentMaxFiles
+                }));
+            }
+            req.body = fromMultipartFields(req.body);
+            next();
+        });
+    };
+
+    /**
+     * Count POST /chat responses and their latency (including rejected ones).
+     */
+    function trackChatRequest(req, res, next) {
+        const startedAt = Date.now();
+        res.on('finish', () => {
+            const labels = { status: res.statusCode };
+            chatRequests.inc(labels);
+            chatRequestDuration.observe(labels, (Date.now() - startedAt) / 1000);
+        });
+        next();
+    }
+
+    /**
+     * Protect operator routes with ADMIN_API_KEY.
+     * Accepts `Authorization: Bearer <key>` or `X-Admin-Key: <key>`.
+     */
+    function requireAdmin(req, res, next) {
+        if (!config.adminApiKey) {
+            return res.status(503).json({ error: 'Admin API disabled. Set ADMIN_API_KEY to enable it.' });
+        }
+
+        const authorization = req.headers.authorization || '';
+        const provided = req.headers['x-admin-key'] ||
+            (authorization.startsWith('Bearer ') ? authorization.slice('Bearer '.length) : '');
+
+        const providedBuffer = Buffer.from(String(provided));
+        const expectedBuffer = Buffer.from(config.adminApiKey);
+        if (providedBuffer.length !== expectedBuffer.length ||
+            !crypto.timingSafeEqual(providedBuffer, expectedBuffer)) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+
+        next();
+    }
+
+    // ============================================
+    // Routes
+    // ============================================
+
+    /**
+     * POST /auth/session
+     * 
+     * Exchange an API key for the credential the browser sends as
+     * `Authorization: Bearer <token>`: a signed session token (AUTH_MODE=token)
+     * or the API key itself (AUTH_MODE=api_key).
+     * Attempts are limited per client IP (AUTH_SIGNIN_RATE_LIMIT): 429 RATE_LIMITED over the limit.
+     * 
+     * Request Body:
+     * {
+     *   "apiKey": "..."
+     * }
+     * 
+     * Response:
+     * {
+     *   "token": "...",
+     *   "expires_at": "..." | null,
+     *   "user": { "id": "alice" },
+     *   "auth_mode": "token"
+     * }
+     */
+    router.post('/auth/session', (req, res) => {
+        const attempt = signInRateLimiter.consume(req.ip);
+        if (!attempt.allowed) {
+            req.log.warn('🔒 Sign-in refused - too many attempts', { ip: req.ip });
+            return sendApiError(res, new ApiError(429, ERROR_CODES.RATE_LIMITED,
+                `Too many sign-in attempts: at most ${attempt.limit} every ${Math.round(config.authSignInRateLimitWindowMs / 1000)}s`, {
+                    limit: attempt.limit,
+                    resets_at: attempt.resetAt,
+                    retry_after_seconds: secondsUntil(attempt.resetAt)
+                }));
+        }
+
+        const session = auth.createSession(req.body?.apiKey);
+
+        if (!session) {
+            req.log.warn('🔒 Sign-in rejected - unknown API key');
+            res.setHeader('WWW-Authenticate', 'Bearer');
+            return sendApiError(res, new ApiError(401, ERROR_CODES.UNAUTHORIZED, 'Invalid API key'));
+        }
+
+        req.log.info('🔑 Session created', { user_id: session.user.id, expires_at: session.expiresAt });
+        res.json({
+            token: session.token,
+            expires_at: session.expiresAt,
+            user: session.user,
+            auth_mode: auth.mode
+        });
+    });
+
+    /**
+     * GET /auth/session
+     * 
+     * Who is the caller? Lets the frontend check a stored credential (and learn
+     * whether sign-in is needed at all) before sending messages.
+     * 
+     * Response:
+     * {
+     *   "user": { "id": "alice" },
+     *   "expires_at": "..." | null,
+     *   "auth_mode": "token"
+     * }
+     */
+    router.get('/auth/session', requireUser, (req, res) => {
+        res.json({
+            user: { id: req.user.id },
+            expires_at: req.user.expiresAt || null,
+            auth_mode: auth.mode
+        });
+    });
+
+    /**
+     * POST /chat
+     * 
+     * Receives a chat message from the React frontend.
+     * Forwards it to ModelRiver as an async request with a callback_url.
+     * Prior turns of the conversation are included as context, trimmed to the
+     * CHAT_HISTORY_MAX_CHARS / CHAT_HISTORY_MAX_TURNS budget.
+     * 
+     * Request Body:
+     * {
+     *   "message": "User's message",                  // required, at most CHAT_MAX_MESSAGE_LENGTH chars
+     *   "conversationId": "optional-existing-conversation-id", // UUID
+     *   "workflow": "mr_chatbot_workflow",            // optional, one of ALLOWED_WORKFLOWS
+     *   "events": ["webhook_received"]                // optional, each one of ALLOWED_EVENTS
+     * }
+     * 
+     * The same fields can be sent as multipart/form-data, with up to
+     * ATTACHMENT_MAX_FILES files in "attachments" (see attachments.js); the
+     * response then lists the stored attachments.
+     * 
+     * With an Idempotency-Key header, a repeat of the same request within
+     * IDEMPOTENCY_TTL_SECONDS returns the first response (Idempotent-Replayed: true)
+     * without calling ModelRiver again (see idempotency.js).
+     * 
+     * Response:
+     * {
+     *   "channel_id": "...",
+     *   "ws_token": "...",
+     *   "websocket_url": "...",
+     *   "websocket_channel": "...",
+     *   "conversation_id": "...",
+     *   "message_id": "..."            // ID of the record the answer will be saved as
+     * }
+     * 
+     * Errors use the { error, code, details } envelope (see apiErrors.js):
+     * 400 VALIDATION_FAILED / ATTACHMENT_REJECTED, 401 UNAUTHORIZED, 404 CONVERSATION_NOT_FOUND,
+     * 409 IDEMPOTENCY_KEY_REUSED / REQUEST_IN_PROGRESS, 413 PAYLOAD_TOO_LARGE, 415 ATTACHMENT_REJECTED,
+     * 429 RATE_LIMITED / QUOTA_EXCEEDED / MODELRIVER_RATE_LIMITED, 502 MODELRIVER_REJECTED /
+     * MODELRIVER_UNAVAILABLE / MODELRIVER_UNREACHABLE, 504 MODELRIVER_TIMEOUT.
+     * 
+     * X-RateLimit-Limit / X-RateLimit-Remaining / X-RateLimit-Reset report the
+     * caller's request rate limit when one is configured.
+     */
+    router.post('/chat', trackChatRequest, requireUser, parseChatUpload, async (req, res) => {
+        let log = req.log;
+        let claimedKey = null;
+
+        try {
+            const { message, conversationId, workflow, events } = validateChatRequest(req.body, {
+                allowedWorkflows: config.allowedWorkflows,
+                allowedEvents: config.allowedEvents,
+                maxMessageLength: config.chatMaxMessageLength
+            });
+
+            // Uploaded files must be an allowed type, and their content must match it
+            const files = (req.files || []).map(file => ({
+                filename: file.originalname,
+                mimeType: file.mimetype,
+                buffer: file.buffer
+            }));
+            const refused = files
+                .map(file => ({ filename: file.filename, problem: checkAttachment(file, config.attachmentAllowedTypes) }))
+                .filter(file => file.problem);
+            if (refused.length > 0) {
+                throw new ApiError(415, ERROR_CODES.ATTACHMENT_REJECTED, `${refused[0].filename}: ${refused[0].problem}`,
+                    refused.map(({ filename, problem }) => ({ field: 'attachments', filename, message: problem })));
+            }
+
+            requireModelRiverKey();
+
+            // A retry with the same Idempotency-Key gets the first response back,
+            // before the limits: it starts no job, so it isn't charged again
+            const idempotencyKey = config.idempotencyTtlSeconds > 0 ? parseIdempotencyKey(req.get('Idempotency-Key')) : null;
+            if (idempotencyKey) {
+                const fingerprint = fingerprintRequest({ message, conversationId, workflow, events }, files);
+                const claim = await idempotencyStore.begin(req.user.id, idempotencyKey, fingerprint);
+                if (claim.status === 'replay') {
+                    log.info('♻️  Idempotent /chat replay', { channel_id: claim.response.channel_id });
+                    res.set('Idempotent-Replayed', 'true');
+                    return res.json(claim.response);
+                }
+                if (claim.status === 'conflict') {
+                    throw new ApiError(409, ERROR_CODES.IDEMPOTENCY_KEY_REUSED,
+                        'This Idempotency-Key was already used with a different request', { field: 'Idempotency-Key' });
+                }
+                if (claim.status === 'in_progress') {
+                    throw new ApiError(409, ERROR_CODES.REQUEST_IN_PROGRESS,
+                        'A request with this Idempotency-Key is still being processed', { field: 'Idempotency-Key' });
+                }
+                claimedKey = idempotencyKey;
+            }
+
+            consumeRateLimit(req, res);
+            await checkTokenQuota(req);
+
+            // Generate custom IDs before sending to ModelRiver
+            const customConversationId = conversationId || uuidv4();
+            const customMessageId = uuidv4();
+            log = log.child({ conversation_id: customConversationId, message_id: customMessageId });
+
+            log.info('💬 Chat message received', {
+                prompt: message,
+                ...(files.length > 0 && { attachments: files.map(file => `${file.filename} (${file.mimeType}, ${file.buffer.length} bytes)`) })
+            });
+
+            // Rebuild earlier turns so the model can answer follow-up questions
+            const existingConversation = await storage.get(COLLECTIONS.CONVERSATIONS, customConversationId);
+            if (existingConversation && !auth.canAccess(req.user, existingConversation)) {
+                throw new ApiError(404, ERROR_CODES.CONVERSATION_NOT_FOUND, 'Conversation not found');
+            }
+
+            const body = await startChatRequest(req, log, {
+                message,
+                history: existingConversation?.messages || [],
+                files,
+                workflow,
+                events,
+                conversationId: customConversationId,
+                messageId: customMessageId,
+                isNewConversation: !existingConversation
+            });
+            if (claimedKey) {
+                await idempotencyStore.complete(req.user.id, claimedKey, body);
+            }
+            res.json(body);
+
+        } catch (error) {
+            if (claimedKey) {
+                await idempotencyStore.release(req.user.id, claimedKey).catch((releaseError) => {
+                    log.error('❌ Error releasing idempotency key', { error: releaseError.message });
+                });
+            }
+            if (error instanceof ApiError && error.status < 500) {
+                log.warn('⚠️  /chat request rejected', { code: error.code, details: error.details });
+            } else {
+                log.error('❌ Error in /chat', { code: error.code, error: error.message, details: error.details });
+            }
+            sendApiError(res, error);
+        }
+    });
+
+    /**
+     * Answer a stored message again (regenerate or edit-and-resend).
+     *
+     * @param {string} revision - 'regenerate' or 'edit'
+     * @returns {Function} Route handler
+     */
+    const reviseMessage = (revision) => async (req, res) => {
+        let log = req.log.child({ conversation_id: req.params.id, message_id: req.params.messageId, revision });
+
+        try {
+            consumeRateLimit(req, res);
+
+            const conversation = await getOwnedConversation(req, req.params.id);
+            if (!conversation) {
+                throw new ApiError(404, ERROR_CODES.CONVERSATION_NOT_FOUND, 'Conversation not found');
+            }
+            const index = conversation.messages.findIndex(record => record.id === req.params.messageId);
+            if (index === -1) {
+                throw new ApiError(404, ERROR_CODES.MESSAGE_NOT_FOUND, 'Message not found');
+            }
+            const record = conversation.messages[index];
+
+            // Regenerate re-sends the stored prompt; edit replaces it. The workflow stays the record's.
+            const body = req.body || {};
+            const { message, workflow, events } = validateChatRequest({
+                message: revision === 'edit' ? body.message : record.prompt,
+                workflow: record.workflow || undefined,
+                events: body.events
+            }, {
+                allowedWorkflows: config.allowedWorkflows,
+                allowedEvents: config.allowedEvents,
+                maxMessageLength: config.chatMaxMessageLength
+            });
+
+            const inProgress = (await storage.list(COLLECTIONS.PENDING_REQUESTS)).find((request) =>
+                request.conversationId === conversation.id &&
+                request.messageId === record.id &&
+                request.status === REQUEST_STATUS.PENDING);
+            if (inProgress) {
+                throw new ApiError(409, ERROR_CODES.REQUEST_IN_PROGRESS, 'This message is already being answered',
+                    { channel_id: inProgress.channelId });
+            }
+
+            requireModelRiverKey();
+            await checkTokenQuota(req);
+
+            log.info(revision === 'edit' ? '✏️  Resending edited message' : '🔁 Regenerating answer', {
+                prompt: message,
+                versions: record.versions ? record.versions.length : 1
+            });
+
+            // The message keeps its attachments, read back from disk
+            const attachments = record.attachments || [];
+            res.json(await startChatRequest(req, log, {
+                message,
+                history: conversation.messages.slice(0, index),
+                files: await attachmentStore.readAll(attachments),
+                attachments,
+                workflow,
+                events,
+                conversationId: conversation.id,
+                messageId: record.id,
+                revision
+            }));
+        } catch (error) {
+            if (error instanceof ApiError && error.status < 500) {
+                log.warn(`⚠️  ${revision} request rejected`, { code: error.code, details: error.details });
+            } else {
+                log.error(`❌ Error in ${revision}`, { code: error.code, error: error.message, details: error.details });
+            }
+            sendApiError(res, error);
+        }
+    };
+
+    /**
+     * POST /conversations/:id/messages/:messageId/regenerate
+     * 
+     * Ask ModelRiver for a new answer to a stored message. Only the records
+     * before it are sent as history. Goes through the same flow and limits as
+     * /chat and responds like it; when the webhook arrives the new answer
+     * becomes the record's current version and the earlier answer is kept as
+     * an alternate (see messageVersions.js).
+     * 
+     * Request Body (optional):
+     * {
+     *   "events": ["webhook_received"]
+     * }
+     * 
+     * Errors: as /chat, plus 404 MESSAGE_NOT_FOUND and 409 REQUEST_IN_PROGRESS
+     * (the message is already being answered again).
+     */
+    router.post('/conversations/:id/messages/:messageId/regenerate', trackChatRequest, requireUser, reviseMessage('regenerate'));
+
+    /**
+     * POST /conversations/:id/messages/:messageId/edit
+     * 
+     * Replace a stored message's prompt and send it again from that point,
+     * like regenerate. The records that followed it are kept with the earlier
+     * version, and come back when that version is selected.
+     * 
+     * Request Body:
+     * {
+     *   "message": "Edited message",   // required, at most CHAT_MAX_MESSAGE_LENGTH chars
+     *   "events": ["webhook_received"] // optional
+     * }
+     */
+    router.post('/conversations/:id/messages/:messageId/edit', trackChatRequest, requireUser, reviseMessage('edit'));
+
+    /**
+     * PUT /conversations/:id/messages/:messageId/version
+     * 
+     * Select which version of a regenerated or edited message is shown and
+     * continued from. The records after the message are swapped for the ones
+     * that followed the selected version.
+     * 
+     * Request Body:
+     * {
+     *   "version": 0   // index into the record's versions
+     * }
+     * 
+     * Response:
+     * {
+     *   "messages": [...records]   // the conversation's records after the switch
+     * }
+     * 
+     * Errors: 400 VALIDATION_FAILED (bad or unknown version), 404 CONVERSATION_NOT_FOUND /
+     * MESSAGE_NOT_FOUND, 409 REQUEST_IN_PROGRESS (the message is being answered again)
+     */
+    router.put('/conversations/:id/messages/:messageId/version', requireUser, async (req, res) => {
+        try {
+            const { version } = req.body || {};
+            if (!Number.isInteger(version) || version < 0) {
+                throw new ApiError(400, ERROR_CODES.VALIDATION_FAILED, 'version must be a non-negative integer', [
+                    { field: 'version', code: 'type', message: 'version must be a non-negative integer' }
+                ]);
+            }
+
+            const conversation = await getOwnedConversation(req, req.params.id);
+            if (!conversation) {
+                throw new ApiError(404, ERROR_CODES.CONVERSATION_NOT_FOUND, 'Conversation not found');
+            }
+            if (!conversation.messages.some(record => record.id === req.params.messageId)) {
+                throw new ApiError(404, ERROR_CODES.MESSAGE_NOT_FOUND, 'Message not found');
+            }
+
+            const inProgress = (await storage.list(COLLECTIONS.PENDING_REQUESTS)).find((request) =>
+                request.conversationId === conversation.id &&
+                request.messageId === req.params.messageId &&
+                request.status === REQUEST_STATUS.PENDING);
+            if (inProgress) {
+                throw new ApiError(409, ERROR_CODES.REQUEST_IN_PROGRESS,
+                    'This message is being answered again; switch versions once it completes',
+                    { channel_id: inProgress.channelId });
+            }
+
+            let selected = false;
+            const updated = await storage.update(COLLECTIONS.CONVERSATIONS, req.params.id, (stored) => {
+                if (!stored) return null;
+
+                const index = stored.messages.findIndex(record => record.id === req.params.messageId);
+                const messages = index === -1 ? null : selectVersion(stored.messages, index, version);
+                if (!messages) return stored;
+
+                selected = true;
+                stored.messages = messages;
+                stored.updatedAt = new Date().toISOString();
+                return stored;
+            });
+
+            if (!updated) {
+                throw new ApiError(404, ERROR_CODES.CONVERSATION_NOT_FOUND, 'Conversation not found');
+            }
+            if (!selected) {
+                throw new ApiError(400, ERROR_CODES.VALIDATION_FAILED, 'No such version', [
+                    { field: 'version', code: 'not_found', message: `The message has no version ${version}` }
+                ]);
+            }
+
+            req.log.info('🔀 Message version selected', {
+                conversation_id: req.params.id,
+                message_id: req.params.messageId,
+                version
+            });
+            res.json({ messages: updated.messages });
+        } catch (error) {
+            if (!(error instanceof ApiError)) {
+                req.log.error('❌ Error selecting message version', { error: error.message });
+            }
+            sendApiError(res, error);
+        }
+    });
+
+    /**
+     * GET /chat/:channelId/status
+     * 
+     * Report the state of a chat request so the frontend can stop waiting when
+     * ModelRiver never answers.
+     * 
+     * Response:
+     * {
+     *   "channel_id": "...",
+     *   "status": "pending" | "completed" | "timeout" | "cancelled",
+     *   "conversation_id": "...",
+     *   "message_id": "...",
+     *   "created_at": "...",
+     *   "expires_at": "...",      // when a pending request will time out
+     *   "finished_at": "..."      // when it completed, timed out or was cancelled
+     * }
+     */
+    router.get('/chat/:channelId/status', requireUser, async (req, res) => {
+        try {
+            const request = await storage.get(COLLECTIONS.PENDING_REQUESTS, req.params.channelId);
+
+            if (!request || !auth.canAccess(req.user, request)) {
+                return res.status(404).json({ error: 'Request not found' });
+            }
+
+            res.json({
+                channel_id: request.channelId,
+                status: request.status || REQUEST_STATUS.PENDING,
+                conversation_id: request.conversationId,
+                message_id: request.messageId,
+                created_at: new Date(request.timestamp).toISOString(),
+                expires_at: new Date(request.timestamp + config.pendingRequestTtlMs).toISOString(),
+                finished_at: request.finishedAt || null
+            });
+        } catch (error) {
+            req.log.error('❌ Error reading request status', { error: error.message });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * Ask ModelRiver to stop working on a request, when config.modelRiverCancelPath says how.
+     *
+     * @param {string} channelId
+     * @param {object} log - Request logger
+     * @returns {Promise<string>} cancelled, failed or unsupported
+     */
+    async function forwardCancellation(channelId, log) {
+        if (!config.modelRiverCancelPath) return 'unsupported';
+
+        const path = config.modelRiverCancelPath.replace(':channelId', encodeURIComponent(channelId));
+        try {
+            await httpClient.post(`${config.modelRiverApiUrl}${path}`, {}, {
+                headers: {
+                    'Authorization': `Bearer ${config.modelRiverApiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                timeout: config.modelRiverTimeoutMs
+            });
+            return 'cancelled';
+        } catch (error) {
+            log.warn('⚠️  ModelRiver did not accept the cancellation', {
+                status: error.response?.status,
+                error: error.message
+            });
+            return 'failed';
+        }
+    }
+
+    /**
+     * DELETE /chat/:channelId
+     * 
+     * Cancel a chat request that is still pending. The request is marked
+     * cancelled (nothing is saved to the conversation), the cancellation is
+     * forwarded to ModelRiver when MODELRIVER_CANCEL_PATH is set, and a webhook
+     * that still arrives for the channel is acknowledged and dropped.
+     * Cancelling a cancelled request again returns the same response.
+     * 
+     * Response:
+     * {
+     *   "channel_id": "...",
+     *   "status": "cancelled",
+     *   "finished_at": "...",
+     *   "modelriver": "cancelled" | "failed" | "unsupported"
+     * }
+     */
+    router.delete('/chat/:channelId', requireUser, async (req, res) => {
+        try {
+            const existing = await storage.get(COLLECTIONS.PENDING_REQUESTS, req.params.channelId);
+            if (!existing || !auth.canAccess(req.user, existing)) {
+                return res.status(404).json({ error: 'Request not found' });
+            }
+
+            // Re-check inside the update so a webhook that just arrived wins
+            let cancelled = null;
+            const request = await storage.update(COLLECTIONS.PENDING_REQUESTS, req.params.channelId, (current) => {
+                if (!current || (current.status || REQUEST_STATUS.PENDING) !== REQUEST_STATUS.PENDING) {
+                    return current;
+                }
+                cancelled = { ...current, status: REQUEST_STATUS.CANCELLED, finishedAt: new Date().toISOString() };
+                return cancelled;
+            });
+
+            if (!request) {
+                return res.status(404).json({ error: 'Request not found' });
+            }
+            if (request.status !== REQUEST_STATUS.CANCELLED) {
+                return res.status(409).json({ error: `Request already ${request.status}`, status: request.status });
+            }
+
+            const log = req.log.child({ channel_id: request.channelId, conversation_id: request.conversationId });
+            if (cancelled) {
+                log.info('🛑 Chat request cancelled', { message_id: request.messageId });
+                request.modelRiverCancel = await forwardCancellation(request.channelId, log);
+                await storage.update(COLLECTIONS.PENDING_REQUESTS, request.channelId, (current) => current && {
+                    ...current,
+                    modelRiverCancel: request.modelRiverCancel
+                });
+
+                conversationEvents.publish(request.conversationId, EVENT_TYPES.REQUEST_CANCELLED, {
+                    channel_id: request.channelId,
+                    message_id: request.messageId
+                });
+            }
+
+            res.json({
+                channel_id: request.channelId,
+                status: request.status,
+                finished_at: request.finishedAt,
+                modelriver: request.modelRiverCancel || 'unsupported'
+            });
+        } catch (error) {
+            req.log.error('❌ Error cancelling request', { error: error.message });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * GET /quota
+     * 
+     * The caller's remaining allowance. Limits that are switched off are null.
+     * 
+     * Response:
+     * {
+     *   "user": { "id": "alice" },
+     *   "requests": { "limit": 20, "remaining": 18, "window_seconds": 60, "resets_at": "..." },
+     *   "tokens": { "limit": 100000, "used": 1234, "remaining": 98766, "window_seconds": 86400, "resets_at": "..." }
+     * }
+     */
+    router.get('/quota', requireUser, async (req, res) => {
+        try {
+            const tokens = await tokenQuota.check(req.user.id);
+            res.json({
+                user: { id: req.user.id },
+                ...toQuotaSummary(chatRateLimiter.peek(req.user.id), tokens)
+            });
+        } catch (error) {
+            req.log.error('❌ Error reading quota', { error: error.message });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * POST /webhook (fallback route for CLI/webhook forwarding tools)
+     * 
+     * This route handles webhooks forwarded from CLI tools or other forwarding services
+     * that may send to /webhook instead of /webhook/modelriver.
+     * It simply forwards to the main webhook handler.
+     */
+    router.post('/webhook', async (req, res) => {
+        req.log.debug('📥 Webhook received at /webhook (fallback route), forwarding to /webhook/modelriver handler');
+
+        // Forward to the main webhook handler
+        try {
+            await processModelRiverWebhook(req, res);
+        } catch (error) {
+            req.log.error('❌ Error processing webhook', { error: error.message, stack: error.stack });
+            if (!res.headersSent) {
+                res.status(500).json({ error: error.message });
+            }
+        }
+    });
+
+    /**
+     * POST /webhook/modelriver
+     * 
+     * Receives webhook events from ModelRiver when AI response is ready.
+     * Simulates saving to database by generating an ID.
+     * Sends enriched data back to ModelRiver via callback_url if provided.
+     * The handler routed for the webhook's event or type (config.webhookHandlers)
+     * decides what is saved and what is called back.
+     * 
+     * Webhook Payload:
+     * {
+     *   "channel_id": "...",
+     *   "status": "success",
+     *   "data": { ... },
+     *   "meta": { ... }
+     * }
+     */
+    router.post('/webhook/modelriver', async (req, res) => {
+        try {
+            await processModelRiverWebhook(req, res);
+        } catch (error) {
+            req.log.error('❌ Error processing webhook', { error: error.message, stack: error.stack });
+            if (!res.headersSent) {
+                res.status(500).json({ error: error.message });
+            }
+        }
+    });
+
+    /**
+     * Verify webhook signature using HMAC-SHA256
+     * 
+     * IMPORTANT: ModelRiver signs only the 'data' field (payload), NOT the full webhook body.
+     * The webhook body structure is:
+     * {
+     *   channel_id: "...",
+     *   timestamp: "...",
+     *   data: { ... },  // <-- This is what gets signed
+     *   callback_url: "..."
+     * }
+     * 
+     * The signature may match any active secret of the keyring (several are
+     * active while a secret is being rotated); the matching key is reported.
+     * 
+     * @param {object} req - Express request object with rawBody and body
+     * @param {object} [log=logger] - Logger bound to the webhook's request
+     * @returns {Promise<{ valid: boolean, keyId?: string, reason?: string, error?: string }>} reason is a metrics label (invalid_signature, ...)
+     */
+    async function verifyWebhookSignature(req, log = logger) {
+        const signature = req.headers['x-modelriver-signature'];
+        const timestamp = req.headers['x-modelriver-timestamp'];
+
+        // Check for required headers
+        if (!signature) {
+            return { valid: false, reason: 'missing_signature', error: 'Missing X-ModelRiver-Signature header' };
+        }
+        if (!timestamp) {
+            return { valid: false, reason: 'missing_timestamp', error: 'Missing X-ModelRiver-Timestamp header' };
+        }
+
+        // Reject stale (or far-future) timestamps so captured webhooks can't be replayed later
+        const freshness = checkTimestampFreshness(timestamp, config.webhookToleranceSeconds);
+        if (!freshness.valid) {
+            return { ...freshness, reason: 'invalid_timestamp' };
+        }
+
+        // Check for webhook secret configuration
+        const keys = await webhookKeyring.getActiveKeys();
+        if (keys.length === 0) {
+            if (await webhookKeyring.hasKeys()) {
+                return { valid: false, reason: 'no_active_secret', error: 'No active webhook secret' };
+            }
+            log.warn('⚠️  WEBHOOK_SECRET not set - signature verification disabled');
+            // In development, allow the request if secret is not configured
+            if (config.nodeEnv === 'development') {
+                log.warn('⚠️  Development mode: skipping signature verification');
+                return { valid: true };
+            }
+            return { valid: false, reason: 'secret_not_configured', error: 'Webhook secret not configured' };
+        }
+
+        // IMPORTANT: ModelRiver signs the 'data' field, not the entire body
+        // The signature is generated as: HMAC-SHA256(secret, "${timestamp}.${JSON.stringify(data)}")
+        const dataField = req.body.data;
+        let signedContent;
+        if (!dataField) {
+            log.debug('⚠️  No data field in webhook body, falling back to full body');
+            // Fall back to using the full body if data field is missing
+            signedContent = req.rawBody;
+        } else {
+            signedContent = JSON.stringify(dataField);
+            log.debug('🔐 Signature verification', {
+                timestamp,
+                data_keys: Object.keys(dataField),
+                active_keys: keys.length
+            });
+        }
+        const payload = `${timestamp}.${signedContent}`;
+
+        // Constant-time comparison against each active secret
+        const sigBuffer = Buffer.from(signature);
+        for (const key of keys) {
+            const expectedBuffer = Buffer.from(crypto
+                .createHmac('sha256', key.secret)
+                .update(payload)
+                .digest('hex'));
+
+            // Check buffer lengths first (if different, signatures can't match)
+            if (sigBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(sigBuffer, expectedBuffer)) {
+                return { valid: true, keyId: key.id };
+            }
+        }
+
+        return { valid: false, reason: 'invalid_signature', error: 'Invalid signature' };
+    }
+
+    async function processModelRiverWebhook(req, res) {
+        let deliveryKeys = [];
+        let messageId;
+        let conversationId;
+        let log = req.log.child({ channel_id: req.body?.channel_id });
+
+        try {
+            // ============================================
+            // Signature Verification
+            // ============================================
+            const signatureResult = await verifyWebhookSignature(req, log);
+            if (!signatureResult.valid) {
+                log.warn('❌ Webhook signature verification failed', { reason: signatureResult.error });
+                webhookSignatureFailures.inc({ reason: signatureResult.reason || 'unknown' });
+                return res.status(401).json({
+                    error: 'Unauthorized',
+                    message: signatureResult.error
+                });
+            }
+            if (signatureResult.keyId) {
+                webhookKeyring.markUsed(signatureResult.keyId);
+                webhookSignaturesVerified.inc({ key_id: signatureResult.keyId });
+            }
+            log.debug('✅ Webhook signature verified', { key_id: signatureResult.keyId || null });
+
+            // Normalize the webhook (standard or event-driven format) for its handler
+            const { channel_id } = req.body;
+            const storedRequest = (channel_id && await storage.get(COLLECTIONS.PENDING_REQUESTS, channel_id)) || null;
+            const pendingRequest = storedRequest || {};
+            const envelope = normalizeWebhook(req.body, req.headers, storedRequest);
+            const { status, data, meta, callbackUrl, callbackSource } = envelope;
+            const { prompt, messageId: customMessageId } = pendingRequest;
+            conversationId = pendingRequest.conversationId;
+
+            // Use the custom message ID generated before sending to ModelRiver
+            messageId = customMessageId || uuidv4();
+            log = log.child({ conversation_id: conversationId, message_id: messageId });
+
+            const route = webhookHandlers.resolve(envelope);
+            log.info('📥 Webhook received from ModelRiver', {
+                type: envelope.type || 'standard',
+                event: envelope.event,
+                status,
+                handler: route.name,
+                callback_url: callbackUrl,
+                has_ai_response: !!envelope.aiResponse,
+                signature_key_id: signatureResult.keyId || null
+            });
+            log.debug('📦 Webhook body', { body: req.body });
+
+            // The user stopped this request: nothing is saved or called back
+            if (storedRequest?.status === REQUEST_STATUS.CANCELLED) {
+                log.info('🛑 Webhook for a cancelled request - dropped');
+                return res.json({
+                    success: true,
+                    ignored: true,
+                    message: 'Request was cancelled',
+                    channel_id: channel_id
+                });
+            }
+
+            // ============================================
+            // Replay Protection (idempotent delivery)
+            // ============================================
+
+            deliveryKeys = getDeliveryKeys({
+                signature: req.headers['x-modelriver-signature'],
+                channelId: channel_id,
+                event: envelope.event || envelope.type
+            });
+            const delivery = await deliveryCache.claim(deliveryKeys, messageId);
+
+            if (delivery.duplicate) {
+                log.warn('♻️  Duplicate webhook delivery - already processed', { record_id: delivery.recordId });
+                return res.json({
+                    success: true,
+                    duplicate: true,
+                    message: 'Duplicate delivery ignored',
+                    record_id: delivery.recordId,
+                    channel_id: channel_id
+                });
+            }
+
+            if (pendingRequest.timestamp) {
+                chatToWebhookDuration.observe(
+                    { workflow: pendingRequest.workflow || 'unknown' },
+                    (Date.now() - pendingRequest.timestamp) / 1000
+                );
+            }
+
+            // ============================================
+            // Event Handler (what to store and call back)
+            // ============================================
+
+            const handled = await webhookHandlers.handle(envelope, { messageId, conversationId, log });
+            webhooksHandled.inc({ handler: handled.handler });
+
+            if (!handled.result) {
+                log.info('⏭️  Webhook acknowledged without processing', { handler: handled.handler, route: handled.route });
+                return res.json({
+                    success: true,
+                    ignored: true,
+                    message: 'Webhook acknowledged',
+                    channel_id: channel_id,
+                    handler: handled.handler
+                });
+            }
+            const { response: aiResponse } = handled.result;
+            let { callbackData } = handled.result;
+
+            // Create the enriched record (what would be saved to DB)
+            const record = {
+                id: messageId,
+                prompt: prompt || 'Unknown prompt',
+                response: aiResponse,
+                created_at: new Date().toISOString(),
+                channel_id,
+                conversation_id: conversationId,
+                // workflow and model let /usage attribute tokens and cost
+                workflow: pendingRequest.workflow || meta?.workflow || null,
+                model: meta?.used_model || meta?.model || data?.model || null,
+                usage: meta?.usage || data?.usage,
+                ...(pendingRequest.attachments && { attachments: pendingRequest.attachments })
+            };
+
+            // ModelRiver reported a failure: keep the record, but flag it (and leave it out of history)
+            if (status === 'error') {
+                record.status = 'error';
+                record.error = {
+                    code: 'MODELRIVER_ERROR',
+                    message: data?.error?.message || data?.message || 'ModelRiver reported an error'
+                };
+            }
+
+            // ============================================
+            // Structured Output Validation (per-workflow schema)
+            // ============================================
+
+            const schemaCheck = record.status === 'error'
+                ? { response: aiResponse, validation: null }
+                : responseSchemas.check(record.workflow, aiResponse);
+            const schemaRejected = schemaCheck.validation?.outcome === 'rejected';
+            if (schemaCheck.validation) {
+                record.validation = schemaCheck.validation;
+                schemaValidations.inc({ workflow: record.workflow, outcome: schemaCheck.validation.outcome });
+            }
+            if (schemaCheck.validation && !schemaCheck.validation.valid) {
+                log.warn('🧾 Response does not match the workflow schema', {
+                    workflow: record.workflow,
+                    outcome: schemaCheck.validation.outcome,
+                    errors: schemaCheck.validation.errors.slice(0, 5).map(error => `${error.path} ${error.message}`)
+                });
+            }
+            if (schemaCheck.response !== aiResponse) {
+                // Repaired: the callback carries the repaired response too when it is the same data
+                if (callbackData === aiResponse) {
+                    callbackData = schemaCheck.response;
+                }
+                record.response = schemaCheck.response;
+            }
+            if (schemaRejected) {
+                const [firstError] = schemaCheck.validation.errors;
+                record.status = 'error';
+                record.error = {
+                    code: 'SCHEMA_VALIDATION_FAILED',
+                    message: `Response does not match the ${record.workflow} schema: ${firstError.path} ${firstError.message}`
+                };
+            }
+
+            // ============================================
+            // Enrichment Pipeline (per-workflow processors)
+            // ============================================
+
+            // The workflow's processors transform the callback data (IDs, redaction, labels, ...);
+            // their flags are saved on the record, and an abort keeps the callback from being sent.
+            // Without a callback to enrich, redaction still applies to the record that is saved.
+            const enrichment = callbackData && !schemaRejected
+                ? await enrichmentPipeline.run(record.workflow, callbackData, {
+                    messageId,
+                    channelId: channel_id,
+                    conversationId,
+                    event: envelope.event || envelope.type,
+                    record,
+                    log
+                })
+                : { data: null, flags: enrichmentPipeline.applyToRecord(record.workflow, record), aborted: null, steps: [] };
+            if (enrichment.flags.length > 0) {
+                record.flags = enrichment.flags;
+            }
+            if (enrichment.aborted) {
+                // Withheld means withheld: not in the saved record, the SSE events or GET /conversations either
+                record.response = null;
+                if (!record.error) {
+                    record.status = 'error';
+                    record.error = {
+                        code: 'ENRICHMENT_ABORTED',
+                        message: `Response withheld by ${enrichment.aborted.processor}: ${enrichment.aborted.reason}`
+                    };
+                }
+            }
+
+            // Helper function to safely truncate response for logging
+            const truncateForLog = (value, maxLength = 50) => {
+                if (!value) return 'N/A';
+                if (typeof value === 'string') {
+                    return value.length > maxLength ? value.substring(0, maxLength) + '...' : value;
+                }
+                if (typeof value === 'object') {
+                    const str = JSON.stringify(value);
+                    return str.length > maxLength ? str.substring(0, maxLength) + '...' : str;
+                }
+                return String(value).substring(0, maxLength) + '...';
+            };
+
+            log.info('💾 Simulated DB Save', {
+                id: record.id,
+                prompt: truncateForLog(record.prompt),
+                response: truncateForLog(record.response)
+            });
+
+            // Save through the configured storage adapter
+            if (conversationId) {
+                await saveConversationRecord(conversationId, pendingRequest.ownerId, record);
+
+                conversationEvents.publish(
+                    conversationId,
+                    record.error ? EVENT_TYPES.REQUEST_ERROR : EVENT_TYPES.MESSAGE_CREATED,
+                    { channel_id, message_id: messageId, record, ...(record.error && { error: record.error }) }
+                );
+            } else {
+                log.warn('⚠️  No pending request for channel - record not attached to a conversation');
+            }
+
+            // Charge the tokens to the sender (for the quota and /usage), whatever becomes of the conversation
+            if (storedRequest) {
+                await usageLedger.record(pendingRequest.ownerId, record);
+            }
+
+            // Mark the pending request completed (kept for status lookups until the sweeper removes it)
+            if (channel_id) {
+                await storage.update(COLLECTIONS.PENDING_REQUESTS, channel_id, (request) => request && {
+                    ...request,
+                    status: REQUEST_STATUS.COMPLETED,
+                    finishedAt: new Date().toISOString(),
+                    recordId: messageId
+                });
+            }
+
+            // ============================================
+            // Send Callback Response (if callback_url provided)
+            // ============================================
+
+            if (callbackUrl && schemaRejected) {
+                log.warn('🚫 Schema validation failed - skipping callback', { callback_url: callbackUrl });
+            } else if (callbackUrl && !callbackData) {
+                log.info('⏭️  Handler sends no callback - skipping callback', { handler: handled.handler });
+            } else if (callbackUrl && enrichment.aborted) {
+                log.warn('🚫 Enrichment aborted - skipping callback', {
+                    callback_url: callbackUrl,
+                    processor: enrichment.aborted.processor,
+                    reason: enrichment.aborted.reason
+                });
+            } else if (callbackUrl) {
+                // The callback carries our API key, so only allowlisted ModelRiver URLs for this channel are used
+                const callbackCheck = await callbackUrlGuard.check(callbackUrl, { channelId: channel_id });
+
+                if (!callbackCheck.allowed) {
+                    log.warn('🚫 Callback URL rejected - skipping callback', {
+                        callback_url: callbackUrl,
+                        reason: callbackCheck.reason,
+                        detail: callbackCheck.message
+                    });
+                    await callbackRejections.record({
+                        url: String(callbackUrl),
+                        reason: callbackCheck.reason,
+                        message: callbackCheck.message,
+                        source: callbackSource,
+                        channelId: channel_id || null,
+                        conversationId: conversationId || null,
+                        requestId: req.id
+                    }).catch((auditError) => {
+                        log.error('❌ Failed to audit callback rejection', { error: auditError.message });
+                    });
+                } else {
+                    const callbackStartTime = Date.now();
+                    log.info('📤 Sending callback', { callback_url: callbackUrl });
+
+                    // ModelRiver expects data to be inside a "data" field
+                    const callbackPayload = {
+                        data: enrichment.data,
+                        task_id: messageId
+                    };
+
+                    log.debug('📦 Callback payload', { data_keys: Object.keys(callbackPayload.data) });
+
+                    // Deliver through the retry queue: the first attempt happens now,
+                    // failures are retried with backoff and end up in the dead-letter store
+                    try {
+                        const callbackResult = await callbackQueue.enqueue({
+                            url: callbackUrl,
+                            payload: callbackPayload,
+                            channelId: channel_id,
+                            conversationId,
+                            recordId: messageId
+                        });
+
+                        const callbackTotalDuration = Date.now() - callbackStartTime;
+                        if (callbackResult.delivered) {
+                            log.info('✅ Callback sent successfully', {
+                                status: callbackResult.status,
+                                request_duration_ms: callbackResult.durationMs,
+                                total_duration_ms: callbackTotalDuration
+                            });
+                        } else {
+                            log.warn('⚠️  Callback not delivered yet', {
+                                error: callbackResult.error,
+                                will_retry: !!callbackResult.willRetry,
+                                dead_lettered: !!callbackResult.deadLettered,
+                                job_id: callbackResult.jobId
+                            });
+                        }
+                    } catch (callbackError) {
+                        // Only reached if the job itself couldn't be stored
+                        log.error('❌ Failed to queue callback', { error: callbackError.message });
+                    }
+                }
+            } else {
+                log.info('⚠️  No callback_url provided - skipping callback', { body_keys: Object.keys(req.body) });
+            }
+
+            // Acknowledge webhook receipt
+            // Note: This response is sent immediately after callback is initiated
+            // The callback itself is handled asynchronously and logged separately
+            const webhookResponseTime = new Date().toISOString();
+
+            res.json({
+                success: true,
+                message: 'Webhook processed',
+                record_id: messageId,
+                channel_id: channel_id,
+                handler: handled.handler,
+                signature_key_id: signatureResult.keyId || null,
+                timestamp: webhookResponseTime
+            });
+
+            log.info('✅ Webhook processed', { record_id: messageId });
+
+        } catch (error) {
+            log.error('❌ Error processing webhook', { error: error.message });
+            if (!res.headersSent) {
+                // Let ModelRiver's redelivery be processed since this attempt failed
+                await deliveryCache.release(deliveryKeys, messageId).catch(() => { });
+                conversationEvents.publish(conversationId, EVENT_TYPES.REQUEST_ERROR, {
+                    channel_id: req.body?.channel_id,
+                    message_id: messageId,
+                    error: { code: 'WEBHOOK_PROCESSING_FAILED', message: error.message }
+                });
+                res.status(500).json({ error: error.message });
+            }
+        }
+    }
+
+    /**
+     * GET /conversations/:id
+     * 
+     * Retrieve conversation history (from the configured storage adapter).
+     * This and the other /conversations routes only see the caller's own conversations.
+     */
+    router.get('/conversations/:id', requireUser, async (req, res) => {
+        try {
+            const conversation = await getOwnedConversation(req, req.params.id);
+
+            if (!conversation) {
+                return res.status(404).json({ error: 'Conversation not found' });
+            }
+
+            res.json(conversation);
+        } catch (error) {
+            req.log.error('❌ Error reading conversation', { error: error.message });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * GET /conversations
+     * 
+     * List conversations with cursor pagination.
+     * 
+     * Query Parameters:
+     * - limit: page size (1-100, default 20)
+     * - cursor: next_cursor from the previous page
+     * - sort: lastActivityAt (default), createdAt or updatedAt
+     * - order: desc (default) or asc
+     * 
+     * Response:
+     * {
+     *   "conversations": [{ id, title, metadata, createdAt, updatedAt, lastActivityAt, messageCount, parentId, forkedFromMessageId }],
+     *   "next_cursor": "..." | null
+     * }
+     */
+    router.get('/conversations', requireUser, async (req, res) => {
+        try {
+            const sort = req.query.sort || 'lastActivityAt';
+            if (!CONVERSATION_SORT_FIELDS.includes(sort)) {
+                return res.status(400).json({ error: `sort must be one of: ${CONVERSATION_SORT_FIELDS.join(', ')}` });
+            }
+
+            const limit = parseLimit(req.query.limit);
+            const order = parseOrder(req.query.order, 'desc');
+
+            const summaries = (await storage.list(COLLECTIONS.CONVERSATIONS))
+                .filter((conversation) => auth.canAccess(req.user, conversation))
+                .map(toConversationSummary);
+            const page = paginate(summaries, {
+                getSortValue: (summary) => summary[sort],
+                limit,
+                cursor: req.query.cursor,
+                order
+            });
+
+            res.json({
+                conversations: page.items,
+                next_cursor: page.nextCursor
+            });
+        } catch (error) {
+            if (error instanceof PaginationError) {
+                return res.status(400).json({ error: error.message });
+            }
+            req.log.error('❌ Error listing conversations', { error: error.message });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * GET /conversations/:id/events
+     * 
+     * Server-Sent Events stream of updates for one conversation:
+     * request.pending, message.created, request.timeout and request.error.
+     * POST /chat creates the conversation, so subscribe after it returns conversation_id.
+     * EventSource can't send headers: pass the credential as ?access_token=.
+     * On reconnect, the events after its Last-Event-ID are replayed first.
+     * 
+     * Example event:
+     *   id: 12
+     *   event: message.created
+     *   data: { "type": "message.created", "conversation_id": "...", "channel_id": "...", "record": { ... } }
+     */
+    router.get('/conversations/:id/events', requireUserForStream, async (req, res) => {
+        try {
+            if (!await getOwnedConversation(req, req.params.id)) {
+                return res.status(404).json({ error: 'Conversation not found' });
+            }
+
+            req.log.info('📡 SSE subscriber connected', { conversation_id: req.params.id });
+            streamConversationEvents(res, conversationEvents, req.params.id, { lastEventId: req.get('Last-Event-ID') });
+        } catch (error) {
+            req.log.error('❌ Error opening event stream', { error: error.message });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * PATCH /conversations/:id
+     * 
+     * Update a conversation's title and/or metadata.
+     * Metadata keys are merged into the existing metadata; a null value removes the key.
+     * 
+     * Request Body:
+     * {
+     *   "title": "New title" | null,
+     *   "metadata": { "key": "value" }
+     * }
+     */
+    router.patch('/conversations/:id', requireUser, async (req, res) => {
+        try {
+            const { title, metadata } = req.body || {};
+
+            if (title !== undefined && title !== null &&
+                (typeof title !== 'string' || title.length > MAX_TITLE_LENGTH)) {
+                return res.status(400).json({ error: `title must be a string of at most ${MAX_TITLE_LENGTH} characters` });
+            }
+            if (metadata !== undefined &&
+                (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata))) {
+                return res.status(400).json({ error: 'metadata must be an object' });
+            }
+
+            if (!await getOwnedConversation(req, req.params.id)) {
+                return res.status(404).json({ error: 'Conversation not found' });
+            }
+
+            const updated = await storage.update(COLLECTIONS.CONVERSATIONS, req.params.id, (conversation) => {
+                if (!conversation) return null;
+
+                if (title !== undefined) {
+                    conversation.title = title === null ? null : title.trim();
+                }
+                if (metadata) {
+                    const merged = { ...(conversation.metadata || {}) };
+                    for (const [key, value] of Object.entries(metadata)) {
+                        if (value === null) {
+                            delete merged[key];
+                        } else {
+                            merged[key] = value;
+                        }
+                    }
+                    conversation.metadata = merged;
+                }
+                conversation.updatedAt = new Date().toISOString();
+                return conversation;
+            });
+
+            if (!updated) {
+                return res.status(404).json({ error: 'Conversation not found' });
+            }
+
+            res.json(toConversationSummary(updated));
+        } catch (error) {
+            req.log.error('❌ Error updating conversation', { error: error.message });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * DELETE /conversations/:id
+     * 
+     * Delete a conversation and any requests still pending for it.
+     * Its branches are kept (they become roots of their own trees), and so are
+     * the attachments of records they copied.
+     */
+    router.delete('/conversations/:id', requireUser, async (req, res) => {
+        try {
+            const conversation = await storage.get(COLLECTIONS.CONVERSATIONS, req.params.id);
+            if (conversation && !auth.canAccess(req.user, conversation)) {
+                return res.status(404).json({ error: 'Conversation not found' });
+            }
+            const deleted = conversation ? await storage.delete(COLLECTIONS.CONVERSATIONS, req.params.id) : false;
+
+            // Drop in-flight requests so a late webhook doesn't recreate the conversation
+            const pending = await storage.list(COLLECTIONS.PENDING_REQUESTS);
+            const orphaned = pending.filter((request) =>
+                request.conversationId === req.params.id && auth.canAccess(req.user, request));
+            await Promise.all(orphaned.map((request) => storage.delete(COLLECTIONS.PENDING_REQUESTS, request.channelId)));
+
+            if (!deleted && orphaned.length === 0) {
+                return res.status(404).json({ error: 'Conversation not found' });
+            }
+            const shared = new Set();
+            for (const other of await storage.list(COLLECTIONS.CONVERSATIONS)) {
+                for (const record of allVersions(other.messages)) {
+                    (record.attachments || []).forEach(attachment => shared.add(attachment.id));
+                }
+            }
+            await attachmentStore.deleteForConversation(req.params.id, shared);
+
+            res.status(204).end();
+        } catch (error) {
+            req.log.error('❌ Error deleting conversation', { error: error.message });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * GET /conversations/:id/messages
+     * 
+     * Page through the messages of a conversation.
+     * 
+     * Query Parameters:
+     * - limit: page size (1-100, default 20)
+     * - cursor: next_cursor from the previous page
+     * - order: asc (default, oldest first) or desc
+     * 
+     * Response:
+     * {
+     *   "messages": [...records],
+     *   "next_cursor": "..." | null
+     * }
+     */
+    router.get('/conversations/:id/messages', requireUser, async (req, res) => {
+        try {
+            const limit = parseLimit(req.query.limit);
+            const order = parseOrder(req.query.order, 'asc');
+
+            const conversation = await getOwnedConversation(req, req.params.id);
+            if (!conversation) {
+                return res.status(404).json({ error: 'Conversation not found' });
+            }
+
+            const page = paginate(conversation.messages, {
+                getSortValue: (record) => record.created_at,
+                limit,
+                cursor: req.query.cursor,
+                order
+            });
+
+            res.json({
+                messages: page.items,
+                next_cursor: page.nextCursor
+            });
+        } catch (error) {
+            if (error instanceof PaginationError) {
+                return res.status(400).json({ error: error.message });
+            }
+            req.log.error('❌ Error reading conversation messages', { error: error.message });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * POST /conversations/:id/fork
+     * 
+     * Branch a conversation at a message: a new conversation starts with the
+     * records up to and including that message (their selected versions), and
+     * its next /chat messages continue from there. The original is unchanged.
+     * 
+     * Request Body:
+     * {
+     *   "messageId": "...",   // optional, defaults to the last message
+     *   "title": "..."        // optional, defaults to the original's title
+     * }
+     * 
+     * Response (201): the new conversation, with parentId and forkedFromMessageId
+     */
+    router.post('/conversations/:id/fork', requireUser, async (req, res) => {
+        try {
+            const { messageId, title } = req.body || {};
+            if (messageId !== undefined && typeof messageId !== 'string') {
+                return res.status(400).json({ error: 'messageId must be a string' });
+            }
+            if (title !== undefined && title !== null &&
+                (typeof title !== 'string' || title.length > MAX_TITLE_LENGTH)) {
+                return res.status(400).json({ error: `title must be a string of at most ${MAX_TITLE_LENGTH} characters` });
+            }
+
+            const conversation = await getOwnedConversation(req, req.params.id);
+            if (!conversation) {
+                return res.status(404).json({ error: 'Conversation not found' });
+            }
+
+            const forkedFromMessageId = messageId || conversation.messages[conversation.messages.length - 1]?.id;
+            if (!forkedFromMessageId) {
+                return res.status(400).json({ error: 'Conversation has no messages to branch from' });
+            }
+
+            const branchId = uuidv4();
+            const messages = forkMessages(conversation, forkedFromMessageId, branchId);
+            if (!messages) {
+                return res.status(404).json({ error: 'Message not found' });
+            }
+
+            const now = new Date().toISOString();
+            const branch = {
+                id: branchId,
+                ownerId: conversation.ownerId,
+                title: title !== undefined ? title?.trim() || null : conversation.title || null,
+                metadata: { ...(conversation.metadata || {}) },
+                parentId: conversation.id,
+                forkedFromMessageId,
+                messages,
+                createdAt: now,
+                updatedAt: now,
+                lastActivityAt: now
+            };
+            await storage.set(COLLECTIONS.CONVERSATIONS, branchId, branch);
+
+            req.log.info('🌿 Conversation branched', {
+                conversation_id: branchId,
+                parent_id: conversation.id,
+                message_id: forkedFromMessageId
+            });
+            res.status(201).json(branch);
+        } catch (error) {
+            req.log.error('❌ Error branching conversation', { error: error.message });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * GET /conversations/:id/tree
+     * 
+     * The branches of the tree a conversation belongs to, from its root.
+     * 
+     * Response:
+     * {
+     *   "conversation_id": "...",   // the conversation asked about
+     *   "tree": { id, title, parent_id, forked_from_message_id, message_count, created_at, children: [...] }
+     * }
+     */
+    router.get('/conversations/:id/tree', requireUser, async (req, res) => {
+        try {
+            if (!await getOwnedConversation(req, req.params.id)) {
+                return res.status(404).json({ error: 'Conversation not found' });
+            }
+
+            const conversations = (await storage.list(COLLECTIONS.CONVERSATIONS))
+                .filter((conversation) => auth.canAccess(req.user, conversation));
+            res.json({
+                conversation_id: req.params.id,
+                tree: buildBranchTree(conversations, req.params.id)
+            });
+        } catch (error) {
+            req.log.error('❌ Error reading conversation tree', { error: error.message });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * GET /attachments/:id
+     * 
+     * An attachment uploaded with /chat, for thumbnails and downloads. Accepts
+     * ?access_token= like the event stream, since <img> can't set headers.
+     * Images are served inline; anything else as a download.
+     */
+    router.get('/attachments/:id', requireUserForStream, async (req, res) => {
+        try {
+            const attachment = await attachmentStore.get(req.params.id);
+            if (!attachment || !auth.canAccess(req.user, attachment)) {
+                return res.status(404).json({ error: 'Attachment not found' });
+            }
+
+            const content = await attachmentStore.read(attachment);
+            const disposition = attachment.mimeType.startsWith('image/') ? 'inline' : 'attachment';
+            res.set({
+                'Content-Type': attachment.mimeType,
+                'Content-Disposition': `${disposition}; filename="${encodeURIComponent(attachment.filename)}"`,
+                'X-Content-Type-Options': 'nosniff',
+                'Cache-Control': 'private, max-age=3600'
+            });
+            res.send(content);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return res.status(404).json({ error: 'Attachment not found' });
+            }
+            req.log.error('❌ Error reading attachment', { error: error.message });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // ============================================
+    // Usage Reporting
+    // ============================================
+
+    /**
+     * GET /usage
+     * 
+     * Token usage and cost totals from the usage ledger (admin). See usageReport.js.
+     * 
+     * Query Parameters:
+     * - group_by: comma-separated conversation, workflow, model, day (default workflow,model)
+     * - from / to: YYYY-MM-DD (whole UTC days, inclusive) or ISO timestamps
+     * - user: only this user's requests
+     * - format: json (default) or csv
+     * 
+     * Response:
+     * {
+     *   "group_by": ["workflow", "model"],
+     *   "from": null, "to": null, "currency": "USD",
+     *   "rows": [{ "workflow": "...", "model": "...", "requests": 3, "prompt_tokens": 120,
+     *              "completion_tokens": 300, "total_tokens": 420, "cost": 0.0033, "unpriced_requests": 0 }],
+     *   "totals": { ... }
+     * }
+     */
+    router.get('/usage', requireAdmin, async (req, res) => {
+        try {
+            const format = req.query.format || 'json';
+            if (!['json', 'csv'].includes(format)) {
+                throw new ApiError(400, ERROR_CODES.VALIDATION_FAILED, 'format must be json or csv');
+            }
+            const { groupBy, from, to } = parseUsageQuery(req.query);
+
+            const report = buildUsageReport(await usageLedger.list(), {
+                groupBy,
+                from,
+                to,
+                ownerId: typeof req.query.user === 'string' ? req.query.user : undefined,
+                prices: config.usagePriceTable,
+                currency: config.usageCurrency
+            });
+
+            if (format === 'csv') {
+                res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+                res.setHeader('Content-Disposition', `attachment; filename="usage-${new Date().toISOString().slice(0, 10)}.csv"`);
+                return res.send(toUsageCsv(report));
+            }
+            res.json(report);
+        } catch (error) {
+            if (!(error instanceof ApiError)) {
+                req.log.error('❌ Error building usage report', { error: error.message });
+            }
+            sendApiError(res, error);
+        }
+    });
+
+    // ============================================
+    // Admin: Webhook Secrets
+    // ============================================
+
+    /**
+     * GET /admin/webhook-secrets
+     * 
+     * List webhook secrets (without their values): status (active, expired,
+     * retired), source (config or admin), fingerprint and last use.
+     */
+    router.get('/admin/webhook-secrets', requireAdmin, async (req, res) => {
+        try {
+            res.json({ webhook_secrets: await webhookKeyring.list() });
+        } catch (error) {
+            req.log.error('❌ Error listing webhook secrets', { error: error.message });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * POST /admin/webhook-secrets
+     * 
+     * Add a webhook secret; it is active immediately. Without `secret`, a random
+     * one is generated. The secret is only ever returned in this response.
+     * 
+     * Request Body:
+     * {
+     *   "id": "2026-02",                    // optional, generated when omitted
+     *   "secret": "...",                    // optional, at least 16 characters
+     *   "expires_at": "2026-03-01T00:00:00Z" // optional
+     * }
+     */
+    router.post('/admin/webhook-secrets', requireAdmin, async (req, res) => {
+        try {
+            const { id, secret, expires_at: expiresAt } = req.body || {};
+            const problem = validateKey({ id, secret, expiresAt });
+            if (problem) {
+                return res.status(400).json({ error: problem });
+            }
+
+            const created = await webhookKeyring.add({ id, secret, expiresAt });
+            if (!created) {
+                return res.status(409).json({ error: `Webhook secret "${id}" already exists` });
+            }
+
+            req.log.info('🔑 Webhook secret added', { key_id: created.key.id, expires_at: created.key.expires_at });
+            res.status(201).json({ ...created.key, secret: created.secret });
+        } catch (error) {
+            req.log.error('❌ Error adding webhook secret', { error: error.message });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * PATCH /admin/webhook-secrets/:id
+     * 
+     * Set (or clear with null) a secret's expiry, e.g. a grace period for the
+     * previous secret while ModelRiver switches to the new one.
+     * 
+     * Request Body:
+     * {
+     *   "expires_at": "2026-02-01T12:15:00Z" | null
+     * }
+     */
+    router.patch('/admin/webhook-secrets/:id', requireAdmin, async (req, res) => {
+        try {
+            const expiresAt = req.body?.expires_at;
+            const problem = expiresAt === undefined ? 'expires_at is required' : validateKey({ expiresAt });
+            if (problem) {
+                return res.status(400).json({ error: problem });
+            }
+
+            const key = await webhookKeyring.setExpiry(req.params.id, expiresAt);
+            if (!key) {
+                return res.status(404).json({ error: 'Webhook secret not found' });
+            }
+
+            req.log.info('🔑 Webhook secret expiry set', { key_id: key.id, expires_at: key.expires_at });
+            res.json(key);
+        } catch (error) {
+            req.log.error('❌ Error updating webhook secret', { error: error.message });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * DELETE /admin/webhook-secrets/:id
+     * 
+     * Retire a secret now: webhooks signed with it are rejected from here on.
+     * The secret stays listed as retired.
+     */
+    router.delete('/admin/webhook-secrets/:id', requireAdmin, async (req, res) => {
+        try {
+            const key = await webhookKeyring.retire(req.params.id);
+            if (!key) {
+                return res.status(404).json({ error: 'Webhook secret not found' });
+            }
+
+            req.log.info('🔑 Webhook secret retired', { key_id: key.id });
+            res.json(key);
+        } catch (error) {
+            req.log.error('❌ Error retiring webhook secret', { error: error.message });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // ============================================
+    // Admin: Dead-Lettered Callbacks
+    // ============================================
+
+    /**
+     * Summarize a callback job for list responses (without its payload).
+     */
+    function toCallbackSummary(job) {
+        const { payload, ...summary } = job;
+        return summary;
+    }
+
+    /**
+     * GET /admin/callbacks/dead-letters
+     * 
+     * List callbacks that exhausted their retries, newest first.
+     * Supports the same limit/cursor pagination as GET /conversations.
+     */
+    router.get('/admin/callbacks/dead-letters', requireAdmin, async (req, res) => {
+        try {
+            const page = paginate(await callbackQueue.listDeadLetters(), {
+                getSortValue: (job) => job.deadLetteredAt,
+                limit: parseLimit(req.query.limit),
+                cursor: req.query.cursor,
+                order: 'desc'
+            });
+
+            res.json({
+                dead_letters: page.items.map(toCallbackSummary),
+                next_cursor: page.nextCursor
+            });
+        } catch (error) {
+            if (error instanceof PaginationError) {
+                return res.status(400).json({ error: error.message });
+            }
+            req.log.error('❌ Error listing dead letters', { error: error.message });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * GET /admin/callbacks/pending
+     * 
+     * List callbacks waiting for a retry.
+     */
+    router.get('/admin/callbacks/pending', requireAdmin, async (req, res) => {
+        try {
+            const jobs = await callbackQueue.listPending();
+            res.json({ pending: jobs.map(toCallbackSummary) });
+        } catch (error) {
+            req.log.error('❌ Error listing pending callbacks', { error: error.message });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * GET /admin/callbacks/rejections
+     * 
+     * Audit log of callback URLs refused by the callback guard (host, path,
+     * channel or private-address violations), newest first. Kept for 7 days.
+     * Supports the same limit/cursor pagination as GET /conversations.
+     */
+    router.get('/admin/callbacks/rejections', requireAdmin, async (req, res) => {
+        try {
+            const page = paginate(await callbackRejections.list(), {
+                getSortValue: (rejection) => rejection.rejectedAt,
+                limit: parseLimit(req.query.limit),
+                cursor: req.query.cursor,
+                order: 'desc'
+            });
+
+            res.json({
+                rejections: page.items,
+                next_cursor: page.nextCursor
+            });
+        } catch (error) {
+            if (error instanceof PaginationError) {
+                return res.status(400).json({ error: error.message });
+            }
+            req.log.error('❌ Error listing callback rejections', { error: error.message });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * GET /admin/callbacks/dead-letters/:id
+     * 
+     * Inspect a dead-lettered callback, including its payload and last error.
+     */
+    router.get('/admin/callbacks/dead-letters/:id', requireAdmin, async (req, res) => {
+        try {
+            const deadLetter = await callbackQueue.getDeadLetter(req.params.id);
+            if (!deadLetter) {
+                return res.status(404).json({ error: 'Dead letter not found' });
+            }
+            res.json(deadLetter);
+        } catch (error) {
+            req.log.error('❌ Error reading dead letter', { error: error.message });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * POST /admin/callbacks/dead-letters/:id/redrive
+     * 
+     * Put a dead-lettered callback back into the retry queue and attempt it now.
+     */
+    router.post('/admin/callbacks/dead-letters/:id/redrive', requireAdmin, async (req, res) => {
+        try {
+            const result = await callbackQueue.redrive(req.params.id);
+            if (!result) {
+                return res.status(404).json({ error: 'Dead letter not found' });
+            }
+            res.json(result);
+        } catch (error) {
+            req.log.error('❌ Error re-driving dead letter', { error: error.message });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * DELETE /admin/callbacks/dead-letters/:id
+     * 
+     * Discard a dead-lettered callback.
+     */
+    router.delete('/admin/callbacks/dead-letters/:id', requireAdmin, async (req, res) => {
+        try {
+            const deleted = await callbackQueue.deleteDeadLetter(req.params.id);
+            if (!deleted) {
+                return res.status(404).json({ error: 'Dead letter not found' });
+            }
+            res.status(204).end();
+        } catch (error) {
+            req.log.error('❌ Error deleting dead letter', { error: error.message });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * GET /health
+     * 
+     * Health check endpoint
+     */
+    router.get('/health', (req, res) => {
+        res.json({
+            status: 'ok',
+            timestamp: new Date().toISOString(),
+            config: {
+                modelriver_api_url: config.modelRiverApiUrl,
+                backend_public_url: config.publicUrl,
+                storage_adapter: storage.name,
+                auth_mode: auth.mode,
+                api_key_configured: !!config.modelRiverApiKey
+            }
+        });
+    });
+
+    /**
+     * GET /metrics
+     * 
+     * Prometheus text format: /chat counts and latency, ModelRiver response
+     * statuses, webhook signature failures, /chat-to-webhook time per workflow,
+     * callback attempts and durations, and stored collection sizes.
+     * Requires `Authorization: Bearer <METRICS_TOKEN>` when METRICS_TOKEN is set.
+     */
+    router.get('/metrics', async (req, res) => {
+        if (config.metricsToken) {
+            const provided = Buffer.from(String(req.headers.authorization || ''));
+            const expected = Buffer.from(`Bearer ${config.metricsToken}`);
+            if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+        }
+
+        try {
+            res.setHeader('Content-Type', metrics.contentType);
+            res.send(await metrics.render());
+        } catch (error) {
+            req.log.error('❌ Error rendering metrics', { error: error.message });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Malformed JSON, oversized bodies and anything else that escaped a route
+    router.use((error, req, res, next) => {
+        if (error.type === 'entity.parse.failed') {
+            return sendApiError(res, new ApiError(400, ERROR_CODES.INVALID_JSON, 'Request body is not valid JSON'));
+        }
+        if (error.type === 'entity.too.large') {
+            return sendApiError(res, new ApiError(413, ERROR_CODES.PAYLOAD_TOO_LARGE, 'Request body is too large'));
+        }
+        (req.log || logger).error('❌ Unhandled error', { error: error.message, stack: error.stack });
+        sendApiError(res, error);
+    });
+
+    // ============================================
+    // Lifecycle
+    // ============================================
+
+    let pruneInterval = null;
+
+    /**
+     * Start background work: the pending request sweeper, callback retries left
+     * over from a previous run, and pruning of old deliveries, rejections, idempotency keys
+     * and usage ledger entries.
+     * 
+     * @returns {Promise<number>} Number of callbacks resumed
+     */
+    router.start = () => {
+        pendingSweeper.start();
+
+        if (!pruneInterval) {
+            pruneInterval = setInterval(() => {
+                deliveryCache.prune().catch((error) => {
+                    logger.error('❌ Error pruning webhook deliveries', { error: error.message });
+                });
+                callbackRejections.prune().catch((error) => {
+                    logger.error('❌ Error pruning callback rejections', { error: error.message });
+                });
+                idempotencyStore.prune().catch((error) => {
+                    logger.error('❌ Error pruning idempotency keys', { error: error.message });
+                });
+                usageLedger.prune().catch((error) => {
+                    logger.error('❌ Error pruning the usage ledger', { error: error.message });
+                });
+                chatRateLimiter.prune();
+                signInRateLimiter.prune();
+            }, PRUNE_INTERVAL_MS);
+            pruneInterval.unref();
+        }
+
+        return callbackQueue.start();
+    };
+
+    /**
+     * Stop background work. The storage belongs to the caller, who closes it.
+     */
+    router.stop = () => {
+        callbackQueue.stop();
+        pendingSweeper.stop();
+        clearInterval(pruneInterval);
+        pruneInterval = null;
+    };
+
+    return router;
+}
+
+module.exports = {
+    createChatRouter
+};
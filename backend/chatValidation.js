@@ -0,0 +1,110 @@
+/**
+ * Chat Request Validation
+ *
+ * Checks the body of POST /chat before anything is sent to ModelRiver.
+ * Every problem is reported (not just the first) as
+ * { field, code, message } in the error's details.
+ */
+
+const { ApiError, ERROR_CODES } = require('./apiErrors');
+
+const DEFAULT_MAX_MESSAGE_LENGTH = 4000;
+
+// Conversation IDs are UUIDs generated by the backend
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Validate and normalize a POST /chat body.
+ *
+ * @param {*} body - Parsed JSON body
+ * @param {object} options
+ * @param {string[]} options.allowedWorkflows - The first entry is used when no workflow is given
+ * @param {string[]} options.allowedEvents
+ * @param {number} [options.maxMessageLength=4000]
+ * @returns {{ message: string, conversationId?: string, workflow: string, events?: string[] }}
+ * @throws {ApiError} 400 VALIDATION_FAILED
+ */
+function validateChatRequest(body, {
+    allowedWorkflows,
+    allowedEvents,
+    maxMessageLength = DEFAULT_MAX_MESSAGE_LENGTH
+}) {
+    const errors = [];
+    const addError = (field, code, message) => errors.push({ field, code, message });
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new ApiError(400, ERROR_CODES.VALIDATION_FAILED, 'Request body must be a JSON object', [
+            { field: 'body', code: 'type', message: 'Request body must be a JSON object' }
+        ]);
+    }
+
+    const { message, conversationId, workflow, events } = body;
+
+    if (message === undefined || message === null || (typeof message === 'string' && message.trim() === '')) {
+        addError('message', 'required', 'Message is required');
+    } else if (typeof message !== 'string') {
+        addError('message', 'type', 'message must be a string');
+    } else if (message.length > maxMessageLength) {
+        addError('message', 'too_long', `message must be at most ${maxMessageLength} characters`);
+    }
+
+    if (conversationId !== undefined && conversationId !== null &&
+        (typeof conversationId !== 'string' || !UUID_PATTERN.test(conversationId))) {
+        addError('conversationId', 'format', 'conversationId must be a UUID');
+    }
+
+    if (workflow !== undefined && workflow !== null) {
+        if (typeof workflow !== 'string') {
+            addError('workflow', 'type', 'workflow must be a string');
+        } else if (!allowedWorkflows.includes(workflow)) {
+            addError('workflow', 'not_allowed', `workflow must be one of: ${allowedWorkflows.join(', ')}`);
+        }
+    }
+
+    if (events !== undefined && events !== null) {
+        if (!Array.isArray(events) || events.some(event => typeof event !== 'string')) {
+            addError('events', 'type', 'events must be an array of strings');
+        } else {
+            const notAllowed = events.filter(event => !allowedEvents.includes(event));
+            if (notAllowed.length > 0) {
+                addError('events', 'not_allowed', `Unknown event(s): ${notAllowed.join(', ')}. Allowed: ${allowedEvents.join(', ')}`);
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ApiError(400, ERROR_CODES.VALIDATION_FAILED, errors[0].message, errors);
+    }
+
+    return {
+        message,
+        conversationId: conversationId || undefined,
+        workflow: workflow || allowedWorkflows[0],
+        events: events || undefined
+    };
+}
+
+/**
+ * Turn multipart form fields into the shape of a JSON /chat body.
+ * Fields arrive as strings: events may be repeated or sent as a JSON array.
+ *
+ * @param {object} fields - Text fields parsed from multipart/form-data
+ * @returns {object}
+ */
+function fromMultipartFields(fields) {
+    const body = { ...fields };
+    if (typeof body.events === 'string') {
+        try {
+            body.events = body.events.trim().startsWith('[') ? JSON.parse(body.events) : [body.events];
+        } catch {
+            // Left as a string, so validation reports it
+        }
+    }
+    return body;
+}
+
+module.exports = {
+    DEFAULT_MAX_MESSAGE_LENGTH,
+    validateChatRequest,
+    fromMultipartFields
+};
@@ -0,0 +1,96 @@
+/**
+ * Chat Request Validation Unit Tests
+ *
+ * Tests for POST /chat body validation
+ */
+
+const { validateChatRequest, fromMultipartFields } = require('./chatValidation');
+const { ApiError } = require('./apiErrors');
+
+describe('Chat Request Validation', () => {
+    const options = {
+        allowedWorkflows: ['mr_chatbot_workflow', 'support_workflow'],
+        allowedEvents: ['webhook_received', 'new_chat'],
+        maxMessageLength: 10
+    };
+
+    const validationErrors = (body) => {
+        try {
+            validateChatRequest(body, options);
+        } catch (error) {
+            expect(error).toBeInstanceOf(ApiError);
+            expect(error.status).toBe(400);
+            expect(error.code).toBe('VALIDATION_FAILED');
+            return error.details;
+        }
+        throw new Error('expected validation to fail');
+    };
+
+    it('should accept a minimal body and default the workflow', () => {
+        expect(validateChatRequest({ message: 'Hello' }, options)).toEqual({
+            message: 'Hello',
+            conversationId: undefined,
+            workflow: 'mr_chatbot_workflow',
+            events: undefined
+        });
+    });
+
+    it('should accept allowed workflows, events and a UUID conversation ID', () => {
+        const body = {
+            message: 'Hello',
+            conversationId: '550e8400-e29b-41d4-a716-446655440000',
+            workflow: 'support_workflow',
+            events: ['new_chat']
+        };
+
+        expect(validateChatRequest(body, options)).toEqual(body);
+    });
+
+    it('should reject missing, blank, non-string and too long messages', () => {
+        expect(validationErrors({})[0]).toMatchObject({ field: 'message', code: 'required' });
+        expect(validationErrors({ message: '   ' })[0].code).toBe('required');
+        expect(validationErrors({ message: 42 })[0].code).toBe('type');
+        expect(validationErrors({ message: 'x'.repeat(11) })[0]).toMatchObject({
+            code: 'too_long',
+            message: 'message must be at most 10 characters'
+        });
+    });
+
+    it('should reject unknown workflows and events', () => {
+        expect(validationErrors({ message: 'Hi', workflow: 'other' })[0]).toMatchObject({
+            field: 'workflow',
+            code: 'not_allowed'
+        });
+        expect(validationErrors({ message: 'Hi', events: ['new_chat', 'evil'] })[0]).toMatchObject({
+            field: 'events',
+            code: 'not_allowed',
+            message: 'Unknown event(s): evil. Allowed: webhook_received, new_chat'
+        });
+        expect(validationErrors({ message: 'Hi', events: 'new_chat' })[0].code).toBe('type');
+    });
+
+    it('should reject conversation IDs that are not UUIDs', () => {
+        expect(validationErrors({ message: 'Hi', conversationId: '../etc/passwd' })[0]).toMatchObject({
+            field: 'conversationId',
+            code: 'format'
+        });
+    });
+
+    it('should report every invalid field', () => {
+        const details = validationErrors({ message: '', workflow: 1, conversationId: 'x' });
+        expect(details.map(detail => detail.field)).toEqual(['message', 'conversationId', 'workflow']);
+    });
+
+    it('should reject non-object bodies', () => {
+        expect(validationErrors([])[0].field).toBe('body');
+    });
+
+    it('should read events from multipart fields', () => {
+        expect(fromMultipartFields({ message: 'Hi', events: '["new_chat"]' }).events).toEqual(['new_chat']);
+        expect(fromMultipartFields({ message: 'Hi', events: 'new_chat' }).events).toEqual(['new_chat']);
+        expect(fromMultipartFields({ message: 'Hi', events: ['new_chat', 'webhook_received'] }).events)
+            .toEqual(['new_chat', 'webhook_received']);
+        expect(fromMultipartFields({ message: 'Hi' })).toEqual({ message: 'Hi' });
+        expect(validationErrors(fromMultipartFields({ message: 'Hi', events: '[oops' }))[0].field).toBe('events');
+    });
+});
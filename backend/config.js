@@ -0,0 +1,169 @@
+/**
+ * Configuration
+ *
+ * Reads the backend's environment variables into the plain config object
+ * taken by createApp / createChatRouter. Embedding apps can build that object
+ * themselves; any key they leave out falls back to the defaults below.
+ *
+ *   const config = loadConfig();                    // process.env
+ *   const config = { ...loadConfig({}), publicUrl }; // defaults plus overrides
+ */
+
+const path = require('path');
+const { DEFAULT_MAX_CHARS, DEFAULT_MAX_TURNS } = require('./history');
+const { DEFAULT_MAX_MESSAGE_LENGTH } = require('./chatValidation');
+const { parseApiKeys } = require('./auth');
+const { parseLimitOverrides } = require('./usage');
+const { parsePriceTable } = require('./usageReport');
+const { parsePipelineConfig } = require('./enrichment');
+const { parseWebhookSecrets } = require('./webhookSecrets');
+const { parseHandlerRoutes } = require('./webhookHandlers');
+const { parseSchemaConfig } = require('./responseSchemas');
+const { DEFAULT_MAX_BYTES, DEFAULT_MAX_FILES, DEFAULT_ALLOWED_TYPES } = require('./attachments');
+
+const parseList = (value, fallback) => (value || fallback).split(',').map(item => item.trim()).filter(Boolean);
+
+// Positive integer, or the default when unset or invalid
+const parsePositive = (value, fallback) => parseInt(value, 10) || fallback;
+
+// Like parsePositive, but an explicit 0 (or anything invalid) disables the setting
+const parseDisableable = (value, fallback) => (value !== undefined ? parseInt(value, 10) || 0 : fallback);
+
+// Express "trust proxy": true/false, a number of proxy hops, or a list of proxy addresses / subnets
+const parseTrustProxy = (value) => {
+    if (!value || value === 'false') return false;
+    if (value === 'true') return true;
+    if (/^\d+$/.test(value)) return parseInt(value, 10);
+    return parseList(value);
+};
+
+/**
+ * Build the backend configuration from environment variables.
+ *
+ * @param {object} [env=process.env]
+ * @returns {object} Config for createApp / createChatRouter
+ */
+function loadConfig(env = process.env) {
+    const port = parsePositive(env.PORT, 4000);
+
+    return {
+        port,
+        nodeEnv: env.NODE_ENV,
+
+        // ModelRiver API settings
+        modelRiverApiUrl: env.MODELRIVER_API_URL || 'https://api.modelriver.com',
+        modelRiverApiKey: env.MODELRIVER_API_KEY,
+        modelRiverTimeoutMs: parsePositive(env.MODELRIVER_TIMEOUT_MS, 30000),
+        // Path ModelRiver accepts request cancellations on (":channelId" is replaced); unset when not supported
+        modelRiverCancelPath: env.MODELRIVER_CANCEL_PATH || null,
+        webhookSecret: env.WEBHOOK_SECRET,
+        // Further webhook secrets for rotation: JSON array of { id, secret, expires_at }
+        webhookSecrets: parseWebhookSecrets(env.WEBHOOK_SECRETS),
+
+        // This server's public URL (for the webhook_url sent to ModelRiver); a router's
+        // mount path is appended, so this is the origin (plus any proxy prefix)
+        publicUrl: env.BACKEND_PUBLIC_URL || `http://localhost:${port}`,
+
+        // POST /chat validation: workflows and event names clients may request.
+        // The first workflow is the default.
+        allowedWorkflows: parseList(env.ALLOWED_WORKFLOWS, 'mr_chatbot_workflow'),
+        allowedEvents: parseList(env.ALLOWED_EVENTS, 'webhook_received,new_chat'),
+        chatMaxMessageLength: parsePositive(env.CHAT_MAX_MESSAGE_LENGTH, DEFAULT_MAX_MESSAGE_LENGTH),
+
+        // How long a POST /chat Idempotency-Key is remembered (0 ignores the header)
+        idempotencyTtlSeconds: parseDisableable(env.IDEMPOTENCY_TTL_SECONDS, 24 * 60 * 60),
+
+        // Attachments on POST /chat (multipart): files per message (0 disables), bytes per file,
+        // allowed types, and the directory they are stored in
+        attachmentMaxFiles: parseDisableable(env.ATTACHMENT_MAX_FILES, DEFAULT_MAX_FILES),
+        attachmentMaxBytes: parsePositive(env.ATTACHMENT_MAX_BYTES, DEFAULT_MAX_BYTES),
+        attachmentAllowedTypes: parseList(env.ATTACHMENT_ALLOWED_TYPES, DEFAULT_ALLOWED_TYPES.join(',')),
+        attachmentsDir: env.ATTACHMENTS_DIR || path.join(__dirname, 'data', 'attachments'),
+
+        // Replay protection: max age of X-ModelRiver-Timestamp (0 disables) and how long deliveries are remembered
+        webhookToleranceSeconds: parseDisableable(env.WEBHOOK_TOLERANCE_SECONDS, 300),
+        webhookDeliveryTtlSeconds: parsePositive(env.WEBHOOK_DELIVERY_TTL_SECONDS, 86400),
+
+        // Conversation history budget (prior turns sent to ModelRiver with each message; 0 max turns sends none)
+        chatHistoryMaxChars: parsePositive(env.CHAT_HISTORY_MAX_CHARS, DEFAULT_MAX_CHARS),
+        chatHistoryMaxTurns: parseDisableable(env.CHAT_HISTORY_MAX_TURNS, DEFAULT_MAX_TURNS),
+
+        // Callback delivery retries (exponential backoff with jitter, then dead-letter store)
+        callbackTimeoutMs: parsePositive(env.CALLBACK_TIMEOUT_MS, 30000),
+        callbackMaxAttempts: parsePositive(env.CALLBACK_MAX_ATTEMPTS, 5),
+        callbackRetryBaseDelayMs: parsePositive(env.CALLBACK_RETRY_BASE_DELAY_MS, 1000),
+        callbackRetryMaxDelayMs: parsePositive(env.CALLBACK_RETRY_MAX_DELAY_MS, 60000),
+
+        // Callback targets: hosts (null = the ModelRiver API host) and path templates callbacks may go to.
+        // Private networks (and plain http) are only for local development against the mock.
+        callbackAllowedHosts: env.CALLBACK_ALLOWED_HOSTS ? parseList(env.CALLBACK_ALLOWED_HOSTS) : null,
+        callbackAllowedPaths: parseList(env.CALLBACK_ALLOWED_PATHS, '/v1/callback/:channelId,/callback/:channelId'),
+        callbackAllowPrivateNetworks: env.CALLBACK_ALLOW_PRIVATE_NETWORKS === 'true',
+
+        // Pending requests: how long to wait for the webhook, and how long finished requests stay queryable
+        pendingRequestTtlMs: parsePositive(env.PENDING_REQUEST_TTL_MS, 5 * 60 * 1000),
+        pendingRequestRetentionMs: parsePositive(env.PENDING_REQUEST_RETENTION_MS, 60 * 60 * 1000),
+        pendingSweepIntervalMs: parsePositive(env.PENDING_SWEEP_INTERVAL_MS, 15000),
+
+        // Webhook enrichment: workflow -> processor names run on the callback data ("*" for any other workflow)
+        enrichmentPipelines: parsePipelineConfig(env.ENRICHMENT_PIPELINES),
+
+        // Structured output: workflow -> JSON Schema (or built-in schema name), and what to do
+        // with a response that doesn't match: reject, repair (fill in defaults) or pass
+        responseSchemas: parseSchemaConfig(env.RESPONSE_SCHEMAS),
+        responseSchemaPolicy: env.RESPONSE_SCHEMA_POLICY || 'repair',
+
+        // Webhook event handlers: "event:<name>" / "type:<type>" / "*" (unknown events) -> handler name
+        webhookHandlers: parseHandlerRoutes(env.WEBHOOK_HANDLERS),
+
+        // Key for the /admin routes (admin API is disabled when unset)
+        adminApiKey: env.ADMIN_API_KEY,
+
+        // End-user authentication for /chat and /conversations: none (default), api_key or token.
+        // AUTH_API_KEYS is "userId:key,userId:key"; session tokens are signed with AUTH_TOKEN_SECRET.
+        authMode: env.AUTH_MODE || 'none',
+        authApiKeys: parseApiKeys(env.AUTH_API_KEYS),
+        authTokenSecret: env.AUTH_TOKEN_SECRET,
+        authTokenTtlSeconds: parsePositive(env.AUTH_TOKEN_TTL_SECONDS, 8 * 60 * 60),
+        // Sign-in attempts (POST /auth/session) per client IP and window, against API key guessing (0 disables)
+        authSignInRateLimit: parseDisableable(env.AUTH_SIGNIN_RATE_LIMIT, 10),
+        authSignInRateLimitWindowMs: parsePositive(env.AUTH_SIGNIN_RATE_LIMIT_WINDOW_MS, 15 * 60 * 1000),
+
+        // Per-user limits on /chat (0 disables, the default): requests per window, and a rolling token quota summed from record usage.
+        // Off by default because with AUTH_MODE=none every client is the same "anonymous" user.
+        // TOKEN_QUOTA_OVERRIDES is "userId:tokens,userId:tokens".
+        chatRateLimit: parseDisableable(env.CHAT_RATE_LIMIT, 0),
+        chatRateLimitWindowMs: parsePositive(env.CHAT_RATE_LIMIT_WINDOW_MS, 60 * 1000),
+        tokenQuota: parseDisableable(env.TOKEN_QUOTA, 0),
+        tokenQuotaWindowMs: parsePositive(env.TOKEN_QUOTA_WINDOW_MS, 24 * 60 * 60 * 1000),
+        tokenQuotaOverrides: parseLimitOverrides(env.TOKEN_QUOTA_OVERRIDES),
+
+        // Usage report pricing: JSON of model -> { prompt, completion } price per 1M tokens ("*" for any other model)
+        usagePriceTable: parsePriceTable(env.USAGE_PRICE_TABLE),
+        usageCurrency: env.USAGE_CURRENCY || 'USD',
+        // Days usage ledger entries are kept for /usage (0 keeps them forever); never less than the token quota window
+        usageRetentionDays: parseDisableable(env.USAGE_RETENTION_DAYS, 90),
+
+        // Browser origins allowed to call the API ('*' allows any); used by createApp only
+        corsOrigins: parseList(env.CORS_ORIGINS, 'http://localhost:3006'),
+        // Reverse proxies whose X-Forwarded-For is believed, so req.ip is the client (per-IP sign-in limit); used by createApp only
+        trustProxy: parseTrustProxy(env.TRUST_PROXY),
+
+        // Bearer token Prometheus must send to GET /metrics (open when unset)
+        metricsToken: env.METRICS_TOKEN,
+
+        // Storage adapter: 'memory' (default, lost on restart) or 'file' (JSON file on disk)
+        storageAdapter: env.STORAGE_ADAPTER || 'memory',
+        storageFilePath: env.STORAGE_FILE_PATH || path.join(__dirname, 'data', 'storage.json'),
+
+        // Logging: level, output format (JSON lines in production, pretty otherwise) and content masking
+        logLevel: env.LOG_LEVEL || 'info',
+        logFormat: env.LOG_FORMAT || (env.NODE_ENV === 'production' ? 'json' : 'pretty'),
+        logRedactContent: env.LOG_REDACT_CONTENT === 'true'
+    };
+}
+
+module.exports = {
+    parseList,
+    loadConfig
+};
@@ -0,0 +1,74 @@
+/**
+ * Configuration Unit Tests
+ *
+ * Tests for reading environment variables into the app config
+ */
+
+const { loadConfig } = require('./config');
+
+describe('Configuration', () => {
+    it('should fall back to the defaults', () => {
+        const config = loadConfig({});
+
+        expect(config).toMatchObject({
+            port: 4000,
+            modelRiverApiUrl: 'https://api.modelriver.com',
+            publicUrl: 'http://localhost:4000',
+            allowedWorkflows: ['mr_chatbot_workflow'],
+            webhookToleranceSeconds: 300,
+            callbackAllowedHosts: null,
+            authMode: 'none',
+            authSignInRateLimit: 10,
+            chatRateLimit: 0,
+            tokenQuota: 0,
+            usageRetentionDays: 90,
+            corsOrigins: ['http://localhost:3006'],
+            trustProxy: false,
+            storageAdapter: 'memory',
+            logFormat: 'pretty'
+        });
+    });
+
+    it('should parse lists, numbers and switches from the environment', () => {
+        const config = loadConfig({
+            PORT: '5000',
+            NODE_ENV: 'production',
+            ALLOWED_WORKFLOWS: 'support, sales',
+            CALLBACK_ALLOWED_HOSTS: 'api.modelriver.com,eu.modelriver.com',
+            CALLBACK_ALLOW_PRIVATE_NETWORKS: 'true',
+            WEBHOOK_TOLERANCE_SECONDS: '0',
+            CHAT_RATE_LIMIT: '20',
+            CHAT_HISTORY_MAX_TURNS: '0',
+            AUTH_API_KEYS: 'alice:key_1',
+            TOKEN_QUOTA_OVERRIDES: 'alice:500',
+            USAGE_RETENTION_DAYS: '0',
+            TRUST_PROXY: '1'
+        });
+
+        expect(config).toMatchObject({
+            port: 5000,
+            publicUrl: 'http://localhost:5000',
+            allowedWorkflows: ['support', 'sales'],
+            callbackAllowedHosts: ['api.modelriver.com', 'eu.modelriver.com'],
+            callbackAllowPrivateNetworks: true,
+            webhookToleranceSeconds: 0,
+            chatRateLimit: 20,
+            chatHistoryMaxTurns: 0,
+            authApiKeys: [{ userId: 'alice', key: 'key_1' }],
+            tokenQuotaOverrides: { alice: 500 },
+            usageRetentionDays: 0,
+            trustProxy: 1,
+            logFormat: 'json'
+        });
+
+        expect(loadConfig({ TRUST_PROXY: 'true' }).trustProxy).toBe(true);
+        expect(loadConfig({ TRUST_PROXY: 'loopback, 10.0.0.0/8' }).trustProxy).toEqual(['loopback', '10.0.0.0/8']);
+    });
+
+    it('should reject malformed values', () => {
+        expect(() => loadConfig({ TOKEN_QUOTA_OVERRIDES: 'alice:lots' })).toThrow('expected userId:tokens');
+        expect(() => loadConfig({ USAGE_PRICE_TABLE: '{nope' })).toThrow('not valid JSON');
+        expect(() => loadConfig({ WEBHOOK_HANDLERS: '{"*": 1}' })).toThrow('WEBHOOK_HANDLERS must be an object');
+        expect(() => loadConfig({ RESPONSE_SCHEMAS: '["structured_chat"]' })).toThrow('RESPONSE_SCHEMAS must be an object');
+    });
+});
@@ -0,0 +1,86 @@
+/**
+ * Conversation Branches
+ *
+ * Forking a conversation at a message starts a new conversation (a branch)
+ * with a copy of the records up to and including that message. Its next
+ * /chat messages are answered with that shared history and nothing after it.
+ *
+ * Branches remember where they came from, so the conversations descending
+ * from one root form a tree:
+ *
+ *   { "id": "root", "parentId": null, ... }
+ *   { "id": "branch", "parentId": "root", "forkedFromMessageId": "<record id in root>", ... }
+ *
+ * Copied records are flagged with `inherited_from` (the conversation they
+ * were first answered in). Forking uses no tokens: the usage ledger already
+ * has the requests that answered them.
+ */
+
+/**
+ * The records a branch starts with: the selected version of each record up to
+ * and including messageId (alternate versions stay with the parent).
+ *
+ * @param {object} conversation - The conversation forked
+ * @param {string} messageId - The last record the branch shares
+ * @param {string} branchId - ID of the new conversation
+ * @returns {object[]|null} Copied records, or null when there is no such record
+ */
+function forkMessages(conversation, messageId, branchId) {
+    const index = conversation.messages.findIndex(record => record.id === messageId);
+    if (index === -1) return null;
+
+    return conversation.messages.slice(0, index + 1).map((record) => {
+        const copy = { ...record, conversation_id: branchId, inherited_from: record.inherited_from || conversation.id };
+        delete copy.version;
+        delete copy.versions;
+        return copy;
+    });
+}
+
+/**
+ * The tree of branches a conversation belongs to, from its root.
+ * A branch whose parent is gone (deleted, or not visible) is shown as a root.
+ *
+ * @param {object[]} conversations - The owner's conversations
+ * @param {string} conversationId - Any conversation in the tree
+ * @returns {object|null} Nested { id, title, parent_id, forked_from_message_id, message_count, created_at, children }
+ */
+function buildBranchTree(conversations, conversationId) {
+    const byId = new Map(conversations.map(conversation => [conversation.id, conversation]));
+    if (!byId.has(conversationId)) return null;
+
+    // Walk up to the root (guarding against a cycle in corrupted data)
+    let root = byId.get(conversationId);
+    const seen = new Set([root.id]);
+    while (root.parentId && byId.has(root.parentId) && !seen.has(root.parentId)) {
+        root = byId.get(root.parentId);
+        seen.add(root.id);
+    }
+
+    const children = new Map();
+    for (const conversation of conversations) {
+        if (!conversation.parentId || !byId.has(conversation.parentId)) continue;
+        if (!children.has(conversation.parentId)) children.set(conversation.parentId, []);
+        children.get(conversation.parentId).push(conversation);
+    }
+
+    const toNode = (conversation, visited) => ({
+        id: conversation.id,
+        title: conversation.title || null,
+        parent_id: conversation.parentId || null,
+        forked_from_message_id: conversation.forkedFromMessageId || null,
+        message_count: conversation.messages.length,
+        created_at: conversation.createdAt,
+        children: (children.get(conversation.id) || [])
+            .filter(child => !visited.has(child.id))
+            .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+            .map(child => toNode(child, new Set([...visited, child.id])))
+    });
+
+    return toNode(root, new Set([root.id]));
+}
+
+module.exports = {
+    forkMessages,
+    buildBranchTree
+};
@@ -0,0 +1,91 @@
+/**
+ * Conversation Branches Unit Tests
+ *
+ * Tests for copying records into a branch and building the branch tree
+ */
+
+const { forkMessages, buildBranchTree } = require('./conversationBranches');
+
+describe('Conversation Branches', () => {
+    const record = (id, fields = {}) => ({
+        id,
+        conversation_id: 'root',
+        prompt: `prompt ${id}`,
+        response: `answer ${id}`,
+        channel_id: `ch-${id}`,
+        ...fields
+    });
+
+    describe('forkMessages', () => {
+        it('should copy the selected versions up to and including the message', () => {
+            const root = {
+                id: 'root',
+                messages: [
+                    record('a', { version: 1, versions: [{ prompt: 'old', followups: [record('x')] }, { prompt: 'prompt a' }] }),
+                    record('b'),
+                    record('c')
+                ]
+            };
+
+            expect(forkMessages(root, 'b', 'branch')).toEqual([
+                { ...record('a'), conversation_id: 'branch', inherited_from: 'root' },
+                { ...record('b'), conversation_id: 'branch', inherited_from: 'root' }
+            ]);
+            expect(root.messages[0].versions).toHaveLength(2);
+        });
+
+        it('should keep where records were first used when forking a branch', () => {
+            const branch = { id: 'branch', messages: [record('a', { inherited_from: 'root' }), record('b')] };
+
+            expect(forkMessages(branch, 'b', 'twig').map(copy => copy.inherited_from)).toEqual(['root', 'branch']);
+        });
+
+        it('should return null for an unknown message', () => {
+            expect(forkMessages({ id: 'root', messages: [record('a')] }, 'nope', 'branch')).toBeNull();
+        });
+    });
+
+    describe('buildBranchTree', () => {
+        const conversation = (id, parentId, createdAt) => ({
+            id,
+            parentId,
+            forkedFromMessageId: parentId ? 'a' : undefined,
+            messages: [record('a')],
+            createdAt
+        });
+        const conversations = [
+            conversation('root', undefined, '2026-01-01'),
+            conversation('second', 'root', '2026-01-03'),
+            conversation('first', 'root', '2026-01-02'),
+            conversation('nested', 'first', '2026-01-04'),
+            conversation('other', undefined, '2026-01-05')
+        ];
+        const ids = (node) => ({ id: node.id, children: node.children.map(ids) });
+
+        it('should build the tree from the root of any of its conversations', () => {
+            const tree = buildBranchTree(conversations, 'nested');
+
+            expect(ids(tree)).toEqual({
+                id: 'root',
+                children: [
+                    { id: 'first', children: [{ id: 'nested', children: [] }] },
+                    { id: 'second', children: [] }
+                ]
+            });
+            expect(tree.children[0]).toMatchObject({ parent_id: 'root', forked_from_message_id: 'a', message_count: 1 });
+        });
+
+        it('should treat a branch whose parent is gone as a root', () => {
+            const tree = buildBranchTree(conversations.filter(item => item.id !== 'root'), 'nested');
+
+            expect(ids(tree)).toEqual({ id: 'first', children: [{ id: 'nested', children: [] }] });
+            expect(buildBranchTree(conversations, 'missing')).toBeNull();
+        });
+
+        it('should not loop on a parent cycle', () => {
+            const cycle = [conversation('a', 'b', '2026-01-01'), conversation('b', 'a', '2026-01-02')];
+
+            expect(ids(buildBranchTree(cycle, 'a'))).toEqual({ id: 'b', children: [{ id: 'a', children: [] }] });
+        });
+    });
+});
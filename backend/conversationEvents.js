@@ -0,0 +1,152 @@
+/**
+ * Conversation Events
+ *
+ * In-process pub/sub for conversation updates, streamed to browsers as
+ * Server-Sent Events from GET /conversations/:id/events.
+ *
+ * Event types:
+ *   request.pending  - /chat accepted a message and ModelRiver is working on it
+ *   message.created  - the webhook saved a record (includes the record with our id)
+ *   request.timeout  - the sweeper gave up waiting for ModelRiver
+ *   request.error    - ModelRiver reported an error or the webhook failed
+ *   request.cancelled - the user stopped the request (DELETE /chat/:channelId)
+ *
+ * The last events of each conversation are kept in memory, so a browser that
+ * reconnects with Last-Event-ID gets the ones it missed while disconnected.
+ */
+
+const { EventEmitter } = require('events');
+
+const EVENT_TYPES = {
+    REQUEST_PENDING: 'request.pending',
+    MESSAGE_CREATED: 'message.created',
+    REQUEST_TIMEOUT: 'request.timeout',
+    REQUEST_ERROR: 'request.error',
+    REQUEST_CANCELLED: 'request.cancelled'
+};
+
+// Events kept for replay: per conversation, and conversations with recent events
+const REPLAY_EVENTS_PER_CONVERSATION = 50;
+const REPLAY_CONVERSATIONS = 1000;
+
+/**
+ * Create an event hub keyed by conversation ID.
+ *
+ * @param {object} [options]
+ * @param {number} [options.replayEvents=50] - Recent events kept per conversation for replay
+ * @param {number} [options.replayConversations=1000] - Conversations whose recent events are kept
+ * @returns {{ publish: Function, subscribe: Function, eventsSince: Function, subscriberCount: Function }}
+ */
+function createConversationEvents({
+    replayEvents = REPLAY_EVENTS_PER_CONVERSATION,
+    replayConversations = REPLAY_CONVERSATIONS
+} = {}) {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0); // One listener per open browser tab
+    const recent = new Map(); // conversationId -> last events, least recently published conversation first
+    let nextEventId = 1;
+
+    return {
+        /**
+         * Publish an event to every subscriber of a conversation.
+         *
+         * @param {string} conversationId
+         * @param {string} type - One of EVENT_TYPES
+         * @param {object} data - JSON-serializable payload
+         */
+        publish(conversationId, type, data) {
+            if (!conversationId) return;
+            const event = {
+                id: nextEventId++,
+                type,
+                data: { type, conversation_id: conversationId, ...data }
+            };
+
+            const kept = recent.get(conversationId) || [];
+            kept.push(event);
+            recent.delete(conversationId);
+            recent.set(conversationId, kept.slice(-replayEvents));
+            if (recent.size > replayConversations) {
+                recent.delete(recent.keys().next().value);
+            }
+
+            emitter.emit(conversationId, event);
+        },
+
+        /**
+         * Kept events of a conversation published after an event ID.
+         *
+         * @param {string} conversationId
+         * @param {number} lastEventId
+         * @returns {{ id: number, type: string, data: object }[]}
+         */
+        eventsSince(conversationId, lastEventId) {
+            return (recent.get(conversationId) || []).filter(event => event.id > lastEventId);
+        },
+
+        /**
+         * @param {string} conversationId
+         * @param {(event: { id: number, type: string, data: object }) => void} listener
+         * @returns {() => void} Unsubscribe function
+         */
+        subscribe(conversationId, listener) {
+            emitter.on(conversationId, listener);
+            return () => emitter.off(conversationId, listener);
+        },
+
+        subscriberCount(conversationId) {
+            return emitter.listenerCount(conversationId);
+        }
+    };
+}
+
+/**
+ * Stream a conversation's events over an Express response as Server-Sent Events.
+ * A comment line is sent every heartbeatMs to keep proxies from closing the stream.
+ *
+ * @param {object} res - Express response
+ * @param {object} events - Hub from createConversationEvents()
+ * @param {string} conversationId
+ * @param {object} [options]
+ * @param {number} [options.heartbeatMs=15000]
+ * @param {string} [options.lastEventId] - Last-Event-ID header of a reconnecting EventSource
+ */
+function streamConversationEvents(res, events, conversationId, { heartbeatMs = 15000, lastEventId } = {}) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable buffering in nginx
+    });
+
+    // Ask EventSource to reconnect after 3s if the stream drops
+    res.write('retry: 3000\n');
+    res.write(`: subscribed to ${conversationId}\n\n`);
+
+    const send = (event) => {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    };
+
+    // Replay what a reconnecting client missed, then continue live (both synchronous, so nothing falls in between)
+    const lastId = Number.parseInt(lastEventId, 10);
+    if (Number.isInteger(lastId) && lastId >= 0) {
+        events.eventsSince(conversationId, lastId).forEach(send);
+    }
+    const unsubscribe = events.subscribe(conversationId, send);
+
+    const heartbeat = setInterval(() => {
+        res.write(': heartbeat\n\n');
+    }, heartbeatMs);
+
+    // res 'close' fires when the client disconnects (req 'close' only means the request body was read)
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+}
+
+module.exports = {
+    EVENT_TYPES,
+    createConversationEvents,
+    streamConversationEvents
+};
@@ -0,0 +1,141 @@
+/**
+ * Conversation Events Unit Tests
+ *
+ * Tests for the pub/sub hub and the Server-Sent Events stream
+ */
+
+const http = require('http');
+const express = require('express');
+const {
+    EVENT_TYPES,
+    createConversationEvents,
+    streamConversationEvents
+} = require('./conversationEvents');
+
+describe('Conversation Events', () => {
+    describe('createConversationEvents', () => {
+        it('should deliver events only to subscribers of that conversation', () => {
+            const events = createConversationEvents();
+            const listenerA = jest.fn();
+            const listenerB = jest.fn();
+
+            events.subscribe('conv-a', listenerA);
+            events.subscribe('conv-b', listenerB);
+            events.publish('conv-a', EVENT_TYPES.MESSAGE_CREATED, { channel_id: 'ch-1' });
+
+            expect(listenerA).toHaveBeenCalledWith({
+                id: 1,
+                type: 'message.created',
+                data: { type: 'message.created', conversation_id: 'conv-a', channel_id: 'ch-1' }
+            });
+            expect(listenerB).not.toHaveBeenCalled();
+        });
+
+        it('should stop delivering after unsubscribe', () => {
+            const events = createConversationEvents();
+            const listener = jest.fn();
+
+            const unsubscribe = events.subscribe('conv-a', listener);
+            unsubscribe();
+            events.publish('conv-a', EVENT_TYPES.REQUEST_PENDING, {});
+
+            expect(listener).not.toHaveBeenCalled();
+            expect(events.subscriberCount('conv-a')).toBe(0);
+        });
+
+        it('should keep the last events of recent conversations for replay', () => {
+            const events = createConversationEvents({ replayEvents: 2, replayConversations: 2 });
+            events.publish('conv-a', EVENT_TYPES.REQUEST_PENDING, {});
+            events.publish('conv-a', EVENT_TYPES.MESSAGE_CREATED, {});
+            events.publish('conv-a', EVENT_TYPES.REQUEST_PENDING, {});
+            events.publish('conv-b', EVENT_TYPES.REQUEST_PENDING, {});
+
+            expect(events.eventsSince('conv-a', 0).map(event => event.id)).toEqual([2, 3]);
+            expect(events.eventsSince('conv-a', 2).map(event => event.id)).toEqual([3]);
+            expect(events.eventsSince('conv-a', 3)).toEqual([]);
+
+            // The least recently published conversation is forgotten first
+            events.publish('conv-c', EVENT_TYPES.REQUEST_PENDING, {});
+            expect(events.eventsSince('conv-a', 0)).toEqual([]);
+            expect(events.eventsSince('conv-b', 0)).toHaveLength(1);
+        });
+    });
+
+    describe('streamConversationEvents', () => {
+        let server;
+        let baseUrl;
+        let events;
+
+        beforeEach((done) => {
+            events = createConversationEvents();
+            const app = express();
+            app.get('/conversations/:id/events', (req, res) => {
+                streamConversationEvents(res, events, req.params.id, { lastEventId: req.get('Last-Event-ID') });
+            });
+            server = app.listen(0, () => {
+                baseUrl = `http://127.0.0.1:${server.address().port}`;
+                done();
+            });
+        });
+
+        afterEach((done) => {
+            server.close(done);
+        });
+
+        it('should stream published events in SSE format', (done) => {
+            http.get(`${baseUrl}/conversations/conv-1/events`, (res) => {
+                expect(res.headers['content-type']).toBe('text/event-stream');
+
+                let body = '';
+                res.setEncoding('utf8');
+                res.on('data', (chunk) => {
+                    body += chunk;
+
+                    // Publish once the subscription is established
+                    if (body.includes(': subscribed to conv-1')) {
+                        events.publish('conv-1', EVENT_TYPES.REQUEST_TIMEOUT, { channel_id: 'ch-9' });
+                    }
+
+                    if (body.includes('event: request.timeout')) {
+                        const dataLine = body.split('\n').find(line => line.startsWith('data: '));
+                        expect(JSON.parse(dataLine.slice('data: '.length))).toEqual({
+                            type: 'request.timeout',
+                            conversation_id: 'conv-1',
+                            channel_id: 'ch-9'
+                        });
+                        res.destroy();
+                    }
+                });
+                res.on('close', () => {
+                    // Wait for the server to observe the disconnect and unsubscribe
+                    const check = setInterval(() => {
+                        if (events.subscriberCount('conv-1') === 0) {
+                            clearInterval(check);
+                            done();
+                        }
+                    }, 5);
+                });
+            });
+        });
+
+        it('should replay the events after Last-Event-ID on reconnect', (done) => {
+            events.publish('conv-1', EVENT_TYPES.REQUEST_PENDING, { channel_id: 'ch-1' });
+            events.publish('conv-1', EVENT_TYPES.MESSAGE_CREATED, { channel_id: 'ch-1' });
+            events.publish('conv-1', EVENT_TYPES.REQUEST_PENDING, { channel_id: 'ch-2' });
+
+            http.get(`${baseUrl}/conversations/conv-1/events`, { headers: { 'Last-Event-ID': '1' } }, (res) => {
+                let body = '';
+                res.setEncoding('utf8');
+                res.on('data', (chunk) => {
+                    body += chunk;
+                    if (body.includes('"channel_id":"ch-2"')) {
+                        const ids = body.split('\n').filter(line => line.startsWith('id: '));
+                        expect(ids).toEqual(['id: 2', 'id: 3']);
+                        res.destroy();
+                        done();
+                    }
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,234 @@
+/**
+ * Webhook Enrichment Pipeline
+ *
+ * Before the callback goes back to ModelRiver, the webhook's response data runs
+ * through the processors configured for its workflow (ENRICHMENT_PIPELINES):
+ *
+ *   {
+ *     "*": ["attach_ids"],                           // default for other workflows
+ *     "support_workflow": ["attach_ids", "redact_pii"]
+ *   }
+ *
+ * A processor is an async function `(data, context) => data | undefined`.
+ * Returning an object replaces the data passed to the next processor;
+ * returning nothing keeps it. Through the context a processor can also:
+ *
+ *   context.flag(code, details)  - label the response (saved on the record as `flags`)
+ *   context.abort(reason)        - stop the pipeline; no callback is sent
+ *
+ * A processor that throws aborts the pipeline too, so a failed redaction
+ * never lets the unredacted response through.
+ */
+
+const ABORT = Symbol('enrichment.abort');
+
+// Email addresses, and phone numbers written with separators ("555-123-4567",
+// "(555) 123 4567", "+1 555.123.4567"), so dates and plain IDs are left alone
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const PHONE_PATTERN = /(?<![\w.-])(?:\+\d{1,3}[\s.-]?)?\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}(?![\w-])/g;
+
+/**
+ * Replace emails and phone numbers in every string of a value.
+ *
+ * @param {*} value
+ * @returns {{ value: *, count: number }}
+ */
+function redactPii(value) {
+    let count = 0;
+    const visit = (current) => {
+        if (typeof current === 'string') {
+            return current
+                .replace(EMAIL_PATTERN, () => { count += 1; return '[REDACTED EMAIL]'; })
+                .replace(PHONE_PATTERN, () => { count += 1; return '[REDACTED PHONE]'; });
+        }
+        if (Array.isArray(current)) return current.map(visit);
+        if (current && typeof current === 'object') {
+            return Object.fromEntries(Object.entries(current).map(([key, item]) => [key, visit(item)]));
+        }
+        return current;
+    };
+    return { value: visit(value), count };
+}
+
+/**
+ * Mask emails and phone numbers in a record's response, in place.
+ *
+ * @param {object} record
+ * @returns {number} Number of values masked
+ */
+function redactRecord(record) {
+    const { value, count } = redactPii(record.response);
+    record.response = value;
+    return count;
+}
+
+// Processors available by name in ENRICHMENT_PIPELINES
+const BUILT_IN_PROCESSORS = {
+    // The ID ModelRiver injects into the final response (what the backend did before pipelines existed)
+    attach_ids: async (data, context) => ({ ...data, id: context.messageId }),
+
+    // Mask emails and phone numbers before they reach the browser: in the callback data, and in the
+    // record's response, which is what gets saved, pushed to SSE subscribers and listed by /conversations
+    redact_pii: async (data, context) => {
+        const { value, count } = redactPii(data);
+        const recordCount = context.record ? redactRecord(context.record) : 0;
+        if (count > 0 || recordCount > 0) {
+            context.flag('pii_redacted', { count: Math.max(count, recordCount) });
+        }
+        return value;
+    }
+};
+
+// What built-in processors do to the saved record when the pipeline doesn't run
+// (no callback data, or a response rejected by its schema): redaction still applies
+const RECORD_PROCESSORS = {
+    redact_pii: (record, flag) => {
+        const count = redactRecord(record);
+        if (count > 0) {
+            flag('pii_redacted', { count });
+        }
+    }
+};
+
+const DEFAULT_PIPELINES = { '*': ['attach_ids'] };
+
+/**
+ * Parse the ENRICHMENT_PIPELINES JSON; its pipelines are merged over the defaults.
+ *
+ * @param {string} [value] - JSON object of workflow -> processor names ("*" for any other workflow)
+ * @returns {Object<string, string[]>}
+ */
+function parsePipelineConfig(value) {
+    if (!value) return DEFAULT_PIPELINES;
+
+    let pipelines;
+    try {
+        pipelines = JSON.parse(value);
+    } catch (error) {
+        throw new Error(`ENRICHMENT_PIPELINES is not valid JSON: ${error.message}`);
+    }
+    const valid = pipelines && typeof pipelines === 'object' && !Array.isArray(pipelines) &&
+        Object.values(pipelines).every(names => Array.isArray(names) && names.every(name => typeof name === 'string'));
+    if (!valid) {
+        throw new Error('ENRICHMENT_PIPELINES must be an object of workflow -> array of processor names');
+    }
+    return { ...DEFAULT_PIPELINES, ...pipelines };
+}
+
+/**
+ * Create the pipeline runner.
+ *
+ * @param {object} [options]
+ * @param {Object<string, string[]>} [options.pipelines] - Workflow -> processor names (see parsePipelineConfig)
+ * @param {Object<string, Function>} [options.processors] - Extra processors by name (may replace built-ins)
+ * @returns {{ run: Function, applyToRecord: Function, getProcessorNames: Function }}
+ * @throws {Error} If a pipeline names a processor that isn't registered
+ */
+function createEnrichmentPipeline({ pipelines = DEFAULT_PIPELINES, processors = {} } = {}) {
+    const registry = { ...BUILT_IN_PROCESSORS, ...processors };
+
+    for (const [workflow, names] of Object.entries(pipelines)) {
+        const unknown = names.filter(name => typeof registry[name] !== 'function');
+        if (unknown.length > 0) {
+            throw new Error(`Unknown enrichment processor(s) for "${workflow}": ${unknown.join(', ')}. ` +
+                `Registered: ${Object.keys(registry).join(', ')}`);
+        }
+    }
+
+    const getProcessorNames = (workflow) => pipelines[workflow] || pipelines['*'] || [];
+
+    return {
+        getProcessorNames,
+
+        /**
+         * Apply the record side of a workflow's processors (see RECORD_PROCESSORS), for a
+         * webhook whose callback data doesn't go through run().
+         *
+         * @param {string|null} workflow
+         * @param {object} record - Modified in place
+         * @returns {object[]} Flags, as run() returns them
+         */
+        applyToRecord(workflow, record) {
+            const flags = [];
+            for (const name of getProcessorNames(workflow)) {
+                if (!RECORD_PROCESSORS[name] || processors[name]) continue; // A replaced built-in does its own thing
+                RECORD_PROCESSORS[name](record, (code, details) => {
+                    flags.push({ processor: name, code, ...(details !== undefined && { details }) });
+                });
+            }
+            return flags;
+        },
+
+        /**
+         * Run a workflow's processors over the callback data, in order.
+         *
+         * @param {string|null} workflow
+         * @param {object} data - Callback data from the webhook
+         * @param {object} context - messageId, channelId, conversationId, event, record; `log` receives one line per step
+         * @returns {Promise<{ data: object, flags: object[], aborted: { processor: string, reason: string }|null, steps: object[] }>}
+         */
+        async run(workflow, data, { log, ...context } = {}) {
+            const flags = [];
+            const steps = [];
+            let current = data;
+
+            for (const name of getProcessorNames(workflow)) {
+                const startedAt = Date.now();
+                const stepFlags = [];
+                const stepContext = {
+                    ...context,
+                    workflow,
+                    log,
+                    flag: (code, details) => {
+                        stepFlags.push({ processor: name, code, ...(details !== undefined && { details }) });
+                    },
+                    abort: (reason) => {
+                        const error = new Error(reason || `Aborted by ${name}`);
+                        error[ABORT] = true;
+                        throw error;
+                    }
+                };
+
+                let outcome;
+                let aborted = null;
+                try {
+                    const result = await registry[name](current, stepContext);
+                    if (result !== undefined) {
+                        current = result;
+                    }
+                    outcome = stepFlags.length > 0 ? 'flagged' : 'ok';
+                } catch (error) {
+                    outcome = error[ABORT] ? 'aborted' : 'failed';
+                    aborted = { processor: name, reason: error.message };
+                }
+
+                flags.push(...stepFlags);
+                const step = { processor: name, outcome, duration_ms: Date.now() - startedAt };
+                steps.push(step);
+
+                if (log) {
+                    const line = { workflow, ...step, ...(stepFlags.length > 0 && { flags: stepFlags.map(flag => flag.code) }) };
+                    if (aborted) {
+                        log[outcome === 'failed' ? 'error' : 'warn']('🧩 Enrichment step stopped the pipeline', { ...line, reason: aborted.reason });
+                    } else {
+                        log.info('🧩 Enrichment step', line);
+                    }
+                }
+
+                if (aborted) {
+                    return { data: current, flags, aborted, steps };
+                }
+            }
+
+            return { data: current, flags, aborted: null, steps };
+        }
+    };
+}
+
+module.exports = {
+    BUILT_IN_PROCESSORS,
+    DEFAULT_PIPELINES,
+    redactPii,
+    parsePipelineConfig,
+    createEnrichmentPipeline
+};
@@ -0,0 +1,131 @@
+/**
+ * Enrichment Pipeline Unit Tests
+ *
+ * Tests for per-workflow processors, flags, aborts and the built-in processors
+ */
+
+const {
+    DEFAULT_PIPELINES,
+    redactPii,
+    parsePipelineConfig,
+    createEnrichmentPipeline
+} = require('./enrichment');
+
+describe('Enrichment Pipeline', () => {
+    const createLog = () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() });
+
+    it('should run the workflow\'s processors in order and log each step', async () => {
+        const log = createLog();
+        const pipeline = createEnrichmentPipeline({
+            pipelines: { support: ['attach_ids', 'label'], '*': ['attach_ids'] },
+            processors: {
+                label: async (data, context) => {
+                    context.flag('needs_review', { score: 0.7 });
+                    return { ...data, label: `${context.workflow}:${data.id}` };
+                }
+            }
+        });
+
+        const result = await pipeline.run('support', { reply: 'Hi' }, { messageId: 'msg-1', log });
+
+        expect(result.data).toEqual({ reply: 'Hi', id: 'msg-1', label: 'support:msg-1' });
+        expect(result.flags).toEqual([{ processor: 'label', code: 'needs_review', details: { score: 0.7 } }]);
+        expect(result.aborted).toBeNull();
+        expect(result.steps.map(step => [step.processor, step.outcome])).toEqual([['attach_ids', 'ok'], ['label', 'flagged']]);
+        expect(log.info).toHaveBeenCalledTimes(2);
+        expect(log.info.mock.calls[1][1]).toMatchObject({ workflow: 'support', processor: 'label', flags: ['needs_review'] });
+
+        // Other workflows get the "*" pipeline
+        expect((await pipeline.run('sales', { reply: 'Hi' }, { messageId: 'msg-2' })).data).toEqual({ reply: 'Hi', id: 'msg-2' });
+    });
+
+    it('should stop at a processor that aborts or throws', async () => {
+        const log = createLog();
+        const last = jest.fn();
+        const pipeline = createEnrichmentPipeline({
+            pipelines: { moderated: ['moderate', 'last'], broken: ['explode', 'last'] },
+            processors: {
+                moderate: async (data, context) => context.abort('Flagged as unsafe'),
+                explode: async () => { throw new Error('database down'); },
+                last
+            }
+        });
+
+        const moderated = await pipeline.run('moderated', { reply: 'x' }, { log });
+        expect(moderated.aborted).toEqual({ processor: 'moderate', reason: 'Flagged as unsafe' });
+        expect(moderated.steps).toEqual([expect.objectContaining({ processor: 'moderate', outcome: 'aborted' })]);
+        expect(log.warn).toHaveBeenCalledTimes(1);
+
+        const broken = await pipeline.run('broken', { reply: 'x' }, { log });
+        expect(broken.aborted).toEqual({ processor: 'explode', reason: 'database down' });
+        expect(log.error).toHaveBeenCalledTimes(1);
+        expect(last).not.toHaveBeenCalled();
+    });
+
+    it('should reject pipelines naming unknown processors', () => {
+        expect(() => createEnrichmentPipeline({ pipelines: { '*': ['attach_ids', 'nope'] } }))
+            .toThrow('Unknown enrichment processor(s) for "*": nope');
+    });
+
+    describe('redact_pii', () => {
+        it('should mask emails and phone numbers but keep dates and IDs', async () => {
+            expect(redactPii({
+                reply: 'Write to jane@example.com or call (555) 123-4567 before 2026-01-31.',
+                items: ['+1 555.123.4567', 'order 1700000000'],
+                confidence: 0.9
+            })).toEqual({
+                value: {
+                    reply: 'Write to [REDACTED EMAIL] or call [REDACTED PHONE] before 2026-01-31.',
+                    items: ['[REDACTED PHONE]', 'order 1700000000'],
+                    confidence: 0.9
+                },
+                count: 3
+            });
+
+            const pipeline = createEnrichmentPipeline({ pipelines: { '*': ['redact_pii'] } });
+            const result = await pipeline.run('any', { reply: 'jane@example.com' });
+            expect(result.flags).toEqual([{ processor: 'redact_pii', code: 'pii_redacted', details: { count: 1 } }]);
+        });
+
+        it('should mask the record\'s response too', async () => {
+            const pipeline = createEnrichmentPipeline({ pipelines: { '*': ['redact_pii'] } });
+            const record = { id: 'm1', prompt: 'Who do I call?', response: 'Call (555) 123-4567 or mail jane@example.com' };
+
+            const result = await pipeline.run('any', { choices: [{ message: { content: record.response } }] }, { record });
+            expect(record.response).toBe('Call [REDACTED PHONE] or mail [REDACTED EMAIL]');
+            expect(result.data.choices[0].message.content).toBe(record.response);
+            expect(result.flags).toEqual([{ processor: 'redact_pii', code: 'pii_redacted', details: { count: 2 } }]);
+        });
+
+        it('should mask the record without the callback data', () => {
+            const pipeline = createEnrichmentPipeline({ pipelines: { '*': ['attach_ids', 'redact_pii'], plain: ['attach_ids'] } });
+            const record = { id: 'm1', response: { reply: 'Mail jane@example.com' } };
+
+            expect(pipeline.applyToRecord('support', record)).toEqual([
+                { processor: 'redact_pii', code: 'pii_redacted', details: { count: 1 } }
+            ]);
+            expect(record.response).toEqual({ reply: 'Mail [REDACTED EMAIL]' });
+
+            const untouched = { id: 'm2', response: 'jane@example.com' };
+            expect(pipeline.applyToRecord('plain', untouched)).toEqual([]);
+            expect(untouched.response).toBe('jane@example.com');
+        });
+    });
+
+    describe('parsePipelineConfig', () => {
+        it('should default to attaching IDs and reject malformed JSON', () => {
+            expect(parsePipelineConfig(undefined)).toBe(DEFAULT_PIPELINES);
+            expect(parsePipelineConfig('{"*":[]}')).toEqual({ '*': [] });
+            expect(() => parsePipelineConfig('{nope')).toThrow('not valid JSON');
+            expect(() => parsePipelineConfig('{"support":"attach_ids"}')).toThrow('array of processor names');
+        });
+
+        it('should merge the configured pipelines over the defaults', () => {
+            const pipelines = parsePipelineConfig('{"support":["attach_ids","redact_pii"]}');
+            expect(pipelines).toEqual({ '*': ['attach_ids'], support: ['attach_ids', 'redact_pii'] });
+
+            // Other workflows keep getting their message IDs injected
+            expect(createEnrichmentPipeline({ pipelines }).getProcessorNames('sales')).toEqual(['attach_ids']);
+        });
+    });
+});
@@ -0,0 +1,89 @@
+/**
+ * Conversation History
+ *
+ * Rebuilds the prior user/assistant turns of a conversation from the stored
+ * webhook records so ModelRiver sees the whole chat, not just the newest message.
+ *
+ * The history is trimmed to a character budget: the newest turns are kept and
+ * the oldest ones are dropped until the payload fits.
+ */
+
+const DEFAULT_MAX_CHARS = 12000;
+const DEFAULT_MAX_TURNS = 20;
+
+/**
+ * Convert a stored AI response into plain text for the assistant turn.
+ * Structured responses contribute their `reply` when present, otherwise their JSON.
+ *
+ * @param {string|object} response - The `response` field of a stored record
+ * @returns {string}
+ */
+function responseToText(response) {
+    if (response === undefined || response === null) return '';
+    if (typeof response === 'string') return response;
+    if (typeof response === 'object' && typeof response.reply === 'string') {
+        return response.reply;
+    }
+    return JSON.stringify(response);
+}
+
+/**
+ * Turn one stored record into a user/assistant message pair.
+ * Records without a usable prompt or response (e.g. failed requests) are skipped.
+ *
+ * @param {object} record - Stored conversation record
+ * @returns {Array<{ role: string, content: string }>|null}
+ */
+function recordToTurn(record) {
+    if (!record || record.error || !record.prompt) return null;
+
+    const assistantContent = responseToText(record.response);
+    if (!assistantContent) return null;
+
+    return [
+        { role: 'user', content: record.prompt },
+        { role: 'assistant', content: assistantContent }
+    ];
+}
+
+/**
+ * Build the `messages` array for a ModelRiver request.
+ *
+ * @param {Array<object>} records - Stored records of the conversation, oldest first
+ * @param {string} message - The new user message
+ * @param {object} [options]
+ * @param {number} [options.maxChars] - Character budget for history plus the new message
+ * @param {number} [options.maxTurns] - Maximum number of prior turns to include
+ * @returns {Array<{ role: string, content: string }>}
+ */
+function buildChatMessages(records, message, options = {}) {
+    const maxChars = options.maxChars ?? DEFAULT_MAX_CHARS;
+    const maxTurns = options.maxTurns ?? DEFAULT_MAX_TURNS;
+
+    let remaining = maxChars - message.length;
+    const turns = [];
+
+    // Walk from newest to oldest so the oldest turns are the ones that get dropped
+    for (let i = (records || []).length - 1; i >= 0 && turns.length < maxTurns; i--) {
+        const turn = recordToTurn(records[i]);
+        if (!turn) continue;
+
+        const turnLength = turn[0].content.length + turn[1].content.length;
+        if (turnLength > remaining) break;
+
+        remaining -= turnLength;
+        turns.unshift(turn);
+    }
+
+    return [
+        ...turns.flat(),
+        { role: 'user', content: message }
+    ];
+}
+
+module.exports = {
+    DEFAULT_MAX_CHARS,
+    DEFAULT_MAX_TURNS,
+    responseToText,
+    buildChatMessages
+};
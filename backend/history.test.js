@@ -0,0 +1,85 @@
+/**
+ * Conversation History Unit Tests
+ *
+ * Tests for rebuilding prior turns sent to ModelRiver with /chat
+ */
+
+const { buildChatMessages, responseToText } = require('./history');
+
+describe('Conversation History', () => {
+    const record = (prompt, response, extra = {}) => ({
+        id: `id-${prompt}`,
+        prompt,
+        response,
+        created_at: new Date().toISOString(),
+        ...extra
+    });
+
+    describe('buildChatMessages', () => {
+        it('should send only the new message when there is no history', () => {
+            expect(buildChatMessages([], 'Hello')).toEqual([
+                { role: 'user', content: 'Hello' }
+            ]);
+        });
+
+        it('should include prior turns in chronological order', () => {
+            const records = [
+                record('What is 2+2?', '4'),
+                record('And times 3?', '12')
+            ];
+
+            expect(buildChatMessages(records, 'Thanks')).toEqual([
+                { role: 'user', content: 'What is 2+2?' },
+                { role: 'assistant', content: '4' },
+                { role: 'user', content: 'And times 3?' },
+                { role: 'assistant', content: '12' },
+                { role: 'user', content: 'Thanks' }
+            ]);
+        });
+
+        it('should use the reply of structured responses', () => {
+            const records = [record('Hi', { reply: 'Hello there', sentiment: 'positive' })];
+            const messages = buildChatMessages(records, 'Next');
+
+            expect(messages[1]).toEqual({ role: 'assistant', content: 'Hello there' });
+        });
+
+        it('should drop the oldest turns when over the character budget', () => {
+            const records = [
+                record('old question', 'x'.repeat(50)),
+                record('new question', 'short')
+            ];
+
+            const messages = buildChatMessages(records, 'Now', { maxChars: 40 });
+
+            expect(messages).toEqual([
+                { role: 'user', content: 'new question' },
+                { role: 'assistant', content: 'short' },
+                { role: 'user', content: 'Now' }
+            ]);
+        });
+
+        it('should limit the number of prior turns', () => {
+            const records = [record('a', '1'), record('b', '2'), record('c', '3')];
+            const messages = buildChatMessages(records, 'd', { maxTurns: 1 });
+
+            expect(messages.map(m => m.content)).toEqual(['c', '3', 'd']);
+        });
+
+        it('should skip records without a prompt or response', () => {
+            const records = [
+                record('Unanswered', undefined),
+                record('Failed', 'n/a', { error: { code: 'TIMEOUT' } }),
+                record('Answered', 'Yes')
+            ];
+
+            expect(buildChatMessages(records, 'Ok').map(m => m.content)).toEqual(['Answered', 'Yes', 'Ok']);
+        });
+    });
+
+    describe('responseToText', () => {
+        it('should serialize structured responses without a reply', () => {
+            expect(responseToText({ summary: 'S' })).toBe('{"summary":"S"}');
+        });
+    });
+});
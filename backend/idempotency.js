@@ -0,0 +1,142 @@
+/**
+ * Idempotency Keys
+ *
+ * POST /chat honors an Idempotency-Key header, so a retry (a flaky network, a
+ * double click) doesn't start and bill a second ModelRiver job. The first
+ * request with a key is processed and its response kept; a repeat of the same
+ * request within the window gets that response back (channel_id, ws_token, ...)
+ * without calling ModelRiver again:
+ *
+ *   Idempotency-Key: 5f0c...   -> 200 { "channel_id": "abc", ... }
+ *   Idempotency-Key: 5f0c...   -> 200 { "channel_id": "abc", ... }   (Idempotent-Replayed: true)
+ *
+ * Keys are per user. A key sent again with a different body is refused, and so
+ * is a repeat that arrives while the first request is still being processed.
+ * A request that fails releases its key, so the client can retry with it.
+ */
+
+const crypto = require('crypto');
+const { ApiError, ERROR_CODES } = require('./apiErrors');
+
+const IDEMPOTENCY_KEYS = 'idempotency_keys';
+const MAX_KEY_LENGTH = 255;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Read the Idempotency-Key header.
+ *
+ * @param {string|undefined} value - Header value
+ * @returns {string|null} The key, or null when none was sent
+ * @throws {ApiError} 400 VALIDATION_FAILED for an empty, overlong or non-printable key
+ */
+function parseIdempotencyKey(value) {
+    if (value === undefined) return null;
+    if (typeof value !== 'string' || value.length === 0 || value.length > MAX_KEY_LENGTH || !/^[\x21-\x7e]+$/.test(value)) {
+        throw new ApiError(400, ERROR_CODES.VALIDATION_FAILED,
+            `Idempotency-Key must be 1-${MAX_KEY_LENGTH} printable ASCII characters`, { field: 'Idempotency-Key' });
+    }
+    return value;
+}
+
+/**
+ * Fingerprint of a request, for telling a retry from a different request sent with the same key.
+ *
+ * @param {object} fields - The validated request fields
+ * @param {{ filename: string, mimeType: string, buffer: Buffer }[]} [files] - Uploaded attachments
+ * @returns {string} Hex digest
+ */
+function fingerprintRequest(fields, files = []) {
+    return sha256(JSON.stringify({
+        fields,
+        files: files.map(({ filename, mimeType, buffer }) => ({ filename, mimeType, sha256: sha256(buffer) }))
+    }));
+}
+
+/**
+ * Create the store of idempotency keys on top of the storage adapter.
+ *
+ * @param {object} options
+ * @param {object} options.storage - Storage adapter
+ * @param {number} options.ttlMs - How long a key is remembered
+ * @returns {{ begin: Function, complete: Function, release: Function, prune: Function }}
+ */
+function createIdempotencyStore({ storage, ttlMs }) {
+    // Hashed so one user's key can never address another user's entry
+    const idFor = (userId, key) => sha256(JSON.stringify([userId, key]));
+
+    return {
+        /**
+         * Atomically claim a key for a request, unless it was already used.
+         *
+         * @param {string} userId
+         * @param {string} key - From parseIdempotencyKey()
+         * @param {string} fingerprint - From fingerprintRequest()
+         * @returns {Promise<{ status: 'new' } | { status: 'replay', response: object } | { status: 'conflict' } | { status: 'in_progress' }>}
+         */
+        async begin(userId, key, fingerprint) {
+            const now = Date.now();
+            const id = idFor(userId, key);
+            let result = null;
+
+            await storage.update(IDEMPOTENCY_KEYS, id, (current) => {
+                if (current && current.expiresAt > now) {
+                    if (current.fingerprint !== fingerprint) {
+                        result = { status: 'conflict' };
+                    } else if (current.response) {
+                        result = { status: 'replay', response: current.response };
+                    } else {
+                        result = { status: 'in_progress' };
+                    }
+                    return current;
+                }
+                result = { status: 'new' };
+                return { id, userId, fingerprint, createdAt: now, expiresAt: now + ttlMs };
+            });
+
+            return result;
+        },
+
+        /**
+         * Keep the response of the request that claimed the key, for replays.
+         *
+         * @param {string} userId
+         * @param {string} key
+         * @param {object} response - Response body
+         */
+        async complete(userId, key, response) {
+            await storage.update(IDEMPOTENCY_KEYS, idFor(userId, key), (current) => current && { ...current, response });
+        },
+
+        /**
+         * Forget a key whose request failed, so a retry with it is processed.
+         *
+         * @param {string} userId
+         * @param {string} key
+         */
+        async release(userId, key) {
+            await storage.update(IDEMPOTENCY_KEYS, idFor(userId, key), (current) => (
+                current && !current.response ? null : current
+            ));
+        },
+
+        /**
+         * Remove expired keys.
+         *
+         * @returns {Promise<number>} Number of keys removed
+         */
+        async prune() {
+            const now = Date.now();
+            const expired = (await storage.list(IDEMPOTENCY_KEYS)).filter((entry) => entry.expiresAt <= now);
+            await Promise.all(expired.map((entry) => storage.delete(IDEMPOTENCY_KEYS, entry.id)));
+            return expired.length;
+        }
+    };
+}
+
+module.exports = {
+    IDEMPOTENCY_KEYS,
+    parseIdempotencyKey,
+    fingerprintRequest,
+    createIdempotencyStore
+};
@@ -0,0 +1,84 @@
+/**
+ * Idempotency Keys Unit Tests
+ *
+ * Tests for key parsing, request fingerprints and the idempotency key store
+ */
+
+const { createMemoryStore } = require('./storage');
+const {
+    IDEMPOTENCY_KEYS,
+    parseIdempotencyKey,
+    fingerprintRequest,
+    createIdempotencyStore
+} = require('./idempotency');
+
+describe('Idempotency Keys', () => {
+    describe('parseIdempotencyKey', () => {
+        it('should accept printable keys and no key', () => {
+            expect(parseIdempotencyKey('3f1c2a9e-send-1')).toBe('3f1c2a9e-send-1');
+            expect(parseIdempotencyKey(undefined)).toBeNull();
+        });
+
+        it('should refuse empty, overlong and non-printable keys', () => {
+            for (const key of ['', 'x'.repeat(256), 'has space', 'tab\tkey']) {
+                expect(() => parseIdempotencyKey(key)).toThrow(expect.objectContaining({ status: 400, code: 'VALIDATION_FAILED' }));
+            }
+        });
+    });
+
+    describe('fingerprintRequest', () => {
+        it('should change with the fields and the file contents', () => {
+            const fields = { message: 'Hi', workflow: 'mr_chatbot_workflow' };
+            const file = { filename: 'a.txt', mimeType: 'text/plain', buffer: Buffer.from('one') };
+
+            expect(fingerprintRequest(fields, [file])).toBe(fingerprintRequest({ ...fields }, [{ ...file, buffer: Buffer.from('one') }]));
+            expect(fingerprintRequest(fields, [file])).not.toBe(fingerprintRequest(fields, [{ ...file, buffer: Buffer.from('two') }]));
+            expect(fingerprintRequest(fields)).not.toBe(fingerprintRequest({ ...fields, message: 'Hello' }));
+        });
+    });
+
+    describe('createIdempotencyStore', () => {
+        let storage;
+        let store;
+
+        beforeEach(() => {
+            storage = createMemoryStore();
+            store = createIdempotencyStore({ storage, ttlMs: 60000 });
+        });
+
+        it('should replay the stored response for the same request', async () => {
+            expect(await store.begin('alice', 'key-1', 'print-a')).toEqual({ status: 'new' });
+            expect(await store.begin('alice', 'key-1', 'print-a')).toEqual({ status: 'in_progress' });
+
+            await store.complete('alice', 'key-1', { channel_id: 'ch-1' });
+            expect(await store.begin('alice', 'key-1', 'print-a')).toEqual({ status: 'replay', response: { channel_id: 'ch-1' } });
+            expect(await store.begin('alice', 'key-1', 'print-b')).toEqual({ status: 'conflict' });
+        });
+
+        it('should keep keys per user', async () => {
+            await store.begin('alice', 'key-1', 'print-a');
+            await store.complete('alice', 'key-1', { channel_id: 'ch-1' });
+
+            expect(await store.begin('bob', 'key-1', 'print-a')).toEqual({ status: 'new' });
+        });
+
+        it('should release a key whose request failed, but not a completed one', async () => {
+            await store.begin('alice', 'key-1', 'print-a');
+            await store.release('alice', 'key-1');
+            expect(await store.begin('alice', 'key-1', 'print-b')).toEqual({ status: 'new' });
+
+            await store.complete('alice', 'key-1', { channel_id: 'ch-1' });
+            await store.release('alice', 'key-1');
+            expect((await store.begin('alice', 'key-1', 'print-b')).status).toBe('replay');
+        });
+
+        it('should forget keys after the window', async () => {
+            const expiring = createIdempotencyStore({ storage, ttlMs: -1 });
+            await expiring.begin('alice', 'key-1', 'print-a');
+
+            expect(await expiring.begin('alice', 'key-1', 'print-b')).toEqual({ status: 'new' });
+            expect(await expiring.prune()).toBe(1);
+            expect(await storage.count(IDEMPOTENCY_KEYS)).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,188 @@
+/**
+ * Logger
+ *
+ * Leveled logger with JSON output (one object per line, for log shippers) and
+ * pretty output (for a terminal during development). Child loggers carry
+ * bindings such as request_id, channel_id and conversation_id, so every line
+ * of a request can be found with one ID.
+ *
+ * Secrets (API keys, signatures, tokens, Authorization headers) are always
+ * masked. Message content (prompts, responses) can be masked too with
+ * `redactContent`.
+ *
+ * The call signature matches console (`logger.info('message', fields)`), so
+ * modules that default to `logger = console` accept either.
+ */
+
+const LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 100
+};
+
+const REDACTED = '[REDACTED]';
+
+// Keys whose values are always masked (matched on the lower-cased key)
+const SECRET_KEY_PATTERN = /(^|[_-]|api|ws|access|admin)(authorization|signature|secret|password|token|key)$/;
+
+// Keys holding user or model text, masked when redactContent is on
+const CONTENT_KEYS = new Set([
+    'prompt',
+    'original_prompt',
+    'messages',
+    'content',
+    'response',
+    'reply',
+    'summary',
+    'ai_response',
+    'choices'
+]);
+
+// Secrets that show up inside strings (headers copied into messages, URLs, ...)
+const SECRET_VALUE_PATTERNS = [
+    [/Bearer\s+[^\s"',]+/gi, `Bearer ${REDACTED}`],
+    [/\bmr_(live|test)_[A-Za-z0-9_-]+/g, `mr_$1_${REDACTED}`],
+    [/([?&](access_token|token|api_key)=)[^&\s]+/gi, `$1${REDACTED}`]
+];
+
+/**
+ * Mask secrets (and optionally message content) in a value before it is logged.
+ *
+ * @param {*} value
+ * @param {object} [options]
+ * @param {boolean} [options.redactContent=false] - Also mask prompts and responses
+ * @returns {*} A redacted copy; the input is not modified
+ */
+function redact(value, { redactContent = false } = {}, seen = new WeakSet()) {
+    if (typeof value === 'string') {
+        return SECRET_VALUE_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+    }
+    if (value instanceof Error) {
+        return redact({ name: value.name, message: value.message, code: value.code }, { redactContent }, seen);
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    if (seen.has(value)) {
+        return '[Circular]';
+    }
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, { redactContent }, seen));
+    }
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        const lowerKey = key.toLowerCase();
+        if (SECRET_KEY_PATTERN.test(lowerKey)) {
+            result[key] = item === undefined || item === null ? item : REDACTED;
+        } else if (redactContent && CONTENT_KEYS.has(lowerKey) && item !== undefined && item !== null) {
+            const length = (typeof item === 'string' ? item : JSON.stringify(item)).length;
+            result[key] = `[REDACTED ${length} chars]`;
+        } else {
+            result[key] = redact(item, { redactContent }, seen);
+        }
+    }
+    return result;
+}
+
+/**
+ * Render one entry for a terminal: time, level, message, IDs, then fields.
+ */
+function formatPretty({ time, level, msg, ...fields }) {
+    const clock = time.slice(11, 23);
+    const rest = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+    return `${clock} ${level.toUpperCase().padEnd(5)} ${msg}${rest}`;
+}
+
+const defaultWrite = (level, line) => {
+    if (LEVELS[level] >= LEVELS.warn) {
+        process.stderr.write(`${line}\n`);
+    } else {
+        process.stdout.write(`${line}\n`);
+    }
+};
+
+/**
+ * Create a logger.
+ *
+ * @param {object} [options]
+ * @param {string} [options.level='info'] - debug, info, warn, error or silent
+ * @param {string} [options.format='pretty'] - 'json' or 'pretty'
+ * @param {boolean} [options.redactContent=false] - Mask prompts and responses
+ * @param {object} [options.bindings={}] - Fields added to every entry
+ * @param {(level: string, line: string) => void} [options.write] - Output sink (stdout/stderr by default)
+ * @param {() => Date} [options.now]
+ * @returns {{ debug: Function, info: Function, warn: Function, error: Function, child: Function, isLevelEnabled: Function }}
+ */
+function createLogger({
+    level = 'info',
+    format = 'pretty',
+    redactContent = false,
+    bindings = {},
+    write = defaultWrite,
+    now = () => new Date()
+} = {}) {
+    if (!(level in LEVELS)) {
+        throw new Error(`Unknown log level "${level}". Use one of: ${Object.keys(LEVELS).join(', ')}`);
+    }
+    if (format !== 'json' && format !== 'pretty') {
+        throw new Error(`Unknown log format "${format}". Use "json" or "pretty".`);
+    }
+
+    const threshold = LEVELS[level];
+
+    const log = (entryLevel) => (msg, fields) => {
+        if (LEVELS[entryLevel] < threshold) return;
+
+        // console-style calls pass a string or Error as the second argument
+        const extra = fields === undefined ? {}
+            : fields instanceof Error ? { error: fields }
+                : typeof fields === 'object' && fields !== null && !Array.isArray(fields) ? fields
+                    : { detail: fields };
+
+        const entry = redact({
+            time: now().toISOString(),
+            level: entryLevel,
+            msg: String(msg).trim().replace(/:$/, ''),
+            ...bindings,
+            ...extra
+        }, { redactContent });
+
+        write(entryLevel, format === 'json' ? JSON.stringify(entry) : formatPretty(entry));
+    };
+
+    return {
+        debug: log('debug'),
+        info: log('info'),
+        warn: log('warn'),
+        error: log('error'),
+
+        /**
+         * @param {object} childBindings - Extra fields (e.g. { channel_id }) for every entry
+         */
+        child(childBindings) {
+            return createLogger({
+                level,
+                format,
+                redactContent,
+                bindings: { ...bindings, ...childBindings },
+                write,
+                now
+            });
+        },
+
+        isLevelEnabled(checkLevel) {
+            return LEVELS[checkLevel] >= threshold;
+        }
+    };
+}
+
+module.exports = {
+    LEVELS,
+    redact,
+    createLogger
+};
@@ -0,0 +1,135 @@
+/**
+ * Logger Unit Tests
+ *
+ * Tests for levels, output formats, child bindings and redaction
+ */
+
+const { redact, createLogger } = require('./logger');
+
+describe('Logger', () => {
+    const fixedNow = () => new Date('2026-01-01T12:00:00.000Z');
+    let lines;
+
+    const createTestLogger = (options = {}) => createLogger({
+        format: 'json',
+        now: fixedNow,
+        write: (level, line) => lines.push({ level, line }),
+        ...options
+    });
+
+    const entries = () => lines.map(({ line }) => JSON.parse(line));
+
+    beforeEach(() => {
+        lines = [];
+    });
+
+    describe('redact', () => {
+        it('should mask secret keys at any depth', () => {
+            expect(redact({
+                headers: {
+                    authorization: 'Bearer abc',
+                    'x-modelriver-signature': 'deadbeef',
+                    'x-admin-key': 'admin'
+                },
+                ws_token: 'tok',
+                apiKey: 'k',
+                usage: { total_tokens: 42 }
+            })).toEqual({
+                headers: {
+                    authorization: '[REDACTED]',
+                    'x-modelriver-signature': '[REDACTED]',
+                    'x-admin-key': '[REDACTED]'
+                },
+                ws_token: '[REDACTED]',
+                apiKey: '[REDACTED]',
+                usage: { total_tokens: 42 }
+            });
+        });
+
+        it('should mask secrets inside strings', () => {
+            expect(redact('failed with Bearer mr_live_abc123 at /events?access_token=xyz&x=1'))
+                .toBe('failed with Bearer [REDACTED] at /events?access_token=[REDACTED]&x=1');
+            expect(redact('key mr_live_abc123')).toBe('key mr_live_[REDACTED]');
+        });
+
+        it('should mask message content only when asked', () => {
+            const value = { prompt: 'hello', response: { reply: 'hi' }, channel_id: 'ch-1' };
+
+            expect(redact(value)).toEqual(value);
+            expect(redact(value, { redactContent: true })).toEqual({
+                prompt: '[REDACTED 5 chars]',
+                response: '[REDACTED 14 chars]',
+                channel_id: 'ch-1'
+            });
+        });
+
+        it('should not modify the input', () => {
+            const value = { signature: 'abc' };
+            redact(value);
+            expect(value.signature).toBe('abc');
+        });
+    });
+
+    it('should drop entries below the configured level', () => {
+        const logger = createTestLogger({ level: 'warn' });
+
+        logger.debug('debug');
+        logger.info('info');
+        logger.warn('warn');
+        logger.error('error');
+
+        expect(lines.map(({ level }) => level)).toEqual(['warn', 'error']);
+        expect(logger.isLevelEnabled('debug')).toBe(false);
+    });
+
+    it('should write one JSON object per entry', () => {
+        createTestLogger().info('✅ Webhook processed:', { record_id: 'r1' });
+
+        expect(entries()).toEqual([{
+            time: '2026-01-01T12:00:00.000Z',
+            level: 'info',
+            msg: '✅ Webhook processed',
+            record_id: 'r1'
+        }]);
+    });
+
+    it('should accept console-style string and Error arguments', () => {
+        const logger = createTestLogger();
+
+        logger.error('❌ Failed:', 'boom');
+        logger.error('❌ Failed:', new Error('bad'));
+
+        const [first, second] = entries();
+        expect(first.detail).toBe('boom');
+        expect(second.error).toEqual({ name: 'Error', message: 'bad' });
+    });
+
+    it('should carry child bindings on every entry', () => {
+        const requestLogger = createTestLogger().child({ request_id: 'req-1' });
+        const channelLogger = requestLogger.child({ channel_id: 'ch-1', conversation_id: 'conv-1' });
+
+        requestLogger.info('received');
+        channelLogger.warn('late', { api_key: 'secret' });
+
+        expect(entries()).toEqual([
+            expect.objectContaining({ request_id: 'req-1', msg: 'received' }),
+            expect.objectContaining({
+                request_id: 'req-1',
+                channel_id: 'ch-1',
+                conversation_id: 'conv-1',
+                api_key: '[REDACTED]'
+            })
+        ]);
+    });
+
+    it('should format pretty lines for the terminal', () => {
+        createTestLogger({ format: 'pretty' }).info('📨 POST /chat', { request_id: 'req-1' });
+
+        expect(lines[0].line).toBe('12:00:00.000 INFO  📨 POST /chat {"request_id":"req-1"}');
+    });
+
+    it('should reject unknown levels and formats', () => {
+        expect(() => createLogger({ level: 'verbose' })).toThrow('Unknown log level');
+        expect(() => createLogger({ format: 'xml' })).toThrow('Unknown log format');
+    });
+});
@@ -0,0 +1,139 @@
+/**
+ * Message Versions
+ *
+ * A regenerate or an edit-and-resend answers a stored message again. The new
+ * answer becomes the record's current version; earlier answers are kept on
+ * the record as alternate versions:
+ *
+ *   {
+ *     "id": "...", "prompt": "Edited question", "response": "...",  // the selected version
+ *     "version": 1,
+ *     "versions": [
+ *       { "prompt": "Original question", "response": "...", "channel_id": "...", "followups": [...] },
+ *       { "prompt": "Edited question", "response": "...", "channel_id": "..." }
+ *     ]
+ *   }
+ *
+ * A conversation continues from the selected version only, so the records that
+ * followed a version are stashed on it (`followups`) while another version is
+ * selected, and restored when it is selected again.
+ *
+ * Records without `versions` have a single version - themselves.
+ */
+
+// Fields shared by the record and its versions rather than kept per version
+const RECORD_FIELDS = ['id', 'conversation_id', 'version', 'versions'];
+
+/**
+ * A record's answer fields, as kept in `versions`.
+ *
+ * @param {object} record
+ * @returns {object}
+ */
+function toVersion(record) {
+    const version = { ...record };
+    for (const field of [...RECORD_FIELDS, 'followups']) {
+        delete version[field];
+    }
+    return version;
+}
+
+/**
+ * Save a new answer to a record: a response for the request the record is
+ * already showing replaces it in place (e.g. a late response replacing the
+ * timeout written by the sweeper); an answer to another request (a regenerate
+ * or edit) is added as a new version, and selected.
+ *
+ * @param {object[]} messages - The conversation's records
+ * @param {number} index - Position of the record answered again
+ * @param {object} record - The new record (same ID)
+ * @returns {object[]} The conversation's records after the change
+ */
+function saveVersion(messages, index, record) {
+    const existing = messages[index];
+
+    if (existing.channel_id === record.channel_id) {
+        if (!existing.versions) {
+            return [...messages.slice(0, index), record, ...messages.slice(index + 1)];
+        }
+        const versions = existing.versions.slice();
+        versions[existing.version] = toVersion(record);
+        return [
+            ...messages.slice(0, index),
+            { ...record, version: existing.version, versions },
+            ...messages.slice(index + 1)
+        ];
+    }
+
+    const versions = existing.versions ? existing.versions.slice() : [toVersion(existing)];
+    const current = existing.versions ? existing.version : 0;
+    const followups = messages.slice(index + 1);
+    if (followups.length > 0) {
+        versions[current] = { ...versions[current], followups };
+    }
+    versions.push(toVersion(record));
+
+    return [...messages.slice(0, index), { ...record, version: versions.length - 1, versions }];
+}
+
+/**
+ * Select another version of a record, swapping the records that follow it.
+ *
+ * @param {object[]} messages - The conversation's records
+ * @param {number} index - Position of the record
+ * @param {number} versionIndex - Index into the record's versions
+ * @returns {object[]|null} The conversation's records after the change, or null for an unknown version
+ */
+function selectVersion(messages, index, versionIndex) {
+    const existing = messages[index];
+    const versions = existing.versions ? existing.versions.slice() : [toVersion(existing)];
+    const current = existing.versions ? existing.version : 0;
+    if (!Number.isInteger(versionIndex) || versionIndex < 0 || versionIndex >= versions.length) {
+        return null;
+    }
+    if (versionIndex === current) {
+        return messages;
+    }
+
+    const later = messages.slice(index + 1);
+    versions[current] = later.length > 0 ? { ...versions[current], followups: later } : toVersion(versions[current]);
+    const { followups = [], ...selected } = versions[versionIndex];
+    versions[versionIndex] = selected;
+
+    return [
+        ...messages.slice(0, index),
+        { ...selected, id: existing.id, conversation_id: existing.conversation_id, version: versionIndex, versions },
+        ...followups
+    ];
+}
+
+/**
+ * Every version of every record, including the records stashed on versions
+ * that aren't selected - for counting the tokens each request actually used.
+ *
+ * @param {object[]} messages - The conversation's records
+ * @returns {object[]} Records (one per version)
+ */
+function allVersions(messages) {
+    const all = [];
+    for (const record of messages || []) {
+        if (!record.versions) {
+            all.push(record);
+            continue;
+        }
+        record.versions.forEach((version, index) => {
+            all.push(index === record.version ? record : { ...version, id: record.id, conversation_id: record.conversation_id });
+            if (version.followups) {
+                all.push(...allVersions(version.followups));
+            }
+        });
+    }
+    return all;
+}
+
+module.exports = {
+    toVersion,
+    saveVersion,
+    selectVersion,
+    allVersions
+};
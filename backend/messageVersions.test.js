@@ -0,0 +1,75 @@
+/**
+ * Message Versions Unit Tests
+ *
+ * Tests for adding, replacing and selecting versions of regenerated or edited messages
+ */
+
+const { saveVersion, selectVersion, allVersions } = require('./messageVersions');
+
+describe('Message Versions', () => {
+    const record = (id, channel, fields = {}) => ({
+        id,
+        conversation_id: 'conv-1',
+        prompt: `prompt ${id}`,
+        response: `answer ${id} via ${channel}`,
+        channel_id: channel,
+        created_at: '2026-01-01T00:00:00.000Z',
+        ...fields
+    });
+
+    it('should replace a record answered on the same channel in place', () => {
+        const messages = [record('a', 'ch-1', { status: 'timeout' }), record('b', 'ch-2')];
+        const updated = saveVersion(messages, 0, record('a', 'ch-1'));
+
+        expect(updated).toEqual([record('a', 'ch-1'), record('b', 'ch-2')]);
+    });
+
+    it('should add an answer on another channel as a new selected version, stashing later records', () => {
+        const messages = [record('a', 'ch-1'), record('b', 'ch-2')];
+        const updated = saveVersion(messages, 0, record('a', 'ch-3', { prompt: 'edited' }));
+
+        expect(updated).toHaveLength(1);
+        expect(updated[0]).toMatchObject({ id: 'a', prompt: 'edited', channel_id: 'ch-3', version: 1 });
+        expect(updated[0].versions).toEqual([
+            { prompt: 'prompt a', response: 'answer a via ch-1', channel_id: 'ch-1', created_at: '2026-01-01T00:00:00.000Z', followups: [record('b', 'ch-2')] },
+            { prompt: 'edited', response: 'answer a via ch-3', channel_id: 'ch-3', created_at: '2026-01-01T00:00:00.000Z' }
+        ]);
+    });
+
+    it('should keep the versions when the current one is replaced in place', () => {
+        const regenerated = saveVersion([record('a', 'ch-1')], 0, record('a', 'ch-2', { status: 'timeout', response: null }));
+        const [late] = saveVersion(regenerated, 0, record('a', 'ch-2'));
+
+        expect(late.version).toBe(1);
+        expect(late.versions.map(version => version.response)).toEqual(['answer a via ch-1', 'answer a via ch-2']);
+    });
+
+    it('should swap the following records when another version is selected', () => {
+        const [edited] = saveVersion([record('a', 'ch-1'), record('b', 'ch-2')], 0, record('a', 'ch-3', { prompt: 'edited' }));
+        const continued = [edited, record('c', 'ch-4')];
+
+        const original = selectVersion(continued, 0, 0);
+        expect(original.map(message => message.id)).toEqual(['a', 'b']);
+        expect(original[0]).toMatchObject({ prompt: 'prompt a', version: 0 });
+        expect(original[0].followups).toBeUndefined();
+        expect(original[0].versions[1].followups).toEqual([record('c', 'ch-4')]);
+
+        const back = selectVersion(original, 0, 1);
+        expect(back.map(message => message.id)).toEqual(['a', 'c']);
+        expect(back[0]).toMatchObject({ prompt: 'edited', version: 1 });
+    });
+
+    it('should refuse versions that do not exist', () => {
+        expect(selectVersion([record('a', 'ch-1')], 0, 1)).toBeNull();
+        expect(selectVersion([record('a', 'ch-1')], 0, -1)).toBeNull();
+        const messages = [record('a', 'ch-1')];
+        expect(selectVersion(messages, 0, 0)).toBe(messages);
+    });
+
+    it('should list every version, including stashed records', () => {
+        const [edited] = saveVersion([record('a', 'ch-1'), record('b', 'ch-2')], 0, record('a', 'ch-3'));
+
+        expect(allVersions([edited]).map(version => version.channel_id)).toEqual(['ch-1', 'ch-2', 'ch-3']);
+        expect(allVersions([record('x', 'ch-9')])).toEqual([record('x', 'ch-9')]);
+    });
+});
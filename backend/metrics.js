@@ -0,0 +1,174 @@
+/**
+ * Metrics
+ *
+ * A small registry of counters, histograms and gauges rendered in the
+ * Prometheus text exposition format (version 0.0.4) for GET /metrics.
+ *
+ *   const metrics = createMetricsRegistry();
+ *   const requests = metrics.counter({ name: 'chat_requests_total', help: '...', labelNames: ['status'] });
+ *   requests.inc({ status: 200 });
+ *   await metrics.render();
+ *
+ * Gauges can take a `collect` function that refreshes them on every scrape
+ * (e.g. counting a storage collection).
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; suits HTTP calls and model latencies alike
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+const escapeHelp = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+
+const formatValue = (value) => {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isNaN(value) ? 'NaN' : String(value);
+};
+
+/**
+ * Render `{a="1",b="2"}` for a label set (empty string without labels).
+ */
+function formatLabels(labelNames, values, extra = []) {
+    const pairs = labelNames
+        .map((name, index) => [name, values[index]])
+        .concat(extra)
+        .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Create a metrics registry.
+ *
+ * @returns {{ counter: Function, histogram: Function, gauge: Function, render: Function, contentType: string }}
+ */
+function createMetricsRegistry() {
+    const metrics = new Map();
+
+    function register(type, { name, help, labelNames = [] }, extra) {
+        if (!METRIC_NAME.test(name)) {
+            throw new Error(`Invalid metric name "${name}"`);
+        }
+        if (metrics.has(name)) {
+            throw new Error(`Metric "${name}" is already registered`);
+        }
+
+        const series = new Map(); // JSON of label values -> { labels, ...state }
+        const labelValues = (labels = {}) => labelNames.map(label => (labels[label] === undefined ? '' : String(labels[label])));
+        const getSeries = (labels, init) => {
+            const values = labelValues(labels);
+            const key = JSON.stringify(values);
+            if (!series.has(key)) {
+                series.set(key, { values, ...init() });
+            }
+            return series.get(key);
+        };
+
+        const metric = { type, name, help, labelNames, series, getSeries, ...extra };
+        metrics.set(name, metric);
+        return metric;
+    }
+
+    return {
+        contentType: CONTENT_TYPE,
+
+        /**
+         * Monotonic counter.
+         *
+         * @param {{ name: string, help: string, labelNames?: string[] }} options
+         * @returns {{ inc: (labels?: object, value?: number) => void }}
+         */
+        counter(options) {
+            const metric = register('counter', options);
+            return {
+                inc(labels, value = 1) {
+                    metric.getSeries(labels, () => ({ value: 0 })).value += value;
+                }
+            };
+        },
+
+        /**
+         * Histogram with cumulative buckets, _sum and _count.
+         *
+         * @param {{ name: string, help: string, labelNames?: string[], buckets?: number[] }} options
+         * @returns {{ observe: (labels: object, value: number) => void }}
+         */
+        histogram({ buckets = DEFAULT_BUCKETS, ...options }) {
+            const bounds = [...buckets].sort((a, b) => a - b);
+            const metric = register('histogram', options, { bounds });
+            return {
+                observe(labels, value) {
+                    const state = metric.getSeries(labels, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }));
+                    bounds.forEach((bound, index) => {
+                        if (value <= bound) state.counts[index] += 1;
+                    });
+                    state.sum += value;
+                    state.count += 1;
+                }
+            };
+        },
+
+        /**
+         * Gauge. With `collect`, the gauge is reset and refilled on every render.
+         *
+         * @param {{ name: string, help: string, labelNames?: string[], collect?: (gauge) => Promise<void>|void }} options
+         * @returns {{ set: (labels: object, value: number) => void }}
+         */
+        gauge({ collect, ...options }) {
+            const metric = register('gauge', options);
+            const gauge = {
+                set(labels, value) {
+                    metric.getSeries(labels, () => ({ value: 0 })).value = value;
+                }
+            };
+            metric.collect = collect && (async () => {
+                metric.series.clear();
+                await collect(gauge);
+            });
+            return gauge;
+        },
+
+        /**
+         * Render every metric in the Prometheus text format.
+         *
+         * @returns {Promise<string>}
+         */
+        async render() {
+            await Promise.all(Array.from(metrics.values())
+                .filter(metric => metric.collect)
+                .map(metric => metric.collect()));
+
+            const lines = [];
+            for (const metric of metrics.values()) {
+                lines.push(`# HELP ${metric.name} ${escapeHelp(metric.help)}`);
+                lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+                for (const state of metric.series.values()) {
+                    if (metric.type !== 'histogram') {
+                        lines.push(`${metric.name}${formatLabels(metric.labelNames, state.values)} ${formatValue(state.value)}`);
+                        continue;
+                    }
+
+                    metric.bounds.forEach((bound, index) => {
+                        const labels = formatLabels(metric.labelNames, state.values, [['le', formatValue(bound)]]);
+                        lines.push(`${metric.name}_bucket${labels} ${state.counts[index]}`);
+                    });
+                    const labels = formatLabels(metric.labelNames, state.values);
+                    lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, state.values, [['le', '+Inf']])} ${state.count}`);
+                    lines.push(`${metric.name}_sum${labels} ${formatValue(state.sum)}`);
+                    lines.push(`${metric.name}_count${labels} ${state.count}`);
+                }
+            }
+            return lines.join('\n') + '\n';
+        }
+    };
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    DEFAULT_BUCKETS,
+    createMetricsRegistry
+};
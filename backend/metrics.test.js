@@ -0,0 +1,71 @@
+/**
+ * Metrics Unit Tests
+ *
+ * Tests for the counter, histogram and gauge registry and its text output
+ */
+
+const { createMetricsRegistry, CONTENT_TYPE } = require('./metrics');
+
+describe('Metrics', () => {
+    it('should render counters per label set', async () => {
+        const metrics = createMetricsRegistry();
+        const requests = metrics.counter({ name: 'chat_requests_total', help: 'Chat requests', labelNames: ['status'] });
+
+        requests.inc({ status: 200 });
+        requests.inc({ status: 200 });
+        requests.inc({ status: 429 }, 3);
+
+        expect(metrics.contentType).toBe(CONTENT_TYPE);
+        expect(await metrics.render()).toBe([
+            '# HELP chat_requests_total Chat requests',
+            '# TYPE chat_requests_total counter',
+            'chat_requests_total{status="200"} 2',
+            'chat_requests_total{status="429"} 3',
+            ''
+        ].join('\n'));
+    });
+
+    it('should render cumulative histogram buckets with sum and count', async () => {
+        const metrics = createMetricsRegistry();
+        const latency = metrics.histogram({ name: 'latency_seconds', help: 'Latency', labelNames: ['workflow'], buckets: [1, 0.5] });
+
+        latency.observe({ workflow: 'support' }, 0.2);
+        latency.observe({ workflow: 'support' }, 0.75);
+        latency.observe({ workflow: 'support' }, 4);
+
+        const output = await metrics.render();
+        expect(output).toContain('latency_seconds_bucket{workflow="support",le="0.5"} 1');
+        expect(output).toContain('latency_seconds_bucket{workflow="support",le="1"} 2');
+        expect(output).toContain('latency_seconds_bucket{workflow="support",le="+Inf"} 3');
+        expect(output).toContain('latency_seconds_sum{workflow="support"} 4.95');
+        expect(output).toContain('latency_seconds_count{workflow="support"} 3');
+    });
+
+    it('should refresh collected gauges on every render', async () => {
+        const metrics = createMetricsRegistry();
+        let pending = { pending: 2, completed: 1 };
+        metrics.gauge({
+            name: 'pending_requests',
+            help: 'Pending requests',
+            labelNames: ['status'],
+            collect: (gauge) => Object.entries(pending).forEach(([status, count]) => gauge.set({ status }, count))
+        });
+
+        expect(await metrics.render()).toContain('pending_requests{status="completed"} 1');
+
+        pending = { pending: 0 };
+        const output = await metrics.render();
+        expect(output).toContain('pending_requests{status="pending"} 0');
+        expect(output).not.toContain('status="completed"');
+    });
+
+    it('should escape label values and reject invalid or duplicate names', async () => {
+        const metrics = createMetricsRegistry();
+        const failures = metrics.counter({ name: 'failures_total', help: 'Failures', labelNames: ['reason'] });
+        failures.inc({ reason: 'say "hi"\\\n' });
+
+        expect(await metrics.render()).toContain('failures_total{reason="say \\"hi\\"\\\\\\n"} 1');
+        expect(() => metrics.counter({ name: 'failures_total', help: 'Again' })).toThrow('already registered');
+        expect(() => metrics.counter({ name: 'bad-name', help: 'Bad' })).toThrow('Invalid metric name');
+    });
+});
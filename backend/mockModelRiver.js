@@ -0,0 +1,471 @@
+/**
+ * Mock ModelRiver
+ *
+ * Local stand-in for the ModelRiver API so the whole
+ * /chat -> webhook -> callback -> WebSocket loop runs without network access
+ * or a public tunnel:
+ *
+ *   POST /v1/ai/async              - accepts a request, answers with channel/WebSocket details
+ *   POST /v1/ai/async/:channelId/cancel - stops a request that hasn't been answered yet
+ *   POST /v1/callback/:channelId   - accepts the backend's enriched callback
+ *   POST /callback/:channelId      - same, without the version prefix
+ *   GET  /mock/channels/:channelId - inspect a channel (request, webhook, callback)
+ *   WS   /socket                   - Phoenix-style channel socket used by @modelriver/client
+ *
+ * After a short delay each request gets a canned response, delivered as a
+ * signed webhook to its webhook_url. Requests with `events` use the
+ * event-driven format and wait for the backend's callback before pushing the
+ * result over the WebSocket; requests without events are pushed right away.
+ *
+ * Run with `npm run mock` and set MODELRIVER_API_URL=http://localhost:4100
+ * (and MODELRIVER_CANCEL_PATH=/v1/ai/async/:channelId/cancel to forward cancellations).
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const axios = require('axios');
+const { WebSocketServer } = require('ws');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Sign a webhook body the way ModelRiver does (and verifyWebhookSignature expects):
+ * HMAC-SHA256 of "${timestamp}.${JSON.stringify(data)}", or of the whole body
+ * when it has no data field.
+ *
+ * @param {string} secret
+ * @param {string|number} timestamp - Unix seconds, also sent as X-ModelRiver-Timestamp
+ * @param {object} body - Webhook body as it will be serialized
+ * @returns {string} Hex signature
+ */
+function signWebhookPayload(secret, timestamp, body) {
+    const signed = body.data ? JSON.stringify(body.data) : JSON.stringify(body);
+    return crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${signed}`)
+        .digest('hex');
+}
+
+// Text of a message; content parts (attachments) contribute their text parts
+const textOf = (content) => (Array.isArray(content)
+    ? content.filter(part => part.type === 'text').map(part => part.text).join('\n')
+    : String(content || ''));
+
+/**
+ * Build a canned AI response for the last user message.
+ *
+ * @param {Array<{ role: string, content: string|object[] }>} messages
+ * @param {object} [options]
+ * @param {boolean} [options.structured=true] - Structured fields instead of OpenAI-style choices
+ * @returns {{ data: object, usage: object }}
+ */
+function buildMockResponse(messages, { structured = true } = {}) {
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+    const prompt = Array.isArray(lastUserMessage?.content)
+        ? lastUserMessage.content.find(part => part.type === 'text')?.text || ''
+        : lastUserMessage?.content || '';
+    const reply = `Mock reply to: ${prompt}`;
+
+    const promptChars = messages.reduce((total, message) => total + textOf(message.content).length, 0);
+    const usage = {
+        prompt_tokens: Math.ceil(promptChars / 4),
+        completion_tokens: Math.ceil(reply.length / 4)
+    };
+    usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+
+    const data = structured
+        ? {
+            reply,
+            summary: `The user said: ${prompt.slice(0, 80)}`,
+            sentiment: 'neutral',
+            confidence: 0.9,
+            topics: [],
+            action_items: []
+        }
+        : { choices: [{ message: { role: 'assistant', content: reply } }] };
+
+    return { data, usage };
+}
+
+/**
+ * Create a mock ModelRiver server.
+ *
+ * @param {object} [options]
+ * @param {string} [options.apiKey] - Required Bearer token (any non-empty token when unset)
+ * @param {string} [options.webhookSecret] - Secret used to sign webhooks (sent unsigned when unset)
+ * @param {string} [options.publicUrl] - Base URL used in callback_url and websocket_url (defaults to the listen address)
+ * @param {string} [options.projectId='mock-project']
+ * @param {number} [options.responseDelayMs=500] - Simulated generation time
+ * @param {boolean} [options.structured=true] - Reply with structured output
+ * @param {string} [options.socketEvent='response'] - Event name used for WebSocket pushes
+ * @param {object} [options.logger=console]
+ * @returns {{ app: object, listen: Function, close: Function, getChannel: Function }}
+ */
+function createMockModelRiver({
+    apiKey,
+    webhookSecret,
+    publicUrl,
+    projectId = 'mock-project',
+    responseDelayMs = 500,
+    structured = true,
+    socketEvent = 'response',
+    logger = console
+} = {}) {
+    const app = express();
+    app.use(express.json());
+
+    const channels = new Map(); // channelId -> channel state
+    const subscriptions = new Map(); // topic -> Map(socket -> joinRef)
+    const timers = new Set();
+    let server = null;
+    let wss = null;
+    let baseUrl = publicUrl;
+
+    const topicFor = (channelId) => `ai_response:${projectId}:${channelId}`;
+
+    function isAuthorized(req) {
+        const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+        return apiKey ? token === apiKey : token.length > 0;
+    }
+
+    function requireApiKey(req, res, next) {
+        if (!isAuthorized(req)) {
+            return res.status(401).json({ error: 'Unauthorized', message: 'Invalid or missing API key' });
+        }
+        next();
+    }
+
+    // ============================================
+    // WebSocket pushes
+    // ============================================
+
+    function encode(frame, format) {
+        const { joinRef = null, ref = null, topic, event, payload } = frame;
+        return JSON.stringify(format === 'array'
+            ? [joinRef, ref, topic, event, payload]
+            : { join_ref: joinRef, ref, topic, event, payload });
+    }
+
+    function push(channel, payload) {
+        channel.pushed.push(payload);
+        const subscribers = subscriptions.get(topicFor(channel.id));
+        if (!subscribers) return;
+
+        for (const [socket, joinRef] of subscribers) {
+            socket.send(encode({ joinRef, topic: topicFor(channel.id), event: socketEvent, payload }, socket.frameFormat));
+        }
+    }
+
+    function resultPayload(channel, data, status) {
+        return {
+            channel_id: channel.id,
+            status,
+            data,
+            meta: {
+                status,
+                workflow: channel.request.workflow,
+                used_model: 'mock-model',
+                structured_output: structured,
+                usage: channel.usage
+            }
+        };
+    }
+
+    function handleSocketMessage(socket, raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (error) {
+            logger.warn('⚠️  [mock] Ignoring malformed WebSocket frame');
+            return;
+        }
+
+        // Phoenix serializer v2 sends arrays, v1 sends objects; answer in kind
+        socket.frameFormat = Array.isArray(message) ? 'array' : 'object';
+        const [joinRef, ref, topic, event] = Array.isArray(message)
+            ? message
+            : [message.join_ref, message.ref, message.topic, message.event];
+
+        const reply = (status, response = {}) => socket.send(encode({
+            joinRef,
+            ref,
+            topic,
+            event: 'phx_reply',
+            payload: { status, response }
+        }, socket.frameFormat));
+
+        if (event === 'heartbeat') {
+            return reply('ok');
+        }
+
+        if (event === 'phx_join') {
+            const channelId = topic.split(':').pop();
+            const channel = channels.get(channelId);
+            if (!channel || topic !== topicFor(channelId)) {
+                return reply('error', { reason: 'unknown channel' });
+            }
+
+            if (!subscriptions.has(topic)) subscriptions.set(topic, new Map());
+            subscriptions.get(topic).set(socket, joinRef ?? ref);
+            reply('ok');
+
+            // Late joiners still get anything already pushed on this channel
+            for (const payload of channel.pushed) {
+                socket.send(encode({ joinRef: joinRef ?? ref, topic, event: socketEvent, payload }, socket.frameFormat));
+            }
+            return;
+        }
+
+        if (event === 'phx_leave') {
+            subscriptions.get(topic)?.delete(socket);
+            return reply('ok');
+        }
+
+        reply('ok');
+    }
+
+    function dropSocket(socket) {
+        for (const [topic, subscribers] of subscriptions) {
+            subscribers.delete(socket);
+            if (subscribers.size === 0) subscriptions.delete(topic);
+        }
+    }
+
+    // ============================================
+    // Webhook delivery
+    // ============================================
+
+    async function sendWebhook(channel, body) {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-ModelRiver-Timestamp': timestamp
+        };
+        if (webhookSecret) {
+            headers['X-ModelRiver-Signature'] = signWebhookPayload(webhookSecret, timestamp, body);
+        }
+
+        try {
+            const response = await axios.post(channel.request.webhook_url, JSON.stringify(body), {
+                headers,
+                timeout: 10000,
+                validateStatus: () => true
+            });
+            channel.webhook = { status: response.status, body, deliveredAt: new Date().toISOString() };
+            logger.info('📨 [mock] Webhook delivered:', { channel_id: channel.id, status: response.status });
+            return response.status >= 200 && response.status < 300;
+        } catch (error) {
+            channel.webhook = { error: error.message, body };
+            logger.warn('⚠️  [mock] Webhook delivery failed:', { channel_id: channel.id, error: error.message });
+            return false;
+        }
+    }
+
+    async function complete(channel) {
+        if (channel.status === 'cancelled') return;
+        const { request } = channel;
+        const { data, usage } = buildMockResponse(request.messages, { structured });
+        const eventDriven = Array.isArray(request.events) && request.events.length > 0;
+        const meta = {
+            workflow: request.workflow,
+            used_model: 'mock-model',
+            structured_output: structured,
+            usage,
+            metadata: request.metadata || {}
+        };
+        channel.usage = usage;
+
+        if (!request.webhook_url) {
+            channel.status = 'completed';
+            return push(channel, resultPayload(channel, data, 'completed'));
+        }
+
+        if (eventDriven) {
+            channel.status = 'awaiting_callback';
+            const delivered = await sendWebhook(channel, {
+                type: 'task.ai_generated',
+                event: request.events[0],
+                channel_id: channel.id,
+                ai_response: { data },
+                callback_url: `${baseUrl}/v1/callback/${channel.id}`,
+                callback_required: true,
+                meta,
+                customer_data: {}
+            });
+
+            // The result is pushed once the callback arrives
+            if (!delivered && channel.status === 'awaiting_callback') {
+                channel.status = 'error';
+                push(channel, {
+                    channel_id: channel.id,
+                    status: 'error',
+                    error: { message: 'Webhook delivery failed' },
+                    meta: { status: 'error' }
+                });
+            }
+            return;
+        }
+
+        await sendWebhook(channel, { channel_id: channel.id, status: 'success', data, meta });
+        channel.status = 'completed';
+        push(channel, resultPayload(channel, data, 'completed'));
+    }
+
+    // ============================================
+    // HTTP routes
+    // ============================================
+
+    app.post('/v1/ai/async', requireApiKey, (req, res) => {
+        const { workflow, messages } = req.body || {};
+        if (!workflow || !Array.isArray(messages) || messages.length === 0) {
+            return res.status(400).json({ error: 'workflow and a non-empty messages array are required' });
+        }
+
+        const channel = {
+            id: uuidv4(),
+            wsToken: crypto.randomBytes(16).toString('hex'),
+            request: req.body,
+            status: 'processing',
+            createdAt: new Date().toISOString(),
+            pushed: []
+        };
+        channels.set(channel.id, channel);
+
+        const timer = setTimeout(() => {
+            timers.delete(timer);
+            complete(channel).catch((error) => {
+                logger.error('❌ [mock] Error completing request:', error.message);
+            });
+        }, responseDelayMs);
+        timers.add(timer);
+
+        logger.info('🤖 [mock] Async request accepted:', { channel_id: channel.id, workflow });
+
+        res.json({
+            channel_id: channel.id,
+            ws_token: channel.wsToken,
+            websocket_url: `${baseUrl.replace(/^http/, 'ws')}/socket`,
+            websocket_channel: topicFor(channel.id),
+            project_id: projectId
+        });
+    });
+
+    app.post('/v1/ai/async/:channelId/cancel', requireApiKey, (req, res) => {
+        const channel = channels.get(req.params.channelId);
+        if (!channel) {
+            return res.status(404).json({ error: 'Channel not found' });
+        }
+        if (channel.status !== 'processing' && channel.status !== 'cancelled') {
+            return res.status(409).json({ error: `Channel already ${channel.status}` });
+        }
+
+        channel.status = 'cancelled';
+        logger.info('🛑 [mock] Request cancelled:', { channel_id: channel.id });
+        res.json({ success: true, channel_id: channel.id, status: channel.status });
+    });
+
+    const handleCallback = (req, res) => {
+        const channel = channels.get(req.params.channelId);
+        if (!channel) {
+            return res.status(404).json({ error: 'Channel not found' });
+        }
+        if (!req.body?.data || typeof req.body.data !== 'object') {
+            return res.status(400).json({ error: 'Callback body must contain a data object' });
+        }
+
+        channel.callback = { body: req.body, receivedAt: new Date().toISOString() };
+        channel.status = 'completed';
+        push(channel, resultPayload(channel, req.body.data, 'completed'));
+
+        logger.info('📬 [mock] Callback received:', { channel_id: channel.id, id: req.body.data.id });
+        res.json({ success: true, channel_id: channel.id });
+    };
+
+    app.post('/v1/callback/:channelId', requireApiKey, handleCallback);
+    app.post('/callback/:channelId', requireApiKey, handleCallback);
+
+    app.get('/mock/channels/:channelId', (req, res) => {
+        const channel = channels.get(req.params.channelId);
+        if (!channel) {
+            return res.status(404).json({ error: 'Channel not found' });
+        }
+        res.json(channel);
+    });
+
+    return {
+        app,
+
+        getChannel(channelId) {
+            return channels.get(channelId) || null;
+        },
+
+        /**
+         * Start HTTP and WebSocket listeners on one port.
+         *
+         * @param {number} [port=0] - 0 picks a free port
+         * @returns {Promise<{ url: string, port: number }>}
+         */
+        listen(port = 0) {
+            server = http.createServer(app);
+            wss = new WebSocketServer({ noServer: true });
+
+            // Phoenix clients connect to `${endpoint}/websocket`, so accept anything under /socket
+            server.on('upgrade', (req, socket, head) => {
+                if (!req.url.startsWith('/socket')) {
+                    socket.destroy();
+                    return;
+                }
+                wss.handleUpgrade(req, socket, head, (ws) => {
+                    ws.on('message', (raw) => handleSocketMessage(ws, raw.toString()));
+                    ws.on('close', () => dropSocket(ws));
+                });
+            });
+
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, () => {
+                    const address = server.address();
+                    baseUrl = baseUrl || `http://localhost:${address.port}`;
+                    resolve({ url: baseUrl, port: address.port });
+                });
+            });
+        },
+
+        close() {
+            for (const timer of timers) clearTimeout(timer);
+            timers.clear();
+            if (!server) return Promise.resolve();
+
+            for (const client of wss.clients) client.terminate();
+            wss.close();
+            return new Promise(resolve => server.close(() => resolve()));
+        }
+    };
+}
+
+if (require.main === module) {
+    require('dotenv').config();
+
+    const port = parseInt(process.env.MOCK_MODELRIVER_PORT, 10) || 4100;
+    const mock = createMockModelRiver({
+        apiKey: process.env.MOCK_MODELRIVER_API_KEY,
+        webhookSecret: process.env.WEBHOOK_SECRET,
+        publicUrl: process.env.MOCK_MODELRIVER_PUBLIC_URL,
+        responseDelayMs: parseInt(process.env.MOCK_RESPONSE_DELAY_MS, 10) || 500,
+        structured: process.env.MOCK_STRUCTURED_OUTPUT !== 'false'
+    });
+
+    mock.listen(port).then(({ url }) => {
+        console.log(`🧪 Mock ModelRiver running on ${url}`);
+        console.log(`🔌 WebSocket: ${url.replace(/^http/, 'ws')}/socket`);
+        if (!process.env.WEBHOOK_SECRET) {
+            console.warn('⚠️  WEBHOOK_SECRET not set - webhooks are sent unsigned');
+        }
+    });
+}
+
+module.exports = {
+    signWebhookPayload,
+    buildMockResponse,
+    createMockModelRiver
+};
@@ -0,0 +1,220 @@
+/**
+ * Mock ModelRiver Unit Tests
+ *
+ * Drives the mock the way the backend and @modelriver/client do: async request,
+ * signed webhook, callback and WebSocket push
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+const WebSocket = require('ws');
+const { signWebhookPayload, buildMockResponse, createMockModelRiver } = require('./mockModelRiver');
+
+describe('Mock ModelRiver', () => {
+    const secret = 'test-secret';
+    const silentLogger = { info: () => { }, warn: () => { }, error: () => { } };
+    const auth = { headers: { Authorization: 'Bearer mr_test_key' } };
+
+    let mock;
+    let mockUrl;
+    let receiver;
+    let receiverUrl;
+    let webhooks;
+
+    // Resolves with the next webhook the receiver gets
+    const nextWebhook = () => new Promise((resolve) => {
+        const check = setInterval(() => {
+            if (webhooks.length > 0) {
+                clearInterval(check);
+                resolve(webhooks.shift());
+            }
+        }, 5);
+    });
+
+    beforeEach(async () => {
+        webhooks = [];
+        const app = express();
+        app.use(express.json({
+            verify: (req, res, buf) => {
+                req.rawBody = buf.toString('utf8');
+            }
+        }));
+        app.post('/webhook/modelriver', (req, res) => {
+            webhooks.push({ headers: req.headers, body: req.body, rawBody: req.rawBody });
+            res.json({ received: true });
+        });
+        await new Promise((resolve) => {
+            receiver = app.listen(0, () => {
+                receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+                resolve();
+            });
+        });
+
+        mock = createMockModelRiver({ webhookSecret: secret, responseDelayMs: 0, logger: silentLogger });
+        ({ url: mockUrl } = await mock.listen(0));
+    });
+
+    afterEach(async () => {
+        await mock.close();
+        await new Promise(resolve => receiver.close(resolve));
+    });
+
+    const startRequest = (fields = {}) => axios.post(`${mockUrl}/v1/ai/async`, {
+        workflow: 'mr_chatbot_workflow',
+        messages: [{ role: 'user', content: 'Hello there' }],
+        webhook_url: `${receiverUrl}/webhook/modelriver`,
+        ...fields
+    }, auth);
+
+    describe('signWebhookPayload', () => {
+        it('should sign "${timestamp}.${JSON.stringify(data)}"', () => {
+            const body = { channel_id: 'ch-1', data: { reply: 'hi' } };
+            const expected = crypto.createHmac('sha256', secret)
+                .update(`1700000000.${JSON.stringify(body.data)}`)
+                .digest('hex');
+
+            expect(signWebhookPayload(secret, '1700000000', body)).toBe(expected);
+        });
+    });
+
+    describe('buildMockResponse', () => {
+        it('should answer the last user message with usage', () => {
+            const { data, usage } = buildMockResponse([
+                { role: 'user', content: 'first' },
+                { role: 'assistant', content: 'ok' },
+                { role: 'user', content: 'second' }
+            ]);
+
+            expect(data.reply).toBe('Mock reply to: second');
+            expect(usage.total_tokens).toBe(usage.prompt_tokens + usage.completion_tokens);
+        });
+
+        it('should answer the text of a message with attachments', () => {
+            const { data } = buildMockResponse([{
+                role: 'user',
+                content: [
+                    { type: 'text', text: 'what is this?' },
+                    { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }
+                ]
+            }]);
+            expect(data.reply).toBe('Mock reply to: what is this?');
+        });
+
+        it('should return OpenAI-style choices when unstructured', () => {
+            const { data } = buildMockResponse([{ role: 'user', content: 'hi' }], { structured: false });
+            expect(data.choices[0].message.content).toBe('Mock reply to: hi');
+        });
+    });
+
+    it('should reject requests without an API key', async () => {
+        const response = await axios.post(`${mockUrl}/v1/ai/async`, {}, { validateStatus: () => true });
+        expect(response.status).toBe(401);
+    });
+
+    it('should return channel and WebSocket details', async () => {
+        const { data } = await startRequest();
+
+        expect(data).toMatchObject({
+            project_id: 'mock-project',
+            websocket_url: `${mockUrl.replace(/^http/, 'ws')}/socket`,
+            websocket_channel: `ai_response:mock-project:${data.channel_id}`
+        });
+        expect(data.ws_token).toBeDefined();
+    });
+
+    it('should send a signed standard webhook when no events are requested', async () => {
+        const { data } = await startRequest();
+        const webhook = await nextWebhook();
+
+        expect(webhook.body).toMatchObject({ channel_id: data.channel_id, status: 'success' });
+        expect(webhook.body.data.reply).toBe('Mock reply to: Hello there');
+
+        const timestamp = webhook.headers['x-modelriver-timestamp'];
+        const expected = crypto.createHmac('sha256', secret)
+            .update(`${timestamp}.${JSON.stringify(webhook.body.data)}`)
+            .digest('hex');
+        expect(webhook.headers['x-modelriver-signature']).toBe(expected);
+    });
+
+    it('should send an event-driven webhook and push the callback over the WebSocket', async () => {
+        const { data } = await startRequest({ events: ['webhook_received'] });
+        const webhook = await nextWebhook();
+
+        expect(webhook.body).toMatchObject({
+            type: 'task.ai_generated',
+            event: 'webhook_received',
+            channel_id: data.channel_id,
+            callback_url: `${mockUrl}/v1/callback/${data.channel_id}`,
+            callback_required: true
+        });
+
+        // No data field, so the whole body is signed
+        const timestamp = webhook.headers['x-modelriver-timestamp'];
+        const expected = crypto.createHmac('sha256', secret)
+            .update(`${timestamp}.${webhook.rawBody}`)
+            .digest('hex');
+        expect(webhook.headers['x-modelriver-signature']).toBe(expected);
+
+        // Join the channel (Phoenix v2 frames) and wait for the pushed result
+        const socket = new WebSocket(`${data.websocket_url}/websocket?vsn=2.0.0`);
+        const frames = [];
+        socket.on('message', raw => frames.push(JSON.parse(raw.toString())));
+        await new Promise(resolve => socket.on('open', resolve));
+        socket.send(JSON.stringify(['1', '1', data.websocket_channel, 'phx_join', { token: data.ws_token }]));
+
+        await axios.post(webhook.body.callback_url, {
+            data: { ...webhook.body.ai_response.data, id: 'record-1' },
+            task_id: 'record-1'
+        }, auth);
+
+        await new Promise((resolve) => {
+            const check = setInterval(() => {
+                if (frames.some(frame => frame[3] === 'response')) {
+                    clearInterval(check);
+                    resolve();
+                }
+            }, 5);
+        });
+        socket.close();
+
+        expect(frames[0]).toEqual(['1', '1', data.websocket_channel, 'phx_reply', { status: 'ok', response: {} }]);
+        const push = frames.find(frame => frame[3] === 'response')[4];
+        expect(push).toMatchObject({
+            channel_id: data.channel_id,
+            status: 'completed',
+            data: { id: 'record-1', reply: 'Mock reply to: Hello there' },
+            meta: { status: 'completed' }
+        });
+        expect(mock.getChannel(data.channel_id).callback.body.task_id).toBe('record-1');
+    });
+
+    it('should not answer a cancelled request', async () => {
+        const slowMock = createMockModelRiver({ webhookSecret: secret, responseDelayMs: 50, logger: silentLogger });
+        const { url } = await slowMock.listen(0);
+        try {
+            const { data } = await axios.post(`${url}/v1/ai/async`, {
+                workflow: 'mr_chatbot_workflow',
+                messages: [{ role: 'user', content: 'Hello there' }],
+                webhook_url: `${receiverUrl}/webhook/modelriver`
+            }, auth);
+
+            const cancelled = await axios.post(`${url}/v1/ai/async/${data.channel_id}/cancel`, {}, auth);
+            expect(cancelled.data).toMatchObject({ success: true, status: 'cancelled' });
+
+            await new Promise(resolve => setTimeout(resolve, 100));
+            expect(webhooks).toEqual([]);
+            expect(slowMock.getChannel(data.channel_id).status).toBe('cancelled');
+        } finally {
+            await slowMock.close();
+        }
+    });
+
+    it('should 404 callbacks for unknown channels', async () => {
+        const response = await axios.post(`${mockUrl}/callback/missing`, { data: {} }, {
+            ...auth,
+            validateStatus: () => true
+        });
+        expect(response.status).toBe(404);
+    });
+});
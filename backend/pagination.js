@@ -0,0 +1,116 @@
+/**
+ * Cursor Pagination
+ *
+ * Helpers for paginating lists of stored items. Cursors are opaque base64url
+ * strings that encode the sort value and ID of the last item on a page, so
+ * pages stay stable when new items are added while a client is paging.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Error raised for malformed pagination parameters (mapped to 400 by routes).
+ */
+class PaginationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PaginationError';
+    }
+}
+
+function encodeCursor(value, id) {
+    return Buffer.from(JSON.stringify({ v: value, id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!decoded || typeof decoded !== 'object' || decoded.id === undefined) {
+            throw new Error('missing id');
+        }
+        return decoded;
+    } catch (error) {
+        throw new PaginationError('Invalid cursor');
+    }
+}
+
+/**
+ * Parse the `limit` query parameter.
+ *
+ * @param {string|number|undefined} value
+ * @param {number} [defaultLimit]
+ * @returns {number}
+ */
+function parseLimit(value, defaultLimit = DEFAULT_LIMIT) {
+    if (value === undefined || value === '') return defaultLimit;
+
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw new PaginationError(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+    return limit;
+}
+
+/**
+ * Parse the `order` query parameter.
+ *
+ * @param {string|undefined} value
+ * @param {'asc'|'desc'} defaultOrder
+ * @returns {'asc'|'desc'}
+ */
+function parseOrder(value, defaultOrder) {
+    if (value === undefined || value === '') return defaultOrder;
+    if (value !== 'asc' && value !== 'desc') {
+        throw new PaginationError('order must be "asc" or "desc"');
+    }
+    return value;
+}
+
+/**
+ * Sort items and return one page plus the cursor for the next page.
+ *
+ * @param {Array<object>} items - All items (any order)
+ * @param {object} options
+ * @param {(item: object) => string|number} options.getSortValue - Sort key (ties are broken by ID)
+ * @param {(item: object) => string} [options.getId] - Item ID (defaults to item.id)
+ * @param {number} options.limit - Page size
+ * @param {string} [options.cursor] - Cursor returned with the previous page
+ * @param {'asc'|'desc'} [options.order='asc']
+ * @returns {{ items: Array<object>, nextCursor: string|null }}
+ */
+function paginate(items, { getSortValue, getId = (item) => item.id, limit, cursor, order = 'asc' }) {
+    const direction = order === 'desc' ? -1 : 1;
+    const compareKeys = (a, b) => {
+        if (a.v < b.v) return -1 * direction;
+        if (a.v > b.v) return 1 * direction;
+        if (a.id < b.id) return -1 * direction;
+        if (a.id > b.id) return 1 * direction;
+        return 0;
+    };
+
+    const keyed = items
+        .map((item) => ({ item, key: { v: getSortValue(item) ?? '', id: String(getId(item)) } }))
+        .sort((a, b) => compareKeys(a.key, b.key));
+
+    const after = cursor ? decodeCursor(cursor) : null;
+    const remaining = after ? keyed.filter(({ key }) => compareKeys(key, after) > 0) : keyed;
+
+    const page = remaining.slice(0, limit);
+    const last = page[page.length - 1];
+    const nextCursor = remaining.length > limit && last ? encodeCursor(last.key.v, last.key.id) : null;
+
+    return {
+        items: page.map(({ item }) => item),
+        nextCursor
+    };
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    PaginationError,
+    parseLimit,
+    parseOrder,
+    paginate
+};
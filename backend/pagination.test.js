@@ -0,0 +1,68 @@
+/**
+ * Cursor Pagination Unit Tests
+ *
+ * Tests for the helpers behind GET /conversations and GET /conversations/:id/messages
+ */
+
+const { paginate, parseLimit, parseOrder, PaginationError } = require('./pagination');
+
+describe('Cursor Pagination', () => {
+    const items = [
+        { id: 'c', at: '2026-01-03' },
+        { id: 'a', at: '2026-01-01' },
+        { id: 'b', at: '2026-01-02' },
+        { id: 'd', at: '2026-01-02' }
+    ];
+    const getSortValue = (item) => item.at;
+
+    it('should sort ascending and break ties by id', () => {
+        const page = paginate(items, { getSortValue, limit: 10 });
+
+        expect(page.items.map(i => i.id)).toEqual(['a', 'b', 'd', 'c']);
+        expect(page.nextCursor).toBeNull();
+    });
+
+    it('should walk every page with the returned cursors', () => {
+        const seen = [];
+        let cursor;
+
+        do {
+            const page = paginate(items, { getSortValue, limit: 3, cursor, order: 'desc' });
+            seen.push(...page.items.map(i => i.id));
+            cursor = page.nextCursor;
+        } while (cursor);
+
+        expect(seen).toEqual(['c', 'd', 'b', 'a']);
+    });
+
+    it('should not repeat items when new ones are added between pages', () => {
+        const first = paginate(items, { getSortValue, limit: 2, order: 'desc' });
+        const grown = [...items, { id: 'e', at: '2026-01-04' }];
+        const second = paginate(grown, { getSortValue, limit: 2, order: 'desc', cursor: first.nextCursor });
+
+        expect(first.items.map(i => i.id)).toEqual(['c', 'd']);
+        expect(second.items.map(i => i.id)).toEqual(['b', 'a']);
+    });
+
+    it('should reject malformed cursors', () => {
+        expect(() => paginate(items, { getSortValue, limit: 2, cursor: 'not-a-cursor' })).toThrow(PaginationError);
+    });
+
+    describe('parseLimit', () => {
+        it('should default and validate the page size', () => {
+            expect(parseLimit(undefined)).toBe(20);
+            expect(parseLimit('5')).toBe(5);
+            expect(() => parseLimit('0')).toThrow(PaginationError);
+            expect(() => parseLimit('101')).toThrow(PaginationError);
+            expect(() => parseLimit('abc')).toThrow(PaginationError);
+        });
+    });
+
+    describe('parseOrder', () => {
+        it('should accept asc and desc only', () => {
+            expect(parseOrder(undefined, 'desc')).toBe('desc');
+            expect(parseOrder('asc', 'desc')).toBe('asc');
+            expect(() => parseOrder('sideways', 'asc')).toThrow(PaginationError);
+        });
+    });
+});
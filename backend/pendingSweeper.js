@@ -0,0 +1,113 @@
+/**
+ * Pending Request Sweeper
+ *
+ * Pending requests are normally resolved by the webhook. If ModelRiver never
+ * calls back, the sweeper marks the request as timed out after a TTL and lets
+ * the server record the failure. Finished requests (completed, timed out, cancelled)
+ * are kept for a retention period so clients can still read their status, then
+ * removed.
+ */
+
+const { COLLECTIONS } = require('./storage');
+
+const REQUEST_STATUS = {
+    PENDING: 'pending',
+    COMPLETED: 'completed',
+    TIMEOUT: 'timeout',
+    CANCELLED: 'cancelled'
+};
+
+/**
+ * Create a sweeper for the pending requests collection.
+ *
+ * @param {object} options
+ * @param {object} options.storage - Storage adapter
+ * @param {number} options.ttlMs - How long a request may stay pending
+ * @param {number} options.retentionMs - How long finished requests are kept for status lookups
+ * @param {number} [options.intervalMs=15000] - How often start() sweeps
+ * @param {(request: object) => Promise<void>} [options.onTimeout] - Called once per timed-out request
+ * @param {object} [options.logger=console]
+ * @returns {{ sweep: Function, start: Function, stop: Function }}
+ */
+function createPendingRequestSweeper({
+    storage,
+    ttlMs,
+    retentionMs,
+    intervalMs = 15000,
+    onTimeout = async () => { },
+    logger = console
+}) {
+    let interval = null;
+
+    /**
+     * Time out expired pending requests and drop finished ones past retention.
+     *
+     * @param {number} [now=Date.now()]
+     * @returns {Promise<{ timedOut: number, removed: number }>}
+     */
+    async function sweep(now = Date.now()) {
+        const requests = await storage.list(COLLECTIONS.PENDING_REQUESTS);
+        let timedOut = 0;
+        let removed = 0;
+
+        for (const request of requests) {
+            const status = request.status || REQUEST_STATUS.PENDING;
+
+            if (status === REQUEST_STATUS.PENDING && now - request.timestamp > ttlMs) {
+                // Re-check inside the update so a webhook that just arrived wins
+                let expired = null;
+                await storage.update(COLLECTIONS.PENDING_REQUESTS, request.channelId, (current) => {
+                    if (!current || (current.status || REQUEST_STATUS.PENDING) !== REQUEST_STATUS.PENDING) {
+                        return current;
+                    }
+                    expired = {
+                        ...current,
+                        status: REQUEST_STATUS.TIMEOUT,
+                        finishedAt: new Date(now).toISOString()
+                    };
+                    return expired;
+                });
+
+                if (expired) {
+                    timedOut++;
+                    logger.warn('⏰ Pending request timed out:', {
+                        channel_id: expired.channelId,
+                        conversation_id: expired.conversationId,
+                        age_ms: now - expired.timestamp
+                    });
+                    await onTimeout(expired);
+                }
+            } else if (status !== REQUEST_STATUS.PENDING && request.finishedAt &&
+                now - new Date(request.finishedAt).getTime() > retentionMs) {
+                await storage.delete(COLLECTIONS.PENDING_REQUESTS, request.channelId);
+                removed++;
+            }
+        }
+
+        return { timedOut, removed };
+    }
+
+    return {
+        sweep,
+
+        start() {
+            if (interval) return;
+            interval = setInterval(() => {
+                sweep().catch((error) => {
+                    logger.error('❌ Error sweeping pending requests:', error.message);
+                });
+            }, intervalMs);
+            interval.unref?.();
+        },
+
+        stop() {
+            clearInterval(interval);
+            interval = null;
+        }
+    };
+}
+
+module.exports = {
+    REQUEST_STATUS,
+    createPendingRequestSweeper
+};
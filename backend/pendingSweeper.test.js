@@ -0,0 +1,85 @@
+/**
+ * Pending Request Sweeper Unit Tests
+ *
+ * Tests for timing out unanswered requests and cleaning up finished ones
+ */
+
+const { createMemoryStore, COLLECTIONS } = require('./storage');
+const { createPendingRequestSweeper, REQUEST_STATUS } = require('./pendingSweeper');
+
+describe('Pending Request Sweeper', () => {
+    const silentLogger = { warn: () => { }, error: () => { } };
+    const now = Date.parse('2026-01-01T12:00:00Z');
+    let storage;
+    let onTimeout;
+    let sweeper;
+
+    beforeEach(() => {
+        storage = createMemoryStore();
+        onTimeout = jest.fn().mockResolvedValue();
+        sweeper = createPendingRequestSweeper({
+            storage,
+            ttlMs: 60000,
+            retentionMs: 3600000,
+            onTimeout,
+            logger: silentLogger
+        });
+    });
+
+    const addRequest = (channelId, fields) => storage.set(COLLECTIONS.PENDING_REQUESTS, channelId, {
+        channelId,
+        status: REQUEST_STATUS.PENDING,
+        conversationId: 'conv-1',
+        messageId: `msg-${channelId}`,
+        prompt: 'Hello',
+        ...fields
+    });
+
+    it('should leave requests alone within the ttl', async () => {
+        await addRequest('fresh', { timestamp: now - 30000 });
+
+        expect(await sweeper.sweep(now)).toEqual({ timedOut: 0, removed: 0 });
+        expect((await storage.get(COLLECTIONS.PENDING_REQUESTS, 'fresh')).status).toBe('pending');
+    });
+
+    it('should mark expired requests as timed out and notify once', async () => {
+        await addRequest('stale', { timestamp: now - 61000 });
+
+        expect(await sweeper.sweep(now)).toEqual({ timedOut: 1, removed: 0 });
+        await sweeper.sweep(now);
+
+        const request = await storage.get(COLLECTIONS.PENDING_REQUESTS, 'stale');
+        expect(request.status).toBe(REQUEST_STATUS.TIMEOUT);
+        expect(request.finishedAt).toBe(new Date(now).toISOString());
+        expect(onTimeout).toHaveBeenCalledTimes(1);
+        expect(onTimeout).toHaveBeenCalledWith(expect.objectContaining({ channelId: 'stale', messageId: 'msg-stale' }));
+    });
+
+    it('should treat entries without a status as pending', async () => {
+        await addRequest('legacy', { status: undefined, timestamp: now - 61000 });
+
+        expect((await sweeper.sweep(now)).timedOut).toBe(1);
+    });
+
+    it('should not time out completed requests', async () => {
+        await addRequest('done', {
+            status: REQUEST_STATUS.COMPLETED,
+            timestamp: now - 61000,
+            finishedAt: new Date(now - 1000).toISOString()
+        });
+
+        expect(await sweeper.sweep(now)).toEqual({ timedOut: 0, removed: 0 });
+        expect(onTimeout).not.toHaveBeenCalled();
+    });
+
+    it('should remove finished requests after the retention period', async () => {
+        await addRequest('old', {
+            status: REQUEST_STATUS.TIMEOUT,
+            timestamp: now - 7200000,
+            finishedAt: new Date(now - 3600001).toISOString()
+        });
+
+        expect(await sweeper.sweep(now)).toEqual({ timedOut: 0, removed: 1 });
+        expect(await storage.get(COLLECTIONS.PENDING_REQUESTS, 'old')).toBeNull();
+    });
+});
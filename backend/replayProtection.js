@@ -0,0 +1,149 @@
+/**
+ * Webhook Replay Protection
+ *
+ * Two layers keep a captured, correctly signed webhook from being processed twice:
+ *
+ * 1. Freshness - X-ModelRiver-Timestamp must be within a tolerance window of now.
+ * 2. Idempotent delivery - every accepted delivery is remembered (keyed on its
+ *    signature and on its channel/event) so a duplicate returns the original
+ *    record_id instead of storing another record and firing another callback.
+ */
+
+const SEEN_DELIVERIES = 'webhook_deliveries';
+
+/**
+ * Parse a webhook timestamp header into milliseconds since the epoch.
+ * Accepts Unix seconds (what ModelRiver sends), Unix milliseconds or an ISO date.
+ *
+ * @param {string} timestamp
+ * @returns {number|null}
+ */
+function parseWebhookTimestamp(timestamp) {
+    if (timestamp === undefined || timestamp === null || timestamp === '') return null;
+
+    if (/^\d+(\.\d+)?$/.test(String(timestamp))) {
+        const value = Number(timestamp);
+        // Anything past ~2001 in milliseconds is far beyond any plausible seconds value
+        return value > 1e12 ? value : value * 1000;
+    }
+
+    const parsed = Date.parse(timestamp);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Check that a webhook timestamp is within the tolerance window.
+ *
+ * @param {string} timestamp - X-ModelRiver-Timestamp header value
+ * @param {number} toleranceSeconds - Allowed clock difference in either direction (0 disables the check)
+ * @param {number} [now=Date.now()]
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function checkTimestampFreshness(timestamp, toleranceSeconds, now = Date.now()) {
+    if (!toleranceSeconds) return { valid: true };
+
+    const sentAt = parseWebhookTimestamp(timestamp);
+    if (sentAt === null) {
+        return { valid: false, error: 'Invalid X-ModelRiver-Timestamp header' };
+    }
+
+    const ageSeconds = Math.abs(now - sentAt) / 1000;
+    if (ageSeconds > toleranceSeconds) {
+        return { valid: false, error: `Webhook timestamp outside tolerance window (${toleranceSeconds}s)` };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Build the cache keys that identify one webhook delivery.
+ *
+ * @param {object} delivery
+ * @param {string} [delivery.signature] - X-ModelRiver-Signature header value
+ * @param {string} [delivery.channelId] - channel_id from the webhook body
+ * @param {string} [delivery.event] - event or type from the webhook body
+ * @returns {string[]}
+ */
+function getDeliveryKeys({ signature, channelId, event }) {
+    const keys = [];
+    if (signature) keys.push(`sig:${signature}`);
+    if (channelId) keys.push(`channel:${channelId}:${event || 'standard'}`);
+    return keys;
+}
+
+/**
+ * Create a cache of seen webhook deliveries on top of the storage adapter,
+ * so duplicates are still recognized after a restart with persistent storage.
+ *
+ * @param {object} options
+ * @param {object} options.storage - Storage adapter
+ * @param {number} options.ttlMs - How long a delivery is remembered
+ * @returns {{ claim: Function, release: Function, prune: Function }}
+ */
+function createDeliveryCache({ storage, ttlMs }) {
+    return {
+        /**
+         * Atomically record a delivery unless one of its keys was already seen.
+         *
+         * @param {string[]} keys - From getDeliveryKeys()
+         * @param {string} recordId - ID of the record this delivery produces
+         * @returns {Promise<{ duplicate: boolean, recordId: string }>}
+         */
+        async claim(keys, recordId) {
+            const now = Date.now();
+            const created = [];
+            let existing = null;
+
+            for (const key of keys) {
+                await storage.update(SEEN_DELIVERIES, key, (current) => {
+                    if (current && current.expiresAt > now) {
+                        existing = current;
+                        return current;
+                    }
+                    created.push(key);
+                    return { key, recordId, seenAt: now, expiresAt: now + ttlMs };
+                });
+                if (existing) break;
+            }
+
+            if (existing) {
+                // Undo the keys claimed before the duplicate was detected
+                await this.release(created, recordId);
+                return { duplicate: true, recordId: existing.recordId };
+            }
+            return { duplicate: false, recordId };
+        },
+
+        /**
+         * Forget a delivery (used when processing fails so a retry can succeed).
+         *
+         * @param {string[]} keys
+         * @param {string} recordId - Only entries created for this record are removed
+         */
+        async release(keys, recordId) {
+            await Promise.all(keys.map((key) => storage.update(SEEN_DELIVERIES, key, (current) => (
+                current && current.recordId === recordId ? null : current
+            ))));
+        },
+
+        /**
+         * Remove expired entries.
+         *
+         * @returns {Promise<number>} Number of entries removed
+         */
+        async prune() {
+            const now = Date.now();
+            const expired = (await storage.list(SEEN_DELIVERIES)).filter((entry) => entry.expiresAt <= now);
+            await Promise.all(expired.map((entry) => storage.delete(SEEN_DELIVERIES, entry.key)));
+            return expired.length;
+        }
+    };
+}
+
+module.exports = {
+    SEEN_DELIVERIES,
+    parseWebhookTimestamp,
+    checkTimestampFreshness,
+    getDeliveryKeys,
+    createDeliveryCache
+};
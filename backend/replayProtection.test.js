@@ -0,0 +1,107 @@
+/**
+ * Webhook Replay Protection Unit Tests
+ *
+ * Tests for timestamp freshness and idempotent webhook delivery
+ */
+
+const { createMemoryStore } = require('./storage');
+const {
+    parseWebhookTimestamp,
+    checkTimestampFreshness,
+    getDeliveryKeys,
+    createDeliveryCache
+} = require('./replayProtection');
+
+describe('Webhook Replay Protection', () => {
+    describe('parseWebhookTimestamp', () => {
+        it('should accept Unix seconds, milliseconds and ISO dates', () => {
+            expect(parseWebhookTimestamp('1700000000')).toBe(1700000000000);
+            expect(parseWebhookTimestamp('1700000000000')).toBe(1700000000000);
+            expect(parseWebhookTimestamp('2023-11-14T22:13:20.000Z')).toBe(1700000000000);
+        });
+
+        it('should return null for garbage', () => {
+            expect(parseWebhookTimestamp('yesterday-ish')).toBeNull();
+            expect(parseWebhookTimestamp('')).toBeNull();
+        });
+    });
+
+    describe('checkTimestampFreshness', () => {
+        const now = 1700000000000;
+
+        it('should accept timestamps within the window', () => {
+            expect(checkTimestampFreshness('1700000000', 300, now).valid).toBe(true);
+            expect(checkTimestampFreshness(String(1700000000 - 299), 300, now).valid).toBe(true);
+        });
+
+        it('should reject old and far-future timestamps', () => {
+            const old = checkTimestampFreshness(String(1700000000 - 301), 300, now);
+            expect(old.valid).toBe(false);
+            expect(old.error).toMatch(/outside tolerance window/);
+
+            expect(checkTimestampFreshness(String(1700000000 + 301), 300, now).valid).toBe(false);
+        });
+
+        it('should reject unparseable timestamps', () => {
+            expect(checkTimestampFreshness('abc', 300, now)).toEqual({
+                valid: false,
+                error: 'Invalid X-ModelRiver-Timestamp header'
+            });
+        });
+
+        it('should skip the check when the tolerance is 0', () => {
+            expect(checkTimestampFreshness('1', 0, now).valid).toBe(true);
+        });
+    });
+
+    describe('createDeliveryCache', () => {
+        let cache;
+
+        beforeEach(() => {
+            cache = createDeliveryCache({ storage: createMemoryStore(), ttlMs: 60000 });
+        });
+
+        it('should accept the first delivery and flag a replay with the original record id', async () => {
+            const keys = getDeliveryKeys({ signature: 'sig-1', channelId: 'ch-1' });
+
+            expect(await cache.claim(keys, 'record-1')).toEqual({ duplicate: false, recordId: 'record-1' });
+            expect(await cache.claim(keys, 'record-2')).toEqual({ duplicate: true, recordId: 'record-1' });
+        });
+
+        it('should treat a redelivery for the same channel and event as a duplicate', async () => {
+            await cache.claim(getDeliveryKeys({ signature: 'sig-1', channelId: 'ch-1', event: 'new_chat' }), 'record-1');
+
+            const redelivery = await cache.claim(
+                getDeliveryKeys({ signature: 'sig-2', channelId: 'ch-1', event: 'new_chat' }),
+                'record-2'
+            );
+
+            expect(redelivery).toEqual({ duplicate: true, recordId: 'record-1' });
+        });
+
+        it('should not block a different event on the same channel', async () => {
+            await cache.claim(getDeliveryKeys({ signature: 'sig-1', channelId: 'ch-1', event: 'webhook_received' }), 'r1');
+
+            const other = await cache.claim(getDeliveryKeys({ signature: 'sig-2', channelId: 'ch-1', event: 'new_chat' }), 'r2');
+            expect(other.duplicate).toBe(false);
+        });
+
+        it('should allow a retry after the delivery is released', async () => {
+            const keys = getDeliveryKeys({ signature: 'sig-1', channelId: 'ch-1' });
+
+            await cache.claim(keys, 'record-1');
+            await cache.release(keys, 'record-1');
+
+            expect((await cache.claim(keys, 'record-1')).duplicate).toBe(false);
+        });
+
+        it('should forget deliveries after the ttl', async () => {
+            const shortCache = createDeliveryCache({ storage: createMemoryStore(), ttlMs: -1 });
+            const keys = getDeliveryKeys({ signature: 'sig-1' });
+
+            await shortCache.claim(keys, 'record-1');
+            expect(await shortCache.prune()).toBe(1);
+            expect((await shortCache.claim(keys, 'record-2')).duplicate).toBe(false);
+        });
+    });
+});
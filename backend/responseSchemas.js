@@ -0,0 +1,304 @@
+/**
+ * Structured Output Schemas
+ *
+ * Responses of a workflow with a registered schema are validated when the
+ * webhook arrives (RESPONSE_SCHEMAS: workflow -> JSON Schema, or the name of a
+ * built-in schema). RESPONSE_SCHEMA_POLICY decides what happens to a response
+ * that doesn't match:
+ *
+ *   reject - the record is saved as an error and no callback is sent
+ *   repair - missing or invalid fields are replaced with defaults (default)
+ *   pass   - the response is kept as is
+ *
+ * Either way the record notes the outcome and the violations found.
+ *
+ * Supported keywords: type, enum, properties, required, additionalProperties
+ * (false), items, minimum, maximum, minLength, maxLength and default.
+ */
+
+const SCHEMA_POLICIES = {
+    REJECT: 'reject',
+    REPAIR: 'repair',
+    PASS: 'pass'
+};
+
+// The shape StructuredResponse.jsx renders (see "Configuring Structured Output" in the README)
+const STRUCTURED_CHAT_SCHEMA = {
+    type: 'object',
+    required: ['reply', 'summary', 'sentiment', 'confidence', 'topics', 'action_items'],
+    properties: {
+        reply: { type: 'string' },
+        summary: { type: 'string' },
+        sentiment: { type: 'string', enum: ['positive', 'neutral', 'negative', 'mixed'], default: 'neutral' },
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        topics: { type: 'array', items: { type: 'string' } },
+        action_items: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['task', 'priority'],
+                properties: {
+                    task: { type: 'string' },
+                    priority: { type: 'string', enum: ['high', 'medium', 'low'], default: 'medium' }
+                }
+            }
+        }
+    }
+};
+
+// Schemas available by name in RESPONSE_SCHEMAS
+const BUILT_IN_SCHEMAS = {
+    structured_chat: STRUCTURED_CHAT_SCHEMA
+};
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+};
+
+const matchesType = (value, type) => {
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return typeOf(value) === type;
+};
+
+const typesOf = (schema) => (schema.type === undefined ? [] : [].concat(schema.type));
+
+/**
+ * Validate a value against a schema.
+ *
+ * @param {object} schema
+ * @param {*} value
+ * @param {string} [path=''] - JSON Pointer of value, prefixed to each error's path
+ * @returns {{ path: string, message: string }[]} Empty when valid
+ */
+function validate(schema, value, path = '') {
+    const errors = [];
+    const fail = (message, at = path) => errors.push({ path: at || '/', message });
+
+    const types = typesOf(schema);
+    if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+        fail(`must be ${types.join(' or ')}, got ${typeOf(value)}`);
+        return errors;
+    }
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+        fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must be at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => errors.push(...validate(schema.items, item, `${path}/${index}`)));
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        for (const name of schema.required || []) {
+            if (value[name] === undefined) fail('is required', `${path}/${name}`);
+        }
+        for (const [name, item] of Object.entries(value)) {
+            if (item === undefined) continue;
+            if (properties[name]) {
+                errors.push(...validate(properties[name], item, `${path}/${name}`));
+            } else if (schema.additionalProperties === false) {
+                fail('is not allowed', `${path}/${name}`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * The value used in place of a missing or invalid one: the schema's default,
+ * else the first enum option, else an empty value of the schema's type.
+ *
+ * @param {object} schema
+ * @returns {*}
+ */
+function defaultFor(schema) {
+    if (schema.default !== undefined) return structuredClone(schema.default);
+    if (schema.enum) return schema.enum[0];
+
+    switch (typesOf(schema)[0]) {
+        case 'string': return '';
+        case 'number':
+        case 'integer': return schema.minimum !== undefined ? schema.minimum : 0;
+        case 'boolean': return false;
+        case 'array': return [];
+        case 'object': return repair(schema, {});
+        default: return null;
+    }
+}
+
+/**
+ * The property that takes a plain-text answer where an object is expected:
+ * the first string property, required ones first (`reply` in structured_chat).
+ *
+ * @param {object} schema - Object schema
+ * @returns {string|undefined}
+ */
+function textProperty(schema) {
+    const properties = schema.properties || {};
+    return [...(schema.required || []), ...Object.keys(properties)]
+        .find(name => properties[name] && typesOf(properties[name]).includes('string'));
+}
+
+/**
+ * Make a value match a schema, keeping as much of it as possible: missing
+ * required fields get defaults, invalid fields are replaced (numbers clamped,
+ * strings truncated), invalid array items and disallowed properties dropped.
+ * Text where an object is expected (a model that ignored the format) is kept
+ * in the object's text property.
+ *
+ * @param {object} schema
+ * @param {*} value
+ * @returns {*}
+ */
+function repair(schema, value) {
+    const types = typesOf(schema);
+    if (typeof value === 'string' && types.includes('object') && !types.includes('string')) {
+        const property = textProperty(schema);
+        if (property) return repair(schema, { [property]: value });
+    }
+    if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+        return defaultFor(schema);
+    }
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+        return defaultFor(schema);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) return schema.minimum;
+        if (schema.maximum !== undefined && value > schema.maximum) return schema.maximum;
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) return defaultFor(schema);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) return value.slice(0, schema.maxLength);
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        // Items that are the wrong type carry nothing worth keeping
+        const itemTypes = typesOf(schema.items);
+        return value
+            .filter(item => itemTypes.length === 0 || itemTypes.some(type => matchesType(item, type)))
+            .map(item => repair(schema.items, item));
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        const repaired = {};
+        for (const [name, item] of Object.entries(value)) {
+            if (item === undefined) continue;
+            if (properties[name]) {
+                repaired[name] = repair(properties[name], item);
+            } else if (schema.additionalProperties !== false) {
+                repaired[name] = item;
+            }
+        }
+        for (const name of schema.required || []) {
+            if (repaired[name] === undefined) {
+                repaired[name] = defaultFor(properties[name] || {});
+            }
+        }
+        return repaired;
+    }
+
+    return value;
+}
+
+/**
+ * Parse RESPONSE_SCHEMAS.
+ *
+ * @param {string} [value] - JSON object of workflow -> JSON Schema or built-in schema name
+ * @returns {Object<string, object|string>}
+ */
+function parseSchemaConfig(value) {
+    if (!value) return {};
+
+    let schemas;
+    try {
+        schemas = JSON.parse(value);
+    } catch (error) {
+        throw new Error(`RESPONSE_SCHEMAS is not valid JSON: ${error.message}`);
+    }
+    const valid = schemas && typeof schemas === 'object' && !Array.isArray(schemas) &&
+        Object.values(schemas).every(schema => typeof schema === 'string' || (schema && typeof schema === 'object' && !Array.isArray(schema)));
+    if (!valid) {
+        throw new Error('RESPONSE_SCHEMAS must be an object of workflow -> JSON Schema or built-in schema name');
+    }
+    return schemas;
+}
+
+/**
+ * Create the schema registry.
+ *
+ * @param {object} [options]
+ * @param {Object<string, object|string>} [options.schemas] - Workflow -> schema or built-in schema name
+ * @param {string} [options.policy='repair'] - What to do with a response that doesn't match (SCHEMA_POLICIES)
+ * @returns {{ getSchema: Function, check: Function }}
+ * @throws {Error} On an unknown policy or built-in schema name
+ */
+function createSchemaRegistry({ schemas = {}, policy = SCHEMA_POLICIES.REPAIR } = {}) {
+    if (!Object.values(SCHEMA_POLICIES).includes(policy)) {
+        throw new Error(`Unknown response schema policy "${policy}". Use one of: ${Object.values(SCHEMA_POLICIES).join(', ')}`);
+    }
+
+    const registry = {};
+    for (const [workflow, schema] of Object.entries(schemas)) {
+        if (typeof schema === 'string' && !BUILT_IN_SCHEMAS[schema]) {
+            throw new Error(`Unknown response schema "${schema}" for "${workflow}". Built-in: ${Object.keys(BUILT_IN_SCHEMAS).join(', ')}`);
+        }
+        registry[workflow] = typeof schema === 'string' ? BUILT_IN_SCHEMAS[schema] : schema;
+    }
+
+    const getSchema = (workflow) => (workflow && registry[workflow]) || null;
+
+    return {
+        getSchema,
+
+        /**
+         * Validate a workflow's response and apply the policy.
+         *
+         * @param {string|null} workflow
+         * @param {*} response - The record's response (structured object or text)
+         * @returns {{ response: *, validation: object|null }} The response to keep (repaired under the repair policy),
+         *   and { schema, valid, policy, outcome, errors } - null when the workflow has no schema.
+         *   outcome is valid, repaired, rejected or passed.
+         */
+        check(workflow, response) {
+            const schema = getSchema(workflow);
+            if (!schema) {
+                return { response, validation: null };
+            }
+
+            const errors = validate(schema, response);
+            if (errors.length === 0) {
+                return { response, validation: { schema: workflow, valid: true, policy, outcome: 'valid', errors: [] } };
+            }
+
+            const outcome = { reject: 'rejected', repair: 'repaired', pass: 'passed' }[policy];
+            return {
+                response: policy === SCHEMA_POLICIES.REPAIR ? repair(schema, response) : response,
+                validation: { schema: workflow, valid: false, policy, outcome, errors }
+            };
+        }
+    };
+}
+
+module.exports = {
+    SCHEMA_POLICIES,
+    BUILT_IN_SCHEMAS,
+    validate,
+    repair,
+    parseSchemaConfig,
+    createSchemaRegistry
+};
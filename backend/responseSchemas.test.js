@@ -0,0 +1,159 @@
+/**
+ * Structured Output Schema Unit Tests
+ *
+ * Tests for schema validation, repair with defaults and the per-workflow policies
+ */
+
+const {
+    BUILT_IN_SCHEMAS,
+    validate,
+    repair,
+    parseSchemaConfig,
+    createSchemaRegistry
+} = require('./responseSchemas');
+
+describe('Structured Output Schemas', () => {
+    const schema = BUILT_IN_SCHEMAS.structured_chat;
+    const validResponse = {
+        reply: 'Hi',
+        summary: 'Greeting',
+        sentiment: 'positive',
+        confidence: 0.8,
+        topics: ['greeting'],
+        action_items: [{ task: 'Say hi back', priority: 'low' }]
+    };
+
+    describe('validate', () => {
+        it('should accept a matching response', () => {
+            expect(validate(schema, validResponse)).toEqual([]);
+        });
+
+        it('should report each violation with its path', () => {
+            const errors = validate(schema, {
+                ...validResponse,
+                summary: undefined,
+                sentiment: 'happy',
+                confidence: 1.5,
+                topics: ['ok', 3],
+                action_items: [{ task: 'Do it' }]
+            });
+
+            expect(errors).toEqual([
+                { path: '/summary', message: 'is required' },
+                { path: '/sentiment', message: 'must be one of "positive", "neutral", "negative", "mixed"' },
+                { path: '/confidence', message: 'must be <= 1' },
+                { path: '/topics/1', message: 'must be string, got number' },
+                { path: '/action_items/0/priority', message: 'is required' }
+            ]);
+        });
+
+        it('should check the root type, integers, lengths and extra properties', () => {
+            expect(validate(schema, 'plain text')).toEqual([{ path: '/', message: 'must be object, got string' }]);
+            expect(validate({ type: 'integer' }, 1.5)).toEqual([{ path: '/', message: 'must be integer, got number' }]);
+            expect(validate({ type: ['string', 'null'], maxLength: 2 }, 'abc')).toEqual([{ path: '/', message: 'must be at most 2 characters' }]);
+            expect(validate({ type: 'object', additionalProperties: false }, { extra: 1 })).toEqual([{ path: '/extra', message: 'is not allowed' }]);
+        });
+    });
+
+    describe('repair', () => {
+        it('should fill in defaults and keep what is valid', () => {
+            const repaired = repair(schema, {
+                reply: 'Hi',
+                sentiment: 'happy',
+                confidence: 1.5,
+                topics: ['ok', 3],
+                action_items: [{ task: 'Do it' }, 'not an item'],
+                extra: true
+            });
+
+            expect(repaired).toEqual({
+                reply: 'Hi',
+                summary: '',
+                sentiment: 'neutral',
+                confidence: 1,
+                topics: ['ok'],
+                action_items: [{ task: 'Do it', priority: 'medium' }],
+                extra: true
+            });
+            expect(validate(schema, repaired)).toEqual([]);
+        });
+
+        it('should keep a plain-text response as the reply', () => {
+            const repaired = repair(schema, 'Sorry, I can only answer in prose.');
+            expect(repaired).toEqual({
+                reply: 'Sorry, I can only answer in prose.',
+                summary: '',
+                sentiment: 'neutral',
+                confidence: 0,
+                topics: [],
+                action_items: []
+            });
+            expect(validate(schema, repaired)).toEqual([]);
+        });
+
+        it('should replace a response of the wrong type with an empty one', () => {
+            expect(repair(schema, 42)).toEqual({
+                reply: '',
+                summary: '',
+                sentiment: 'neutral',
+                confidence: 0,
+                topics: [],
+                action_items: []
+            });
+        });
+    });
+
+    describe('parseSchemaConfig', () => {
+        it('should parse workflow schemas and built-in names', () => {
+            expect(parseSchemaConfig(undefined)).toEqual({});
+            expect(parseSchemaConfig('{"support":"structured_chat","faq":{"type":"object"}}')).toEqual({
+                support: 'structured_chat',
+                faq: { type: 'object' }
+            });
+        });
+
+        it('should reject malformed config', () => {
+            expect(() => parseSchemaConfig('{nope')).toThrow(/not valid JSON/);
+            expect(() => parseSchemaConfig('{"support":[1]}')).toThrow(/must be an object/);
+        });
+    });
+
+    describe('createSchemaRegistry', () => {
+        const invalidResponse = { ...validResponse, confidence: 'high' };
+
+        it('should skip workflows without a schema', () => {
+            const registry = createSchemaRegistry({ schemas: { support: 'structured_chat' } });
+
+            expect(registry.check('other', 'text')).toEqual({ response: 'text', validation: null });
+            expect(registry.check(null, 'text').validation).toBeNull();
+        });
+
+        it('should note a valid response', () => {
+            const registry = createSchemaRegistry({ schemas: { support: 'structured_chat' } });
+
+            expect(registry.check('support', validResponse)).toEqual({
+                response: validResponse,
+                validation: { schema: 'support', valid: true, policy: 'repair', outcome: 'valid', errors: [] }
+            });
+        });
+
+        it('should apply the policy to an invalid response', () => {
+            const check = (policy) => createSchemaRegistry({ schemas: { support: 'structured_chat' }, policy }).check('support', invalidResponse);
+            const errors = [{ path: '/confidence', message: 'must be number, got string' }];
+
+            expect(check('repair')).toEqual({
+                response: { ...validResponse, confidence: 0 },
+                validation: { schema: 'support', valid: false, policy: 'repair', outcome: 'repaired', errors }
+            });
+            expect(check('reject').response).toBe(invalidResponse);
+            expect(check('reject').validation.outcome).toBe('rejected');
+            expect(check('pass').response).toBe(invalidResponse);
+            expect(check('pass').validation.outcome).toBe('passed');
+        });
+
+        it('should refuse unknown policies and schema names', () => {
+            expect(() => createSchemaRegistry({ policy: 'ignore' })).toThrow(/Unknown response schema policy/);
+            expect(() => createSchemaRegistry({ schemas: { support: 'missing' } })).toThrow(/Unknown response schema "missing"/);
+        });
+    });
+});
@@ -1,55 +1,65 @@
 /**
  * Backend Server Unit Tests
- * 
- * Tests for the Chatbot Async App backend endpoints
+ *
+ * Tests for the Chatbot Async App backend endpoints, run against the real
+ * app built by createApp with in-memory storage and a mocked HTTP client
  */
 
-// Mock axios before requiring server
-jest.mock('axios');
-const axios = require('axios');
-
-// Mock environment
-process.env.MODELRIVER_API_KEY = 'mr_test_mock_api_key_12345';
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { createApp } = require('./app');
+const { createChatRouter } = require('./chatRouter');
+const { createMemoryStore, COLLECTIONS } = require('./storage');
+const { createLogger } = require('./logger');
+const { signWebhookPayload } = require('./mockModelRiver');
+const { IDEMPOTENCY_KEYS } = require('./idempotency');
+const { CALLBACK_DEAD_LETTERS } = require('./callbackQueue');
+
+const WEBHOOK_SECRET = 'test_webhook_secret_12345';
+
+const testConfig = (overrides = {}) => ({
+    modelRiverApiKey: 'mr_test_mock_api_key_12345',
+    webhookSecret: WEBHOOK_SECRET,
+    publicUrl: 'https://chat.example.com',
+    ...overrides
+});
 
-// We need to extract the Express app for testing
-// First, let's create a testable version by modifying how we export
+// ModelRiver's answer to POST /v1/ai/async
+const acceptedResponse = (channelId = 'mock-channel-123') => ({
+    status: 200,
+    data: {
+        channel_id: channelId,
+        ws_token: 'mock-ws-token',
+        websocket_url: 'wss://api.modelriver.com/socket',
+        websocket_channel: `ai_response:project:${channelId}`,
+        project_id: 'mock-project'
+    }
+});
 
 describe('Chatbot Async Backend', () => {
     let app;
-    let server;
-
-    beforeAll(() => {
-        // Suppress console logs during tests
-        jest.spyOn(console, 'log').mockImplementation(() => { });
-        jest.spyOn(console, 'error').mockImplementation(() => { });
-    });
-
-    afterAll(() => {
-        jest.restoreAllMocks();
-    });
+    let storage;
+    let httpClient;
 
     beforeEach(() => {
-        jest.clearAllMocks();
+        storage = createMemoryStore();
+        httpClient = { post: jest.fn() };
+        app = createApp({
+            config: testConfig(),
+            storage,
+            httpClient,
+            logger: createLogger({ level: 'silent' })
+        });
     });
 
     describe('Health Check', () => {
         it('should return health status', async () => {
-            // Import express and create minimal test app
-            const express = require('express');
-            const testApp = express();
-
-            testApp.get('/health', (req, res) => {
-                res.json({
-                    status: 'ok',
-                    timestamp: new Date().toISOString(),
-                    config: {
-                        api_key_configured: true
-                    }
-                });
-            });
-
-            const request = require('supertest');
-            const response = await request(testApp).get('/health');
+            const response = await request(app).get('/health');
 
             expect(response.status).toBe(200);
             expect(response.body.status).toBe('ok');
@@ -59,64 +69,20 @@ describe('Chatbot Async Backend', () => {
 
     describe('POST /chat', () => {
         it('should return 400 if message is missing', async () => {
-            const express = require('express');
-            const testApp = express();
-            testApp.use(express.json());
-
-            testApp.post('/chat', (req, res) => {
-                const { message } = req.body;
-                if (!message) {
-                    return res.status(400).json({ error: 'Message is required' });
-                }
-                res.json({ success: true });
-            });
-
-            const request = require('supertest');
-            const response = await request(testApp)
+            const response = await request(app)
                 .post('/chat')
                 .send({});
 
             expect(response.status).toBe(400);
             expect(response.body.error).toBe('Message is required');
+            expect(response.body.code).toBe('VALIDATION_FAILED');
+            expect(httpClient.post).not.toHaveBeenCalled();
         });
 
         it('should forward message to ModelRiver and return WebSocket details', async () => {
-            // Mock ModelRiver API response
-            axios.post.mockResolvedValueOnce({
-                data: {
-                    channel_id: 'mock-channel-123',
-                    ws_token: 'mock-ws-token',
-                    websocket_url: 'wss://api.modelriver.com/socket',
-                    websocket_channel: 'ai_response:project:channel',
-                    project_id: 'mock-project'
-                }
-            });
-
-            const express = require('express');
-            const testApp = express();
-            testApp.use(express.json());
-
-            testApp.post('/chat', async (req, res) => {
-                const { message } = req.body;
-                if (!message) {
-                    return res.status(400).json({ error: 'Message is required' });
-                }
-
-                try {
-                    const response = await axios.post(
-                        'https://api.modelriver.com/v1/ai/async',
-                        { messages: [{ role: 'user', content: message }] },
-                        { headers: { 'Authorization': 'Bearer mock-key' } }
-                    );
-
-                    res.json(response.data);
-                } catch (error) {
-                    res.status(500).json({ error: error.message });
-                }
-            });
+            httpClient.post.mockResolvedValueOnce(acceptedResponse());
 
-            const request = require('supertest');
-            const response = await request(testApp)
+            const response = await request(app)
                 .post('/chat')
                 .send({ message: 'Hello test' });
 
@@ -124,295 +90,1381 @@ describe('Chatbot Async Backend', () => {
             expect(response.body.channel_id).toBe('mock-channel-123');
             expect(response.body.ws_token).toBe('mock-ws-token');
             expect(response.body.websocket_url).toBe('wss://api.modelriver.com/socket');
+
+            const [url, payload, options] = httpClient.post.mock.calls[0];
+            expect(url).toBe('https://api.modelriver.com/v1/ai/async');
+            expect(payload.messages).toEqual([{ role: 'user', content: 'Hello test' }]);
+            expect(payload.webhook_url).toBe('https://chat.example.com/webhook/modelriver');
+            expect(options.headers.Authorization).toBe('Bearer mr_test_mock_api_key_12345');
+
+            const pending = await storage.get(COLLECTIONS.PENDING_REQUESTS, 'mock-channel-123');
+            expect(pending).toMatchObject({ prompt: 'Hello test', conversationId: response.body.conversation_id });
         });
     });
 
     describe('POST /webhook/modelriver', () => {
         it('should process webhook and return success', async () => {
-            const express = require('express');
-            const { v4: uuidv4 } = require('uuid');
-            const testApp = express();
-            testApp.use(express.json());
-
-            testApp.post('/webhook/modelriver', (req, res) => {
-                const { channel_id, status, data } = req.body;
-                const messageId = uuidv4();
-
-                res.json({
-                    success: true,
-                    message: 'Webhook processed',
-                    record_id: messageId
-                });
-            });
+            httpClient.post.mockResolvedValueOnce(acceptedResponse('test-channel'));
+            const chat = await request(app).post('/chat').send({ message: 'Hi there' });
+
+            const body = {
+                channel_id: 'test-channel',
+                status: 'success',
+                data: {
+                    choices: [{
+                        message: {
+                            role: 'assistant',
+                            content: 'Hello from AI'
+                        }
+                    }]
+                }
+            };
+            const timestamp = String(Math.floor(Date.now() / 1000));
 
-            const request = require('supertest');
-            const response = await request(testApp)
+            const response = await request(app)
                 .post('/webhook/modelriver')
-                .send({
-                    channel_id: 'test-channel',
-                    status: 'success',
-                    data: {
-                        choices: [{
-                            message: {
-                                role: 'assistant',
-                                content: 'Hello from AI'
-                            }
-                        }]
-                    }
-                });
+                .set('X-ModelRiver-Signature', signWebhookPayload(WEBHOOK_SECRET, timestamp, body))
+                .set('X-ModelRiver-Timestamp', timestamp)
+                .send(body);
 
             expect(response.status).toBe(200);
             expect(response.body.success).toBe(true);
             expect(response.body.record_id).toBeDefined();
+
+            const conversation = await storage.get(COLLECTIONS.CONVERSATIONS, chat.body.conversation_id);
+            expect(conversation.messages).toEqual([
+                expect.objectContaining({ id: response.body.record_id, prompt: 'Hi there', response: 'Hello from AI' })
+            ]);
         });
     });
 
-    describe('UUID Generation', () => {
-        it('should generate valid UUIDs', () => {
-            const { v4: uuidv4, validate } = require('uuid');
-            const id = uuidv4();
+    describe('Attachments', () => {
+        const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00]);
+        let attachmentsDir;
+        let attachmentApp;
+
+        beforeEach(() => {
+            attachmentsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+            attachmentApp = createApp({
+                config: testConfig({ attachmentsDir, attachmentMaxBytes: 1024, attachmentMaxFiles: 2 }),
+                storage,
+                httpClient,
+                logger: createLogger({ level: 'silent' })
+            });
+        });
 
-            expect(validate(id)).toBe(true);
-            expect(id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i);
+        afterEach(() => {
+            fs.rmSync(attachmentsDir, { recursive: true, force: true });
         });
-    });
 
-    describe('Webhook Signature Verification', () => {
-        const crypto = require('crypto');
-        const WEBHOOK_SECRET = 'test_webhook_secret_12345';
+        it('should forward attachments as content parts and serve them back', async () => {
+            httpClient.post.mockResolvedValueOnce(acceptedResponse('attachment-channel'));
 
-        // Helper to generate valid signature
-        const generateSignature = (timestamp, body, secret) => {
-            const payload = `${timestamp}.${JSON.stringify(body)}`;
-            return crypto
-                .createHmac('sha256', secret)
-                .update(payload)
-                .digest('hex');
+            const chat = await request(attachmentApp)
+                .post('/chat')
+                .field('message', 'What is in this picture?')
+                .field('events', 'webhook_received')
+                .attach('attachments', PNG, { filename: 'photo.png', contentType: 'image/png' });
+
+            expect(chat.status).toBe(200);
+            expect(chat.body.attachments).toEqual([
+                { id: expect.any(String), filename: 'photo.png', mime_type: 'image/png', size: PNG.length }
+            ]);
+            const payload = httpClient.post.mock.calls[0][1];
+            expect(payload.events).toEqual(['webhook_received']);
+            expect(payload.messages[payload.messages.length - 1].content).toEqual([
+                { type: 'text', text: 'What is in this picture?' },
+                { type: 'image_url', image_url: { url: `data:image/png;base64,${PNG.toString('base64')}` } }
+            ]);
+
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            const body = { channel_id: 'attachment-channel', status: 'success', data: { reply: 'A cat' } };
+            await request(attachmentApp)
+                .post('/webhook/modelriver')
+                .set('X-ModelRiver-Signature', signWebhookPayload(WEBHOOK_SECRET, timestamp, body))
+                .set('X-ModelRiver-Timestamp', timestamp)
+                .send(body);
+            const [record] = (await storage.get(COLLECTIONS.CONVERSATIONS, chat.body.conversation_id)).messages;
+            expect(record.attachments).toEqual(chat.body.attachments);
+
+            const file = await request(attachmentApp).get(`/attachments/${chat.body.attachments[0].id}`);
+            expect(file.status).toBe(200);
+            expect(file.headers['content-type']).toBe('image/png');
+            expect(file.headers['x-content-type-options']).toBe('nosniff');
+            expect(file.body.equals(PNG)).toBe(true);
+
+            await request(attachmentApp).delete(`/conversations/${chat.body.conversation_id}`);
+            expect((await request(attachmentApp).get(`/attachments/${chat.body.attachments[0].id}`)).status).toBe(404);
+        });
+
+        it('should reject files whose content does not match their type', async () => {
+            const response = await request(attachmentApp)
+                .post('/chat')
+                .field('message', 'Run this')
+                .attach('attachments', Buffer.from('MZ\x90\x00'), { filename: 'photo.png', contentType: 'image/png' });
+
+            expect(response.status).toBe(415);
+            expect(response.body.code).toBe('ATTACHMENT_REJECTED');
+            expect(response.body.details).toEqual([
+                { field: 'attachments', filename: 'photo.png', message: 'content does not match type image/png' }
+            ]);
+            expect(httpClient.post).not.toHaveBeenCalled();
+            expect(fs.readdirSync(attachmentsDir)).toEqual([]);
+        });
+
+        it('should reject files over the size and count limits', async () => {
+            const tooLarge = await request(attachmentApp)
+                .post('/chat')
+                .field('message', 'Big')
+                .attach('attachments', Buffer.alloc(2048), { filename: 'big.txt', contentType: 'text/plain' });
+            expect(tooLarge.status).toBe(413);
+            expect(tooLarge.body.code).toBe('PAYLOAD_TOO_LARGE');
+
+            const tooMany = await request(attachmentApp)
+                .post('/chat')
+                .field('message', 'Many')
+                .attach('attachments', PNG, 'a.png')
+                .attach('attachments', PNG, 'b.png')
+                .attach('attachments', PNG, 'c.png');
+            expect(tooMany.status).toBe(400);
+            expect(tooMany.body.code).toBe('ATTACHMENT_REJECTED');
+            expect(httpClient.post).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Conversations', () => {
+        const startConversation = async () => {
+            httpClient.post.mockResolvedValueOnce(acceptedResponse());
+            const chat = await request(app).post('/chat').send({ message: 'Hi' });
+            return chat.body.conversation_id;
         };
 
-        it('should accept webhook with valid signature', async () => {
-            const express = require('express');
-            const testApp = express();
+        it('should rename a conversation and validate the title', async () => {
+            const conversationId = await startConversation();
 
-            // Middleware to capture raw body
-            testApp.use(express.json({
-                verify: (req, res, buf) => {
-                    req.rawBody = buf.toString();
-                }
+            const renamed = await request(app).patch(`/conversations/${conversationId}`).send({ title: '  Trip planning  ' });
+            expect(renamed.status).toBe(200);
+            expect(renamed.body).toMatchObject({ id: conversationId, title: 'Trip planning' });
+            expect((await request(app).get('/conversations')).body.conversations[0].title).toBe('Trip planning');
+
+            const cleared = await request(app).patch(`/conversations/${conversationId}`).send({ title: null });
+            expect(cleared.body.title).toBeNull();
+
+            expect((await request(app).patch(`/conversations/${conversationId}`).send({ title: 42 })).status).toBe(400);
+            expect((await request(app).patch(`/conversations/${conversationId}`).send({ title: 'x'.repeat(201) })).status).toBe(400);
+            expect((await request(app).patch('/conversations/unknown').send({ title: 'Nope' })).status).toBe(404);
+        });
+
+        it('should page through messages with a cursor', async () => {
+            const conversationId = await startConversation();
+            await storage.update(COLLECTIONS.CONVERSATIONS, conversationId, (conversation) => ({
+                ...conversation,
+                messages: [1, 2, 3, 4, 5].map(n => ({
+                    id: `message-${n}`,
+                    prompt: `Question ${n}`,
+                    response: `Answer ${n}`,
+                    created_at: new Date(Date.UTC(2026, 0, 1, 0, n)).toISOString()
+                }))
             }));
+            const messagesPage = (query) => request(app).get(`/conversations/${conversationId}/messages`).query(query);
+            const ids = (response) => response.body.messages.map(message => message.id);
 
-            // Mock verifyWebhookSignature logic
-            testApp.post('/webhook/modelriver', (req, res) => {
-                const signature = req.headers['x-modelriver-signature'];
-                const timestamp = req.headers['x-modelriver-timestamp'];
-                const rawBody = req.rawBody;
+            const first = await messagesPage({ limit: 2 });
+            expect(first.status).toBe(200);
+            expect(ids(first)).toEqual(['message-1', 'message-2']);
 
-                if (!signature || !timestamp) {
-                    return res.status(401).json({ error: 'Unauthorized', message: 'Missing headers' });
-                }
+            const second = await messagesPage({ limit: 2, cursor: first.body.next_cursor });
+            expect(ids(second)).toEqual(['message-3', 'message-4']);
 
-                const payload = `${timestamp}.${rawBody}`;
-                const expectedSignature = crypto
-                    .createHmac('sha256', WEBHOOK_SECRET)
-                    .update(payload)
-                    .digest('hex');
+            const last = await messagesPage({ limit: 2, cursor: second.body.next_cursor });
+            expect(ids(last)).toEqual(['message-5']);
+            expect(last.body.next_cursor).toBeNull();
 
-                const sigBuffer = Buffer.from(signature);
-                const expectedBuffer = Buffer.from(expectedSignature);
+            // A page that ends exactly on the last message has no next cursor
+            const exact = await messagesPage({ limit: 5 });
+            expect(ids(exact)).toHaveLength(5);
+            expect(exact.body.next_cursor).toBeNull();
 
-                if (sigBuffer.length !== expectedBuffer.length ||
-                    !crypto.timingSafeEqual(sigBuffer, expectedBuffer)) {
-                    return res.status(401).json({ error: 'Unauthorized', message: 'Invalid signature' });
-                }
+            const newestFirst = await messagesPage({ limit: 2, order: 'desc' });
+            expect(ids(newestFirst)).toEqual(['message-5', 'message-4']);
+        });
 
-                res.json({ success: true, message: 'Webhook processed' });
-            });
+        it('should reject an invalid cursor, limit or order', async () => {
+            const conversationId = await startConversation();
+            const messagesPage = (query) => request(app).get(`/conversations/${conversationId}/messages`).query(query);
+
+            for (const query of [{ cursor: 'not-a-cursor' }, { limit: 0 }, { limit: 101 }, { limit: 'ten' }, { order: 'sideways' }]) {
+                const response = await messagesPage(query);
+                expect(response.status).toBe(400);
+                expect(response.body.error).toEqual(expect.any(String));
+            }
+            expect((await request(app).get('/conversations/unknown/messages')).status).toBe(404);
+        });
+    });
 
-            const request = require('supertest');
-            const body = { channel_id: 'test-channel', status: 'success' };
+    describe('Regenerate and edit', () => {
+        const answer = async (channelId, text) => {
             const timestamp = String(Math.floor(Date.now() / 1000));
-            const signature = generateSignature(timestamp, body, WEBHOOK_SECRET);
+            const body = { channel_id: channelId, status: 'success', data: { choices: [{ message: { content: text } }] } };
+            await request(app)
+                .post('/webhook/modelriver')
+                .set('X-ModelRiver-Signature', signWebhookPayload(WEBHOOK_SECRET, timestamp, body))
+                .set('X-ModelRiver-Timestamp', timestamp)
+                .send(body);
+        };
+        const lastPayload = () => httpClient.post.mock.calls[httpClient.post.mock.calls.length - 1][1];
+        const storedMessages = async (conversationId) => (await storage.get(COLLECTIONS.CONVERSATIONS, conversationId)).messages;
+
+        it('should keep earlier answers as versions and switch between them', async () => {
+            httpClient.post.mockResolvedValueOnce(acceptedResponse('first-channel'));
+            const first = await request(app).post('/chat').send({ message: 'First question' });
+            await answer('first-channel', 'First answer');
+            const conversationId = first.body.conversation_id;
+            httpClient.post.mockResolvedValueOnce(acceptedResponse('second-channel'));
+            await request(app).post('/chat').send({ message: 'Second question', conversationId });
+            await answer('second-channel', 'Second answer');
+            const messagePath = `/conversations/${conversationId}/messages/${first.body.message_id}`;
+
+            // Regenerate: the same prompt, with only the earlier records as history
+            httpClient.post.mockResolvedValueOnce(acceptedResponse('regenerate-channel'));
+            const regenerated = await request(app).post(`${messagePath}/regenerate`).send({});
+            expect(regenerated.status).toBe(200);
+            expect(regenerated.body).toMatchObject({ channel_id: 'regenerate-channel', message_id: first.body.message_id });
+            expect(lastPayload().messages).toEqual([{ role: 'user', content: 'First question' }]);
+
+            const busy = await request(app).post(`${messagePath}/regenerate`).send({});
+            expect(busy.status).toBe(409);
+            expect(busy.body.code).toBe('REQUEST_IN_PROGRESS');
+            const busySwitch = await request(app).put(`${messagePath}/version`).send({ version: 0 });
+            expect(busySwitch.status).toBe(409);
+            expect(busySwitch.body).toMatchObject({ code: 'REQUEST_IN_PROGRESS', details: { channel_id: 'regenerate-channel' } });
+
+            await answer('regenerate-channel', 'Better first answer');
+            let messages = await storedMessages(conversationId);
+            expect(messages).toHaveLength(1);
+            expect(messages[0]).toMatchObject({ response: 'Better first answer', version: 1 });
+            expect(messages[0].versions.map(version => version.response)).toEqual(['First answer', 'Better first answer']);
+            expect(messages[0].versions[0].followups.map(record => record.prompt)).toEqual(['Second question']);
+
+            // Switching back restores the second question
+            const switched = await request(app).put(`${messagePath}/version`).send({ version: 0 });
+            expect(switched.status).toBe(200);
+            expect(switched.body.messages.map(record => record.response)).toEqual(['First answer', 'Second answer']);
+
+            // Edit: a new prompt, answered as a third version
+            httpClient.post.mockResolvedValueOnce(acceptedResponse('edit-channel'));
+            const edited = await request(app).post(`${messagePath}/edit`).send({ message: 'First question, rephrased' });
+            expect(edited.status).toBe(200);
+            expect(lastPayload().messages).toEqual([{ role: 'user', content: 'First question, rephrased' }]);
+            await answer('edit-channel', 'Rephrased answer');
+
+            messages = await storedMessages(conversationId);
+            expect(messages).toHaveLength(1);
+            expect(messages[0]).toMatchObject({ prompt: 'First question, rephrased', response: 'Rephrased answer', version: 2 });
+            expect(messages[0].versions).toHaveLength(3);
+        });
+
+        it('should validate the edit and the version', async () => {
+            httpClient.post.mockResolvedValueOnce(acceptedResponse('validate-channel'));
+            const chat = await request(app).post('/chat').send({ message: 'Question' });
+            await answer('validate-channel', 'Answer');
+            const conversationPath = `/conversations/${chat.body.conversation_id}/messages`;
+
+            const blank = await request(app).post(`${conversationPath}/${chat.body.message_id}/edit`).send({ message: ' ' });
+            expect(blank.status).toBe(400);
+            expect(blank.body.code).toBe('VALIDATION_FAILED');
+
+            const unknown = await request(app).post(`${conversationPath}/nope/regenerate`).send({});
+            expect(unknown.status).toBe(404);
+            expect(unknown.body.code).toBe('MESSAGE_NOT_FOUND');
+
+            const versionPath = `${conversationPath}/${chat.body.message_id}/version`;
+            const noVersion = await request(app).put(versionPath).send({ version: 3 });
+            expect(noVersion.status).toBe(400);
+            expect(noVersion.body).toMatchObject({ error: 'No such version', code: 'VALIDATION_FAILED' });
+
+            const badVersion = await request(app).put(versionPath).send({ version: -1 });
+            expect(badVersion.status).toBe(400);
+            expect(badVersion.body.code).toBe('VALIDATION_FAILED');
+            expect(badVersion.body.details).toEqual([expect.objectContaining({ field: 'version' })]);
+
+            const unknownMessage = await request(app).put(`${conversationPath}/nope/version`).send({ version: 0 });
+            expect(unknownMessage.status).toBe(404);
+            expect(unknownMessage.body.code).toBe('MESSAGE_NOT_FOUND');
+
+            const unknownConversation = await request(app).put('/conversations/unknown/messages/nope/version').send({ version: 0 });
+            expect(unknownConversation.status).toBe(404);
+            expect(unknownConversation.body.code).toBe('CONVERSATION_NOT_FOUND');
+            expect(httpClient.post).toHaveBeenCalledTimes(1);
+        });
+    });
 
-            const response = await request(testApp)
+    describe('Branches', () => {
+        const answer = async (channelId, text) => {
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            const body = { channel_id: channelId, status: 'success', data: { choices: [{ message: { content: text } }] } };
+            await request(app)
                 .post('/webhook/modelriver')
-                .set('X-ModelRiver-Signature', signature)
+                .set('X-ModelRiver-Signature', signWebhookPayload(WEBHOOK_SECRET, timestamp, body))
                 .set('X-ModelRiver-Timestamp', timestamp)
                 .send(body);
+        };
 
-            expect(response.status).toBe(200);
-            expect(response.body.success).toBe(true);
+        it('should fork at a message and continue the branch from its history', async () => {
+            httpClient.post.mockResolvedValueOnce(acceptedResponse('branch-first'));
+            const first = await request(app).post('/chat').send({ message: 'First question' });
+            await answer('branch-first', 'First answer');
+            const rootId = first.body.conversation_id;
+            httpClient.post.mockResolvedValueOnce(acceptedResponse('branch-second'));
+            await request(app).post('/chat').send({ message: 'Second question', conversationId: rootId });
+            await answer('branch-second', 'Second answer');
+
+            const fork = await request(app).post(`/conversations/${rootId}/fork`).send({ messageId: first.body.message_id });
+            expect(fork.status).toBe(201);
+            expect(fork.body).toMatchObject({ parentId: rootId, forkedFromMessageId: first.body.message_id });
+            expect(fork.body.messages.map(record => record.response)).toEqual(['First answer']);
+            expect(fork.body.messages[0]).toMatchObject({ conversation_id: fork.body.id, inherited_from: rootId });
+
+            // The branch's next message only carries the branch's history
+            httpClient.post.mockResolvedValueOnce(acceptedResponse('branch-third'));
+            await request(app).post('/chat').send({ message: 'Another direction', conversationId: fork.body.id });
+            expect(httpClient.post.mock.calls[2][1].messages).toEqual([
+                { role: 'user', content: 'First question' },
+                { role: 'assistant', content: 'First answer' },
+                { role: 'user', content: 'Another direction' }
+            ]);
+
+            const tree = await request(app).get(`/conversations/${fork.body.id}/tree`);
+            expect(tree.status).toBe(200);
+            expect(tree.body.tree).toMatchObject({
+                id: rootId,
+                message_count: 2,
+                children: [{ id: fork.body.id, parent_id: rootId, forked_from_message_id: first.body.message_id, children: [] }]
+            });
+
+            const list = await request(app).get('/conversations');
+            expect(list.body.conversations.find(summary => summary.id === fork.body.id).parentId).toBe(rootId);
+
+            // Deleting the root keeps the branch, which becomes a root itself
+            await request(app).delete(`/conversations/${rootId}`).expect(204);
+            const orphan = await request(app).get(`/conversations/${fork.body.id}/tree`);
+            expect(orphan.body.tree).toMatchObject({ id: fork.body.id, children: [] });
         });
 
-        it('should reject webhook with invalid signature', async () => {
-            const express = require('express');
-            const testApp = express();
+        it('should refuse unknown conversations and messages', async () => {
+            httpClient.post.mockResolvedValueOnce(acceptedResponse('branch-validate'));
+            const chat = await request(app).post('/chat').send({ message: 'Question' });
 
-            testApp.use(express.json({
-                verify: (req, res, buf) => {
-                    req.rawBody = buf.toString();
-                }
+            const empty = await request(app).post(`/conversations/${chat.body.conversation_id}/fork`).send({});
+            expect(empty.status).toBe(400);
+
+            await answer('branch-validate', 'Answer');
+            const unknownMessage = await request(app).post(`/conversations/${chat.body.conversation_id}/fork`).send({ messageId: 'nope' });
+            expect(unknownMessage.status).toBe(404);
+
+            const unknownConversation = await request(app).post('/conversations/nope/fork').send({});
+            expect(unknownConversation.status).toBe(404);
+            expect((await request(app).get('/conversations/nope/tree')).status).toBe(404);
+        });
+    });
+
+    describe('Cancelling requests', () => {
+        const sendWebhook = (target, channelId) => {
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            const body = { channel_id: channelId, status: 'success', data: { choices: [{ message: { content: 'Late answer' } }] } };
+            return request(target)
+                .post('/webhook/modelriver')
+                .set('X-ModelRiver-Signature', signWebhookPayload(WEBHOOK_SECRET, timestamp, body))
+                .set('X-ModelRiver-Timestamp', timestamp)
+                .send(body);
+        };
+
+        it('should cancel a pending request and drop its late webhook', async () => {
+            httpClient.post.mockResolvedValueOnce(acceptedResponse('cancel-channel'));
+            const chat = await request(app).post('/chat').send({ message: 'Never mind' });
+
+            const cancelled = await request(app).delete('/chat/cancel-channel');
+            expect(cancelled.status).toBe(200);
+            expect(cancelled.body).toMatchObject({ channel_id: 'cancel-channel', status: 'cancelled', modelriver: 'unsupported' });
+            expect((await request(app).get('/chat/cancel-channel/status')).body.status).toBe('cancelled');
+            expect((await request(app).delete('/chat/cancel-channel')).body.status).toBe('cancelled');
+
+            const late = await sendWebhook(app, 'cancel-channel');
+            expect(late.status).toBe(200);
+            expect(late.body).toMatchObject({ success: true, ignored: true });
+            const conversation = await storage.get(COLLECTIONS.CONVERSATIONS, chat.body.conversation_id);
+            expect(conversation.messages).toEqual([]);
+            expect(httpClient.post).toHaveBeenCalledTimes(1);
+        });
+
+        it('should forward the cancellation to ModelRiver when configured', async () => {
+            const cancellingApp = createApp({
+                config: testConfig({ modelRiverCancelPath: '/v1/ai/async/:channelId/cancel' }),
+                storage,
+                httpClient,
+                logger: createLogger({ level: 'silent' })
+            });
+            httpClient.post
+                .mockResolvedValueOnce(acceptedResponse('forward-channel'))
+                .mockResolvedValueOnce({ status: 200, data: {} })
+                .mockResolvedValueOnce(acceptedResponse('forward-failing-channel'))
+                .mockRejectedValueOnce(Object.assign(new Error('Not Found'), { response: { status: 404 } }));
+
+            await request(cancellingApp).post('/chat').send({ message: 'Stop' });
+            const forwarded = await request(cancellingApp).delete('/chat/forward-channel');
+            expect(forwarded.body.modelriver).toBe('cancelled');
+            expect(httpClient.post.mock.calls[1][0]).toBe('https://api.modelriver.com/v1/ai/async/forward-channel/cancel');
+
+            await request(cancellingApp).post('/chat').send({ message: 'Stop again' });
+            const failed = await request(cancellingApp).delete('/chat/forward-failing-channel');
+            expect(failed.status).toBe(200);
+            expect(failed.body).toMatchObject({ status: 'cancelled', modelriver: 'failed' });
+        });
+
+        it('should refuse finished and unknown requests', async () => {
+            httpClient.post.mockResolvedValueOnce(acceptedResponse('finished-channel'));
+            await request(app).post('/chat').send({ message: 'Question' });
+            await sendWebhook(app, 'finished-channel');
+
+            const finished = await request(app).delete('/chat/finished-channel');
+            expect(finished.status).toBe(409);
+            expect(finished.body.status).toBe('completed');
+            expect((await request(app).delete('/chat/nope')).status).toBe(404);
+        });
+    });
+
+    describe('Idempotency keys', () => {
+        it('should replay the first response to a repeated key without calling ModelRiver again', async () => {
+            httpClient.post.mockResolvedValueOnce(acceptedResponse('idempotent-channel'));
+            const first = await request(app).post('/chat').set('Idempotency-Key', 'send-1').send({ message: 'Hello' });
+            const retry = await request(app).post('/chat').set('Idempotency-Key', 'send-1').send({ message: 'Hello' });
+
+            expect(first.status).toBe(200);
+            expect(retry.status).toBe(200);
+            expect(retry.headers['idempotent-replayed']).toBe('true');
+            expect(retry.body).toEqual(first.body);
+            expect(retry.body).toMatchObject({ channel_id: 'idempotent-channel', ws_token: 'mock-ws-token' });
+            expect(httpClient.post).toHaveBeenCalledTimes(1);
+            expect(await storage.count(COLLECTIONS.PENDING_REQUESTS)).toBe(1);
+
+            const reused = await request(app).post('/chat').set('Idempotency-Key', 'send-1').send({ message: 'Something else' });
+            expect(reused.status).toBe(409);
+            expect(reused.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+
+            const invalid = await request(app).post('/chat').set('Idempotency-Key', 'has space').send({ message: 'Hello' });
+            expect(invalid.status).toBe(400);
+            expect(httpClient.post).toHaveBeenCalledTimes(1);
+        });
+
+        it('should let a failed request be retried with the same key', async () => {
+            httpClient.post
+                .mockRejectedValueOnce(Object.assign(new Error('Service Unavailable'), { response: { status: 503, data: {} } }))
+                .mockResolvedValueOnce(acceptedResponse('idempotent-retry-channel'));
+
+            const failed = await request(app).post('/chat').set('Idempotency-Key', 'send-2').send({ message: 'Hello' });
+            expect(failed.status).toBe(502);
+
+            const retried = await request(app).post('/chat').set('Idempotency-Key', 'send-2').send({ message: 'Hello' });
+            expect(retried.status).toBe(200);
+            expect(retried.body.channel_id).toBe('idempotent-retry-channel');
+        });
+
+        it('should refuse a repeat while the first request is processed, then replay it', async () => {
+            let accept;
+            httpClient.post.mockReturnValueOnce(new Promise((resolve) => {
+                accept = resolve;
             }));
 
-            testApp.post('/webhook/modelriver', (req, res) => {
-                const signature = req.headers['x-modelriver-signature'];
-                const timestamp = req.headers['x-modelriver-timestamp'];
-                const rawBody = req.rawBody;
+            const first = request(app).post('/chat').set('Idempotency-Key', 'send-6').send({ message: 'Hello' }).then(response => response);
+            while (httpClient.post.mock.calls.length === 0) {
+                await new Promise(resolve => setTimeout(resolve, 5));
+            }
 
-                if (!signature || !timestamp) {
-                    return res.status(401).json({ error: 'Unauthorized', message: 'Missing headers' });
-                }
+            const early = await request(app).post('/chat').set('Idempotency-Key', 'send-6').send({ message: 'Hello' });
+            expect(early.status).toBe(409);
+            expect(early.body.code).toBe('REQUEST_IN_PROGRESS');
 
-                const payload = `${timestamp}.${rawBody}`;
-                const expectedSignature = crypto
-                    .createHmac('sha256', WEBHOOK_SECRET)
-                    .update(payload)
-                    .digest('hex');
+            accept(acceptedResponse('in-progress-channel'));
+            expect((await first).status).toBe(200);
 
-                if (signature !== expectedSignature) {
-                    return res.status(401).json({ error: 'Unauthorized', message: 'Invalid signature' });
-                }
+            const later = await request(app).post('/chat').set('Idempotency-Key', 'send-6').send({ message: 'Hello' });
+            expect(later.status).toBe(200);
+            expect(later.headers['idempotent-replayed']).toBe('true');
+            expect(later.body.channel_id).toBe('in-progress-channel');
+            expect(httpClient.post).toHaveBeenCalledTimes(1);
+        });
+
+        it('should replay without charging the rate limit again', async () => {
+            const limitedApp = createApp({
+                config: testConfig({ chatRateLimit: 1 }),
+                storage,
+                httpClient,
+                logger: createLogger({ level: 'silent' })
+            });
+            httpClient.post.mockResolvedValueOnce(acceptedResponse('limited-channel'));
+
+            const first = await request(limitedApp).post('/chat').set('Idempotency-Key', 'send-4').send({ message: 'Hello' });
+            const retry = await request(limitedApp).post('/chat').set('Idempotency-Key', 'send-4').send({ message: 'Hello' });
+            expect(first.status).toBe(200);
+            expect(retry.status).toBe(200);
+            expect(retry.body.channel_id).toBe('limited-channel');
+
+            // A new request is over the limit, and its key is released for a later retry
+            const limited = await request(limitedApp).post('/chat').set('Idempotency-Key', 'send-5').send({ message: 'Again' });
+            expect(limited.status).toBe(429);
+            expect(limited.body.code).toBe('RATE_LIMITED');
+            expect(await storage.count(IDEMPOTENCY_KEYS)).toBe(1);
+            expect(httpClient.post).toHaveBeenCalledTimes(1);
+        });
 
-                res.json({ success: true });
+        it('should ignore the header when the window is 0', async () => {
+            const noIdempotencyApp = createApp({
+                config: testConfig({ idempotencyTtlSeconds: 0 }),
+                storage,
+                httpClient,
+                logger: createLogger({ level: 'silent' })
             });
+            httpClient.post
+                .mockResolvedValueOnce(acceptedResponse('no-idempotency-1'))
+                .mockResolvedValueOnce(acceptedResponse('no-idempotency-2'));
 
-            const request = require('supertest');
-            const body = { channel_id: 'test-channel', status: 'success' };
-            const timestamp = String(Math.floor(Date.now() / 1000));
+            await request(noIdempotencyApp).post('/chat').set('Idempotency-Key', 'send-3').send({ message: 'Hello' });
+            const second = await request(noIdempotencyApp).post('/chat').set('Idempotency-Key', 'send-3').send({ message: 'Hello' });
+            expect(second.body.channel_id).toBe('no-idempotency-2');
+        });
+    });
+
+    describe('Ownership', () => {
+        const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00]);
+        let attachmentsDir;
+        let tokenApp;
+
+        beforeEach(() => {
+            attachmentsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+            tokenApp = createApp({
+                config: testConfig({
+                    authMode: 'token',
+                    authApiKeys: [{ userId: 'alice', key: 'alice_key' }, { userId: 'bob', key: 'bob_key' }],
+                    authTokenSecret: 'test_token_secret',
+                    attachmentsDir
+                }),
+                storage,
+                httpClient,
+                logger: createLogger({ level: 'silent' })
+            });
+        });
+
+        afterEach(() => {
+            fs.rmSync(attachmentsDir, { recursive: true, force: true });
+        });
+
+        const signIn = async (apiKey) => (await request(tokenApp).post('/auth/session').send({ apiKey })).body.token;
+
+        it('should answer 404 for another user\'s conversation, events, attachments and requests', async () => {
+            const alice = await signIn('alice_key');
+            const bob = await signIn('bob_key');
+
+            httpClient.post.mockResolvedValueOnce(acceptedResponse('alice-channel'));
+            const chat = await request(tokenApp)
+                .post('/chat')
+                .set('Authorization', `Bearer ${alice}`)
+                .field('message', 'Private question')
+                .attach('attachments', PNG, { filename: 'photo.png', contentType: 'image/png' });
+            expect(chat.status).toBe(200);
+            const conversationId = chat.body.conversation_id;
+            const attachmentId = chat.body.attachments[0].id;
+
+            const asBob = (req) => req.set('Authorization', `Bearer ${bob}`);
+            expect((await asBob(request(tokenApp).get(`/conversations/${conversationId}`))).status).toBe(404);
+            expect((await asBob(request(tokenApp).patch(`/conversations/${conversationId}`)).send({ title: 'Mine now' })).status).toBe(404);
+            expect((await asBob(request(tokenApp).delete(`/conversations/${conversationId}`))).status).toBe(404);
+            expect((await request(tokenApp).get(`/conversations/${conversationId}/events?access_token=${bob}`)).status).toBe(404);
+            expect((await request(tokenApp).get(`/attachments/${attachmentId}?access_token=${bob}`)).status).toBe(404);
+            expect((await asBob(request(tokenApp).get('/chat/alice-channel/status'))).status).toBe(404);
+            expect((await asBob(request(tokenApp).get('/conversations'))).body.conversations).toEqual([]);
+
+            // Nothing was changed, and the owner still has access
+            const own = await request(tokenApp).get(`/conversations/${conversationId}`).set('Authorization', `Bearer ${alice}`);
+            expect(own.status).toBe(200);
+            expect(own.body.title || null).toBeNull();
+            expect((await request(tokenApp).get(`/attachments/${attachmentId}?access_token=${alice}`)).status).toBe(200);
+            expect((await request(tokenApp).get('/chat/alice-channel/status').set('Authorization', `Bearer ${alice}`)).status).toBe(200);
+        });
+
+        it('should require a credential', async () => {
+            expect((await request(tokenApp).get('/conversations')).status).toBe(401);
+            expect((await request(tokenApp).post('/chat').send({ message: 'Hi' })).status).toBe(401);
+            expect((await request(tokenApp).get('/conversations').set('Authorization', 'Bearer forged.token')).status).toBe(401);
+            expect(httpClient.post).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Sign-in', () => {
+        it('should limit sign-in attempts per client IP', async () => {
+            const signInApp = createApp({
+                config: testConfig({
+                    authMode: 'token',
+                    authApiKeys: [{ userId: 'alice', key: 'alice_key' }],
+                    authTokenSecret: 'test_token_secret',
+                    authSignInRateLimit: 2,
+                    authSignInRateLimitWindowMs: 60000
+                }),
+                storage,
+                httpClient,
+                logger: createLogger({ level: 'silent' })
+            });
+
+            expect((await request(signInApp).post('/auth/session').send({ apiKey: 'guess_1' })).status).toBe(401);
+            expect((await request(signInApp).post('/auth/session').send({ apiKey: 'alice_key' })).status).toBe(200);
 
-            const response = await request(testApp)
+            const limited = await request(signInApp).post('/auth/session').send({ apiKey: 'alice_key' });
+            expect(limited.status).toBe(429);
+            expect(limited.body.code).toBe('RATE_LIMITED');
+            expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+        });
+
+        it('should tell clients behind a trusted proxy apart', async () => {
+            const proxiedApp = createApp({
+                config: testConfig({
+                    authMode: 'token',
+                    authApiKeys: [{ userId: 'alice', key: 'alice_key' }],
+                    authTokenSecret: 'test_token_secret',
+                    authSignInRateLimit: 1,
+                    trustProxy: 1
+                }),
+                storage,
+                httpClient,
+                logger: createLogger({ level: 'silent' })
+            });
+            const signIn = (ip) => request(proxiedApp).post('/auth/session').set('X-Forwarded-For', ip).send({ apiKey: 'guess' });
+
+            expect((await signIn('203.0.113.1')).status).toBe(401);
+            expect((await signIn('203.0.113.1')).status).toBe(429);
+            expect((await signIn('203.0.113.2')).status).toBe(401); // Another client isn't locked out
+        });
+    });
+
+    describe('Usage limits', () => {
+        const answer = (target, channelId, usage) => {
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            const body = { channel_id: channelId, status: 'success', data: { choices: [{ message: { content: 'Answer' } }], usage } };
+            return request(target)
                 .post('/webhook/modelriver')
-                .set('X-ModelRiver-Signature', 'invalid-signature')
+                .set('X-ModelRiver-Signature', signWebhookPayload(WEBHOOK_SECRET, timestamp, body))
                 .set('X-ModelRiver-Timestamp', timestamp)
                 .send(body);
+        };
 
-            expect(response.status).toBe(401);
-            expect(response.body.error).toBe('Unauthorized');
+        it('should keep counting used tokens after the conversation is deleted', async () => {
+            const quotaApp = createApp({
+                config: testConfig({ tokenQuota: 100 }),
+                storage,
+                httpClient,
+                logger: createLogger({ level: 'silent' })
+            });
+            httpClient.post.mockResolvedValueOnce(acceptedResponse('quota-channel'));
+            const chat = await request(quotaApp).post('/chat').send({ message: 'Use it all' });
+            await answer(quotaApp, 'quota-channel', { total_tokens: 150 });
+
+            await request(quotaApp).delete(`/conversations/${chat.body.conversation_id}`).expect(204);
+
+            const refused = await request(quotaApp).post('/chat').send({ message: 'And more' });
+            expect(refused.status).toBe(429);
+            expect(refused.body).toMatchObject({ code: 'QUOTA_EXCEEDED', details: { used: 150 } });
+            expect(httpClient.post).toHaveBeenCalledTimes(1);
         });
 
-        it('should reject webhook with missing signature header', async () => {
-            const express = require('express');
-            const testApp = express();
+        it('should keep a deleted conversation\'s tokens in the usage report', async () => {
+            const reportingApp = createApp({
+                config: testConfig({ adminApiKey: 'test_admin_key' }),
+                storage,
+                httpClient,
+                logger: createLogger({ level: 'silent' })
+            });
+            httpClient.post.mockResolvedValueOnce(acceptedResponse('report-channel'));
+            const chat = await request(reportingApp).post('/chat').send({ message: 'Count me' });
+            await answer(reportingApp, 'report-channel', { prompt_tokens: 40, completion_tokens: 60 });
 
-            testApp.use(express.json({
-                verify: (req, res, buf) => {
-                    req.rawBody = buf.toString();
-                }
-            }));
+            await request(reportingApp).delete(`/conversations/${chat.body.conversation_id}`).expect(204);
 
-            testApp.post('/webhook/modelriver', (req, res) => {
-                const signature = req.headers['x-modelriver-signature'];
-                const timestamp = req.headers['x-modelriver-timestamp'];
+            const report = await request(reportingApp).get('/usage?group_by=conversation').set('X-Admin-Key', 'test_admin_key');
+            expect(report.status).toBe(200);
+            expect(report.body.rows).toEqual([
+                expect.objectContaining({ conversation: chat.body.conversation_id, requests: 1, total_tokens: 100 })
+            ]);
+        });
+    });
 
-                if (!signature) {
-                    return res.status(401).json({
-                        error: 'Unauthorized',
-                        message: 'Missing X-ModelRiver-Signature header'
-                    });
-                }
-                if (!timestamp) {
-                    return res.status(401).json({
-                        error: 'Unauthorized',
-                        message: 'Missing X-ModelRiver-Timestamp header'
-                    });
+    describe('Webhook enrichment', () => {
+        const sendWebhook = (target, body) => {
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            return request(target)
+                .post('/webhook/modelriver')
+                .set('X-ModelRiver-Signature', signWebhookPayload(WEBHOOK_SECRET, timestamp, body))
+                .set('X-ModelRiver-Timestamp', timestamp)
+                .send(body);
+        };
+
+        // Subscribe to a conversation's events, send the webhook once subscribed, and read until eventType arrives
+        const streamWebhookEvent = async (target, conversationId, eventType, webhookBody) => {
+            const server = target.listen(0);
+            try {
+                return await new Promise((resolve, reject) => {
+                    http.get(`http://127.0.0.1:${server.address().port}/conversations/${conversationId}/events`, (res) => {
+                        let body = '';
+                        res.setEncoding('utf8');
+                        res.on('data', (chunk) => {
+                            body += chunk;
+                            if (chunk.includes(`: subscribed to ${conversationId}`)) {
+                                sendWebhook(target, webhookBody).catch(reject);
+                            }
+                            const event = body.split('\n\n').find(block => block.includes(`event: ${eventType}`));
+                            if (event) {
+                                res.destroy();
+                                const dataLine = event.split('\n').find(line => line.startsWith('data: '));
+                                resolve(JSON.parse(dataLine.slice('data: '.length)));
+                            }
+                        });
+                    }).on('error', reject);
+                });
+            } finally {
+                await new Promise(resolve => server.close(resolve));
+            }
+        };
+
+        it('should run the workflow\'s processors before the callback and skip it on abort', async () => {
+            const enrichedApp = createApp({
+                config: testConfig({
+                    callbackAllowPrivateNetworks: true,
+                    enrichmentPipelines: { '*': ['attach_ids', 'moderate'] }
+                }),
+                storage,
+                httpClient,
+                logger: createLogger({ level: 'silent' }),
+                processors: {
+                    moderate: async (data, context) => {
+                        if (data.reply.includes('unsafe')) context.abort('Blocked by moderation');
+                        context.flag('moderated');
+                        return { ...data, moderation: 'ok' };
+                    }
                 }
+            });
+            const webhookFor = (channelId, reply) => ({
+                channel_id: channelId,
+                status: 'success',
+                data: { reply },
+                callback_url: `https://api.modelriver.com/v1/callback/${channelId}`
+            });
 
-                res.json({ success: true });
+            httpClient.post.mockResolvedValueOnce(acceptedResponse('safe-channel'));
+            const chat = await request(enrichedApp).post('/chat').send({ message: 'Hi' });
+            httpClient.post.mockResolvedValueOnce({ status: 200, data: {} });
+            expect((await sendWebhook(enrichedApp, webhookFor('safe-channel', 'Hello'))).status).toBe(200);
+
+            const [callbackUrl, callbackPayload] = httpClient.post.mock.calls[1];
+            expect(callbackUrl).toBe('https://api.modelriver.com/v1/callback/safe-channel');
+            expect(callbackPayload.data).toEqual({ reply: 'Hello', id: callbackPayload.task_id, moderation: 'ok' });
+
+            httpClient.post.mockResolvedValueOnce(acceptedResponse('unsafe-channel'));
+            await request(enrichedApp).post('/chat').send({ message: 'Again', conversationId: chat.body.conversation_id });
+            expect((await sendWebhook(enrichedApp, webhookFor('unsafe-channel', 'Something unsafe'))).status).toBe(200);
+            expect(httpClient.post).toHaveBeenCalledTimes(3); // No callback for the aborted response
+
+            const conversation = await storage.get(COLLECTIONS.CONVERSATIONS, chat.body.conversation_id);
+            expect(conversation.messages[0].flags).toEqual([{ processor: 'moderate', code: 'moderated' }]);
+            expect(conversation.messages[1]).toMatchObject({
+                status: 'error',
+                error: { code: 'ENRICHMENT_ABORTED', message: 'Response withheld by moderate: Blocked by moderation' }
+            });
+        });
+
+        it('should save and publish the redacted response', async () => {
+            const redactingApp = createApp({
+                config: testConfig({ enrichmentPipelines: { '*': ['attach_ids', 'redact_pii'] } }),
+                storage,
+                httpClient,
+                logger: createLogger({ level: 'silent' })
+            });
+            httpClient.post.mockResolvedValueOnce(acceptedResponse('pii-channel'));
+            const chat = await request(redactingApp).post('/chat').send({ message: 'How do I reach support?' });
+            const conversationId = chat.body.conversation_id;
+
+            const published = await streamWebhookEvent(redactingApp, conversationId, 'message.created', {
+                channel_id: 'pii-channel',
+                status: 'success',
+                data: { choices: [{ message: { content: 'Mail help@example.com or call 555-123-4567.' } }] }
             });
 
-            const request = require('supertest');
-            const body = { channel_id: 'test-channel', status: 'success' };
+            const redacted = 'Mail [REDACTED EMAIL] or call [REDACTED PHONE].';
+            expect(published.record.response).toBe(redacted);
+            expect(published.record.flags).toEqual([{ processor: 'redact_pii', code: 'pii_redacted', details: { count: 2 } }]);
 
-            const response = await request(testApp)
+            const conversation = await request(redactingApp).get(`/conversations/${conversationId}`);
+            expect(conversation.body.messages[0].response).toBe(redacted);
+        });
+
+        it('should redact the saved record when no callback is enriched', async () => {
+            const storeOnlyApp = createApp({
+                config: testConfig({
+                    enrichmentPipelines: { '*': ['attach_ids', 'redact_pii'] },
+                    webhookHandlers: { '*': 'store_only' }
+                }),
+                storage,
+                httpClient,
+                logger: createLogger({ level: 'silent' })
+            });
+            httpClient.post.mockResolvedValueOnce(acceptedResponse('store-only-pii-channel'));
+            const chat = await request(storeOnlyApp).post('/chat').send({ message: 'Who do I call?' });
+
+            const published = await streamWebhookEvent(storeOnlyApp, chat.body.conversation_id, 'message.created', {
+                channel_id: 'store-only-pii-channel',
+                status: 'success',
+                data: { reply: 'Call 555-123-4567' }
+            });
+            expect(published.record.response).toEqual({ reply: 'Call [REDACTED PHONE]' });
+            expect(published.record.flags).toEqual([{ processor: 'redact_pii', code: 'pii_redacted', details: { count: 1 } }]);
+
+            const conversation = await request(storeOnlyApp).get(`/conversations/${chat.body.conversation_id}`);
+            expect(conversation.body.messages[0].response).toEqual({ reply: 'Call [REDACTED PHONE]' });
+        });
+
+        it('should not save or publish a response the pipeline withheld', async () => {
+            const moderatedApp = createApp({
+                config: testConfig({ enrichmentPipelines: { '*': ['moderate'] } }),
+                storage,
+                httpClient,
+                logger: createLogger({ level: 'silent' }),
+                processors: { moderate: async (data, context) => context.abort('blocked') }
+            });
+            httpClient.post.mockResolvedValueOnce(acceptedResponse('withheld-channel'));
+            const chat = await request(moderatedApp).post('/chat').send({ message: 'Say something bad' });
+            const conversationId = chat.body.conversation_id;
+
+            const published = await streamWebhookEvent(moderatedApp, conversationId, 'request.error', {
+                channel_id: 'withheld-channel',
+                status: 'success',
+                data: { reply: 'UNSAFE CONTENT' }
+            });
+            expect(published.record).toMatchObject({ response: null, error: { code: 'ENRICHMENT_ABORTED' } });
+            expect(JSON.stringify(published)).not.toContain('UNSAFE CONTENT');
+
+            const conversation = await request(moderatedApp).get(`/conversations/${conversationId}`);
+            expect(conversation.body.messages[0].response).toBeNull();
+            expect(JSON.stringify(conversation.body)).not.toContain('UNSAFE CONTENT');
+        });
+    });
+
+    describe('Callback guard', () => {
+        it('should never POST to a refused callback_url and list it for admins', async () => {
+            const guardedApp = createApp({
+                config: testConfig({ adminApiKey: 'test_admin_key', callbackAllowedHosts: ['api.modelriver.com', '10.0.0.5'] }),
+                storage,
+                httpClient,
+                logger: createLogger({ level: 'silent' })
+            });
+            const refused = [
+                ['host-channel', 'https://attacker.example.com/v1/callback/host-channel', 'HOST_NOT_ALLOWED'],
+                ['private-channel', 'https://10.0.0.5/v1/callback/private-channel', 'PRIVATE_ADDRESS'],
+                ['mismatch-channel', 'https://api.modelriver.com/v1/callback/someone-elses-channel', 'CHANNEL_MISMATCH']
+            ];
+
+            for (const [channelId, callbackUrl] of refused) {
+                httpClient.post.mockResolvedValueOnce(acceptedResponse(channelId));
+                await request(guardedApp).post('/chat').send({ message: 'Hi' });
+
+                const body = { channel_id: channelId, status: 'success', data: { reply: `Hello ${channelId}` }, callback_url: callbackUrl };
+                const timestamp = String(Math.floor(Date.now() / 1000));
+                const webhook = await request(guardedApp)
+                    .post('/webhook/modelriver')
+                    .set('X-ModelRiver-Signature', signWebhookPayload(WEBHOOK_SECRET, timestamp, body))
+                    .set('X-ModelRiver-Timestamp', timestamp)
+                    .send(body);
+                expect(webhook.status).toBe(200);
+            }
+
+            // Only the three /chat requests went out
+            expect(httpClient.post).toHaveBeenCalledTimes(3);
+            expect(httpClient.post.mock.calls.map(([url]) => url)).toEqual(
+                Array(3).fill('https://api.modelriver.com/v1/ai/async')
+            );
+
+            expect((await request(guardedApp).get('/admin/callbacks/rejections')).status).toBe(401);
+            const audit = await request(guardedApp).get('/admin/callbacks/rejections').set('X-Admin-Key', 'test_admin_key');
+            expect(audit.status).toBe(200);
+            expect(audit.body.rejections).toHaveLength(3);
+            expect(audit.body.rejections).toEqual(expect.arrayContaining(refused.map(([channelId, url, reason]) =>
+                expect.objectContaining({ channelId, url, reason })
+            )));
+        });
+    });
+
+    describe('Dead-lettered callbacks', () => {
+        let adminApp;
+
+        beforeEach(() => {
+            adminApp = createApp({
+                config: testConfig({ adminApiKey: 'test_admin_key', callbackAllowPrivateNetworks: true }),
+                storage,
+                httpClient,
+                logger: createLogger({ level: 'silent' })
+            });
+        });
+
+        const admin = (method, url) => request(adminApp)[method](url).set('X-Admin-Key', 'test_admin_key');
+
+        // A callback ModelRiver refuses with a 400 is dead-lettered on its first attempt
+        const deadLetterCallback = async (channelId) => {
+            httpClient.post.mockResolvedValueOnce(acceptedResponse(channelId));
+            await request(adminApp).post('/chat').send({ message: 'Hi' });
+
+            const body = {
+                channel_id: channelId,
+                status: 'success',
+                data: { reply: `Hello ${channelId}` },
+                callback_url: `https://api.modelriver.com/v1/callback/${channelId}`
+            };
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            httpClient.post.mockResolvedValueOnce({ status: 400, data: { error: 'Bad callback' } });
+            await request(adminApp)
                 .post('/webhook/modelriver')
-                .set('X-ModelRiver-Timestamp', '1234567890')
+                .set('X-ModelRiver-Signature', signWebhookPayload(WEBHOOK_SECRET, timestamp, body))
+                .set('X-ModelRiver-Timestamp', timestamp)
                 .send(body);
+        };
 
-            expect(response.status).toBe(401);
-            expect(response.body.message).toBe('Missing X-ModelRiver-Signature header');
+        it('should list, inspect, redrive and delete dead letters', async () => {
+            await deadLetterCallback('dead-channel-1');
+            await deadLetterCallback('dead-channel-2');
+
+            const list = await admin('get', '/admin/callbacks/dead-letters');
+            expect(list.status).toBe(200);
+            expect(list.body.dead_letters).toHaveLength(2);
+            expect(list.body.dead_letters[0]).not.toHaveProperty('payload');
+            const byChannel = Object.fromEntries(list.body.dead_letters.map(job => [job.channelId, job]));
+            expect(byChannel['dead-channel-1']).toMatchObject({ attempts: 1, lastError: 'HTTP 400' });
+
+            const inspected = await admin('get', `/admin/callbacks/dead-letters/${byChannel['dead-channel-1'].id}`);
+            expect(inspected.status).toBe(200);
+            expect(inspected.body).toMatchObject({
+                url: 'https://api.modelriver.com/v1/callback/dead-channel-1',
+                payload: { data: { reply: 'Hello dead-channel-1' } },
+                deadLetteredAt: expect.any(String)
+            });
+
+            httpClient.post.mockResolvedValueOnce({ status: 200, data: {} });
+            const redriven = await admin('post', `/admin/callbacks/dead-letters/${byChannel['dead-channel-1'].id}/redrive`);
+            expect(redriven.status).toBe(200);
+            expect(redriven.body).toMatchObject({ delivered: true, status: 200, attempts: 1 });
+            expect(httpClient.post).toHaveBeenLastCalledWith(
+                'https://api.modelriver.com/v1/callback/dead-channel-1',
+                inspected.body.payload,
+                expect.any(Object)
+            );
+
+            const deleted = await admin('delete', `/admin/callbacks/dead-letters/${byChannel['dead-channel-2'].id}`);
+            expect(deleted.status).toBe(204);
+
+            expect((await admin('get', '/admin/callbacks/dead-letters')).body.dead_letters).toEqual([]);
+            expect((await admin('get', '/admin/callbacks/pending')).body.pending).toEqual([]);
         });
 
-        it('should reject webhook with missing timestamp header', async () => {
-            const express = require('express');
-            const testApp = express();
+        it('should answer 404 for an unknown dead letter', async () => {
+            expect((await admin('get', '/admin/callbacks/dead-letters/unknown')).status).toBe(404);
+            expect((await admin('post', '/admin/callbacks/dead-letters/unknown/redrive')).status).toBe(404);
+            expect((await admin('delete', '/admin/callbacks/dead-letters/unknown')).status).toBe(404);
+        });
 
-            testApp.use(express.json({
-                verify: (req, res, buf) => {
-                    req.rawBody = buf.toString();
-                }
-            }));
+        it('should require the admin key', async () => {
+            await deadLetterCallback('dead-channel-3');
+            const [deadLetter] = await storage.list(CALLBACK_DEAD_LETTERS);
+
+            const requests = [
+                request(adminApp).get('/admin/callbacks/dead-letters'),
+                request(adminApp).get(`/admin/callbacks/dead-letters/${deadLetter.id}`),
+                request(adminApp).post(`/admin/callbacks/dead-letters/${deadLetter.id}/redrive`),
+                request(adminApp).delete(`/admin/callbacks/dead-letters/${deadLetter.id}`).set('X-Admin-Key', 'wrong_key')
+            ];
+            for (const response of await Promise.all(requests)) {
+                expect(response.status).toBe(401);
+            }
+            expect(await storage.get(CALLBACK_DEAD_LETTERS, deadLetter.id)).toBeTruthy();
+        });
+    });
 
-            testApp.post('/webhook/modelriver', (req, res) => {
-                const signature = req.headers['x-modelriver-signature'];
-                const timestamp = req.headers['x-modelriver-timestamp'];
+    describe('Structured output validation', () => {
+        const sendWebhook = (target, body) => {
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            return request(target)
+                .post('/webhook/modelriver')
+                .set('X-ModelRiver-Signature', signWebhookPayload(WEBHOOK_SECRET, timestamp, body))
+                .set('X-ModelRiver-Timestamp', timestamp)
+                .send(body);
+        };
+        const appWithPolicy = (policy) => createApp({
+            config: testConfig({
+                callbackAllowPrivateNetworks: true,
+                responseSchemas: { mr_chatbot_workflow: 'structured_chat' },
+                responseSchemaPolicy: policy
+            }),
+            storage,
+            httpClient,
+            logger: createLogger({ level: 'silent' })
+        });
+        const webhookFor = (channelId) => ({
+            channel_id: channelId,
+            status: 'success',
+            data: { reply: 'Hello', sentiment: 'cheerful' },
+            callback_url: `https://api.modelriver.com/v1/callback/${channelId}`
+        });
 
-                if (!signature) {
-                    return res.status(401).json({
-                        error: 'Unauthorized',
-                        message: 'Missing X-ModelRiver-Signature header'
-                    });
-                }
-                if (!timestamp) {
-                    return res.status(401).json({
-                        error: 'Unauthorized',
-                        message: 'Missing X-ModelRiver-Timestamp header'
-                    });
+        it('should repair the response and note the violations on the record', async () => {
+            const repairingApp = appWithPolicy('repair');
+            httpClient.post.mockResolvedValueOnce(acceptedResponse('repair-channel'));
+            const chat = await request(repairingApp).post('/chat').send({ message: 'Hi' });
+            httpClient.post.mockResolvedValueOnce({ status: 200, data: {} });
+            await sendWebhook(repairingApp, webhookFor('repair-channel'));
+
+            const [record] = (await storage.get(COLLECTIONS.CONVERSATIONS, chat.body.conversation_id)).messages;
+            expect(record.response).toMatchObject({ reply: 'Hello', sentiment: 'neutral', topics: [], action_items: [] });
+            expect(record.validation).toMatchObject({ schema: 'mr_chatbot_workflow', valid: false, outcome: 'repaired' });
+            expect(record.validation.errors).toContainEqual({ path: '/sentiment', message: expect.stringContaining('must be one of') });
+            expect(httpClient.post.mock.calls[1][1].data).toMatchObject({ sentiment: 'neutral', id: record.id });
+        });
+
+        it('should keep a plain-text answer as the reply when repairing', async () => {
+            const repairingApp = appWithPolicy('repair');
+            httpClient.post.mockResolvedValueOnce(acceptedResponse('plain-text-channel'));
+            const chat = await request(repairingApp).post('/chat').send({ message: 'Hi' });
+            await sendWebhook(repairingApp, {
+                channel_id: 'plain-text-channel',
+                status: 'success',
+                data: { choices: [{ message: { content: 'Just text, no JSON.' } }] }
+            });
+
+            const [record] = (await storage.get(COLLECTIONS.CONVERSATIONS, chat.body.conversation_id)).messages;
+            expect(record.response).toMatchObject({ reply: 'Just text, no JSON.', summary: '', action_items: [] });
+            expect(record.validation).toMatchObject({ valid: false, outcome: 'repaired' });
+        });
+
+        it('should still redact a rejected response', async () => {
+            const rejectingApp = createApp({
+                config: testConfig({
+                    responseSchemas: { mr_chatbot_workflow: 'structured_chat' },
+                    responseSchemaPolicy: 'reject',
+                    enrichmentPipelines: { '*': ['attach_ids', 'redact_pii'] }
+                }),
+                storage,
+                httpClient,
+                logger: createLogger({ level: 'silent' })
+            });
+            httpClient.post.mockResolvedValueOnce(acceptedResponse('reject-pii-channel'));
+            const chat = await request(rejectingApp).post('/chat').send({ message: 'Hi' });
+            await sendWebhook(rejectingApp, { channel_id: 'reject-pii-channel', status: 'success', data: { reply: 'Mail jane@example.com' } });
+
+            const [record] = (await storage.get(COLLECTIONS.CONVERSATIONS, chat.body.conversation_id)).messages;
+            expect(record).toMatchObject({
+                error: { code: 'SCHEMA_VALIDATION_FAILED' },
+                response: { reply: 'Mail [REDACTED EMAIL]' },
+                flags: [{ processor: 'redact_pii', code: 'pii_redacted', details: { count: 1 } }]
+            });
+        });
+
+        it('should reject the response without a callback', async () => {
+            const rejectingApp = appWithPolicy('reject');
+            httpClient.post.mockResolvedValueOnce(acceptedResponse('reject-channel'));
+            const chat = await request(rejectingApp).post('/chat').send({ message: 'Hi' });
+            await sendWebhook(rejectingApp, webhookFor('reject-channel'));
+
+            expect(httpClient.post).toHaveBeenCalledTimes(1);
+            const [record] = (await storage.get(COLLECTIONS.CONVERSATIONS, chat.body.conversation_id)).messages;
+            expect(record).toMatchObject({
+                status: 'error',
+                error: { code: 'SCHEMA_VALIDATION_FAILED' },
+                response: { reply: 'Hello', sentiment: 'cheerful' },
+                validation: { outcome: 'rejected' }
+            });
+        });
+    });
+
+    describe('Webhook event handlers', () => {
+        const sendWebhook = (target, body) => {
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            return request(target)
+                .post('/webhook/modelriver')
+                .set('X-ModelRiver-Signature', signWebhookPayload(WEBHOOK_SECRET, timestamp, body))
+                .set('X-ModelRiver-Timestamp', timestamp)
+                .send(body);
+        };
+
+        it('should route events to registered handlers and unknown ones to the default', async () => {
+            const handledApp = createApp({
+                config: testConfig({
+                    callbackAllowPrivateNetworks: true,
+                    webhookHandlers: { 'event:summary': 'summary', '*': 'ignore' }
+                }),
+                storage,
+                httpClient,
+                logger: createLogger({ level: 'silent' }),
+                webhookHandlers: {
+                    summary: async (envelope) => ({
+                        response: `Summary: ${envelope.data.text}`,
+                        callbackData: { summary: envelope.data.text, prompt: envelope.pendingRequest.prompt }
+                    })
                 }
+            });
 
-                res.json({ success: true });
+            httpClient.post.mockResolvedValueOnce(acceptedResponse('summary-channel'));
+            const chat = await request(handledApp).post('/chat').send({ message: 'Summarize' });
+            httpClient.post.mockResolvedValueOnce({ status: 200, data: {} });
+            const handled = await sendWebhook(handledApp, {
+                channel_id: 'summary-channel',
+                status: 'success',
+                event: 'summary',
+                data: { text: 'Short' },
+                callback_url: 'https://api.modelriver.com/v1/callback/summary-channel'
             });
 
-            const request = require('supertest');
-            const body = { channel_id: 'test-channel', status: 'success' };
+            expect(handled.body).toMatchObject({ success: true, handler: 'summary' });
+            expect(httpClient.post.mock.calls[1][1].data).toEqual({ summary: 'Short', prompt: 'Summarize', id: handled.body.record_id });
+            const conversation = await storage.get(COLLECTIONS.CONVERSATIONS, chat.body.conversation_id);
+            expect(conversation.messages[0].response).toBe('Summary: Short');
+
+            const ignored = await sendWebhook(handledApp, { channel_id: 'other-channel', status: 'success', event: 'heartbeat', data: {} });
+            expect(ignored.body).toMatchObject({ success: true, ignored: true, handler: 'ignore' });
+            expect(httpClient.post).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('Webhook secret rotation', () => {
+        const ADMIN_KEY = 'test_admin_key';
+        let deliveries = 0;
 
-            const response = await request(testApp)
+        // A new channel per delivery, so replay protection doesn't answer as a duplicate
+        const sendSignedWith = (target, secret) => {
+            deliveries += 1;
+            const body = { channel_id: `rotation-channel-${deliveries}`, status: 'success' };
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            return request(target)
                 .post('/webhook/modelriver')
-                .set('X-ModelRiver-Signature', 'some-signature')
+                .set('X-ModelRiver-Signature', signWebhookPayload(secret, timestamp, body))
+                .set('X-ModelRiver-Timestamp', timestamp)
                 .send(body);
+        };
 
-            expect(response.status).toBe(401);
-            expect(response.body.message).toBe('Missing X-ModelRiver-Timestamp header');
+        it('should accept any active secret, report the match and stop accepting retired ones', async () => {
+            const rotatingApp = createApp({
+                config: testConfig({ adminApiKey: ADMIN_KEY }),
+                storage,
+                httpClient,
+                logger: createLogger({ level: 'silent' })
+            });
+            const admin = (req) => req.set('Authorization', `Bearer ${ADMIN_KEY}`);
+
+            expect((await request(rotatingApp).get('/admin/webhook-secrets')).status).toBe(401);
+
+            const created = await admin(request(rotatingApp).post('/admin/webhook-secrets')).send({ id: 'rotated' });
+            expect(created.status).toBe(201);
+            expect(created.body).toMatchObject({ id: 'rotated', status: 'active', source: 'admin' });
+
+            const withOld = await sendSignedWith(rotatingApp, WEBHOOK_SECRET);
+            expect(withOld.status).toBe(200);
+            expect(withOld.body.signature_key_id).toBe('default');
+            const withNew = await sendSignedWith(rotatingApp, created.body.secret);
+            expect(withNew.body.signature_key_id).toBe('rotated');
+
+            expect((await admin(request(rotatingApp).delete('/admin/webhook-secrets/default'))).body.status).toBe('retired');
+            expect((await sendSignedWith(rotatingApp, WEBHOOK_SECRET)).status).toBe(401);
+            expect((await sendSignedWith(rotatingApp, created.body.secret)).status).toBe(200);
+
+            const listed = await admin(request(rotatingApp).get('/admin/webhook-secrets'));
+            expect(listed.body.webhook_secrets.map(key => [key.id, key.status])).toEqual([['default', 'retired'], ['rotated', 'active']]);
+            expect(JSON.stringify(listed.body)).not.toContain(created.body.secret);
+
+            const expired = await admin(request(rotatingApp).patch('/admin/webhook-secrets/rotated'))
+                .send({ expires_at: new Date(Date.now() - 1000).toISOString() });
+            expect(expired.body.status).toBe('expired');
+            const rejected = await sendSignedWith(rotatingApp, created.body.secret);
+            expect(rejected.status).toBe(401);
+            expect(rejected.body.message).toBe('No active webhook secret');
         });
 
-        it('should reject webhook with wrong secret', async () => {
-            const express = require('express');
-            const testApp = express();
+        it('should validate admin input', async () => {
+            const rotatingApp = createApp({
+                config: testConfig({ adminApiKey: ADMIN_KEY }),
+                storage,
+                httpClient,
+                logger: createLogger({ level: 'silent' })
+            });
+            const admin = (req) => req.set('X-Admin-Key', ADMIN_KEY);
 
-            testApp.use(express.json({
-                verify: (req, res, buf) => {
-                    req.rawBody = buf.toString();
-                }
+            expect((await admin(request(rotatingApp).post('/admin/webhook-secrets')).send({ secret: 'short' })).status).toBe(400);
+            expect((await admin(request(rotatingApp).post('/admin/webhook-secrets')).send({ id: 'default' })).status).toBe(409);
+            expect((await admin(request(rotatingApp).patch('/admin/webhook-secrets/default')).send({})).status).toBe(400);
+            expect((await admin(request(rotatingApp).delete('/admin/webhook-secrets/missing'))).status).toBe(404);
+        });
+    });
+
+    describe('GET /metrics', () => {
+        let metricsApp;
+
+        beforeEach(() => {
+            metricsApp = createApp({
+                config: testConfig({ metricsToken: 'test_metrics_token' }),
+                storage,
+                httpClient,
+                logger: createLogger({ level: 'silent' })
+            });
+        });
+
+        const scrape = () => request(metricsApp).get('/metrics').set('Authorization', 'Bearer test_metrics_token');
+
+        it('should require the metrics token', async () => {
+            expect((await request(metricsApp).get('/metrics')).status).toBe(401);
+            expect((await request(metricsApp).get('/metrics').set('Authorization', 'Bearer wrong_token')).status).toBe(401);
+            expect((await scrape()).status).toBe(200);
+        });
+
+        it('should count a chat request and its webhook', async () => {
+            const before = await scrape();
+            expect(before.headers['content-type']).toMatch(/^text\/plain/);
+            expect(before.text).not.toContain('chat_requests_total{status="200"}');
+
+            httpClient.post.mockResolvedValueOnce(acceptedResponse('metrics-channel'));
+            await request(metricsApp).post('/chat').send({ message: 'Hi' });
+            const body = { channel_id: 'metrics-channel', status: 'success', data: { reply: 'Hello' } };
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            await request(metricsApp)
+                .post('/webhook/modelriver')
+                .set('X-ModelRiver-Signature', signWebhookPayload(WEBHOOK_SECRET, timestamp, body))
+                .set('X-ModelRiver-Timestamp', timestamp)
+                .send(body);
+
+            const after = (await scrape()).text;
+            expect(after).toContain('chat_requests_total{status="200"} 1');
+            expect(after).toContain('modelriver_responses_total{status="200"} 1');
+            expect(after).toContain('webhooks_handled_total{handler="standard"} 1');
+            expect(after).toContain('webhook_signatures_verified_total{key_id="default"} 1');
+            expect(after).toContain('chat_to_webhook_seconds_count{workflow="mr_chatbot_workflow"} 1');
+            expect(after).toContain('pending_requests{status="completed"} 1');
+            expect(after).toContain('conversations 1');
+        });
+    });
+
+    describe('Mounting under a prefix', () => {
+        it('should serve the routes under the mount path and advertise it in webhook_url', async () => {
+            const host = express();
+            host.get('/status', (req, res) => res.json({ host: true }));
+            host.use('/assistant', createChatRouter({
+                config: testConfig(),
+                storage,
+                httpClient,
+                logger: createLogger({ level: 'silent' })
             }));
 
-            testApp.post('/webhook/modelriver', (req, res) => {
-                const signature = req.headers['x-modelriver-signature'];
-                const timestamp = req.headers['x-modelriver-timestamp'];
-                const rawBody = req.rawBody;
+            httpClient.post.mockResolvedValueOnce(acceptedResponse());
+            const response = await request(host).post('/assistant/chat').send({ message: 'Hello test' });
 
-                if (!signature || !timestamp) {
-                    return res.status(401).json({ error: 'Unauthorized', message: 'Missing headers' });
-                }
+            expect(response.status).toBe(200);
+            expect(httpClient.post.mock.calls[0][1].webhook_url).toBe('https://chat.example.com/assistant/webhook/modelriver');
+            expect((await request(host).get('/status')).body).toEqual({ host: true });
+            expect((await request(host).post('/assistant/webhook/modelriver').send({})).status).toBe(401);
+        });
+    });
 
-                // Server uses correct secret
-                const payload = `${timestamp}.${rawBody}`;
-                const expectedSignature = crypto
-                    .createHmac('sha256', WEBHOOK_SECRET)
-                    .update(payload)
-                    .digest('hex');
+    describe('CORS', () => {
+        it('should only allow the configured browser origins', async () => {
+            const allowed = await request(app).get('/health').set('Origin', 'http://localhost:3006');
+            expect(allowed.headers['access-control-allow-origin']).toBe('http://localhost:3006');
 
-                if (signature !== expectedSignature) {
-                    return res.status(401).json({ error: 'Unauthorized', message: 'Invalid signature' });
-                }
+            const other = await request(app).get('/health').set('Origin', 'https://evil.example.com');
+            expect(other.headers['access-control-allow-origin']).toBeUndefined();
 
-                res.json({ success: true });
+            const openApp = createApp({
+                config: testConfig({ corsOrigins: ['*'] }),
+                storage,
+                httpClient,
+                logger: createLogger({ level: 'silent' })
             });
+            const any = await request(openApp).get('/health').set('Origin', 'https://evil.example.com');
+            expect(any.headers['access-control-allow-origin']).toBe('*');
+        });
+    });
+
+    describe('UUID Generation', () => {
+        it('should generate valid UUIDs', () => {
+            const { v4: uuidv4, validate } = require('uuid');
+            const id = uuidv4();
+
+            expect(validate(id)).toBe(true);
+            expect(id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i);
+        });
+    });
+
+    describe('Webhook Signature Verification', () => {
+        // Helper to generate valid signature (bodies without a data field are signed whole)
+        const generateSignature = (timestamp, body, secret) => {
+            const payload = `${timestamp}.${JSON.stringify(body)}`;
+            return crypto
+                .createHmac('sha256', secret)
+                .update(payload)
+                .digest('hex');
+        };
+
+        const body = { channel_id: 'test-channel', status: 'success' };
+
+        it('should accept webhook with valid signature', async () => {
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            const signature = generateSignature(timestamp, body, WEBHOOK_SECRET);
+
+            const response = await request(app)
+                .post('/webhook/modelriver')
+                .set('X-ModelRiver-Signature', signature)
+                .set('X-ModelRiver-Timestamp', timestamp)
+                .send(body);
+
+            expect(response.status).toBe(200);
+            expect(response.body.success).toBe(true);
+        });
+
+        it('should reject webhook with invalid signature', async () => {
+            const timestamp = String(Math.floor(Date.now() / 1000));
+
+            const response = await request(app)
+                .post('/webhook/modelriver')
+                .set('X-ModelRiver-Signature', 'invalid-signature')
+                .set('X-ModelRiver-Timestamp', timestamp)
+                .send(body);
+
+            expect(response.status).toBe(401);
+            expect(response.body.error).toBe('Unauthorized');
+        });
+
+        it('should reject webhook with missing signature header', async () => {
+            const response = await request(app)
+                .post('/webhook/modelriver')
+                .set('X-ModelRiver-Timestamp', '1234567890')
+                .send(body);
+
+            expect(response.status).toBe(401);
+            expect(response.body.message).toBe('Missing X-ModelRiver-Signature header');
+        });
+
+        it('should reject webhook with missing timestamp header', async () => {
+            const response = await request(app)
+                .post('/webhook/modelriver')
+                .set('X-ModelRiver-Signature', 'some-signature')
+                .send(body);
+
+            expect(response.status).toBe(401);
+            expect(response.body.message).toBe('Missing X-ModelRiver-Timestamp header');
+        });
 
-            const request = require('supertest');
-            const body = { channel_id: 'test-channel', status: 'success' };
+        it('should reject webhook with wrong secret', async () => {
             const timestamp = String(Math.floor(Date.now() / 1000));
             // Generate signature with WRONG secret
             const wrongSignature = generateSignature(timestamp, body, 'wrong_secret');
 
-            const response = await request(testApp)
+            const response = await request(app)
                 .post('/webhook/modelriver')
                 .set('X-ModelRiver-Signature', wrongSignature)
                 .set('X-ModelRiver-Timestamp', timestamp)
@@ -421,5 +1473,64 @@ describe('Chatbot Async Backend', () => {
             expect(response.status).toBe(401);
             expect(response.body.error).toBe('Unauthorized');
         });
+
+        it('should reject a correctly signed webhook with a stale timestamp and store nothing', async () => {
+            httpClient.post.mockResolvedValueOnce(acceptedResponse('stale-channel'));
+            const chat = await request(app).post('/chat').send({ message: 'Hi' });
+
+            const staleBody = { channel_id: 'stale-channel', status: 'success', data: { reply: 'Hello' } };
+            const timestamp = String(Math.floor(Date.now() / 1000) - 10 * 60); // Default tolerance is 5 minutes
+
+            const response = await request(app)
+                .post('/webhook/modelriver')
+                .set('X-ModelRiver-Signature', signWebhookPayload(WEBHOOK_SECRET, timestamp, staleBody))
+                .set('X-ModelRiver-Timestamp', timestamp)
+                .send(staleBody);
+
+            expect(response.status).toBe(401);
+            expect(response.body.message).toBe('Webhook timestamp outside tolerance window (300s)');
+
+            const conversation = await storage.get(COLLECTIONS.CONVERSATIONS, chat.body.conversation_id);
+            expect(conversation.messages).toEqual([]);
+            expect(await storage.get(COLLECTIONS.PENDING_REQUESTS, 'stale-channel')).toMatchObject({ status: 'pending' });
+        });
+
+        it('should answer a duplicate delivery with the original record and no second callback', async () => {
+            const callbackApp = createApp({
+                config: testConfig({ callbackAllowPrivateNetworks: true }),
+                storage,
+                httpClient,
+                logger: createLogger({ level: 'silent' })
+            });
+            httpClient.post.mockResolvedValueOnce(acceptedResponse('duplicate-channel'));
+            const chat = await request(callbackApp).post('/chat').send({ message: 'Hi' });
+
+            const webhookBody = {
+                channel_id: 'duplicate-channel',
+                status: 'success',
+                data: { reply: 'Hello' },
+                callback_url: 'https://api.modelriver.com/v1/callback/duplicate-channel'
+            };
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            const deliver = () => request(callbackApp)
+                .post('/webhook/modelriver')
+                .set('X-ModelRiver-Signature', signWebhookPayload(WEBHOOK_SECRET, timestamp, webhookBody))
+                .set('X-ModelRiver-Timestamp', timestamp)
+                .send(webhookBody);
+
+            httpClient.post.mockResolvedValueOnce({ status: 200, data: {} });
+            const first = await deliver();
+            const second = await deliver();
+
+            expect(first.status).toBe(200);
+            expect(second.status).toBe(200);
+            expect(second.body).toMatchObject({ duplicate: true, record_id: first.body.record_id });
+
+            const conversation = await storage.get(COLLECTIONS.CONVERSATIONS, chat.body.conversation_id);
+            expect(conversation.messages.map(message => message.id)).toEqual([first.body.record_id]);
+            // The /chat request and a single callback
+            expect(httpClient.post).toHaveBeenCalledTimes(2);
+            expect(httpClient.post.mock.calls[1][0]).toBe('https://api.modelriver.com/v1/callback/duplicate-channel');
+        });
     });
 });
@@ -0,0 +1,80 @@
+/**
+ * File-Backed Storage Adapter
+ *
+ * Keeps the working set in memory (via the memory adapter) and writes a JSON
+ * snapshot to disk after every change, so conversations and pending requests
+ * survive a restart. Writes go to a temp file first and are renamed into place.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStore } = require('./memoryStore');
+
+/**
+ * Create a file-backed store.
+ *
+ * @param {object} options
+ * @param {string} options.filePath - Path of the JSON file to load from and persist to
+ * @returns {object} Storage adapter (see ./index.js for the interface)
+ */
+function createFileStore({ filePath }) {
+    if (!filePath) {
+        throw new Error('File storage requires a filePath');
+    }
+
+    let initialData = {};
+    if (fs.existsSync(filePath)) {
+        const contents = fs.readFileSync(filePath, 'utf8');
+        initialData = contents.trim() ? JSON.parse(contents) : {};
+    }
+
+    const memory = createMemoryStore({ initialData });
+
+    // Serialize writes so snapshots land on disk in order
+    let writeChain = Promise.resolve();
+    const persist = () => {
+        const snapshot = JSON.stringify(memory.dump(), null, 2);
+        // A failed write is reported to its caller but must not block later writes
+        writeChain = writeChain.catch(() => { }).then(async () => {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            const tmpPath = `${filePath}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tmpPath, snapshot);
+            await fs.promises.rename(tmpPath, filePath);
+        });
+        return writeChain;
+    };
+
+    return {
+        name: 'file',
+
+        get: memory.get,
+        list: memory.list,
+        count: memory.count,
+
+        async set(collection, id, value) {
+            const result = await memory.set(collection, id, value);
+            await persist();
+            return result;
+        },
+
+        async update(collection, id, updater) {
+            const result = await memory.update(collection, id, updater);
+            await persist();
+            return result;
+        },
+
+        async delete(collection, id) {
+            const deleted = await memory.delete(collection, id);
+            if (deleted) {
+                await persist();
+            }
+            return deleted;
+        },
+
+        async close() {
+            await writeChain;
+        }
+    };
+}
+
+module.exports = { createFileStore };
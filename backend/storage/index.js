@@ -0,0 +1,61 @@
+/**
+ * Storage
+ *
+ * Pluggable persistence for conversations, pending requests and anything else
+ * the backend needs to keep. Every adapter implements the same async interface,
+ * organized as named collections of JSON values keyed by ID:
+ *
+ *   get(collection, id)              -> value | null
+ *   set(collection, id, value)       -> value
+ *   update(collection, id, updater)  -> value | null   (updater(current) returns the
+ *                                                       new value, or null to delete;
+ *                                                       runs atomically per adapter)
+ *   delete(collection, id)           -> boolean
+ *   list(collection)                 -> value[]
+ *   count(collection)                -> number
+ *   close()                          -> flushes pending writes
+ *
+ * Adapters:
+ *   memory - In-memory Maps (default, lost on restart)
+ *   file   - JSON file on disk (STORAGE_FILE_PATH)
+ */
+
+const { createMemoryStore } = require('./memoryStore');
+const { createFileStore } = require('./fileStore');
+
+// Collection names shared by the server and its subsystems
+const COLLECTIONS = {
+    CONVERSATIONS: 'conversations', // conversationId -> { id, messages: [], createdAt, updatedAt }
+    PENDING_REQUESTS: 'pending_requests' // channelId -> { channelId, prompt, timestamp, conversationId, messageId }
+};
+
+const adapters = {
+    memory: createMemoryStore,
+    file: createFileStore
+};
+
+/**
+ * Create the storage adapter selected by configuration.
+ *
+ * @param {object} [options]
+ * @param {string} [options.adapter='memory'] - Adapter name ('memory' or 'file')
+ * @param {string} [options.filePath] - Data file for the file adapter
+ * @returns {object} Storage adapter
+ */
+function createStorage(options = {}) {
+    const adapterName = options.adapter || 'memory';
+    const createAdapter = adapters[adapterName];
+
+    if (!createAdapter) {
+        throw new Error(`Unknown storage adapter "${adapterName}". Expected one of: ${Object.keys(adapters).join(', ')}`);
+    }
+
+    return createAdapter(options);
+}
+
+module.exports = {
+    COLLECTIONS,
+    createStorage,
+    createMemoryStore,
+    createFileStore
+};
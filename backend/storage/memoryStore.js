@@ -0,0 +1,83 @@
+/**
+ * In-Memory Storage Adapter
+ *
+ * Default adapter. Keeps every collection in a Map, so all data is lost on restart.
+ * Values are copied on the way in and out so callers can't mutate stored state.
+ */
+
+const clone = (value) => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Create an in-memory store.
+ *
+ * @param {object} [options]
+ * @param {object} [options.initialData] - { [collection]: { [id]: value } } to seed the store
+ * @returns {object} Storage adapter (see ./index.js for the interface)
+ */
+function createMemoryStore(options = {}) {
+    const collections = new Map(); // collection -> Map(id -> value)
+
+    const getCollection = (name) => {
+        if (!collections.has(name)) {
+            collections.set(name, new Map());
+        }
+        return collections.get(name);
+    };
+
+    for (const [name, entries] of Object.entries(options.initialData || {})) {
+        const collection = getCollection(name);
+        for (const [id, value] of Object.entries(entries)) {
+            collection.set(id, clone(value));
+        }
+    }
+
+    return {
+        name: 'memory',
+
+        async get(collection, id) {
+            return clone(getCollection(collection).get(String(id)));
+        },
+
+        async set(collection, id, value) {
+            getCollection(collection).set(String(id), clone(value));
+            return clone(value);
+        },
+
+        // The updater runs synchronously, so concurrent updates can't interleave
+        async update(collection, id, updater) {
+            const items = getCollection(collection);
+            const next = updater(clone(items.get(String(id))));
+            if (next === undefined || next === null) {
+                items.delete(String(id));
+                return null;
+            }
+            items.set(String(id), clone(next));
+            return clone(next);
+        },
+
+        async delete(collection, id) {
+            return getCollection(collection).delete(String(id));
+        },
+
+        async list(collection) {
+            return Array.from(getCollection(collection).values(), clone);
+        },
+
+        async count(collection) {
+            return getCollection(collection).size;
+        },
+
+        // Snapshot of every collection, used by the file adapter to persist state
+        dump() {
+            const data = {};
+            for (const [name, items] of collections) {
+                data[name] = Object.fromEntries(items);
+            }
+            return clone(data);
+        },
+
+        async close() { }
+    };
+}
+
+module.exports = { createMemoryStore };
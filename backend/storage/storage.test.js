@@ -0,0 +1,109 @@
+/**
+ * Storage Adapter Unit Tests
+ *
+ * Runs the same contract against every adapter, plus file persistence checks
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage, createFileStore } = require('./index');
+
+describe('Storage', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-storage-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const adapters = {
+        memory: () => createStorage({ adapter: 'memory' }),
+        file: () => createStorage({ adapter: 'file', filePath: path.join(tmpDir, 'storage.json') })
+    };
+
+    describe.each(Object.keys(adapters))('%s adapter', (adapterName) => {
+        let store;
+
+        beforeEach(() => {
+            store = adapters[adapterName]();
+        });
+
+        afterEach(async () => {
+            await store.close();
+        });
+
+        it('should return null for missing items', async () => {
+            expect(await store.get('conversations', 'missing')).toBeNull();
+        });
+
+        it('should set, get, list and delete items', async () => {
+            await store.set('conversations', 'a', { id: 'a', messages: [] });
+            await store.set('conversations', 'b', { id: 'b', messages: [] });
+
+            expect(await store.get('conversations', 'a')).toEqual({ id: 'a', messages: [] });
+            expect(await store.list('conversations')).toHaveLength(2);
+            expect(await store.count('conversations')).toBe(2);
+
+            expect(await store.delete('conversations', 'a')).toBe(true);
+            expect(await store.delete('conversations', 'a')).toBe(false);
+            expect(await store.get('conversations', 'a')).toBeNull();
+        });
+
+        it('should not expose stored values to mutation', async () => {
+            await store.set('conversations', 'a', { id: 'a', messages: [] });
+            const conversation = await store.get('conversations', 'a');
+            conversation.messages.push({ id: 'x' });
+
+            expect((await store.get('conversations', 'a')).messages).toEqual([]);
+        });
+
+        it('should apply concurrent updates without losing writes', async () => {
+            const append = (id) => store.update('conversations', 'c', (current) => {
+                const conversation = current || { id: 'c', messages: [] };
+                conversation.messages.push(id);
+                return conversation;
+            });
+
+            await Promise.all([append(1), append(2), append(3)]);
+
+            expect((await store.get('conversations', 'c')).messages.sort()).toEqual([1, 2, 3]);
+        });
+
+        it('should delete an item when the updater returns null', async () => {
+            await store.set('pending_requests', 'ch', { channelId: 'ch' });
+            await store.update('pending_requests', 'ch', () => null);
+
+            expect(await store.get('pending_requests', 'ch')).toBeNull();
+        });
+
+        it('should keep collections separate', async () => {
+            await store.set('conversations', 'same-id', { kind: 'conversation' });
+            await store.set('pending_requests', 'same-id', { kind: 'pending' });
+
+            expect((await store.get('conversations', 'same-id')).kind).toBe('conversation');
+            expect((await store.get('pending_requests', 'same-id')).kind).toBe('pending');
+        });
+    });
+
+    describe('file adapter persistence', () => {
+        it('should reload data written by a previous instance', async () => {
+            const filePath = path.join(tmpDir, 'nested', 'storage.json');
+
+            const first = createFileStore({ filePath });
+            await first.set('pending_requests', 'channel-1', { channelId: 'channel-1', prompt: 'Hi' });
+            await first.close();
+
+            const second = createFileStore({ filePath });
+            expect(await second.get('pending_requests', 'channel-1')).toEqual({ channelId: 'channel-1', prompt: 'Hi' });
+            await second.close();
+        });
+    });
+
+    it('should reject unknown adapters', () => {
+        expect(() => createStorage({ adapter: 'redis' })).toThrow('Unknown storage adapter "redis"');
+    });
+});
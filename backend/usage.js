@@ -0,0 +1,309 @@
+/**
+ * Usage Limits
+ *
+ * Two limits protect the ModelRiver budget, both per user (req.user.id):
+ *
+ *   - a request rate limit on POST /chat (sliding window, kept in memory)
+ *   - a rolling token quota, summed from the usage ledger
+ *
+ * A limit of 0 disables it.
+ *
+ * The webhook handler writes one ledger entry per answered request that
+ * reported usage, next to the record it saves on the conversation. The ledger
+ * is kept apart from conversations, so deleting a conversation (or editing
+ * and branching it) neither frees up quota nor drops the tokens from /usage.
+ * A per-user index of the entries inside the quota window keeps quota checks
+ * from reading the whole ledger.
+ */
+
+const USAGE_LEDGER = 'usage_ledger';
+const USAGE_WINDOWS = 'usage_windows';
+
+const toCount = (value) => {
+    const count = Number(value);
+    return Number.isFinite(count) && count > 0 ? count : 0;
+};
+
+/**
+ * Prompt, completion and total tokens of a record's usage, whichever naming
+ * the provider used ({ prompt_tokens, completion_tokens, total_tokens } or
+ * { input_tokens, output_tokens }).
+ *
+ * @param {object} [usage]
+ * @returns {{ prompt: number, completion: number, total: number }}
+ */
+function getTokenCounts(usage) {
+    if (!usage || typeof usage !== 'object') return { prompt: 0, completion: 0, total: 0 };
+    const prompt = toCount(usage.prompt_tokens) || toCount(usage.input_tokens);
+    const completion = toCount(usage.completion_tokens) || toCount(usage.output_tokens);
+    return { prompt, completion, total: toCount(usage.total_tokens) || prompt + completion };
+}
+
+/**
+ * Total tokens of a record's usage.
+ *
+ * @param {object} [usage]
+ * @returns {number}
+ */
+function getTotalTokens(usage) {
+    return getTokenCounts(usage).total;
+}
+
+/**
+ * Parse "alice:500000,bob:0" into { alice: 500000, bob: 0 }.
+ *
+ * @param {string} value
+ * @returns {Object<string, number>}
+ */
+function parseLimitOverrides(value) {
+    const overrides = {};
+    (value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach((entry) => {
+        const separator = entry.lastIndexOf(':');
+        const limit = parseInt(entry.slice(separator + 1), 10);
+        if (separator <= 0 || !Number.isInteger(limit) || limit < 0) {
+            throw new Error(`Invalid quota override "${entry}": expected userId:tokens`);
+        }
+        overrides[entry.slice(0, separator)] = limit;
+    });
+    return overrides;
+}
+
+/**
+ * Sliding-window request counter per key.
+ *
+ * @param {object} options
+ * @param {number} options.limit - Requests allowed per window (0 = unlimited)
+ * @param {number} options.windowMs
+ * @param {Function} [options.now=Date.now]
+ * @returns {{ consume: Function, peek: Function, prune: Function }}
+ */
+function createRateLimiter({ limit, windowMs, now = Date.now }) {
+    const hits = new Map(); // key -> timestamps of requests inside the window
+
+    const recentHits = (key, at) => {
+        const recent = (hits.get(key) || []).filter(timestamp => at - timestamp < windowMs);
+        if (recent.length === 0) {
+            hits.delete(key);
+        } else {
+            hits.set(key, recent);
+        }
+        return recent;
+    };
+
+    const describe = (recent, at) => ({
+        limit: limit || null,
+        remaining: limit ? Math.max(0, limit - recent.length) : null,
+        resetAt: recent.length > 0 ? new Date(recent[0] + windowMs).toISOString() : new Date(at + windowMs).toISOString()
+    });
+
+    return {
+        /**
+         * Count a request for a key if it is within the limit.
+         *
+         * @param {string} key
+         * @returns {{ allowed: boolean, limit: number|null, remaining: number|null, resetAt: string }}
+         */
+        consume(key) {
+            const at = now();
+            const recent = recentHits(key, at);
+            if (limit && recent.length >= limit) {
+                return { allowed: false, ...describe(recent, at) };
+            }
+            if (limit) {
+                recent.push(at);
+                hits.set(key, recent);
+            }
+            return { allowed: true, ...describe(recent, at) };
+        },
+
+        /**
+         * Current state for a key without counting a request.
+         *
+         * @param {string} key
+         */
+        peek(key) {
+            const at = now();
+            return describe(recentHits(key, at), at);
+        },
+
+        /**
+         * Forget keys with no requests left inside the window.
+         *
+         * @returns {number} Number of keys removed
+         */
+        prune() {
+            const at = now();
+            const before = hits.size;
+            Array.from(hits.keys()).forEach(key => recentHits(key, at));
+            return before - hits.size;
+        }
+    };
+}
+
+/**
+ * Create the usage ledger on top of the storage adapter.
+ *
+ * Besides the entries themselves, each user has one index document listing
+ * the tokens of their entries inside the quota window, so a quota check reads
+ * that document instead of the whole ledger. Entries drop out of the index
+ * when the user's usage is next recorded, or at the latest on prune(), which
+ * also deletes ledger entries past the retention period.
+ *
+ * @param {object} options
+ * @param {object} options.storage - Storage adapter
+ * @param {number} options.windowMs - Token quota window the per-user index covers
+ * @param {number} [options.retentionMs=0] - How long entries are kept (0 = forever; never less than windowMs)
+ * @param {Function} [options.now=Date.now]
+ * @returns {{ record: Function, list: Function, recent: Function, prune: Function }}
+ */
+function createUsageLedger({ storage, windowMs, retentionMs = 0, now = Date.now }) {
+    const inWindow = (indexed, at) => new Date(indexed.createdAt).getTime() > at - windowMs;
+    // Entries still counted by the quota are never dropped
+    const keepMs = retentionMs ? Math.max(retentionMs, windowMs) : Infinity;
+
+    return {
+        /**
+         * Record the tokens a request used. Entries are keyed by channel, so a
+         * response saved again (a redelivery, a late answer) is not counted twice.
+         *
+         * @param {string} ownerId - User who sent the request
+         * @param {object} record - Record built by the webhook handler
+         * @returns {Promise<object|null>} The entry, or null when the record reported no usage
+         */
+        async record(ownerId, record) {
+            const tokens = getTotalTokens(record.usage);
+            if (tokens === 0) return null;
+
+            const entry = {
+                id: record.channel_id || record.id,
+                ownerId,
+                conversationId: record.conversation_id || null,
+                messageId: record.id,
+                workflow: record.workflow || null,
+                model: record.model || null,
+                usage: record.usage,
+                createdAt: record.created_at
+            };
+            await storage.set(USAGE_LEDGER, entry.id, entry);
+
+            const at = now();
+            await storage.update(USAGE_WINDOWS, ownerId, (window) => {
+                const entries = (window?.entries || [])
+                    .filter(indexed => indexed.id !== entry.id)
+                    .concat({ id: entry.id, createdAt: entry.createdAt, tokens })
+                    .filter(indexed => inWindow(indexed, at));
+                return entries.length > 0 ? { ownerId, entries } : null;
+            });
+            return entry;
+        },
+
+        /**
+         * Ledger entries, optionally of one user only.
+         *
+         * @param {object} [options]
+         * @param {string} [options.ownerId]
+         * @returns {Promise<object[]>}
+         */
+        async list({ ownerId } = {}) {
+            const entries = await storage.list(USAGE_LEDGER);
+            return ownerId === undefined ? entries : entries.filter(entry => entry.ownerId === ownerId);
+        },
+
+        /**
+         * A user's entries inside the quota window, oldest first.
+         *
+         * @param {string} ownerId
+         * @returns {Promise<Array<{ id: string, createdAt: string, tokens: number }>>}
+         */
+        async recent(ownerId) {
+            const at = now();
+            const window = await storage.get(USAGE_WINDOWS, ownerId);
+            return (window?.entries || [])
+                .filter(indexed => inWindow(indexed, at))
+                .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+        },
+
+        /**
+         * Delete ledger entries past the retention period, drop index entries
+         * that left the quota window, and the index documents of users with none left.
+         *
+         * @returns {Promise<{ entries: number, indexed: number }>} Number of ledger and index entries removed
+         */
+        async prune() {
+            const at = now();
+
+            const expired = keepMs === Infinity ? [] : (await storage.list(USAGE_LEDGER))
+                .filter(entry => at - new Date(entry.createdAt).getTime() > keepMs);
+            await Promise.all(expired.map(entry => storage.delete(USAGE_LEDGER, entry.id)));
+
+            let indexed = 0;
+            for (const { ownerId } of await storage.list(USAGE_WINDOWS)) {
+                await storage.update(USAGE_WINDOWS, ownerId, (window) => {
+                    if (!window) return null;
+                    const entries = window.entries.filter(entry => inWindow(entry, at));
+                    indexed += window.entries.length - entries.length;
+                    return entries.length > 0 ? { ...window, entries } : null;
+                });
+            }
+            return { entries: expired.length, indexed };
+        }
+    };
+}
+
+/**
+ * Rolling token quota, summed from the user's ledger entries inside the window.
+ *
+ * @param {object} options
+ * @param {object} options.ledger - From createUsageLedger
+ * @param {number} options.limit - Tokens allowed per window (0 = unlimited)
+ * @param {number} options.windowMs
+ * @param {Object<string, number>} [options.overrides] - Per-user limits replacing `limit`
+ * @param {Function} [options.now=Date.now]
+ * @returns {{ check: Function }}
+ */
+function createTokenQuota({ ledger, limit, windowMs, overrides = {}, now = Date.now }) {
+    return {
+        /**
+         * @param {string} userId
+         * @returns {Promise<{ limit: number|null, used: number, remaining: number|null, resetAt: string|null, exceeded: boolean }>}
+         */
+        async check(userId) {
+            const userLimit = Object.prototype.hasOwnProperty.call(overrides, userId) ? overrides[userId] : limit;
+            const since = now() - windowMs;
+
+            const counted = (await ledger.recent(userId))
+                .filter(indexed => indexed.tokens > 0 && new Date(indexed.createdAt).getTime() > since);
+            const used = counted.reduce((sum, indexed) => sum + indexed.tokens, 0);
+
+            // Allowance frees up as the oldest entries leave the window; over the limit,
+            // it is back only once enough of them have left to get under the limit again
+            let expiring = 0;
+            let left = used - (counted[0]?.tokens || 0);
+            while (userLimit && left >= userLimit) {
+                expiring += 1;
+                left -= counted[expiring].tokens;
+            }
+
+            return {
+                limit: userLimit || null,
+                used,
+                remaining: userLimit ? Math.max(0, userLimit - used) : null,
+                resetAt: counted.length === 0
+                    ? null
+                    : new Date(new Date(counted[expiring].createdAt).getTime() + windowMs).toISOString(),
+                exceeded: !!userLimit && used >= userLimit
+            };
+        }
+    };
+}
+
+module.exports = {
+    USAGE_LEDGER,
+    USAGE_WINDOWS,
+    getTokenCounts,
+    getTotalTokens,
+    parseLimitOverrides,
+    createRateLimiter,
+    createUsageLedger,
+    createTokenQuota
+};
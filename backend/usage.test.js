@@ -0,0 +1,215 @@
+/**
+ * Usage Limits Unit Tests
+ *
+ * Tests for the per-user request rate limiter and the rolling token quota
+ */
+
+const { createMemoryStore } = require('./storage');
+const {
+    USAGE_LEDGER,
+    USAGE_WINDOWS,
+    getTotalTokens,
+    parseLimitOverrides,
+    createRateLimiter,
+    createUsageLedger,
+    createTokenQuota
+} = require('./usage');
+
+describe('Usage Limits', () => {
+    describe('getTotalTokens', () => {
+        it('should read the common usage shapes', () => {
+            expect(getTotalTokens({ total_tokens: 42 })).toBe(42);
+            expect(getTotalTokens({ prompt_tokens: 10, completion_tokens: 5 })).toBe(15);
+            expect(getTotalTokens({ input_tokens: 3, output_tokens: 4 })).toBe(7);
+            expect(getTotalTokens(undefined)).toBe(0);
+            expect(getTotalTokens({ total_tokens: 'lots' })).toBe(0);
+        });
+    });
+
+    describe('parseLimitOverrides', () => {
+        it('should parse userId:tokens pairs', () => {
+            expect(parseLimitOverrides('alice:500000, bob:0')).toEqual({ alice: 500000, bob: 0 });
+            expect(parseLimitOverrides(undefined)).toEqual({});
+            expect(() => parseLimitOverrides('alice:many')).toThrow('expected userId:tokens');
+        });
+    });
+
+    describe('createRateLimiter', () => {
+        it('should allow requests up to the limit within the window', () => {
+            let now = 1000000;
+            const limiter = createRateLimiter({ limit: 2, windowMs: 60000, now: () => now });
+
+            expect(limiter.consume('alice')).toMatchObject({ allowed: true, remaining: 1 });
+            expect(limiter.consume('alice')).toMatchObject({ allowed: true, remaining: 0 });
+
+            const blocked = limiter.consume('alice');
+            expect(blocked).toMatchObject({ allowed: false, remaining: 0 });
+            expect(blocked.resetAt).toBe(new Date(1000000 + 60000).toISOString());
+
+            // Other users have their own window
+            expect(limiter.consume('bob').allowed).toBe(true);
+
+            now += 60000;
+            expect(limiter.consume('alice')).toMatchObject({ allowed: true, remaining: 1 });
+        });
+
+        it('should report without counting and allow everything when disabled', () => {
+            const limiter = createRateLimiter({ limit: 1, windowMs: 60000 });
+            expect(limiter.peek('alice').remaining).toBe(1);
+            expect(limiter.peek('alice').remaining).toBe(1);
+
+            const unlimited = createRateLimiter({ limit: 0, windowMs: 60000 });
+            for (let i = 0; i < 5; i++) {
+                expect(unlimited.consume('alice')).toMatchObject({ allowed: true, limit: null, remaining: null });
+            }
+        });
+
+        it('should forget keys whose requests left the window', () => {
+            let now = 1000000;
+            const limiter = createRateLimiter({ limit: 2, windowMs: 60000, now: () => now });
+            limiter.consume('alice');
+            now += 30000;
+            limiter.consume('bob');
+
+            now += 30000;
+            expect(limiter.prune()).toBe(1);
+            expect(limiter.peek('bob').remaining).toBe(1);
+        });
+    });
+
+    describe('createUsageLedger', () => {
+        it('should record one entry per channel for records that reported usage', async () => {
+            const storage = createMemoryStore();
+            const ledger = createUsageLedger({ storage, windowMs: 24 * 60 * 60 * 1000, now: () => Date.parse('2026-01-02T12:00:00.000Z') });
+            const record = {
+                id: 'm1',
+                channel_id: 'ch1',
+                conversation_id: 'c1',
+                workflow: 'chat',
+                model: 'gpt-4o',
+                usage: { total_tokens: 300 },
+                created_at: '2026-01-02T09:00:00.000Z'
+            };
+
+            expect(await ledger.record('alice', { ...record, channel_id: 'ch2', usage: undefined })).toBeNull();
+            await ledger.record('alice', record);
+            await ledger.record('alice', { ...record, usage: { total_tokens: 400 } }); // saved again
+            await ledger.record('bob', { ...record, channel_id: 'ch3' });
+
+            expect(await ledger.list({ ownerId: 'alice' })).toEqual([{
+                id: 'ch1',
+                ownerId: 'alice',
+                conversationId: 'c1',
+                messageId: 'm1',
+                workflow: 'chat',
+                model: 'gpt-4o',
+                usage: { total_tokens: 400 },
+                createdAt: '2026-01-02T09:00:00.000Z'
+            }]);
+            expect(await ledger.list()).toHaveLength(2);
+            expect(await storage.count(USAGE_LEDGER)).toBe(2);
+            expect(await ledger.recent('alice')).toEqual([{ id: 'ch1', createdAt: '2026-01-02T09:00:00.000Z', tokens: 400 }]);
+        });
+
+        it('should index only the entries inside the window and prune the rest', async () => {
+            const storage = createMemoryStore();
+            let now = Date.parse('2026-01-02T12:00:00.000Z');
+            const ledger = createUsageLedger({ storage, windowMs: 60 * 60 * 1000, now: () => now });
+            const record = (channelId, createdAt) => ({ id: channelId, channel_id: channelId, usage: { total_tokens: 10 }, created_at: createdAt });
+
+            await ledger.record('alice', record('ch1', '2026-01-02T10:00:00.000Z')); // already outside the window
+            await ledger.record('alice', record('ch2', '2026-01-02T11:30:00.000Z'));
+            await ledger.record('bob', record('ch3', '2026-01-02T11:10:00.000Z'));
+            expect((await ledger.recent('alice')).map(indexed => indexed.id)).toEqual(['ch2']);
+
+            now = Date.parse('2026-01-02T12:20:00.000Z');
+            expect(await ledger.recent('bob')).toEqual([]);
+            expect(await ledger.prune()).toEqual({ entries: 0, indexed: 1 });
+            expect(await storage.get(USAGE_WINDOWS, 'bob')).toBeNull();
+            expect(await storage.count(USAGE_WINDOWS)).toBe(1);
+            expect(await ledger.list()).toHaveLength(3); // Kept forever without a retention period
+        });
+
+        it('should delete entries past the retention period, but none the quota still counts', async () => {
+            const storage = createMemoryStore();
+            const now = Date.parse('2026-04-01T00:00:00.000Z');
+            const day = 24 * 60 * 60 * 1000;
+            const record = (channelId, createdAt) => ({ id: channelId, channel_id: channelId, usage: { total_tokens: 10 }, created_at: createdAt });
+
+            const ledger = createUsageLedger({ storage, windowMs: day, retentionMs: 30 * day, now: () => now });
+            await ledger.record('alice', record('ch1', '2026-01-15T00:00:00.000Z'));
+            await ledger.record('alice', record('ch2', '2026-03-20T00:00:00.000Z'));
+            expect(await ledger.prune()).toEqual({ entries: 1, indexed: 0 });
+            expect((await ledger.list()).map(entry => entry.id)).toEqual(['ch2']);
+
+            // A retention shorter than the quota window is stretched to the window
+            const shortLived = createUsageLedger({ storage, windowMs: 60 * day, retentionMs: day, now: () => now });
+            expect(await shortLived.prune()).toEqual({ entries: 0, indexed: 0 });
+            expect(await shortLived.list()).toHaveLength(1);
+        });
+    });
+
+    describe('createTokenQuota', () => {
+        const now = Date.parse('2026-01-02T12:00:00.000Z');
+        const windowMs = 24 * 60 * 60 * 1000;
+
+        const createLedgerWith = async (entries) => {
+            const ledger = createUsageLedger({ storage: createMemoryStore(), windowMs, now: () => now });
+            for (const [index, { ownerId, createdAt, usage }] of entries.entries()) {
+                await ledger.record(ownerId, { id: `m${index}`, channel_id: `ch${index}`, usage, created_at: createdAt });
+            }
+            return ledger;
+        };
+
+        const entry = (ownerId, createdAt, usage) => ({ ownerId, createdAt, usage });
+
+        it('should sum the owner\'s usage inside the rolling window', async () => {
+            const ledger = await createLedgerWith([
+                entry('alice', '2026-01-01T08:00:00.000Z', { total_tokens: 1000 }), // outside the window
+                entry('alice', '2026-01-02T09:00:00.000Z', { total_tokens: 300 }),
+                entry('alice', '2026-01-02T11:00:00.000Z', { prompt_tokens: 100, completion_tokens: 50 }),
+                entry('bob', '2026-01-02T11:00:00.000Z', { total_tokens: 999 })
+            ]);
+            const quota = createTokenQuota({ ledger, limit: 1000, windowMs, now: () => now });
+
+            expect(await quota.check('alice')).toEqual({
+                limit: 1000,
+                used: 450,
+                remaining: 550,
+                resetAt: '2026-01-03T09:00:00.000Z',
+                exceeded: false
+            });
+        });
+
+        it('should flag exhausted quotas and apply per-user overrides', async () => {
+            const ledger = await createLedgerWith([
+                entry('alice', '2026-01-02T09:00:00.000Z', { total_tokens: 1200 })
+            ]);
+
+            const quota = createTokenQuota({ ledger, limit: 1000, windowMs, now: () => now });
+            expect(await quota.check('alice')).toMatchObject({ exceeded: true, remaining: 0 });
+
+            const generous = createTokenQuota({ ledger, limit: 1000, windowMs, overrides: { alice: 5000 }, now: () => now });
+            expect(await generous.check('alice')).toMatchObject({ exceeded: false, limit: 5000, remaining: 3800 });
+
+            const unlimited = createTokenQuota({ ledger, limit: 1000, windowMs, overrides: { alice: 0 }, now: () => now });
+            expect(await unlimited.check('alice')).toMatchObject({ exceeded: false, limit: null, remaining: null });
+        });
+
+        it('should reset once enough of the oldest entries expire to get back under the limit', async () => {
+            const ledger = await createLedgerWith([
+                entry('alice', '2026-01-02T08:00:00.000Z', { total_tokens: 100 }),
+                entry('alice', '2026-01-02T09:00:00.000Z', { total_tokens: 500 }),
+                entry('alice', '2026-01-02T10:00:00.000Z', { total_tokens: 600 })
+            ]);
+            const quota = createTokenQuota({ ledger, limit: 1000, windowMs, now: () => now });
+
+            // 1200 used: the 08:00 entry leaving still leaves 1100, the 09:00 one brings it to 600
+            expect(await quota.check('alice')).toMatchObject({
+                used: 1200,
+                exceeded: true,
+                resetAt: '2026-01-03T09:00:00.000Z'
+            });
+        });
+    });
+});
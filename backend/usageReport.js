@@ -0,0 +1,226 @@
+/**
+ * Usage and Cost Report
+ *
+ * Totals the usage ledger (see usage.js), grouped by any of conversation,
+ * workflow, model and day, and prices it with a configurable
+ * table (USAGE_PRICE_TABLE):
+ *
+ *   {
+ *     "gpt-4o": { "prompt": 2.5, "completion": 10 },   // price per 1M tokens
+ *     "*": { "prompt": 1, "completion": 2 }             // optional fallback for other models
+ *   }
+ *
+ * The ledger has an entry for every request that reported usage, including
+ * earlier versions of regenerated or edited messages and requests whose
+ * conversation was deleted since. Entries whose model has no price, or whose
+ * usage has no prompt/completion split, are counted in `unpriced_requests`
+ * and add no cost.
+ */
+
+const { ApiError, ERROR_CODES } = require('./apiErrors');
+const { getTokenCounts } = require('./usage');
+
+const USAGE_GROUP_FIELDS = ['conversation', 'workflow', 'model', 'day'];
+const DEFAULT_GROUP_BY = ['workflow', 'model'];
+const UNKNOWN = 'unknown';
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse and validate the price table JSON.
+ *
+ * @param {string} [value] - JSON object of model -> { prompt, completion } per 1M tokens
+ * @returns {Object<string, { prompt: number, completion: number }>}
+ */
+function parsePriceTable(value) {
+    if (!value) return {};
+
+    let table;
+    try {
+        table = JSON.parse(value);
+    } catch (error) {
+        throw new Error(`USAGE_PRICE_TABLE is not valid JSON: ${error.message}`);
+    }
+    if (!table || typeof table !== 'object' || Array.isArray(table)) {
+        throw new Error('USAGE_PRICE_TABLE must be an object of model -> { prompt, completion }');
+    }
+
+    for (const [model, price] of Object.entries(table)) {
+        const valid = price && ['prompt', 'completion'].every(key =>
+            typeof price[key] === 'number' && Number.isFinite(price[key]) && price[key] >= 0);
+        if (!valid) {
+            throw new Error(`USAGE_PRICE_TABLE entry "${model}" needs numeric prompt and completion prices`);
+        }
+    }
+    return table;
+}
+
+/**
+ * Parse the report query (group_by, from, to) into options for buildUsageReport.
+ * Date-only values cover whole UTC days, so `to=2026-01-31` includes the 31st.
+ *
+ * @param {object} query - Express req.query
+ * @returns {{ groupBy: string[], from: Date|null, to: Date|null }}
+ * @throws {ApiError} 400 VALIDATION_FAILED
+ */
+function parseUsageQuery(query) {
+    const details = [];
+
+    const groupBy = typeof query.group_by === 'string'
+        ? query.group_by.split(',').map(field => field.trim()).filter(Boolean)
+        : DEFAULT_GROUP_BY;
+    const unknownFields = groupBy.filter(field => !USAGE_GROUP_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+        details.push({
+            field: 'group_by',
+            code: 'not_allowed',
+            message: `Unknown group_by field(s): ${unknownFields.join(', ')}. Allowed: ${USAGE_GROUP_FIELDS.join(', ')}`
+        });
+    }
+
+    const parseDate = (field, endOfDay) => {
+        const value = query[field];
+        if (value === undefined) return null;
+        const date = new Date(typeof value === 'string' && DATE_ONLY.test(value) ? `${value}T00:00:00.000Z` : value);
+        if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+            details.push({ field, code: 'format', message: `${field} must be a date (YYYY-MM-DD) or ISO timestamp` });
+            return null;
+        }
+        return endOfDay && DATE_ONLY.test(value) ? new Date(date.getTime() + DAY_MS) : date;
+    };
+    const from = parseDate('from', false);
+    const to = parseDate('to', true);
+
+    if (details.length > 0) {
+        throw new ApiError(400, ERROR_CODES.VALIDATION_FAILED, details.map(detail => detail.message).join('; '), details);
+    }
+    return { groupBy: [...new Set(groupBy)], from, to };
+}
+
+const roundCost = (cost) => Math.round(cost * 1e6) / 1e6;
+
+/**
+ * Aggregate usage ledger entries into report rows.
+ *
+ * @param {object[]} entries - Usage ledger entries
+ * @param {object} options
+ * @param {string[]} [options.groupBy] - Subset of USAGE_GROUP_FIELDS
+ * @param {Date|null} [options.from] - Inclusive lower bound on entry createdAt
+ * @param {Date|null} [options.to] - Exclusive upper bound on entry createdAt
+ * @param {string} [options.ownerId] - Only this user's requests
+ * @param {object} [options.prices] - From parsePriceTable
+ * @param {string} [options.currency='USD']
+ * @returns {{ group_by: string[], from: string|null, to: string|null, currency: string, rows: object[], totals: object }}
+ */
+function buildUsageReport(entries, {
+    groupBy = DEFAULT_GROUP_BY,
+    from = null,
+    to = null,
+    ownerId,
+    prices = {},
+    currency = 'USD'
+} = {}) {
+    const emptyTotals = () => ({
+        requests: 0,
+        prompt_tokens: 0,
+        completion_tokens: 0,
+        total_tokens: 0,
+        cost: 0,
+        unpriced_requests: 0
+    });
+    const groups = new Map();
+    const totals = emptyTotals();
+
+    for (const entry of entries) {
+        if (ownerId !== undefined && entry.ownerId !== ownerId) continue;
+        const tokens = getTokenCounts(entry.usage);
+        if (tokens.total === 0) continue;
+
+        const createdAt = new Date(entry.createdAt);
+        if (Number.isNaN(createdAt.getTime())) continue;
+        if ((from && createdAt < from) || (to && createdAt >= to)) continue;
+
+        const dimensions = {
+            conversation: entry.conversationId || UNKNOWN,
+            workflow: entry.workflow || UNKNOWN,
+            model: entry.model || UNKNOWN,
+            day: createdAt.toISOString().slice(0, 10)
+        };
+        const key = JSON.stringify(groupBy.map(field => dimensions[field]));
+        if (!groups.has(key)) {
+            const row = {};
+            groupBy.forEach((field) => {
+                row[field] = dimensions[field];
+            });
+            groups.set(key, Object.assign(row, emptyTotals()));
+        }
+
+        const price = prices[dimensions.model] || prices['*'];
+        const priced = !!price && tokens.prompt + tokens.completion > 0;
+        const cost = priced ? (tokens.prompt * price.prompt + tokens.completion * price.completion) / 1e6 : 0;
+
+        for (const target of [groups.get(key), totals]) {
+            target.requests += 1;
+            target.prompt_tokens += tokens.prompt;
+            target.completion_tokens += tokens.completion;
+            target.total_tokens += tokens.total;
+            target.cost += cost;
+            if (!priced) target.unpriced_requests += 1;
+        }
+    }
+
+    const rows = Array.from(groups.values())
+        .map(row => ({ ...row, cost: roundCost(row.cost) }))
+        .sort((a, b) => {
+            for (const field of groupBy) {
+                const compared = String(a[field]).localeCompare(String(b[field]));
+                if (compared !== 0) return compared;
+            }
+            return 0;
+        });
+
+    return {
+        group_by: groupBy,
+        from: from ? from.toISOString() : null,
+        to: to ? to.toISOString() : null,
+        currency,
+        rows,
+        totals: { ...totals, cost: roundCost(totals.cost) }
+    };
+}
+
+const csvValue = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render a report as CSV: one line per row, plus a final "total" line.
+ *
+ * @param {object} report - From buildUsageReport
+ * @returns {string}
+ */
+function toUsageCsv(report) {
+    const metrics = ['requests', 'prompt_tokens', 'completion_tokens', 'total_tokens', 'cost', 'unpriced_requests'];
+    const header = [...report.group_by, ...metrics, 'currency'];
+    const lines = report.rows.map(row => [
+        ...report.group_by.map(field => row[field]),
+        ...metrics.map(metric => row[metric]),
+        report.currency
+    ]);
+    lines.push([
+        ...report.group_by.map((field, index) => (index === 0 ? 'total' : '')),
+        ...metrics.map(metric => report.totals[metric]),
+        report.currency
+    ]);
+    return [header, ...lines].map(line => line.map(csvValue).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+    USAGE_GROUP_FIELDS,
+    parsePriceTable,
+    parseUsageQuery,
+    buildUsageReport,
+    toUsageCsv
+};
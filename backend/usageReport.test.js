@@ -0,0 +1,110 @@
+/**
+ * Usage Report Unit Tests
+ *
+ * Tests for token/cost aggregation, query parsing, price tables and CSV output
+ */
+
+const {
+    parsePriceTable,
+    parseUsageQuery,
+    buildUsageReport,
+    toUsageCsv
+} = require('./usageReport');
+
+describe('Usage Report', () => {
+    const entry = (ownerId, conversationId, createdAt, workflow, model, usage) => ({
+        id: createdAt,
+        ownerId,
+        conversationId,
+        createdAt,
+        workflow,
+        model,
+        usage
+    });
+
+    const entries = [
+        entry('alice', 'c1', '2026-01-01T10:00:00.000Z', 'support', 'gpt-4o', { prompt_tokens: 1000, completion_tokens: 500, total_tokens: 1500 }),
+        entry('alice', 'c1', '2026-01-02T10:00:00.000Z', 'support', 'gpt-4o', { prompt_tokens: 2000, completion_tokens: 1000, total_tokens: 3000 }),
+        entry('alice', 'c1', '2026-01-02T11:00:00.000Z', 'support', null, undefined), // no usage
+        entry('bob', 'c2', '2026-01-02T12:00:00.000Z', 'sales', 'mystery-model', { input_tokens: 100, output_tokens: 100 })
+    ];
+    const prices = { 'gpt-4o': { prompt: 2.5, completion: 10 } };
+
+    describe('buildUsageReport', () => {
+        it('should total tokens and cost per workflow and model', () => {
+            const report = buildUsageReport(entries, { prices });
+
+            expect(report.rows).toEqual([
+                {
+                    workflow: 'sales', model: 'mystery-model', requests: 1, prompt_tokens: 100,
+                    completion_tokens: 100, total_tokens: 200, cost: 0, unpriced_requests: 1
+                },
+                {
+                    workflow: 'support', model: 'gpt-4o', requests: 2, prompt_tokens: 3000,
+                    completion_tokens: 1500, total_tokens: 4500, cost: 0.0225, unpriced_requests: 0
+                }
+            ]);
+            expect(report.totals).toMatchObject({ requests: 3, total_tokens: 4700, cost: 0.0225, unpriced_requests: 1 });
+            expect(report.currency).toBe('USD');
+        });
+
+        it('should group by day and conversation, filter by date and owner', () => {
+            const byDay = buildUsageReport(entries, { groupBy: ['day'], prices: { '*': { prompt: 1, completion: 1 } } });
+            expect(byDay.rows.map(row => [row.day, row.total_tokens, row.cost])).toEqual([
+                ['2026-01-01', 1500, 0.0015],
+                ['2026-01-02', 3200, 0.0032]
+            ]);
+
+            const filtered = buildUsageReport(entries, {
+                groupBy: ['conversation'],
+                from: new Date('2026-01-02T00:00:00.000Z'),
+                ownerId: 'alice'
+            });
+            expect(filtered.rows).toEqual([expect.objectContaining({ conversation: 'c1', requests: 1, total_tokens: 3000 })]);
+        });
+    });
+
+    describe('parseUsageQuery', () => {
+        it('should default the grouping and make date-only ranges inclusive', () => {
+            expect(parseUsageQuery({})).toEqual({ groupBy: ['workflow', 'model'], from: null, to: null });
+
+            const { from, to } = parseUsageQuery({ from: '2026-01-01', to: '2026-01-31' });
+            expect(from.toISOString()).toBe('2026-01-01T00:00:00.000Z');
+            expect(to.toISOString()).toBe('2026-02-01T00:00:00.000Z');
+        });
+
+        it('should reject unknown group_by fields and invalid dates', () => {
+            try {
+                parseUsageQuery({ group_by: 'day,user', from: 'yesterday' });
+                throw new Error('expected validation to fail');
+            } catch (error) {
+                expect(error.code).toBe('VALIDATION_FAILED');
+                expect(error.details.map(detail => detail.field)).toEqual(['group_by', 'from']);
+            }
+        });
+    });
+
+    describe('parsePriceTable', () => {
+        it('should accept model prices and reject malformed tables', () => {
+            expect(parsePriceTable('{"gpt-4o":{"prompt":2.5,"completion":10}}')).toEqual(prices);
+            expect(parsePriceTable(undefined)).toEqual({});
+            expect(() => parsePriceTable('{nope')).toThrow('not valid JSON');
+            expect(() => parsePriceTable('{"gpt-4o":{"prompt":"cheap"}}')).toThrow('numeric prompt and completion');
+        });
+    });
+
+    describe('toUsageCsv', () => {
+        it('should render rows, a total line and escape values', () => {
+            const report = buildUsageReport([
+                entry('alice', 'c1', '2026-01-01T10:00:00.000Z', 'say "hi", please', 'gpt-4o', { total_tokens: 10 })
+            ], { groupBy: ['workflow'], prices });
+
+            expect(toUsageCsv(report)).toBe([
+                'workflow,requests,prompt_tokens,completion_tokens,total_tokens,cost,unpriced_requests,currency',
+                '"say ""hi"", please",1,0,0,10,0,1,USD',
+                'total,1,0,0,10,0,1,USD',
+                ''
+            ].join('\n'));
+        });
+    });
+});
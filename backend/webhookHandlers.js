@@ -0,0 +1,198 @@
+/**
+ * Webhook Handler Registry
+ *
+ * Each incoming webhook is normalized into an envelope and handed to the
+ * handler routed for its event name or type (WEBHOOK_HANDLERS):
+ *
+ *   {
+ *     "event:new_chat": "ai_response",          // by event name (body.event / data.event)
+ *     "type:task.ai_generated": "ai_response",  // by webhook type (body.type / data.type)
+ *     "*": "standard"                           // any other webhook
+ *   }
+ *
+ * An event route wins over a type route. A handler is an async function
+ * `(envelope, context) => result | null` that decides what is stored and what
+ * is called back:
+ *
+ *   { response, callbackData }  - `response` is saved on the record (derived from
+ *                                 the response data when omitted); `callbackData`
+ *                                 goes through enrichment and back to ModelRiver
+ *                                 (null = no callback)
+ *   null                        - acknowledge the webhook and do nothing else
+ *                                 (nothing stored, pending request left open)
+ */
+
+// Handlers available by name in WEBHOOK_HANDLERS
+const BUILT_IN_HANDLERS = {
+    // Store the response and call back with the webhook's data
+    standard: async (envelope) => ({
+        response: extractResponse(envelope.responseData),
+        callbackData: envelope.data || envelope.responseData || {}
+    }),
+
+    // Event-driven workflows: the structured response lives in ai_response.data
+    ai_response: async (envelope, context) => {
+        if (!envelope.aiResponse?.data) {
+            return BUILT_IN_HANDLERS.standard(envelope, context);
+        }
+        return {
+            response: extractResponse(envelope.aiResponse.data),
+            callbackData: envelope.aiResponse.data
+        };
+    },
+
+    // Store the response, but send no callback
+    store_only: async (envelope) => ({
+        response: extractResponse(envelope.responseData),
+        callbackData: null
+    }),
+
+    // Acknowledge only
+    ignore: async () => null
+};
+
+const DEFAULT_ROUTES = {
+    'event:new_chat': 'ai_response',
+    'type:task.ai_generated': 'ai_response',
+    '*': 'standard'
+};
+
+/**
+ * The text (or structured object) saved as a record's response.
+ *
+ * @param {*} responseData - ai_response.data or data from the webhook
+ * @returns {string|object}
+ */
+function extractResponse(responseData) {
+    if (responseData && typeof responseData === 'object' && !responseData.choices && !responseData.response) {
+        // Structured output - data is already the structured response
+        return responseData;
+    }
+    // Unstructured output - extract from choices
+    return responseData?.choices?.[0]?.message?.content ||
+        responseData?.response?.choices?.[0]?.message?.content ||
+        JSON.stringify(responseData);
+}
+
+/**
+ * Build the envelope handlers receive from a webhook request.
+ *
+ * @param {object} body - Parsed webhook body
+ * @param {object} [headers] - Request headers (for x-modelriver-callback-url)
+ * @param {object} [pendingRequest] - The stored /chat request for the channel, if any
+ * @returns {object} channelId, status, event, type, data, aiResponse, responseData, meta, callbackUrl, callbackSource, pendingRequest, body
+ */
+function normalizeWebhook(body = {}, headers = {}, pendingRequest = null) {
+    const { channel_id, status, data, meta, callback_url, type, event, ai_response } = body;
+
+    // Event-driven webhooks may nest event, type and ai_response inside data
+    const aiResponse = ai_response || data?.ai_response || null;
+
+    // callback_url can be at the top level, inside data, or in a header
+    const callbackUrl = callback_url || data?.callback_url || headers['x-modelriver-callback-url'] || null;
+
+    return {
+        channelId: channel_id || null,
+        status,
+        event: event || data?.event || null,
+        type: type || data?.type || null,
+        data,
+        aiResponse,
+        // Where the response lives: ai_response.data for event-driven workflows, data otherwise
+        responseData: aiResponse?.data || data,
+        meta,
+        callbackUrl,
+        callbackSource: callback_url ? 'body' : data?.callback_url ? 'data' : 'header',
+        pendingRequest,
+        body
+    };
+}
+
+/**
+ * Parse the WEBHOOK_HANDLERS JSON; its routes are merged over the defaults.
+ *
+ * @param {string} [value] - JSON object of "event:<name>" / "type:<type>" / "*" -> handler name
+ * @returns {Object<string, string>}
+ */
+function parseHandlerRoutes(value) {
+    if (!value) return DEFAULT_ROUTES;
+
+    let routes;
+    try {
+        routes = JSON.parse(value);
+    } catch (error) {
+        throw new Error(`WEBHOOK_HANDLERS is not valid JSON: ${error.message}`);
+    }
+    const valid = routes && typeof routes === 'object' && !Array.isArray(routes) &&
+        Object.entries(routes).every(([key, name]) => /^(event|type):.+|^\*$/.test(key) && typeof name === 'string');
+    if (!valid) {
+        throw new Error('WEBHOOK_HANDLERS must be an object of "event:<name>", "type:<type>" or "*" -> handler name');
+    }
+    return { ...DEFAULT_ROUTES, ...routes };
+}
+
+/**
+ * Create the registry.
+ *
+ * @param {object} [options]
+ * @param {Object<string, string>} [options.routes] - Route -> handler name (see parseHandlerRoutes)
+ * @param {Object<string, Function>} [options.handlers] - Extra handlers by name (may replace built-ins)
+ * @returns {{ resolve: Function, handle: Function }}
+ * @throws {Error} If a route names a handler that isn't registered
+ */
+function createWebhookHandlers({ routes = DEFAULT_ROUTES, handlers = {} } = {}) {
+    const registry = { ...BUILT_IN_HANDLERS, ...handlers };
+
+    const unknown = Object.entries(routes).filter(([, name]) => typeof registry[name] !== 'function');
+    if (unknown.length > 0) {
+        throw new Error(`Unknown webhook handler(s): ${unknown.map(([key, name]) => `${key} -> ${name}`).join(', ')}. ` +
+            `Registered: ${Object.keys(registry).join(', ')}`);
+    }
+
+    /**
+     * Which handler a webhook goes to.
+     *
+     * @param {{ event?: string|null, type?: string|null }} envelope
+     * @returns {{ name: string, route: string }}
+     */
+    const resolve = ({ event, type }) => {
+        const route = [event && `event:${event}`, type && `type:${type}`].find(key => key && routes[key]) || '*';
+        return { name: routes[route] || 'standard', route };
+    };
+
+    return {
+        resolve,
+
+        /**
+         * Run the webhook's handler.
+         *
+         * @param {object} envelope - From normalizeWebhook
+         * @param {object} [context] - log, messageId, ...
+         * @returns {Promise<{ handler: string, route: string, result: { response: *, callbackData: object|null }|null }>}
+         */
+        async handle(envelope, context = {}) {
+            const { name, route } = resolve(envelope);
+            const result = await registry[name](envelope, { ...context, handler: name });
+            if (!result) {
+                return { handler: name, route, result: null };
+            }
+            return {
+                handler: name,
+                route,
+                result: {
+                    response: result.response !== undefined ? result.response : extractResponse(envelope.responseData),
+                    callbackData: result.callbackData || null
+                }
+            };
+        }
+    };
+}
+
+module.exports = {
+    BUILT_IN_HANDLERS,
+    DEFAULT_ROUTES,
+    extractResponse,
+    normalizeWebhook,
+    parseHandlerRoutes,
+    createWebhookHandlers
+};
@@ -0,0 +1,129 @@
+/**
+ * Webhook Handler Registry Unit Tests
+ *
+ * Tests for webhook normalization, routing by event and type, and the built-in handlers
+ */
+
+const {
+    DEFAULT_ROUTES,
+    extractResponse,
+    normalizeWebhook,
+    parseHandlerRoutes,
+    createWebhookHandlers
+} = require('./webhookHandlers');
+
+describe('Webhook Handler Registry', () => {
+    const eventWebhook = {
+        channel_id: 'ch-1',
+        status: 'success',
+        data: {
+            event: 'new_chat',
+            type: 'task.ai_generated',
+            ai_response: { data: { reply: 'Structured hello' } },
+            callback_url: 'https://api.modelriver.com/v1/callback/ch-1'
+        }
+    };
+
+    describe('normalizeWebhook', () => {
+        it('should lift nested event fields and find the callback URL', () => {
+            const pending = { conversationId: 'conv-1' };
+            const envelope = normalizeWebhook(eventWebhook, {}, pending);
+
+            expect(envelope).toMatchObject({
+                channelId: 'ch-1',
+                status: 'success',
+                event: 'new_chat',
+                type: 'task.ai_generated',
+                aiResponse: { data: { reply: 'Structured hello' } },
+                responseData: { reply: 'Structured hello' },
+                callbackUrl: 'https://api.modelriver.com/v1/callback/ch-1',
+                callbackSource: 'data',
+                pendingRequest: pending
+            });
+        });
+
+        it('should take the callback URL from the header as a last resort', () => {
+            const envelope = normalizeWebhook({ channel_id: 'ch-2', data: {} }, { 'x-modelriver-callback-url': 'https://cb' });
+
+            expect(envelope).toMatchObject({ event: null, type: null, callbackUrl: 'https://cb', callbackSource: 'header' });
+        });
+    });
+
+    describe('extractResponse', () => {
+        it('should return structured data as is and pull text out of choices', () => {
+            expect(extractResponse({ reply: 'Hi' })).toEqual({ reply: 'Hi' });
+            expect(extractResponse({ choices: [{ message: { content: 'Hello' } }] })).toBe('Hello');
+            expect(extractResponse({ response: { choices: [{ message: { content: 'Nested' } }] } })).toBe('Nested');
+        });
+    });
+
+    describe('parseHandlerRoutes', () => {
+        it('should merge routes over the defaults', () => {
+            expect(parseHandlerRoutes(undefined)).toBe(DEFAULT_ROUTES);
+            expect(parseHandlerRoutes('{"*": "ignore", "event:progress": "ignore"}')).toEqual({
+                ...DEFAULT_ROUTES,
+                '*': 'ignore',
+                'event:progress': 'ignore'
+            });
+        });
+
+        it('should reject malformed routes', () => {
+            expect(() => parseHandlerRoutes('{nope')).toThrow(/not valid JSON/);
+            expect(() => parseHandlerRoutes('{"new_chat": "standard"}')).toThrow(/must be an object/);
+            expect(() => parseHandlerRoutes('{"*": ["standard"]}')).toThrow(/must be an object/);
+        });
+    });
+
+    describe('createWebhookHandlers', () => {
+        it('should route by event before type, and unknown webhooks to the default', () => {
+            const handlers = createWebhookHandlers({
+                routes: { ...DEFAULT_ROUTES, 'type:task.ai_generated': 'store_only', '*': 'ignore' }
+            });
+
+            expect(handlers.resolve({ event: 'new_chat', type: 'task.ai_generated' })).toEqual({ name: 'ai_response', route: 'event:new_chat' });
+            expect(handlers.resolve({ event: 'other', type: 'task.ai_generated' })).toEqual({ name: 'store_only', route: 'type:task.ai_generated' });
+            expect(handlers.resolve({ event: 'other', type: null })).toEqual({ name: 'ignore', route: '*' });
+        });
+
+        it('should call back with ai_response.data for event-driven webhooks', async () => {
+            const handlers = createWebhookHandlers();
+
+            expect(await handlers.handle(normalizeWebhook(eventWebhook))).toEqual({
+                handler: 'ai_response',
+                route: 'event:new_chat',
+                result: { response: { reply: 'Structured hello' }, callbackData: { reply: 'Structured hello' } }
+            });
+        });
+
+        it('should call back with data for standard webhooks', async () => {
+            const data = { choices: [{ message: { content: 'Hello' } }] };
+            const { handler, result } = await createWebhookHandlers().handle(normalizeWebhook({ channel_id: 'ch', data }));
+
+            expect(handler).toBe('standard');
+            expect(result).toEqual({ response: 'Hello', callbackData: data });
+        });
+
+        it('should pass the envelope and context to registered handlers', async () => {
+            const progress = jest.fn(async (envelope, context) => ({ callbackData: { step: envelope.data.step, id: context.messageId } }));
+            const handlers = createWebhookHandlers({
+                routes: { ...DEFAULT_ROUTES, 'event:progress': 'progress' },
+                handlers: { progress }
+            });
+
+            const { result } = await handlers.handle(normalizeWebhook({ event: 'progress', data: { step: 2 } }), { messageId: 'msg-1' });
+
+            expect(progress).toHaveBeenCalledWith(expect.objectContaining({ event: 'progress' }), expect.objectContaining({ handler: 'progress' }));
+            expect(result).toEqual({ response: { step: 2 }, callbackData: { step: 2, id: 'msg-1' } });
+        });
+
+        it('should return no result for ignored webhooks', async () => {
+            const handlers = createWebhookHandlers({ routes: { '*': 'ignore' } });
+
+            expect(await handlers.handle(normalizeWebhook({ event: 'heartbeat' }))).toEqual({ handler: 'ignore', route: '*', result: null });
+        });
+
+        it('should refuse routes to unregistered handlers', () => {
+            expect(() => createWebhookHandlers({ routes: { '*': 'missing' } })).toThrow(/Unknown webhook handler\(s\): \* -> missing/);
+        });
+    });
+});
@@ -0,0 +1,234 @@
+/**
+ * Webhook Secret Keyring
+ *
+ * Several webhook secrets can be active at once, so a secret can be rotated
+ * without failing the webhooks signed while the change rolls out:
+ *
+ *   1. add the new secret (POST /admin/webhook-secrets) and switch ModelRiver to it
+ *   2. give the old one an expiry a few minutes out (PATCH), or retire it (DELETE)
+ *
+ * Keys come from configuration (WEBHOOK_SECRET as "default", WEBHOOK_SECRETS)
+ * or from the admin API. Admin keys are kept in storage; configured secrets
+ * never are - only a retirement or expiry override for them is.
+ *
+ * A key is active until it is retired or its expiresAt has passed.
+ */
+
+const crypto = require('crypto');
+
+const WEBHOOK_SECRETS = 'webhook_secrets';
+
+const KEY_ID_PATTERN = /^[\w.-]{1,64}$/;
+const MIN_SECRET_LENGTH = 16;
+
+const KEY_STATUS = {
+    ACTIVE: 'active',
+    EXPIRED: 'expired',
+    RETIRED: 'retired'
+};
+
+/**
+ * Parse WEBHOOK_SECRETS: a JSON array of { id, secret, expires_at? }.
+ *
+ * @param {string} [value]
+ * @returns {{ id: string, secret: string, expiresAt: string|null }[]}
+ */
+function parseWebhookSecrets(value) {
+    if (!value) return [];
+
+    let entries;
+    try {
+        entries = JSON.parse(value);
+    } catch (error) {
+        throw new Error(`WEBHOOK_SECRETS is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(entries)) {
+        throw new Error('WEBHOOK_SECRETS must be an array of { id, secret, expires_at }');
+    }
+
+    return entries.map((entry, index) => {
+        const problem = validateKey({ id: entry?.id, secret: entry?.secret, expiresAt: entry?.expires_at });
+        if (problem) {
+            throw new Error(`WEBHOOK_SECRETS entry ${index}: ${problem}`);
+        }
+        return { id: entry.id, secret: entry.secret, expiresAt: entry.expires_at ? new Date(entry.expires_at).toISOString() : null };
+    });
+}
+
+/**
+ * Check a key's fields; returns a description of the first problem, or null.
+ *
+ * @param {{ id?: *, secret?: *, expiresAt?: * }} key - Only the fields present are checked
+ * @returns {string|null}
+ */
+function validateKey({ id, secret, expiresAt } = {}) {
+    if (id !== undefined && (typeof id !== 'string' || !KEY_ID_PATTERN.test(id))) {
+        return 'id must be 1-64 letters, digits, ".", "_" or "-"';
+    }
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH)) {
+        return `secret must be a string of at least ${MIN_SECRET_LENGTH} characters`;
+    }
+    if (expiresAt !== undefined && expiresAt !== null &&
+        (typeof expiresAt !== 'string' || Number.isNaN(new Date(expiresAt).getTime()))) {
+        return 'expires_at must be an ISO timestamp or null';
+    }
+    return null;
+}
+
+// Identifies a secret in listings and logs without revealing it
+const fingerprint = (secret) => crypto.createHash('sha256').update(secret).digest('hex').slice(0, 12);
+
+/**
+ * Create the keyring.
+ *
+ * @param {object} options
+ * @param {object} options.storage - Storage adapter
+ * @param {{ id: string, secret: string, expiresAt?: string|null }[]} [options.keys] - Configured keys
+ * @param {Function} [options.now=Date.now]
+ * @returns {{ getActiveKeys: Function, hasKeys: Function, list: Function, add: Function, setExpiry: Function, retire: Function, markUsed: Function }}
+ */
+function createWebhookKeyring({ storage, keys = [], now = Date.now }) {
+    const configured = new Map();
+    for (const key of keys) {
+        if (configured.has(key.id)) {
+            throw new Error(`Webhook secret "${key.id}" is configured twice`);
+        }
+        configured.set(key.id, { id: key.id, secret: key.secret, expiresAt: key.expiresAt || null, source: 'config' });
+    }
+
+    const lastUsed = new Map(); // id -> ISO time of the last webhook it verified (this process only)
+
+    // Configured keys with their stored overrides, plus keys added through the admin API
+    const loadKeys = async () => {
+        const stored = new Map((await storage.list(WEBHOOK_SECRETS)).map(entry => [entry.id, entry]));
+        const merged = Array.from(configured.values()).map(key => ({ ...key, ...stored.get(key.id), secret: key.secret }));
+        for (const entry of stored.values()) {
+            if (!configured.has(entry.id) && entry.secret) {
+                merged.push(entry);
+            }
+        }
+        return merged;
+    };
+
+    const statusOf = (key) => {
+        if (key.retiredAt) return KEY_STATUS.RETIRED;
+        if (key.expiresAt && new Date(key.expiresAt).getTime() <= now()) return KEY_STATUS.EXPIRED;
+        return KEY_STATUS.ACTIVE;
+    };
+
+    const toSummary = (key) => ({
+        id: key.id,
+        status: statusOf(key),
+        source: key.source,
+        fingerprint: fingerprint(key.secret),
+        created_at: key.createdAt || null,
+        expires_at: key.expiresAt || null,
+        retired_at: key.retiredAt || null,
+        last_used_at: lastUsed.get(key.id) || null
+    });
+
+    const findKey = async (id) => (await loadKeys()).find(key => key.id === id) || null;
+
+    return {
+        /**
+         * Keys a webhook signature may match, configured ones first.
+         *
+         * @returns {Promise<{ id: string, secret: string }[]>}
+         */
+        async getActiveKeys() {
+            return (await loadKeys()).filter(key => statusOf(key) === KEY_STATUS.ACTIVE);
+        },
+
+        /**
+         * Whether any key exists at all (active or not).
+         *
+         * @returns {Promise<boolean>}
+         */
+        async hasKeys() {
+            return configured.size > 0 || (await storage.count(WEBHOOK_SECRETS)) > 0;
+        },
+
+        /**
+         * All keys, without their secrets.
+         *
+         * @returns {Promise<object[]>}
+         */
+        async list() {
+            return (await loadKeys()).map(toSummary);
+        },
+
+        /**
+         * Add a key. Without a secret, a random one is generated.
+         *
+         * @param {{ id?: string, secret?: string, expiresAt?: string|null }} key
+         * @returns {Promise<{ key: object, secret: string }|null>} The summary and the secret (shown once), or null if the ID is taken
+         */
+        async add({ id = `key_${crypto.randomBytes(6).toString('hex')}`, secret, expiresAt = null }) {
+            if (configured.has(id)) return null;
+
+            const newKey = {
+                id,
+                secret: secret || crypto.randomBytes(32).toString('hex'),
+                expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+                source: 'admin',
+                createdAt: new Date(now()).toISOString()
+            };
+
+            let created = false;
+            await storage.update(WEBHOOK_SECRETS, id, (existing) => {
+                if (existing) return existing;
+                created = true;
+                return newKey;
+            });
+            return created ? { key: toSummary(newKey), secret: newKey.secret } : null;
+        },
+
+        /**
+         * Set or clear a key's expiry (e.g. a grace period for the old key during rotation).
+         *
+         * @param {string} id
+         * @param {string|null} expiresAt
+         * @returns {Promise<object|null>} Summary, or null if there is no such key
+         */
+        async setExpiry(id, expiresAt) {
+            if (!await findKey(id)) return null;
+            await storage.update(WEBHOOK_SECRETS, id, (entry) => ({
+                ...(entry || { id, source: 'config' }),
+                expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null
+            }));
+            return toSummary(await findKey(id));
+        },
+
+        /**
+         * Retire a key now. It stays listed (as retired) for the record.
+         *
+         * @param {string} id
+         * @returns {Promise<object|null>} Summary, or null if there is no such key
+         */
+        async retire(id) {
+            if (!await findKey(id)) return null;
+            await storage.update(WEBHOOK_SECRETS, id, (entry) => ({
+                ...(entry || { id, source: 'config' }),
+                retiredAt: (entry && entry.retiredAt) || new Date(now()).toISOString()
+            }));
+            return toSummary(await findKey(id));
+        },
+
+        /**
+         * Remember that a key verified a webhook (shown as last_used_at).
+         *
+         * @param {string} id
+         */
+        markUsed(id) {
+            lastUsed.set(id, new Date(now()).toISOString());
+        }
+    };
+}
+
+module.exports = {
+    WEBHOOK_SECRETS,
+    KEY_STATUS,
+    parseWebhookSecrets,
+    validateKey,
+    createWebhookKeyring
+};
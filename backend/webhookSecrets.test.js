@@ -0,0 +1,127 @@
+/**
+ * Webhook Secret Keyring Unit Tests
+ *
+ * Tests for parsing WEBHOOK_SECRETS, key validation and rotating keys
+ */
+
+const { createMemoryStore } = require('./storage');
+const {
+    WEBHOOK_SECRETS,
+    KEY_STATUS,
+    parseWebhookSecrets,
+    validateKey,
+    createWebhookKeyring
+} = require('./webhookSecrets');
+
+describe('Webhook Secret Keyring', () => {
+    const SECRET_A = 'secret_a_0123456789';
+    const SECRET_B = 'secret_b_0123456789';
+
+    describe('parseWebhookSecrets', () => {
+        it('should return no keys when unset', () => {
+            expect(parseWebhookSecrets(undefined)).toEqual([]);
+        });
+
+        it('should parse keys and normalize expiry', () => {
+            const keys = parseWebhookSecrets(JSON.stringify([
+                { id: 'old', secret: SECRET_A, expires_at: '2026-03-01T00:00:00Z' },
+                { id: 'new', secret: SECRET_B }
+            ]));
+
+            expect(keys).toEqual([
+                { id: 'old', secret: SECRET_A, expiresAt: '2026-03-01T00:00:00.000Z' },
+                { id: 'new', secret: SECRET_B, expiresAt: null }
+            ]);
+        });
+
+        it('should reject invalid JSON and invalid entries', () => {
+            expect(() => parseWebhookSecrets('{not json')).toThrow(/not valid JSON/);
+            expect(() => parseWebhookSecrets('{}')).toThrow(/must be an array/);
+            expect(() => parseWebhookSecrets(JSON.stringify([{ id: 'k', secret: 'short' }]))).toThrow(/entry 0: secret/);
+        });
+    });
+
+    describe('validateKey', () => {
+        it('should only check the fields given', () => {
+            expect(validateKey({})).toBeNull();
+            expect(validateKey({ id: 'key-2026.01_a', secret: SECRET_A, expiresAt: null })).toBeNull();
+            expect(validateKey({ id: 'has space' })).toMatch(/^id/);
+            expect(validateKey({ expiresAt: 'tomorrow' })).toMatch(/^expires_at/);
+        });
+    });
+
+    describe('createWebhookKeyring', () => {
+        let storage;
+        let time;
+        const createKeyring = (keys) => createWebhookKeyring({ storage, keys, now: () => time });
+
+        beforeEach(() => {
+            storage = createMemoryStore();
+            time = Date.parse('2026-02-01T12:00:00Z');
+        });
+
+        it('should treat configured keys as active until they expire', async () => {
+            const keyring = createKeyring([
+                { id: 'old', secret: SECRET_A, expiresAt: '2026-02-01T12:10:00.000Z' },
+                { id: 'new', secret: SECRET_B }
+            ]);
+
+            expect((await keyring.getActiveKeys()).map(key => key.id)).toEqual(['old', 'new']);
+
+            time += 15 * 60 * 1000;
+            expect((await keyring.getActiveKeys()).map(key => key.id)).toEqual(['new']);
+            expect((await keyring.list()).map(key => key.status)).toEqual([KEY_STATUS.EXPIRED, KEY_STATUS.ACTIVE]);
+        });
+
+        it('should reject configuring the same ID twice', () => {
+            expect(() => createKeyring([{ id: 'a', secret: SECRET_A }, { id: 'a', secret: SECRET_B }])).toThrow(/configured twice/);
+        });
+
+        it('should add keys, generating the secret and refusing taken IDs', async () => {
+            const keyring = createKeyring([{ id: 'default', secret: SECRET_A }]);
+
+            const created = await keyring.add({ id: 'rotated' });
+            expect(created.secret).toMatch(/^[0-9a-f]{64}$/);
+            expect(created.key).toMatchObject({ id: 'rotated', status: 'active', source: 'admin', created_at: '2026-02-01T12:00:00.000Z' });
+            expect(created.key.secret).toBeUndefined();
+
+            expect(await keyring.add({ id: 'rotated', secret: SECRET_B })).toBeNull();
+            expect(await keyring.add({ id: 'default', secret: SECRET_B })).toBeNull();
+            expect((await keyring.getActiveKeys()).map(key => key.secret)).toEqual([SECRET_A, created.secret]);
+        });
+
+        it('should retire configured keys without storing their secret', async () => {
+            const keyring = createKeyring([{ id: 'default', secret: SECRET_A }]);
+
+            const retired = await keyring.retire('default');
+            expect(retired).toMatchObject({ id: 'default', status: 'retired', source: 'config', retired_at: '2026-02-01T12:00:00.000Z' });
+            expect(await keyring.getActiveKeys()).toEqual([]);
+            expect(await keyring.hasKeys()).toBe(true);
+
+            const [override] = await storage.list(WEBHOOK_SECRETS);
+            expect(override.secret).toBeUndefined();
+            expect(await keyring.retire('missing')).toBeNull();
+        });
+
+        it('should set and clear a grace-period expiry', async () => {
+            const keyring = createKeyring([{ id: 'default', secret: SECRET_A }]);
+
+            expect(await keyring.setExpiry('default', '2026-02-01T12:05:00Z')).toMatchObject({ expires_at: '2026-02-01T12:05:00.000Z', status: 'active' });
+            time += 10 * 60 * 1000;
+            expect(await keyring.getActiveKeys()).toEqual([]);
+
+            expect(await keyring.setExpiry('default', null)).toMatchObject({ expires_at: null, status: 'active' });
+            expect(await keyring.setExpiry('missing', null)).toBeNull();
+        });
+
+        it('should fingerprint secrets and record last use', async () => {
+            const keyring = createKeyring([{ id: 'default', secret: SECRET_A }]);
+            keyring.markUsed('default');
+
+            const [summary] = await keyring.list();
+            expect(summary.fingerprint).toMatch(/^[0-9a-f]{12}$/);
+            expect(summary.last_used_at).toBe('2026-02-01T12:00:00.000Z');
+            expect(JSON.stringify(summary)).not.toContain(SECRET_A);
+        });
+    });
+});
@@ -27,13 +27,167 @@ import {
     Loader2,
     Clock,
     Database,
-    Hash
+    Hash,
+    RotateCcw,
+    KeyRound,
+    LogOut,
+    Gauge,
+    ShieldCheck,
+    ShieldAlert,
+    Paperclip,
+    FileText,
+    X,
+    RefreshCw,
+    Pencil,
+    ChevronLeft,
+    ChevronRight,
+    GitBranch,
+    Square
 } from 'lucide-react'
 
 
 // Backend API URL
 const BACKEND_URL = import.meta.env.VITE_API_URL || 'http://localhost:4000'
 
+// ModelRiver WebSocket endpoint (ws://localhost:4100/socket for the local mock)
+const MODELRIVER_WS_URL = import.meta.env.VITE_MODELRIVER_WS_URL || 'wss://api.modelriver.com/socket'
+
+// How often to ask the backend whether a pending request has timed out
+const STATUS_POLL_INTERVAL_MS = 5000
+
+// How finished responses reach the browser:
+//   websocket - ModelRiver WebSocket only (@modelriver/client)
+//   sse       - backend Server-Sent Events only (GET /conversations/:id/events)
+//   both      - whichever arrives first (default)
+const DELIVERY_MODE = import.meta.env.VITE_DELIVERY_MODE || 'both'
+
+// Files per message and bytes per file (keep in line with ATTACHMENT_MAX_FILES / ATTACHMENT_MAX_BYTES)
+const MAX_ATTACHMENTS = 5
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024
+const ATTACHMENT_ACCEPT = 'image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain,text/markdown,text/csv'
+
+// Compact token counts for the allowance badge (12345 -> 12.3k)
+const formatTokens = (count) => count >= 1000 ? `${(count / 1000).toFixed(count >= 10000 ? 0 : 1)}k` : String(count)
+
+// Where the credential from POST /auth/session is kept between visits
+const ACCESS_TOKEN_STORAGE_KEY = 'chatbot_access_token'
+
+const getAccessToken = () => localStorage.getItem(ACCESS_TOKEN_STORAGE_KEY)
+
+// Authorization header for backend requests (empty when signed out or auth is off)
+const authHeaders = () => {
+    const token = getAccessToken()
+    return token ? { Authorization: `Bearer ${token}` } : {}
+}
+
+// URL of a stored attachment (the credential goes in the query, since <img> can't send headers)
+const attachmentUrl = (id) => {
+    const token = getAccessToken()
+    return `${BACKEND_URL}/attachments/${id}${token ? `?access_token=${encodeURIComponent(token)}` : ''}`
+}
+
+// Assistant bubble for a record saved by the backend (its selected version)
+const recordToAssistantMessage = (record) => {
+    const isStructured = !record.error && record.response !== null && typeof record.response === 'object'
+    return {
+        id: record.id,
+        role: 'assistant',
+        content: record.error
+            ? `❌ Error: ${record.error.message}`
+            : isStructured ? JSON.stringify(record.response, null, 2) : String(record.response ?? ''),
+        timestamp: record.created_at,
+        isError: !!record.error,
+        recordId: record.id,
+        versionIndex: record.version ?? 0,
+        versionCount: record.versions?.length || 1,
+        meta: {
+            ...(record.usage || {}),
+            model: record.model,
+            channelId: record.channel_id,
+            recordId: record.id,
+            isStructured,
+            validation: record.validation,
+            source: 'backend-events'
+        },
+        steps: []
+    }
+}
+
+// Both bubbles of a record: the prompt (with its attachments) and the answer
+const recordToMessages = (record) => [
+    {
+        id: `${record.id}-prompt`,
+        role: 'user',
+        content: record.prompt,
+        timestamp: record.created_at,
+        recordId: record.id,
+        attachments: (record.attachments || []).map(attachment => ({
+            id: attachment.id,
+            name: attachment.filename,
+            previewUrl: attachment.mime_type.startsWith('image/') ? attachmentUrl(attachment.id) : null
+        }))
+    },
+    recordToAssistantMessage(record)
+]
+
+// Flatten a branch tree from GET /conversations/:id/tree into select options, children indented under their parent
+const flattenBranchTree = (node, depth = 0) => [
+    {
+        id: node.id,
+        label: `${'\u00a0\u00a0'.repeat(depth)}${depth > 0 ? '↳ ' : ''}` +
+            `${node.title || (depth === 0 ? 'Original' : `Branch ${node.id.slice(0, 8)}`)} (${node.message_count})`
+    },
+    ...node.children.flatMap(child => flattenBranchTree(child, depth + 1))
+]
+
+// POST /chat error codes where sending the same prompt again later can succeed
+// (UNAUTHORIZED: once the user has signed in)
+const RETRYABLE_CHAT_ERRORS = [
+    'UNAUTHORIZED',
+    'RATE_LIMITED',
+    'MODELRIVER_RATE_LIMITED',
+    'MODELRIVER_UNAVAILABLE',
+    'MODELRIVER_TIMEOUT',
+    'MODELRIVER_UNREACHABLE'
+]
+
+// Waits before sending a /chat request again while the backend is still processing
+// the first attempt with its Idempotency-Key (409 REQUEST_IN_PROGRESS)
+const IN_PROGRESS_RETRY_DELAYS_MS = [500, 1000, 2000, 4000, 8000]
+
+// Turn a POST /chat error envelope ({ error, code, details }) into a message for the chat
+const describeChatError = (errorData, status) => {
+    switch (errorData.code) {
+        case 'VALIDATION_FAILED':
+            return `⚠️ ${errorData.error}`
+        case 'ATTACHMENT_REJECTED':
+            return `📎 ${errorData.error}`
+        case 'PAYLOAD_TOO_LARGE':
+            return `📎 ${errorData.error || 'Attachment too large'}`
+        case 'UNAUTHORIZED':
+            return '🔒 Sign in to send messages.'
+        case 'RATE_LIMITED':
+            return `⏳ Too many messages - try again in ${errorData.details?.retry_after_seconds || 60}s.`
+        case 'REQUEST_IN_PROGRESS':
+            return '⏳ This message is still being processed - try again in a moment.'
+        case 'QUOTA_EXCEEDED': {
+            const resetsAt = errorData.details?.resets_at
+            return `🪫 Token allowance used up${resetsAt ? ` - more available at ${new Date(resetsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` : ''}.`
+        }
+        case 'MODELRIVER_RATE_LIMITED': {
+            const retryAfter = errorData.details?.retry_after_seconds
+            return `⏳ ModelRiver is busy${retryAfter ? ` - try again in ${retryAfter}s` : ' - try again shortly'}.`
+        }
+        case 'MODELRIVER_UNAVAILABLE':
+        case 'MODELRIVER_UNREACHABLE':
+            return '🔌 ModelRiver is unavailable right now.'
+        case 'MODELRIVER_TIMEOUT':
+            return '⏰ ModelRiver did not respond in time.'
+        default:
+            return errorData.error || `HTTP ${status}`
+    }
+}
+
 function App() {
     // ============================================
     // State
@@ -44,11 +198,24 @@ function App() {
     const [isLoading, setIsLoading] = useState(false)
     const [error, setError] = useState(null)
     const [devMode, setDevMode] = useState(false)
+    const [conversationId, setConversationId] = useState(null) // Assigned by the backend on the first message
+    const [activeRequest, setActiveRequest] = useState(null) // { channelId, prompt } of the request in flight
+    const [accessToken, setAccessToken] = useState(getAccessToken) // Session token or API key from POST /auth/session
+    const [session, setSession] = useState(null) // { user, auth_mode, expires_at } from GET /auth/session
+    const [needsSignIn, setNeedsSignIn] = useState(false)
+    const [apiKeyInput, setApiKeyInput] = useState('')
+    const [signInError, setSignInError] = useState(null)
+    const [quota, setQuota] = useState(null) // Remaining allowance from GET /quota
+    const [attachments, setAttachments] = useState([]) // { id, file, previewUrl } waiting to be sent with the next message
+    const [isDragging, setIsDragging] = useState(false)
+    const [editing, setEditing] = useState(null) // { recordId, text } of the user message being edited
+    const [branchTree, setBranchTree] = useState(null) // GET /conversations/:id/tree of the current conversation
 
     // Refs
     const messagesEndRef = useRef(null)
     const isConnectingRef = useRef(false) // Guard to prevent multiple simultaneous connection attempts
     const processedChannelsRef = useRef(new Set()) // Track processed channel IDs to prevent duplicate messages
+    const fileInputRef = useRef(null)
 
     // ============================================
     // ModelRiver Client Hook
@@ -65,11 +232,87 @@ function App() {
         steps,
         connectionState
     } = useModelRiver({
-        baseUrl: 'wss://api.modelriver.com/socket',
+        baseUrl: MODELRIVER_WS_URL,
         persist: true,
         debug: false
     })
 
+    // ============================================
+    // Authentication
+    // ============================================
+
+    // fetch() against the backend with the stored credential; a 401 asks the user to sign in
+    const apiFetch = async (path, options = {}) => {
+        const res = await fetch(`${BACKEND_URL}${path}`, {
+            ...options,
+            headers: { ...options.headers, ...authHeaders() }
+        })
+        if (res.status === 401) {
+            localStorage.removeItem(ACCESS_TOKEN_STORAGE_KEY)
+            setAccessToken(null)
+            setSession(null)
+            setNeedsSignIn(true)
+        }
+        return res
+    }
+
+    // Check the stored credential (with AUTH_MODE=none this always succeeds)
+    useEffect(() => {
+        apiFetch('/auth/session')
+            .then(async (res) => {
+                if (res.ok) setSession(await res.json())
+            })
+            .catch((err) => console.log('⚠️ Could not check session:', err.message))
+    }, [accessToken]);
+
+    // Refresh the remaining allowance when the user changes and after each message or response
+    useEffect(() => {
+        if (!session) {
+            setQuota(null)
+            return
+        }
+        apiFetch('/quota')
+            .then(async (res) => {
+                if (res.ok) setQuota(await res.json())
+            })
+            .catch((err) => console.log('⚠️ Could not load quota:', err.message))
+    }, [session, messages.length]);
+
+    // Exchange an API key for a session token (or, in api_key mode, keep the key itself)
+    const signIn = async (e) => {
+        e.preventDefault()
+        setSignInError(null)
+        try {
+            const res = await fetch(`${BACKEND_URL}/auth/session`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ apiKey: apiKeyInput.trim() })
+            })
+            const data = await res.json().catch(() => ({}))
+            if (!res.ok) {
+                setSignInError(data.error || `HTTP ${res.status}`)
+                return
+            }
+
+            if (data.token) localStorage.setItem(ACCESS_TOKEN_STORAGE_KEY, data.token)
+            setAccessToken(data.token)
+            setApiKeyInput('')
+            setNeedsSignIn(false)
+        } catch (err) {
+            setSignInError(err.message)
+        }
+    }
+
+    const signOut = () => {
+        localStorage.removeItem(ACCESS_TOKEN_STORAGE_KEY)
+        setAccessToken(null)
+        setSession(null)
+        setMessages([])
+        setConversationId(null)
+        setBranchTree(null)
+        setNeedsSignIn(true)
+    }
+
     // ============================================
     // Auto-scroll to bottom when new messages arrive
     // ============================================
@@ -194,12 +437,18 @@ function App() {
                 const usage = meta.usage || {};
                 const model = meta.used_model || meta.model || 'unknown';
 
+                // The record this answer is saved as (a regenerate or edit adds a version to it)
+                const request = activeRequestRef.current?.channelId === channelId ? activeRequestRef.current : null;
+
                 // Add assistant message to chat only when status is success
                 setMessages(prev => [...prev, {
                     id: Date.now(),
                     role: 'assistant',
                     content: aiContent,
                     timestamp: new Date().toISOString(),
+                    recordId: request?.messageId,
+                    versionIndex: (request?.versionCount || 1) - 1,
+                    versionCount: request?.versionCount || 1,
                     meta: {
                         ...meta,
                         ...usage,
@@ -211,6 +460,7 @@ function App() {
                 }]);
 
                 setIsLoading(false);
+                setActiveRequest(null);
 
                 // If status is "completed" or "success", explicitly disconnect to prevent reconnection attempts
                 // Both statuses indicate workflow completion
@@ -232,6 +482,7 @@ function App() {
                     isError: true
                 }]);
                 setIsLoading(false);
+                setActiveRequest(null);
                 // Don't call disconnect() here - the client will handle connection cleanup
             } else if (status === 'pending') {
                 // Keep loading state for pending status - typing indicator will show
@@ -256,6 +507,7 @@ function App() {
                 isError: true
             }]);
             setIsLoading(false);
+            setActiveRequest(null);
         }
     }, [modelRiverError]);
 
@@ -272,26 +524,330 @@ function App() {
         };
     }, []); // Empty dependency array - only run on unmount
 
+    // ============================================
+    // Backend Request Tracking (status polling + SSE)
+    // ============================================
+
+    // Latest in-flight request, readable from long-lived listeners
+    const activeRequestRef = useRef(null)
+    useEffect(() => {
+        activeRequestRef.current = activeRequest
+    }, [activeRequest])
+
+    // Stop waiting for a channel and unlock the input
+    const finishActiveRequest = (channelId) => {
+        // Ignore anything that still arrives for this channel
+        processedChannelsRef.current.add(channelId)
+        disconnectRef.current()
+        isConnectingRef.current = false
+        setIsLoading(false)
+        setActiveRequest(null)
+    }
+
+    // meta carries the failed record's details (e.g. schema violations) for Dev Mode
+    const handleRequestFailure = (channelId, prompt, content, meta) => {
+        const request = activeRequestRef.current?.channelId === channelId ? activeRequestRef.current : null
+        finishActiveRequest(channelId)
+        reset()
+        setMessages(prev => [...prev, {
+            id: Date.now(),
+            role: 'assistant',
+            content,
+            timestamp: new Date().toISOString(),
+            isError: true,
+            // A failed regenerate or edit is saved as a version: Regenerate on it tries again
+            ...(request?.revision
+                ? { recordId: request.messageId, versionIndex: request.versionCount - 1, versionCount: request.versionCount }
+                : { retryPrompt: prompt, retryFiles: request ? request.files : [] }),
+            ...(meta && { meta })
+        }])
+    }
+
+    // Stop waiting for the request in flight and ask the backend to cancel it (nothing is saved for it)
+    const stopRequest = async () => {
+        const request = activeRequestRef.current
+        if (!request) return
+
+        finishActiveRequest(request.channelId)
+        reset()
+        if (!request.revision) {
+            setMessages(prev => [...prev, {
+                id: Date.now(),
+                role: 'assistant',
+                content: '⏹️ Stopped.',
+                timestamp: new Date().toISOString(),
+                isError: true,
+                retryPrompt: request.prompt,
+                retryFiles: request.files
+            }])
+        }
+
+        try {
+            const cancelResponse = await apiFetch(`/chat/${request.channelId}`, { method: 'DELETE' })
+            if (!cancelResponse.ok && cancelResponse.status !== 409) {
+                console.log('⚠️ Could not cancel request:', cancelResponse.status)
+            }
+            // A stopped regenerate or edit keeps the message as it was: show the stored conversation again
+            if (request.revision && conversationId) {
+                const conversationResponse = await apiFetch(`/conversations/${conversationId}`)
+                if (conversationResponse.ok) {
+                    setMessages((await conversationResponse.json()).messages.flatMap(recordToMessages))
+                }
+            }
+        } catch (err) {
+            console.log('⚠️ Could not cancel request:', err.message)
+        }
+    }
+
+    // Add an assistant message from a record saved by the backend webhook handler
+    const addRecordMessage = (record) => {
+        setMessages(prev => [...prev, recordToAssistantMessage(record)])
+    }
+
+    // The WebSocket delivered this response first: keep its message, add what only the record knows
+    const attachRecordDetails = (record) => {
+        setMessages(prev => prev.map(message => (
+            message.role === 'assistant' && (message.meta?.channelId === record.channel_id)
+                ? {
+                    ...message,
+                    recordId: record.id,
+                    versionIndex: record.version ?? 0,
+                    versionCount: record.versions?.length || 1,
+                    meta: { ...message.meta, recordId: record.id, validation: record.validation }
+                }
+                : message
+        )))
+    }
+
+    const handleRecordCreated = (record) => {
+        if (!record) return
+        if (processedChannelsRef.current.has(record.channel_id)) {
+            attachRecordDetails(record)
+            return
+        }
+
+        console.log('📡 Record received from backend events:', record.id)
+        addRecordMessage(record)
+        if (activeRequestRef.current?.channelId === record.channel_id) {
+            finishActiveRequest(record.channel_id)
+        } else {
+            processedChannelsRef.current.add(record.channel_id)
+        }
+    }
+
+    // Poll the backend so a request ModelRiver never answers doesn't spin forever
+    useEffect(() => {
+        if (!activeRequest) return
+
+        const { channelId, prompt } = activeRequest
+        const interval = setInterval(async () => {
+            try {
+                const statusResponse = await apiFetch(`/chat/${channelId}/status`)
+                if (!statusResponse.ok) return
+
+                const { status } = await statusResponse.json()
+                if (status !== 'timeout') return
+
+                console.log('⏰ Request timed out on the backend:', channelId)
+                clearInterval(interval)
+                handleRequestFailure(channelId, prompt, '⏰ ModelRiver did not respond in time.')
+            } catch (err) {
+                console.log('⚠️ Could not check request status:', err.message)
+            }
+        }, STATUS_POLL_INTERVAL_MS)
+
+        return () => clearInterval(interval)
+    }, [activeRequest]);
+
+    // Subscribe to the backend's Server-Sent Events for this conversation
+    useEffect(() => {
+        if (!conversationId || DELIVERY_MODE === 'websocket') return
+
+        // EventSource can't send an Authorization header, so the credential goes in the query
+        const eventsUrl = `${BACKEND_URL}/conversations/${conversationId}/events` +
+            (accessToken ? `?access_token=${encodeURIComponent(accessToken)}` : '')
+        const eventSource = new EventSource(eventsUrl)
+
+        eventSource.addEventListener('message.created', (event) => {
+            handleRecordCreated(JSON.parse(event.data).record)
+        })
+
+        eventSource.addEventListener('request.timeout', (event) => {
+            const { channel_id } = JSON.parse(event.data)
+            const active = activeRequestRef.current
+            if (active?.channelId === channel_id) {
+                handleRequestFailure(channel_id, active.prompt, '⏰ ModelRiver did not respond in time.')
+            }
+        })
+
+        eventSource.addEventListener('request.error', (event) => {
+            const { channel_id, error: requestError, record } = JSON.parse(event.data)
+            const active = activeRequestRef.current
+            if (active?.channelId === channel_id) {
+                handleRequestFailure(channel_id, active.prompt, `❌ Error: ${requestError?.message || 'Request failed'}`,
+                    record?.validation && { channelId: channel_id, recordId: record.id, validation: record.validation })
+            }
+        })
+
+        // Catch up on a response that was saved before the stream (re)connected
+        eventSource.onopen = async () => {
+            const active = activeRequestRef.current
+            if (!active) return
+            try {
+                const statusResponse = await apiFetch(`/chat/${active.channelId}/status`)
+                if (!statusResponse.ok) return
+                const { status } = await statusResponse.json()
+                if (status !== 'completed') return
+
+                const messagesResponse = await apiFetch(`/conversations/${conversationId}/messages?order=desc&limit=5`)
+                const { messages: records = [] } = await messagesResponse.json()
+                handleRecordCreated(records.find(record => record.channel_id === active.channelId))
+            } catch (err) {
+                console.log('⚠️ Could not catch up on backend events:', err.message)
+            }
+        }
+
+        eventSource.onerror = () => {
+            console.log('⚠️ Backend event stream interrupted - the browser will reconnect')
+        }
+
+        return () => eventSource.close()
+    }, [conversationId, accessToken]);
+
+
+    // ============================================
+    // Attachments
+    // ============================================
+
+    // Add picked or dropped files to the tray, within the per-message limits
+    const addAttachments = (fileList) => {
+        const files = Array.from(fileList || [])
+        const tooLarge = files.filter(file => file.size > MAX_ATTACHMENT_BYTES)
+        const accepted = files
+            .filter(file => file.size <= MAX_ATTACHMENT_BYTES)
+            .slice(0, Math.max(0, MAX_ATTACHMENTS - attachments.length))
+
+        if (tooLarge.length > 0) {
+            setError(`📎 ${tooLarge.map(file => file.name).join(', ')} is over ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB`)
+        } else if (accepted.length < files.length) {
+            setError(`📎 At most ${MAX_ATTACHMENTS} attachments per message`)
+        }
+
+        setAttachments(prev => [...prev, ...accepted.map(file => ({
+            id: `${file.name}-${file.lastModified}-${Math.random().toString(36).slice(2, 8)}`,
+            file,
+            previewUrl: file.type.startsWith('image/') ? URL.createObjectURL(file) : null
+        }))])
+    }
+
+    const removeAttachment = (id) => {
+        setAttachments(prev => prev.filter(attachment => {
+            if (attachment.id === id && attachment.previewUrl) URL.revokeObjectURL(attachment.previewUrl)
+            return attachment.id !== id
+        }))
+    }
+
+    const handleDragOver = (e) => {
+        if (!Array.from(e.dataTransfer.types).includes('Files')) return
+        e.preventDefault()
+        setIsDragging(true)
+    }
+
+    const handleDrop = (e) => {
+        e.preventDefault()
+        setIsDragging(false)
+        if (!isLoading) addAttachments(e.dataTransfer.files)
+    }
 
     // ============================================
     // Send Message Handler
     // ============================================
 
-    const sendMessage = async () => {
-        if (!inputValue.trim() || isLoading) return
+    // Track a request the backend accepted and connect to the channel its answer arrives on.
+    // request: { prompt, files, messageId } plus { revision, versionCount } for a regenerate or edit
+    const awaitResponse = async (data, request) => {
+        const { channel_id, ws_token, websocket_url, websocket_channel } = data
+
+        if (!channel_id) {
+            throw new Error('Missing channel_id from backend')
+        }
+
+        // Watch for backend events and timeouts while we wait for the response
+        activeRequestRef.current = { channelId: channel_id, ...request }
+        setActiveRequest(activeRequestRef.current)
+
+        // In SSE-only mode the response arrives on the backend event stream
+        if (DELIVERY_MODE === 'sse') {
+            return
+        }
+
+        if (!ws_token || !websocket_url || !websocket_channel) {
+            throw new Error('Missing WebSocket connection details from backend')
+        }
+
+        // Check if we have a completed response from a previous request
+        // If so, reset the hook state before connecting to a new channel
+        if (response && (response.status === 'completed' || response.meta?.status === 'completed')) {
+            console.log('⚠️ Previous response is completed, resetting hook state before new connection');
+            reset(); // Reset hook state to clear completed response
+            // Small delay to ensure reset completes
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+
+        // Disconnect any existing connection before connecting to a new one
+        // This prevents multiple connections from accumulating
+        // Only disconnect if we're currently connected or connecting
+        if (isConnected || isConnecting) {
+            console.log('🔌 Disconnecting existing connection before new connection');
+            disconnect();
+            // Small delay to ensure disconnect completes
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+
+        // Set connection guard
+        isConnectingRef.current = true;
+
+        // Connect using ModelRiver client
+        console.log('🔌 Connecting to new channel:', channel_id);
+        connect({
+            channelId: channel_id,
+            wsToken: ws_token,
+            websocketUrl: websocket_url,
+            websocketChannel: websocket_channel
+        });
+
+        // Reset connection guard after a short delay (connection should be initiated)
+        setTimeout(() => {
+            isConnectingRef.current = false;
+        }, 500);
+    }
+
+    // retryPrompt (and retryFiles) are set when re-sending a prompt that already has a user bubble
+    const sendMessage = async (retryPrompt, retryFiles = []) => {
+        const isRetry = typeof retryPrompt === 'string'
+        const userMessage = isRetry ? retryPrompt : inputValue.trim()
+        if (!userMessage || isLoading) return
 
-        const userMessage = inputValue.trim()
-        setInputValue('')
+        const files = isRetry ? retryFiles : attachments.map(attachment => attachment.file)
+
+        if (!isRetry) {
+            setInputValue('')
+            // The bubble keeps showing the previews, so their object URLs stay alive
+            setAttachments([])
+        }
         setError(null)
         setIsLoading(true)
 
         // Add user message to chat immediately
-        setMessages(prev => [...prev, {
-            id: Date.now(),
-            role: 'user',
-            content: userMessage,
-            timestamp: new Date().toISOString()
-        }])
+        if (!isRetry) {
+            setMessages(prev => [...prev, {
+                id: Date.now(),
+                role: 'user',
+                content: userMessage,
+                timestamp: new Date().toISOString(),
+                attachments: attachments.map(({ id, file, previewUrl }) => ({ id, name: file.name, previewUrl }))
+            }])
+        }
 
         try {
             // Prevent multiple simultaneous connection attempts
@@ -303,71 +859,238 @@ function App() {
             // Step 1: Send message to backend
             console.log('📤 Sending message to backend...')
 
-            const backendResponse = await fetch(`${BACKEND_URL}/chat`, {
+            // One key per send: the backend answers a repeat of it without starting a second ModelRiver job
+            const idempotencyKey = crypto.randomUUID()
+
+            // With attachments the same fields go as multipart/form-data (the browser sets the boundary)
+            let requestInit
+            if (files.length > 0) {
+                const formData = new FormData()
+                formData.append('message', userMessage)
+                if (conversationId) formData.append('conversationId', conversationId)
+                files.forEach(file => formData.append('attachments', file))
+                requestInit = { method: 'POST', headers: { 'Idempotency-Key': idempotencyKey }, body: formData }
+            } else {
+                requestInit = {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Idempotency-Key': idempotencyKey
+                    },
+                    body: JSON.stringify({
+                        message: userMessage,
+                        // Send the conversation ID so the backend includes earlier turns as context
+                        ...(conversationId && { conversationId })
+                    })
+                }
+            }
+
+            // A send whose connection dropped is tried once more with the same key, so it can't run twice
+            let backendResponse
+            try {
+                backendResponse = await apiFetch('/chat', requestInit)
+            } catch (networkError) {
+                console.log('⚠️ /chat connection failed - retrying with the same Idempotency-Key:', networkError.message)
+                backendResponse = await apiFetch('/chat', requestInit)
+            }
+
+            // If the first attempt did reach the backend, the retry is refused until it finishes:
+            // wait and send it again until its response is replayed
+            for (const delay of IN_PROGRESS_RETRY_DELAYS_MS) {
+                if (backendResponse.status !== 409) break
+                const errorData = await backendResponse.clone().json().catch(() => ({}))
+                if (errorData.code !== 'REQUEST_IN_PROGRESS') break
+                console.log(`⏳ First attempt still in progress - asking again in ${delay}ms`)
+                await new Promise(resolve => setTimeout(resolve, delay))
+                backendResponse = await apiFetch('/chat', requestInit)
+            }
+
+            if (!backendResponse.ok) {
+                const errorData = await backendResponse.json().catch(() => ({}))
+                const requestError = new Error(describeChatError(errorData, backendResponse.status))
+                requestError.code = errorData.code
+                throw requestError
+            }
+
+            const data = await backendResponse.json()
+            console.log('✅ Backend response:', data)
+
+            if (data.conversation_id) {
+                setConversationId(data.conversation_id)
+            }
+
+            // The user bubble now knows which record it belongs to (for Edit)
+            setMessages(prev => {
+                const index = prev.findLastIndex(m => m.role === 'user' && !m.recordId && m.content === userMessage)
+                return index === -1 ? prev : prev.map((m, i) => (i === index ? { ...m, recordId: data.message_id } : m))
+            })
+
+            // Step 2: Wait for the response on the ModelRiver WebSocket and/or the backend events
+            await awaitResponse(data, { prompt: userMessage, files, messageId: data.message_id })
+
+        } catch (err) {
+            console.error('❌ Error sending message:', err)
+            setIsLoading(false)
+            setActiveRequest(null)
+
+            if (RETRYABLE_CHAT_ERRORS.includes(err.code)) {
+                // The prompt never reached the model - offer to send it again
+                setMessages(prev => [...prev, {
+                    id: Date.now(),
+                    role: 'assistant',
+                    content: err.message,
+                    timestamp: new Date().toISOString(),
+                    isError: true,
+                    retryPrompt: userMessage,
+                    retryFiles: files
+                }])
+            } else {
+                setError(err.message)
+            }
+        }
+    }
+
+    // Remove the failed bubble and send its prompt again
+    const retryMessage = (message) => {
+        setMessages(prev => prev.filter(m => m.id !== message.id))
+        sendMessage(message.retryPrompt, message.retryFiles)
+    }
+
+    // ============================================
+    // Regenerate, Edit and Versions
+    // ============================================
+
+    // Answer a stored message again: regenerate its prompt, or resend it edited (revision: 'regenerate' | 'edit').
+    // The new answer becomes the message's next version; later messages stay with the current one.
+    const reviseMessage = async (recordId, revision, editedPrompt) => {
+        if (isLoading || !conversationId) return
+
+        const previousMessages = messages
+        const userIndex = messages.findIndex(m => m.role === 'user' && m.recordId === recordId)
+        const answer = messages.find(m => m.role === 'assistant' && m.recordId === recordId)
+        const prompt = revision === 'edit' ? editedPrompt : messages[userIndex]?.content
+
+        setEditing(null)
+        setError(null)
+        setIsLoading(true)
+        if (userIndex !== -1) {
+            setMessages(prev => [
+                ...prev.slice(0, userIndex),
+                { ...prev[userIndex], content: prompt }
+            ])
+        }
+
+        try {
+            const backendResponse = await apiFetch(`/conversations/${conversationId}/messages/${recordId}/${revision}`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({
-                    message: userMessage
-                })
+                body: JSON.stringify(revision === 'edit' ? { message: editedPrompt } : {})
             })
 
             if (!backendResponse.ok) {
-                const errorData = await backendResponse.json()
-                throw new Error(errorData.error || `HTTP ${backendResponse.status}`)
+                const errorData = await backendResponse.json().catch(() => ({}))
+                throw new Error(describeChatError(errorData, backendResponse.status))
             }
 
             const data = await backendResponse.json()
-            console.log('✅ Backend response:', data)
+            console.log(`✅ ${revision} accepted:`, data)
+            await awaitResponse(data, {
+                prompt,
+                files: [],
+                messageId: recordId,
+                revision,
+                versionCount: (answer?.versionCount || 1) + 1
+            })
+        } catch (err) {
+            console.error(`❌ Error in ${revision}:`, err)
+            // Nothing changed on the backend: put the conversation back
+            setMessages(previousMessages)
+            setIsLoading(false)
+            setActiveRequest(null)
+            setError(err.message)
+        }
+    }
 
-            // Step 2: Connect to ModelRiver WebSocket using the client SDK
-            const { channel_id, ws_token, websocket_url, websocket_channel } = data
+    // Show another version of a message; the conversation continues from the one selected
+    const selectVersion = async (recordId, version) => {
+        if (isLoading || !conversationId) return
 
-            if (!channel_id || !ws_token || !websocket_url || !websocket_channel) {
-                throw new Error('Missing WebSocket connection details from backend')
+        try {
+            const backendResponse = await apiFetch(`/conversations/${conversationId}/messages/${recordId}/version`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ version })
+            })
+            const data = await backendResponse.json().catch(() => ({}))
+            if (!backendResponse.ok) {
+                throw new Error(data.error || `HTTP ${backendResponse.status}`)
             }
+            setMessages(data.messages.flatMap(recordToMessages))
+        } catch (err) {
+            setError(err.message)
+        }
+    }
 
-            // Check if we have a completed response from a previous request
-            // If so, reset the hook state before connecting to a new channel
-            if (response && (response.status === 'completed' || response.meta?.status === 'completed')) {
-                console.log('⚠️ Previous response is completed, resetting hook state before new connection');
-                reset(); // Reset hook state to clear completed response
-                // Small delay to ensure reset completes
-                await new Promise(resolve => setTimeout(resolve, 100));
-            }
+    // ============================================
+    // Branches
+    // ============================================
 
-            // Disconnect any existing connection before connecting to a new one
-            // This prevents multiple connections from accumulating
-            // Only disconnect if we're currently connected or connecting
-            if (isConnected || isConnecting) {
-                console.log('🔌 Disconnecting existing connection before new connection');
-                disconnect();
-                // Small delay to ensure disconnect completes
-                await new Promise(resolve => setTimeout(resolve, 100));
+    const loadBranchTree = async (id) => {
+        try {
+            const backendResponse = await apiFetch(`/conversations/${id}/tree`)
+            if (backendResponse.ok) {
+                setBranchTree((await backendResponse.json()).tree)
             }
+        } catch (err) {
+            console.error('Failed to load branches:', err)
+        }
+    }
 
-            // Set connection guard
-            isConnectingRef.current = true;
+    // Start a new conversation sharing this one's history up to the message, and continue there
+    const forkConversation = async (recordId) => {
+        if (isLoading || !conversationId) return
 
-            // Connect using ModelRiver client
-            console.log('🔌 Connecting to new channel:', channel_id);
-            connect({
-                channelId: channel_id,
-                wsToken: ws_token,
-                websocketUrl: websocket_url,
-                websocketChannel: websocket_channel
-            });
+        try {
+            const backendResponse = await apiFetch(`/conversations/${conversationId}/fork`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ messageId: recordId })
+            })
+            const data = await backendResponse.json().catch(() => ({}))
+            if (!backendResponse.ok) {
+                throw new Error(data.error || `HTTP ${backendResponse.status}`)
+            }
+            setEditing(null)
+            setConversationId(data.id)
+            setMessages(data.messages.flatMap(recordToMessages))
+            loadBranchTree(data.id)
+        } catch (err) {
+            setError(err.message)
+        }
+    }
 
-            // Reset connection guard after a short delay (connection should be initiated)
-            setTimeout(() => {
-                isConnectingRef.current = false;
-            }, 500);
+    // Show another branch of the tree; the next message is sent with that branch's history
+    const switchBranch = async (id) => {
+        if (isLoading || id === conversationId) return
 
+        try {
+            const backendResponse = await apiFetch(`/conversations/${id}`)
+            const data = await backendResponse.json().catch(() => ({}))
+            if (!backendResponse.ok) {
+                throw new Error(data.error || `HTTP ${backendResponse.status}`)
+            }
+            setEditing(null)
+            setConversationId(data.id)
+            setMessages(data.messages.flatMap(recordToMessages))
+            loadBranchTree(data.id)
         } catch (err) {
-            console.error('❌ Error sending message:', err)
             setError(err.message)
-            setIsLoading(false)
         }
     }
 
@@ -403,6 +1126,43 @@ function App() {
                     </div>
                 </div>
                 <div className="header-right">
+                    {branchTree?.children.length > 0 && (
+                        <div className="branch-control" title="Branches of this conversation">
+                            <GitBranch size={14} />
+                            <select
+                                className="branch-select"
+                                value={conversationId || ''}
+                                onChange={(e) => switchBranch(e.target.value)}
+                                disabled={isLoading}
+                            >
+                                {flattenBranchTree(branchTree).map(option => (
+                                    <option key={option.id} value={option.id}>{option.label}</option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+                    {quota && (quota.tokens.limit || quota.requests.limit) && (
+                        <div
+                            className={`quota-badge${quota.tokens.limit && quota.tokens.remaining === 0 ? ' exhausted' : ''}`}
+                            title={[
+                                quota.tokens.limit && `${quota.tokens.used} of ${quota.tokens.limit} tokens used in the last ${Math.round(quota.tokens.window_seconds / 3600)}h`,
+                                quota.requests.limit && `${quota.requests.remaining} of ${quota.requests.limit} messages left this ${quota.requests.window_seconds}s`
+                            ].filter(Boolean).join('\n')}
+                        >
+                            <Gauge size={14} />
+                            {quota.tokens.limit
+                                ? `${formatTokens(quota.tokens.remaining)} tokens left`
+                                : `${quota.requests.remaining} messages left`}
+                        </div>
+                    )}
+                    {session && session.auth_mode !== 'none' && (
+                        <div className="session-control">
+                            <span className="session-user">{session.user.id}</span>
+                            <button className="message-action-button" onClick={signOut}>
+                                <LogOut size={14} /> Sign out
+                            </button>
+                        </div>
+                    )}
                     <div className="dev-mode-control">
                         <span className="dev-mode-label">Dev Mode</span>
                         <label className="switch">
@@ -472,11 +1232,117 @@ function App() {
                                                 {message.content}
                                             </ReactMarkdown>
                                         )
+                                    ) : editing?.recordId === message.recordId && message.role === 'user' ? (
+                                        <div className="edit-message">
+                                            <textarea
+                                                className="edit-input"
+                                                value={editing.text}
+                                                onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+                                                rows={Math.min(6, Math.max(2, editing.text.split('\n').length))}
+                                                autoFocus
+                                            />
+                                            <div className="message-actions">
+                                                <button
+                                                    className="message-action-button"
+                                                    onClick={() => reviseMessage(message.recordId, 'edit', editing.text.trim())}
+                                                    disabled={isLoading || !editing.text.trim()}
+                                                >
+                                                    <Send size={14} /> Save & send
+                                                </button>
+                                                <button className="message-action-button" onClick={() => setEditing(null)}>
+                                                    Cancel
+                                                </button>
+                                            </div>
+                                        </div>
                                     ) : (
                                         message.content
                                     )}
+
+                                    {message.attachments?.length > 0 && (
+                                        <div className="message-attachments">
+                                            {message.attachments.map(attachment => (
+                                                attachment.previewUrl ? (
+                                                    <img
+                                                        key={attachment.id}
+                                                        className="attachment-thumbnail"
+                                                        src={attachment.previewUrl}
+                                                        alt={attachment.name}
+                                                        title={attachment.name}
+                                                    />
+                                                ) : (
+                                                    <span key={attachment.id} className="attachment-file" title={attachment.name}>
+                                                        <FileText size={14} /> {attachment.name}
+                                                    </span>
+                                                )
+                                            ))}
+                                        </div>
+                                    )}
                                 </div>
 
+                                {message.isError && message.retryPrompt && (
+                                    <div className="message-actions">
+                                        <button
+                                            className="message-action-button"
+                                            onClick={() => retryMessage(message)}
+                                            disabled={isLoading}
+                                        >
+                                            <RotateCcw size={14} /> Retry
+                                        </button>
+                                    </div>
+                                )}
+
+                                {message.role === 'user' && message.recordId && editing?.recordId !== message.recordId && (
+                                    <div className="message-actions">
+                                        <button
+                                            className="message-action-button"
+                                            onClick={() => setEditing({ recordId: message.recordId, text: message.content })}
+                                            disabled={isLoading}
+                                        >
+                                            <Pencil size={14} /> Edit
+                                        </button>
+                                    </div>
+                                )}
+
+                                {message.role === 'assistant' && message.recordId && !message.retryPrompt && (
+                                    <div className="message-actions">
+                                        {message.versionCount > 1 && (
+                                            <div className="version-switcher">
+                                                <button
+                                                    className="message-action-button"
+                                                    onClick={() => selectVersion(message.recordId, message.versionIndex - 1)}
+                                                    disabled={isLoading || message.versionIndex === 0}
+                                                    aria-label="Previous version"
+                                                >
+                                                    <ChevronLeft size={14} />
+                                                </button>
+                                                <span>{message.versionIndex + 1} / {message.versionCount}</span>
+                                                <button
+                                                    className="message-action-button"
+                                                    onClick={() => selectVersion(message.recordId, message.versionIndex + 1)}
+                                                    disabled={isLoading || message.versionIndex === message.versionCount - 1}
+                                                    aria-label="Next version"
+                                                >
+                                                    <ChevronRight size={14} />
+                                                </button>
+                                            </div>
+                                        )}
+                                        <button
+                                            className="message-action-button"
+                                            onClick={() => reviseMessage(message.recordId, 'regenerate')}
+                                            disabled={isLoading}
+                                        >
+                                            <RefreshCw size={14} /> Regenerate
+                                        </button>
+                                        <button
+                                            className="message-action-button"
+                                            onClick={() => forkConversation(message.recordId)}
+                                            disabled={isLoading}
+                                        >
+                                            <GitBranch size={14} /> Branch from here
+                                        </button>
+                                    </div>
+                                )}
+
                                 {devMode && (
                                     <div className="message-dev-info">
                                         <div className="message-metadata">
@@ -496,8 +1362,24 @@ function App() {
                                                     <Database size={12} /> Structured Output
                                                 </div>
                                             )}
+                                            {message.meta?.validation && (
+                                                <div className={`metadata-badge schema-${message.meta.validation.outcome}`}>
+                                                    {message.meta.validation.valid ? <ShieldCheck size={12} /> : <ShieldAlert size={12} />}
+                                                    Schema {message.meta.validation.outcome}
+                                                </div>
+                                            )}
                                         </div>
 
+                                        {message.meta?.validation?.errors?.length > 0 && (
+                                            <ul className="schema-violations">
+                                                {message.meta.validation.errors.map((violation, idx) => (
+                                                    <li key={idx}>
+                                                        <code>{violation.path}</code> {violation.message}
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                        )}
+
                                         {message.steps && message.steps.length > 0 && (
                                             <div className="workflow-steps">
                                                 {message.steps.map((step, idx) => (
@@ -532,6 +1414,14 @@ function App() {
                                     <span className="dot"></span>
                                 </div>
 
+                                {activeRequest && (
+                                    <div className="message-actions">
+                                        <button className="message-action-button" onClick={stopRequest}>
+                                            <Square size={12} /> Stop
+                                        </button>
+                                    </div>
+                                )}
+
                                 {/* Streaming Workflow Process */}
                                 {steps && steps.length > 0 && (
                                     <div className="workflow-steps loading-steps">
@@ -562,9 +1452,71 @@ function App() {
                 </div>
             )}
 
-            {/* Input Area */}
-            <div className="input-container">
+            {/* Sign-in (shown when the backend requires credentials) */}
+            {needsSignIn && (
+                <form className="sign-in-panel" onSubmit={signIn}>
+                    <KeyRound size={16} color="var(--accent-primary)" />
+                    <input
+                        type="password"
+                        className="sign-in-input"
+                        value={apiKeyInput}
+                        onChange={(e) => setApiKeyInput(e.target.value)}
+                        placeholder="Enter your API key to sign in"
+                        autoComplete="current-password"
+                    />
+                    <button type="submit" className="message-action-button" disabled={!apiKeyInput.trim()}>
+                        Sign in
+                    </button>
+                    {signInError && <span className="sign-in-error">{signInError}</span>}
+                </form>
+            )}
+
+            {/* Input Area (files can be dropped anywhere on it) */}
+            <div
+                className={`input-container${isDragging ? ' dragging' : ''}`}
+                onDragOver={handleDragOver}
+                onDragLeave={() => setIsDragging(false)}
+                onDrop={handleDrop}
+            >
+                {attachments.length > 0 && (
+                    <div className="attachment-tray">
+                        {attachments.map(attachment => (
+                            <div key={attachment.id} className="attachment-chip" title={attachment.file.name}>
+                                {attachment.previewUrl
+                                    ? <img src={attachment.previewUrl} alt="" />
+                                    : <FileText size={16} />}
+                                <span className="attachment-name">{attachment.file.name}</span>
+                                <button
+                                    className="attachment-remove"
+                                    onClick={() => removeAttachment(attachment.id)}
+                                    aria-label={`Remove ${attachment.file.name}`}
+                                >
+                                    <X size={12} />
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                )}
                 <div className="input-wrapper">
+                    <input
+                        ref={fileInputRef}
+                        type="file"
+                        multiple
+                        accept={ATTACHMENT_ACCEPT}
+                        hidden
+                        onChange={(e) => {
+                            addAttachments(e.target.files)
+                            e.target.value = ''
+                        }}
+                    />
+                    <button
+                        className="attach-button"
+                        onClick={() => fileInputRef.current?.click()}
+                        disabled={isLoading || attachments.length >= MAX_ATTACHMENTS}
+                        title="Attach files"
+                    >
+                        <Paperclip size={18} />
+                    </button>
                     <textarea
                         className="chat-input"
                         value={inputValue}
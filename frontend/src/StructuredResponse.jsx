@@ -33,13 +33,15 @@ const StructuredResponse = ({ data }) => {
     const {
         summary,
         sentiment,
-        confidence,
-        topics = [],
-        action_items = [],
         message, // The actual message content from the AI
         reply // The AI's reply/answer to the user's question
     } = responseData;
 
+    // The backend validates the shape only for workflows with a schema, so guard the fields that are iterated or computed with
+    const confidence = typeof responseData.confidence === 'number' ? responseData.confidence : undefined;
+    const topics = Array.isArray(responseData.topics) ? responseData.topics : [];
+    const action_items = Array.isArray(responseData.action_items) ? responseData.action_items : [];
+
     // Sentiment icon mapping
     const getSentimentIcon = (sentiment) => {
         const sentimentMap = {